@@ -0,0 +1,230 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'code-review-'));
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { parseDiff } = require('../../utils/diffParser');
+const { DEFAULT_REVIEW_POLICY } = require('../../utils/reviewPolicy');
+const scmClient = require('../../scm');
+const codeReviewAgent = require('../codeReviewAgent');
+
+const files = parseDiff([
+  'diff --git a/src/api/users.js b/src/api/users.js',
+  '--- a/src/api/users.js',
+  '+++ b/src/api/users.js',
+  '@@ -10,3 +10,4 @@',
+  ' const list = () => db.all();',
+  '-const get = (id) => db.get(id);',
+  '+const get = (id) => db.get(Number(id));',
+  '+const remove = (id) => db.delete(id);',
+  ' module.exports = { list, get };',
+  'diff --git a/old.js b/old.js',
+  'deleted file mode 100644',
+  '--- a/old.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-gone();',
+  ''
+].join('\n'));
+
+const [users] = files;
+
+describe('anchoring review findings', () => {
+  it('keeps lines that are part of a hunk', () => {
+    expect(codeReviewAgent.findDiffLine(10, users)).toBe(10);
+    expect(codeReviewAgent.findDiffLine(12, users)).toBe(12);
+    expect(codeReviewAgent.findDiffLine(13, users)).toBe(13);
+  });
+
+  it('snaps lines a few lines off to the nearest added line', () => {
+    expect(codeReviewAgent.findDiffLine(14, users)).toBe(12);
+    expect(codeReviewAgent.findDiffLine(15, users)).toBe(12);
+    expect(codeReviewAgent.findDiffLine(16, users)).toBeNull();
+    expect(codeReviewAgent.findDiffLine(8, users)).toBe(11);
+    expect(codeReviewAgent.findDiffLine(7, users)).toBeNull();
+  });
+
+  it('rejects missing and invalid lines', () => {
+    expect(codeReviewAgent.findDiffLine(NaN, users)).toBeNull();
+    expect(codeReviewAgent.findDiffLine(0, users)).toBeNull();
+    expect(codeReviewAgent.findDiffLine(2.5, users)).toBeNull();
+  });
+
+  it('matches files by path or an unambiguous suffix, but not deleted files', () => {
+    expect(codeReviewAgent.findDiffFile('./src/api/users.js', files)).toBe(users);
+    expect(codeReviewAgent.findDiffFile('b/src/api/users.js', files)).toBe(users);
+    expect(codeReviewAgent.findDiffFile('api/users.js', files)).toBe(users);
+    expect(codeReviewAgent.findDiffFile('old.js', files)).toBeNull();
+    expect(codeReviewAgent.findDiffFile(undefined, files)).toBeNull();
+  });
+
+  it('returns the findings it cannot place on the diff as unplaced', () => {
+    const issues = [
+      { severity: 'major', file: 'api/users.js', line: 14, message: 'Off by two' },
+      { severity: 'critical', file: 'src/api/users.js', line: 40, message: 'Outside the hunk' },
+      { severity: 'major', file: 'src/db.js', line: 3, message: 'Not in the diff' },
+      { severity: 'major', file: 'src/api/users.js', message: 'No line' }
+    ];
+
+    const { anchored, unplaced } = codeReviewAgent.anchorIssues(issues, files);
+    expect(anchored).toEqual([{ severity: 'major', file: 'src/api/users.js', line: 12, message: 'Off by two' }]);
+    expect(unplaced.map(issue => issue.message)).toEqual(['Outside the hunk', 'Not in the diff', 'No line']);
+  });
+});
+
+describe('codeReviewAgent.mergeChunkReviews', () => {
+  const review = (score, securityConcerns) => ({ score, issues: [], security_concerns: securityConcerns, performance_issues: [], suggestions: [] });
+
+  it('keeps the model\'s security concerns as strings, once each', () => {
+    const merged = codeReviewAgent.mergeChunkReviews([
+      { chunk: { path: 'src/api/users.js', changedLines: 3 }, analysis: review(60, ['Unauthenticated delete']) },
+      { chunk: { path: 'src/db.js', changedLines: 1 }, analysis: review(100, ['Unauthenticated delete', 'SQL built from input']) }
+    ]);
+
+    expect(merged.security_concerns).toEqual(['Unauthenticated delete', 'SQL built from input']);
+    expect(merged.score).toBe(70);
+  });
+});
+
+describe('codeReviewAgent.postReviewComments', () => {
+  const analysis = {
+    score: 55,
+    approved: false,
+    chunks_failed: 0,
+    issues: [
+      { severity: 'critical', file: 'src/api/users.js', line: 13, message: 'Deletes without a permission check' },
+      { severity: 'major', file: 'src/db.js', line: 3, message: 'Connection is never closed' },
+      { severity: 'minor', file: 'src/api/users.js', line: 12, message: 'Name the parameter' }
+    ],
+    security_concerns: ['Unauthenticated delete'],
+    performance_issues: [],
+    secret_findings: []
+  };
+
+  const github = { supports: { reviews: true } };
+
+  const post = (reviewed, headSha = 'c0ffee', scm = github) => {
+    const tracking = codeReviewAgent.trackFindings(null, 'full', reviewed, files, DEFAULT_REVIEW_POLICY);
+    return codeReviewAgent.postReviewComments(scm, 'acme/api', 7, { number: 7 }, reviewed, files, tracking, null, headSha);
+  };
+
+  let submitted;
+
+  beforeEach(() => {
+    submitted = [];
+    jest.spyOn(codeReviewAgent, 'submitReview').mockImplementation(async (review) => {
+      submitted.push(review);
+      return { data: { id: 99 }, event: review.event };
+    });
+    jest.spyOn(codeReviewAgent, 'recordCommentIds').mockResolvedValue();
+    jest.spyOn(codeReviewAgent, 'replyToResolved').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('submits one review with the anchored findings inline and the rest in the summary', async () => {
+    const result = await post(analysis);
+
+    expect(result).toEqual({ review_id: 99, summary_review_id: 99, event: 'REQUEST_CHANGES', inline_comments: 1, summary_findings: 1 });
+    expect(submitted).toHaveLength(1);
+    const [review] = submitted;
+    expect(review).toMatchObject({ owner: 'acme', repo: 'api', pull_number: 7, event: 'REQUEST_CHANGES', commit_id: 'c0ffee' });
+    expect(review.comments).toEqual([
+      { path: 'src/api/users.js', line: 13, side: 'RIGHT', body: '**CRITICAL**: Deletes without a permission check' }
+    ]);
+    expect(review.body).toContain('- **MAJOR** (`src/db.js:3`): Connection is never closed');
+    expect(review.body).toContain('- Unauthenticated delete');
+    expect(review.body).not.toContain('Name the parameter');
+  });
+
+  it('lists secrets the scanner found before the model\'s security concerns', async () => {
+    const secret = { rule: 'github-token', message: 'GitHub token committed in src/api/users.js', file: 'src/api/users.js', line: 12, preview: 'ghp_****', confirmed: true };
+    const withSecret = codeReviewAgent.applySecretFindings(analysis, [secret]);
+    expect(withSecret).toMatchObject({ approved: false, secrets_detected: 1, secret_findings: [secret], security_concerns: ['Unauthenticated delete'] });
+
+    await post(withSecret);
+    expect(submitted[0].body).toContain([
+      '### Security concerns',
+      '',
+      '- 🔑 **SECRET** `src/api/users.js:12`: GitHub token committed in src/api/users.js — `ghp_****`',
+      '- Unauthenticated delete'
+    ].join('\n'));
+  });
+
+  it('comments instead of requesting changes when part of the diff was not reviewed', async () => {
+    const result = await post({ ...analysis, chunks_failed: 1 }, 'unknown');
+
+    expect(result.event).toBe('COMMENT');
+    expect(submitted[0].commit_id).toBeUndefined();
+    expect(submitted[0].body).toContain('1 part(s) of this diff could not be reviewed');
+  });
+
+  it('posts discussions and a summary comment on providers without reviews', async () => {
+    const gitlab = {
+      supports: { reviews: false },
+      postInlineComments: jest.fn(async (repository, number, pullRequest, comments) =>
+        comments.map((comment, index) => ({ id: `note-${index + 1}`, path: comment.path, line: comment.line, body: comment.body }))),
+      postSummaryComment: jest.fn().mockResolvedValue({ id: 'note-9', url: 'https://gitlab.com/acme/api/-/merge_requests/7#note_9' })
+    };
+
+    const result = await post(analysis, 'c0ffee', gitlab);
+
+    expect(result).toEqual({ review_id: 'note-9', summary_review_id: 'note-9', event: 'COMMENT', inline_comments: 1, summary_findings: 1 });
+    expect(gitlab.postInlineComments.mock.calls[0][3]).toEqual([
+      expect.objectContaining({ path: 'src/api/users.js', line: 13, body: '**CRITICAL**: Deletes without a permission check' })
+    ]);
+    expect(gitlab.postSummaryComment.mock.calls[0][2]).toContain('Connection is never closed');
+    expect(submitted).toEqual([]);
+  });
+});
+
+describe('codeReviewAgent.getStateKey', () => {
+  it('prefixes every key with its provider', () => {
+    expect(codeReviewAgent.getStateKey({ provider: 'github', repository: 'acme/api' }, 7)).toBe('github:acme/api#7');
+    expect(codeReviewAgent.getStateKey({ provider: 'gitlab', repository: 'platform/tools/api' }, 7)).toBe('gitlab:platform/tools/api#7');
+  });
+});
+
+describe('codeReviewAgent.analyze', () => {
+  const PREVIOUS_RESULT = { status: 'approved', score: 90, review_mode: 'full' };
+
+  let scm;
+
+  beforeEach(() => {
+    scm = { getPullRequest: jest.fn() };
+    scmClient.registerProvider('github', () => scm);
+    // Stops the review right after the unchanged-head check
+    jest.spyOn(codeReviewAgent, 'loadReviewPolicy').mockRejectedValue(new Error('reviewed again'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  const review = () => codeReviewAgent.analyze({ repository: 'acme/api', pr_number: 7 });
+
+  it('returns the previous result when nothing was pushed since', async () => {
+    scm.getPullRequest.mockResolvedValue({ number: 7, head_sha: 'abc123' });
+    codeReviewAgent.reviewState.set('github:acme/api#7', { head_sha: 'abc123', result: PREVIOUS_RESULT });
+
+    const result = await review();
+
+    expect(result).toMatchObject({ status: 'approved', score: 90, review_mode: 'unchanged' });
+    expect(codeReviewAgent.loadReviewPolicy).not.toHaveBeenCalled();
+  });
+
+  it("reviews again when the PR head can't be read", async () => {
+    scm.getPullRequest.mockRejectedValue(Object.assign(new Error('Server Error'), { status: 502 }));
+    codeReviewAgent.reviewState.set('github:acme/api#7', { head_sha: 'unknown', result: PREVIOUS_RESULT });
+
+    await expect(review()).rejects.toThrow('reviewed again');
+  });
+});
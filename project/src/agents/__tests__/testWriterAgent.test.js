@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-writer-'));
+
+const githubClient = require('../../github');
+const testWriterAgent = require('../testWriterAgent');
+
+const pullRequest = (headRepository, extra = {}) => ({
+  number: 7,
+  head: { ref: 'feature', sha: 'head-sha', repo: headRepository && { full_name: headRepository } },
+  base: { ref: 'main', repo: { full_name: 'acme/api' } },
+  ...extra
+});
+
+const generatedTests = [
+  { original_file: 'src/users.js', test_file: 'src/users.test.js', test_content: "test('lists users', () => {});\n" },
+  { original_file: 'lib/math.py', test_file: 'tests/test_math.py', test_content: 'def test_add():\n    assert add(1, 2) == 3\n' }
+];
+
+describe('testWriterAgent', () => {
+  let github;
+
+  beforeEach(() => {
+    let blobs = 0;
+    github = {
+      pulls: { get: jest.fn() },
+      issues: { createComment: jest.fn().mockResolvedValue({ data: { html_url: 'https://github.com/acme/api/pull/7#issuecomment-1' } }) },
+      git: {
+        getCommit: jest.fn().mockResolvedValue({ data: { sha: 'head-sha', tree: { sha: 'base-tree' } } }),
+        createBlob: jest.fn().mockImplementation(async () => ({ data: { sha: `blob-${++blobs}` } })),
+        createTree: jest.fn().mockResolvedValue({ data: { sha: 'new-tree' } }),
+        createCommit: jest.fn().mockResolvedValue({ data: { sha: 'new-commit', html_url: 'https://github.com/acme/api/commit/new-commit' } }),
+        updateRef: jest.fn().mockResolvedValue({ data: {} })
+      }
+    };
+    githubClient.use(github);
+  });
+
+  afterEach(() => {
+    githubClient.reset();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('getCommitBlocker', () => {
+    it('lets pull requests from the base repository through', () => {
+      expect(testWriterAgent.getCommitBlocker(pullRequest('acme/api'))).toBeNull();
+    });
+
+    it('blocks forks, even when maintainers may edit them', () => {
+      expect(testWriterAgent.getCommitBlocker(pullRequest('someone/api', { maintainer_can_modify: true })))
+        .toBe('pull request comes from a fork');
+      expect(testWriterAgent.getCommitBlocker(pullRequest(null))).toBe('pull request comes from a fork');
+    });
+  });
+
+  describe('commitFiles', () => {
+    it('creates one commit of the test files on top of the parent', async () => {
+      const commit = await testWriterAgent.commitFiles('acme', 'api', 'head-sha', generatedTests, 'test: add generated tests');
+
+      expect(commit.sha).toBe('new-commit');
+      expect(github.git.createBlob.mock.calls.map(([params]) => params.content)).toEqual([
+        "test('lists users', () => {});\n",
+        'def test_add():\n    assert add(1, 2) == 3\n'
+      ]);
+      expect(github.git.createTree).toHaveBeenCalledWith({
+        owner: 'acme',
+        repo: 'api',
+        base_tree: 'base-tree',
+        tree: [
+          { path: 'src/users.test.js', mode: '100644', type: 'blob', sha: 'blob-1' },
+          { path: 'tests/test_math.py', mode: '100644', type: 'blob', sha: 'blob-2' }
+        ]
+      });
+      expect(github.git.createCommit).toHaveBeenCalledWith({
+        owner: 'acme',
+        repo: 'api',
+        message: 'test: add generated tests',
+        tree: 'new-tree',
+        parents: ['head-sha']
+      });
+    });
+  });
+
+  describe('createTestFiles', () => {
+    const scm = { postSummaryComment: jest.fn() };
+
+    beforeEach(() => {
+      scm.postSummaryComment.mockReset().mockResolvedValue({ id: 1, url: 'https://github.com/acme/api/pull/7#issuecomment-1' });
+    });
+
+    it('pushes to the head branch of a pull request from the base repository', async () => {
+      github.pulls.get.mockResolvedValue({ data: pullRequest('acme/api') });
+
+      const result = await testWriterAgent.createTestFiles(scm, 'acme/api', 7, generatedTests, 'push');
+
+      expect(result).toMatchObject({ mode: 'push', branch: 'feature', commit_sha: 'new-commit' });
+      expect(github.git.updateRef).toHaveBeenCalledWith({ owner: 'acme', repo: 'api', ref: 'heads/feature', sha: 'new-commit', force: false });
+    });
+
+    it('comments instead of pushing to a fork', async () => {
+      github.pulls.get.mockResolvedValue({ data: pullRequest('someone/api', { maintainer_can_modify: true }) });
+
+      const result = await testWriterAgent.createTestFiles(scm, 'acme/api', 7, generatedTests, 'push');
+
+      expect(result).toMatchObject({ mode: 'comment', fallback_reason: 'pull request comes from a fork' });
+      expect(github.git.createCommit).not.toHaveBeenCalled();
+      expect(github.git.updateRef).not.toHaveBeenCalled();
+      expect(scm.postSummaryComment.mock.calls[0][2]).toContain('### src/users.test.js');
+    });
+  });
+});
@@ -1,6 +1,53 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
 const winston = require('winston');
+const Joi = require('joi');
+
+const githubClient = require('../github');
+const buildHistory = require('../builds/history');
+const buildFailures = require('../builds/failures');
+const testReports = require('../builds/testReports');
+const workflowLint = require('../builds/workflowLint');
+const llmClient = require('../llm');
+const usageTracker = require('../llm/usage');
+const llmCache = require('../llm/cache');
+const { predictBuild } = require('../utils/buildModel');
+
+// Part of the LLM cache key; bump when the explanation prompt or schema changes
+const EXPLANATION_PROMPT_VERSION = 'explain-build/3';
+
+const DEFAULT_RESOURCES = { cpu: '2 cores', memory: '4GB', disk: '20GB' };
+
+const ROOT_CAUSE_LABELS = {
+  compile_error: 'Compile errors',
+  test_failure: 'Test failures',
+  dependency_resolution: 'Dependency resolution failures',
+  oom_timeout: 'Out of memory or timeouts',
+  infrastructure: 'Infrastructure or network failures',
+  lint: 'Lint failures',
+  unknown: 'Unclassified failures'
+};
+
+// Which runs a build model factor counted, for the fallback explanation
+const FACTOR_RUNS = {
+  branch: value => `Runs on ${value}`,
+  author: value => `Runs by ${value}`,
+  changed_area: value => `Runs touching ${value}/`,
+  file_type: value => `Runs changing ${value} files`,
+  streak: value => (value === 'after_failure' ? 'Runs following a failed run' : 'Runs following a successful run'),
+  flaky_tests: value => `Flaky tests in ${value}`
+};
+
+// The model's explanation of a prediction it didn't make
+const explanationSchema = Joi.object({
+  summary: Joi.string().min(1).required(),
+  issues: Joi.array().items(Joi.string()).default([]),
+  recommendations: Joi.array().items(Joi.string()).default([]),
+  strategy: Joi.string().default('standard'),
+  resources: Joi.object({
+    cpu: Joi.string(),
+    memory: Joi.string(),
+    disk: Joi.string()
+  }).default(() => ({ ...DEFAULT_RESOURCES }))
+}).label('explanation');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -9,40 +56,68 @@ const logger = winston.createLogger({
 });
 
 class BuildPredictorAgent {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
+  get github() {
+    return githubClient.rest;
   }
 
+  // The outcome, failure probability and duration come from the build model
+  // over the repository's stored workflow runs; the LLM only explains them
   async predict(params) {
-    const { repository, branch, commit_sha, llm_model } = params;
-    const model = llm_model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    const { repository, branch, commit_sha, llm_model, llm_provider, cache: cacheMode } = params;
     
     try {
+      const llm = llmClient.resolve({ agent: 'build_predictor', repository, provider: llm_provider, model: llm_model });
+      const usage = usageTracker.start({ agent: 'build_predictor', repository });
+      const cache = llmCache.start({ agent: 'build_predictor', mode: cacheMode });
       const [owner, repo] = repository.split('/');
       
       // Get repository structure and build configuration
       const repoInfo = await this.analyzeRepository(owner, repo, branch);
       
-      // Get recent build history
-      const buildHistory = await this.getBuildHistory(owner, repo);
+      // Workflow runs from the build history store
+      const runs = await this.getBuildHistory(owner, repo);
+      
+      // What is being built: its branch, author and changed files
+      const change = await this.getChange(owner, repo, branch, commit_sha);
       
-      // Predict build outcome using LLM
-      const prediction = await this.predictBuildOutcome(repoInfo, buildHistory, model);
+      // Tests that both failed and passed on one commit, near the changed files
+      const flakyTests = testReports.touchedBy(testReports.getFlakyTests(`${owner}/${repo}`), change.files);
+      
+      const model = predictBuild(runs, { ...change, flaky_tests: flakyTests });
+      
+      // Why recent runs failed, from their job logs
+      const rootCauses = await this.getRootCauses(owner, repo, runs, llm, usage, cache);
+      
+      const explanation = await this.explainPrediction(repoInfo, model, rootCauses, flakyTests, llm, usage, cache);
+      
+      // Static checks of the workflow definitions, with their fixes
+      const lint = this.lintWorkflows(repoInfo, runs, branch);
       
       return {
-        prediction: prediction.outcome,
-        confidence: prediction.confidence,
-        estimated_duration: prediction.duration,
-        potential_issues: prediction.issues,
-        recommendations: prediction.recommendations,
-        build_strategy: prediction.strategy,
-        resource_requirements: prediction.resources
+        prediction: model.outcome,
+        confidence: model.confidence,
+        failure_probability: model.failure_probability,
+        estimated_duration: model.estimated_duration,
+        duration_percentiles: model.durations,
+        explanation: explanation.summary,
+        potential_issues: explanation.issues,
+        recommendations: [...new Set([...explanation.recommendations, ...lint.recommendations])],
+        build_strategy: explanation.strategy,
+        resource_requirements: explanation.resources,
+        prediction_source: 'statistical',
+        explanation_source: explanation.source,
+        ...(explanation.fallback_reason && { fallback_reason: explanation.fallback_reason }),
+        model_inputs: model.inputs,
+        root_causes: rootCauses,
+        flaky_tests: flakyTests,
+        workflow_lint: {
+          workflows: lint.workflows,
+          summary: lint.summary,
+          findings: lint.findings
+        },
+        llm,
+        usage: usage.summary(),
+        cache: cache.summary()
       };
       
     } catch (error) {
@@ -106,90 +181,118 @@ class BuildPredictorAgent {
       'azure-pipelines.yml'
     ];
     
+    const contents = await githubClient.getContents(owner, repo, buildFilePatterns, branch);
     const buildFiles = [];
     
-    for (const pattern of buildFilePatterns) {
-      try {
-        const { data: content } = await this.github.repos.getContent({
-          owner,
-          repo,
+    // Missing files come back as null
+    for (const { path: pattern, data: content } of contents) {
+      if (!content) continue;
+      
+      if (Array.isArray(content)) {
+        // Directory (like .github/workflows)
+        buildFiles.push({
           path: pattern,
-          ref: branch
+          type: 'directory',
+          files: content.map(f => f.name)
         });
         
-        if (Array.isArray(content)) {
-          // Directory (like .github/workflows)
-          buildFiles.push({
-            path: pattern,
-            type: 'directory',
-            files: content.map(f => f.name)
-          });
-        } else {
-          // Single file
-          buildFiles.push({
-            path: pattern,
-            type: 'file',
-            content: Buffer.from(content.content, 'base64').toString('utf-8')
-          });
+        // Workflow definitions are read as well, for the workflow linter
+        if (pattern === '.github/workflows') {
+          for (const workflow of await workflowLint.getWorkflowFiles(owner, repo, branch, content)) {
+            buildFiles.push({ path: workflow.path, type: 'file', content: workflow.content });
+          }
         }
-      } catch (error) {
-        // File doesn't exist, continue
+      } else if (typeof content.content === 'string') {
+        // Single file
+        buildFiles.push({
+          path: pattern,
+          type: 'file',
+          content: Buffer.from(content.content, 'base64').toString('utf-8')
+        });
       }
     }
     
     return buildFiles;
   }
 
+  // Stored runs, newest first, synced when webhooks haven't kept them
+  // fresh. A failed sync leaves the runs stored so far.
   async getBuildHistory(owner, repo) {
     try {
-      // Get recent workflow runs (GitHub Actions)
-      const { data: workflows } = await this.github.actions.listWorkflowRunsForRepo({
-        owner,
-        repo,
-        per_page: 20
-      });
-      
-      return workflows.workflow_runs.map(run => ({
-        id: run.id,
-        status: run.status,
-        conclusion: run.conclusion,
-        created_at: run.created_at,
-        updated_at: run.updated_at,
-        duration: run.updated_at && run.created_at ? 
-          new Date(run.updated_at) - new Date(run.created_at) : null,
-        head_sha: run.head_sha,
-        event: run.event
-      }));
+      return await buildHistory.getRecentRuns(owner, repo);
     } catch (error) {
       logger.warn('Could not fetch build history:', error.message);
+      return buildHistory.getRuns(`${owner}/${repo}`);
+    }
+  }
+
+  // The commit being built, or the branch head without one. Its author is
+  // matched against the actors of past runs.
+  async getChange(owner, repo, branch, commitSha) {
+    try {
+      const { data: commit } = await this.github.repos.getCommit({ owner, repo, ref: commitSha || branch });
+      return {
+        branch,
+        author: commit.author ? commit.author.login : null,
+        files: (commit.files || []).map(file => file.filename)
+      };
+    } catch (error) {
+      logger.warn(`Could not read the changes of ${commitSha || branch}: ${error.message}`);
+      return { branch, author: null, files: null };
+    }
+  }
+
+  // Findings for the workflow files among the build files
+  lintWorkflows(repoInfo, runs, branch) {
+    const files = repoInfo.build_files.filter(file => file.type === 'file' && file.path.startsWith('.github/workflows/'));
+    return workflowLint.lintFiles(files, { durations: workflowLint.getWorkflowDurations(runs, branch) });
+  }
+
+  // An analysis that fails leaves the prediction without root causes
+  async getRootCauses(owner, repo, runs, llm, usage, cache) {
+    try {
+      return await buildFailures.analyze(owner, repo, runs, { llm, usage, cache });
+    } catch (error) {
+      logger.warn(`Could not analyze the failed builds of ${owner}/${repo}: ${error.message}`);
       return [];
     }
   }
 
-  async predictBuildOutcome(repoInfo, buildHistory, model) {
+  async explainPrediction(repoInfo, model, rootCauses, flakyTests, llm, usage, cache) {
     const prompt = `
-You are an expert DevOps engineer. Analyze the following repository information and build history to predict the build outcome.
+You are an expert DevOps engineer. A statistical model has predicted the outcome of a CI build from the repository's workflow run history. Explain its prediction; do not change it.
+
+Prediction:
+${JSON.stringify({
+    outcome: model.outcome,
+    failure_probability: model.failure_probability,
+    confidence: model.confidence,
+    estimated_duration_minutes: model.estimated_duration,
+    durations: model.durations
+  }, null, 2)}
+
+Model inputs. Each factor's "shift" is how far it moved the failure log-odds from the base rate:
+${JSON.stringify(model.inputs, null, 2)}
+
+Root causes of recent failed runs, most frequent first:
+${JSON.stringify(rootCauses.map(({ category, occurrences, evidence, excerpt }) => ({ category, occurrences, evidence, excerpt })), null, 2)}
+
+Flaky tests near the changed files; their failures may not be caused by the change:
+${JSON.stringify(flakyTests.map(({ id, file, score, flake_rate, last_message }) => ({ id, file, score, flake_rate, last_message })), null, 2)}
 
 Repository Information:
 ${JSON.stringify(repoInfo, null, 2)}
 
-Recent Build History:
-${JSON.stringify(buildHistory, null, 2)}
-
-Provide a prediction with:
-1. Build outcome (success/failure/warning)
-2. Confidence level (0-100)
-3. Estimated duration in minutes
-4. Potential issues that might cause failure
-5. Recommendations to improve build success
-6. Optimal build strategy
-7. Resource requirements (CPU, memory, disk)
+Provide:
+1. A short summary of why the model predicts this outcome, citing the factors that moved it most
+2. Potential issues that might cause failure, including recurring root causes and flaky tests
+3. Recommendations to improve build success
+4. Optimal build strategy
+5. Resource requirements (CPU, memory, disk)
 
 Respond with ONLY valid JSON (no markdown formatting):
 {
-  "outcome": "success|failure|warning",
-  "confidence": number,
-  "duration": number,
+  "summary": "string",
   "issues": ["string"],
   "recommendations": ["string"],
   "strategy": "string",
@@ -202,79 +305,62 @@ Respond with ONLY valid JSON (no markdown formatting):
 `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
+      const response = await llmClient.completeJson(llm, {
         messages: [{ role: 'user', content: prompt }],
+        schema: explanationSchema,
         temperature: 0.1,
-        max_tokens: 1500
+        max_tokens: 1500,
+        usage,
+        cache,
+        promptVersion: EXPLANATION_PROMPT_VERSION
       });
 
-      return this.parseJsonResponse(response.choices[0].message.content);
+      if (response.source === 'model') {
+        return { ...response.value, source: 'model' };
+      }
+
+      logger.warn(`No valid explanation after ${response.attempts} attempts, describing the model inputs`);
+      return this.fallbackExplanation(model, rootCauses, flakyTests, `Invalid LLM output: ${response.errors.join('; ')}`);
     } catch (error) {
-      logger.error('Build prediction LLM call failed:', error);
-      
-      // Fallback prediction based on build history
-      return this.fallbackPrediction(buildHistory);
+      logger.error('Build explanation LLM call failed:', error);
+      return this.fallbackExplanation(model, rootCauses, flakyTests, `LLM call failed: ${error.message}`);
     }
   }
 
-  fallbackPrediction(buildHistory) {
-    const recentBuilds = buildHistory.slice(0, 5);
-    const successRate = recentBuilds.filter(b => b.conclusion === 'success').length / recentBuilds.length;
-    
-    const avgDuration = recentBuilds
-      .filter(b => b.duration)
-      .reduce((sum, b) => sum + b.duration, 0) / recentBuilds.length / (1000 * 60); // Convert to minutes
-    
+  // Plain statements of the recurring root causes and the factors that
+  // raised the failure probability
+  fallbackExplanation(model, rootCauses, flakyTests, reason) {
+    const { inputs } = model;
+    const raising = inputs.factors.filter(factor => factor.shift > 0).sort((a, b) => b.shift - a.shift);
+    const issues = [
+      ...rootCauses.filter(cause => cause.recurring).map(cause =>
+        `${ROOT_CAUSE_LABELS[cause.category] || cause.category} in ${cause.occurrences} recent failed runs`
+      ),
+      ...raising.map(factor =>
+        `${FACTOR_RUNS[factor.factor](factor.value)} failed ${factor.failures} of ${factor.runs} times`
+      )
+    ];
+    if (inputs.runs_considered === 0) {
+      issues.push('No build history available');
+    }
+
+    const recommendations = inputs.runs_considered === 0 ? ['Review build configuration'] : ['Monitor build logs', 'Ensure dependencies are up to date'];
+    if (flakyTests.length > 0) {
+      recommendations.push(`Re-run failures of flaky tests before investigating them: ${flakyTests.slice(0, 5).map(test => test.name).join(', ')}`);
+    }
+
     return {
-      outcome: successRate > 0.7 ? 'success' : successRate > 0.4 ? 'warning' : 'failure',
-      confidence: Math.round(successRate * 100),
-      duration: Math.round(avgDuration) || 10,
-      issues: successRate < 0.5 ? ['Recent build failures detected'] : [],
-      recommendations: ['Monitor build logs', 'Ensure dependencies are up to date'],
+      summary: inputs.runs_considered === 0
+        ? 'No completed workflow runs are stored for this repository, so the prediction has no history behind it.'
+        : `${inputs.base_rate.failures} of ${inputs.base_rate.runs} recent runs failed; the factors above the base rate put this build's failure probability at ${model.failure_probability}.`,
+      issues,
+      recommendations,
       strategy: 'standard',
-      resources: {
-        cpu: '2 cores',
-        memory: '4GB',
-        disk: '20GB'
-      }
+      resources: { ...DEFAULT_RESOURCES },
+      source: 'fallback',
+      fallback_reason: reason
     };
   }
-
-  parseJsonResponse(content) {
-    try {
-      // First try direct JSON parsing
-      return JSON.parse(content);
-    } catch (error) {
-      // If that fails, try to extract JSON from markdown code blocks
-      const jsonMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-      
-      // Try to find JSON object without code blocks
-      const jsonObjectMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        return JSON.parse(jsonObjectMatch[0]);
-      }
-      
-      // If all parsing fails, return a fallback prediction
-      logger.warn('Could not parse LLM response as JSON, using fallback');
-      return {
-        outcome: 'warning',
-        confidence: 50,
-        duration: 10,
-        issues: ['Could not parse LLM prediction'],
-        recommendations: ['Review build configuration'],
-        strategy: 'standard',
-        resources: {
-          cpu: '2 cores',
-          memory: '4GB',
-          disk: '20GB'
-        }
-      };
-    }
-  }
 }
 
-module.exports = new BuildPredictorAgent();
\ No newline at end of file
+module.exports = new BuildPredictorAgent();
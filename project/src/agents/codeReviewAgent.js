@@ -1,7 +1,33 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
-const axios = require('axios');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const winston = require('winston');
+const Joi = require('joi');
+
+const { parseDiff, renderHunk, mapLineThroughDiff } = require('../utils/diffParser');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { scanDiffForSecrets, redactSecrets } = require('../utils/secretScanner');
+const { buildSarif } = require('../utils/sarif');
+const JsonStore = require('../stores/jsonStore');
+const githubClient = require('../github');
+const scmClient = require('../scm');
+const llmClient = require('../llm');
+const usageTracker = require('../llm/usage');
+const llmCache = require('../llm/cache');
+const { SEVERITIES, DEFAULT_REVIEW_POLICY, parseReviewPolicy, isIgnoredByPolicy, isInLanguageFocus } = require('../utils/reviewPolicy');
+
+// Shape of one chunk review; anything else the model adds is dropped
+const chunkReviewSchema = Joi.object({
+  score: Joi.number().min(0).max(100).required(),
+  issues: Joi.array().items(Joi.object({
+    type: Joi.string().default('general'),
+    severity: Joi.string().valid(...SEVERITIES).insensitive().required(),
+    message: Joi.string().min(1).required(),
+    line: Joi.number().integer().min(1).allow(null)
+  })).default([]),
+  security_concerns: Joi.array().items(Joi.string()).default([]),
+  performance_issues: Joi.array().items(Joi.string()).default([]),
+  suggestions: Joi.array().items(Joi.string()).default([])
+}).label('review');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -9,74 +35,494 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Part of the LLM cache key; bump when the chunk review prompt or schema changes
+const REVIEW_PROMPT_VERSION = 'review-chunk/1';
+// Maximum characters of rendered diff sent to the LLM in one review call
+const REVIEW_CHUNK_MAX_CHARS = parseInt(process.env.REVIEW_CHUNK_MAX_CHARS, 10) || 12000;
+// Number of chunk reviews running against the LLM at once
+const REVIEW_CONCURRENCY = parseInt(process.env.REVIEW_CONCURRENCY, 10) || 4;
+// How far (in lines) a reported issue may be moved to land on an added line
+const LINE_SNAP_DISTANCE = 3;
+// Review policy files looked up at the PR head, in order
+const REVIEW_POLICY_PATHS = ['.mcp/review.yml', '.mcp/review.yaml'];
+// Name of the check run shown in the PR checks tab
+const CHECK_RUN_NAME = 'AI Code Review';
+// GitHub accepts at most 50 annotations per check run request
+const CHECK_RUN_ANNOTATION_BATCH = 50;
+
+const ANNOTATION_LEVELS = {
+  critical: 'failure',
+  major: 'warning',
+  minor: 'notice'
+};
+
+// Lockfiles, generated output and vendored code are not worth reviewing
+const EXCLUDED_PATH_PATTERNS = [
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|composer\.lock|Gemfile\.lock|Cargo\.lock|poetry\.lock|Pipfile\.lock|go\.sum)$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.snap$/,
+  /\.pb\.go$/,
+  /_pb2(_grpc)?\.py$/,
+  /\.generated\.[^/]+$/,
+  /(^|\/)(__generated__|generated|dist|build)\//,
+  /(^|\/)(vendor|third_party|node_modules)\//
+];
+
 class CodeReviewAgent {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
+    // Last reviewed head SHA, summary review and open findings per PR
+    this.reviewState = new JsonStore('review-state');
+  }
+
+  get github() {
+    return githubClient.rest;
   }
 
   async analyze(params) {
-    const { repository, pr_number, diff_url, llm_model } = params;
-    const model = llm_model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    const {
+      pr_number,
+      diff_url,
+      provider,
+      llm_model,
+      llm_provider,
+      cache: cacheMode,
+      policy_path,
+      full_review = false,
+      sarif = false,
+      upload_sarif = false,
+      check_run = false
+    } = params;
     
     try {
-      // Fetch the diff from GitHub
-      const diffResponse = await axios.get(diff_url, {
-        headers: {
-          'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-          'Accept': 'application/vnd.github.v3.diff'
-        }
-      });
+      // GitHub, GitLab or Bitbucket Server, from `provider` or the repository URL
+      const target = scmClient.resolve({ provider, repository: params.repository });
+      const scm = scmClient.getProvider(target.provider);
+      const { repository } = target;
       
-      const diff = diffResponse.data;
+      const llm = llmClient.resolve({ agent: 'code_review', repository, provider: llm_provider, model: llm_model });
+      const usage = usageTracker.start({ agent: 'code_review', repository });
+      const cache = llmCache.start({ agent: 'code_review', mode: cacheMode });
+      const stateKey = this.getStateKey(target, pr_number);
+      const previous = this.reviewState.get(stateKey);
+      const pullRequest = await this.getPullRequest(scm, repository, pr_number);
+      const headSha = pullRequest ? pullRequest.head_sha : 'unknown';
       
-      // Analyze the code changes with LLM
-      const analysis = await this.analyzeDiff(diff, model);
-      
-      // Post review comments if issues found
-      if (analysis.issues.length > 0) {
-        await this.postReviewComments(repository, pr_number, analysis.issues);
+      // Nothing was pushed since the last review
+      if (previous && headSha !== 'unknown' && previous.head_sha === headSha && !full_review) {
+        logger.info(`${stateKey} already reviewed at ${headSha}`);
+        return { ...previous.result, review_mode: 'unchanged', usage: usage.summary(), cache: cache.summary() };
       }
       
-      return {
+      // Load the repository's review policy from the PR head
+      const policy = await this.loadReviewPolicy(scm, repository, pr_number, policy_path);
+      
+      // Review only what was pushed since the last reviewed head when history allows it
+      const range = await this.fetchReviewDiff(scm, repository, pr_number, diff_url, full_review ? undefined : previous, headSha);
+      const files = parseDiff(range.diff);
+      
+      // Scan added lines for leaked credentials before involving the LLM
+      const secrets = scanDiffForSecrets(files);
+      
+      // Analyze the code changes with LLM, which never sees the secrets found
+      const analysis = this.applySecretFindings(await this.analyzeDiff(redactSecrets(files), llm, policy, usage, cache), secrets);
+      
+      // Dedupe against findings already posted and resolve the ones this push fixed
+      const tracking = this.trackFindings(previous, range.mode, analysis, files, policy);
+      this.applyTrackedApproval(analysis, tracking, previous, range.mode, policy);
+      
+      // Submit new findings as one review and keep a single summary up to date
+      const review = await this.postReviewComments(scm, repository, pr_number, pullRequest, analysis, files, tracking, previous, headSha);
+      
+      // Optional outputs for GitHub code scanning and the PR checks tab
+      const reports = await this.publishReports(scm, repository, pr_number, headSha, analysis, tracking, {
+        sarif,
+        upload_sarif,
+        check_run
+      });
+      
+      const result = {
         status: analysis.approved ? 'approved' : 'changes_requested',
         score: analysis.score,
         issues_found: analysis.issues.length,
         suggestions: analysis.suggestions,
         security_concerns: analysis.security_concerns,
         performance_issues: analysis.performance_issues,
-        approved: analysis.approved
+        approved: analysis.approved,
+        secrets_detected: analysis.secrets_detected || 0,
+        secret_findings: analysis.secret_findings || [],
+        files_reviewed: analysis.files_reviewed.length,
+        skipped_files: analysis.skipped_files,
+        chunks_reviewed: analysis.chunks_reviewed,
+        chunks_failed: analysis.chunks_failed,
+        // 'partial' when some chunks never produced a valid review
+        result_source: analysis.chunks_failed > 0 ? 'partial' : 'model',
+        review_id: review.review_id,
+        review_event: review.event,
+        inline_comments: review.inline_comments,
+        summary_findings: review.summary_findings,
+        review_mode: range.mode,
+        reviewed_range: { base: range.base_sha, head: headSha },
+        new_findings: tracking.added.length,
+        duplicate_findings: tracking.duplicates,
+        resolved_findings: tracking.resolved.length,
+        open_findings: tracking.open.length,
+        policy: policy.source,
+        scm_provider: target.provider,
+        llm,
+        usage: usage.summary(),
+        cache: cache.summary(),
+        ...reports
       };
       
+      this.reviewState.set(stateKey, {
+        head_sha: headSha,
+        event: review.event,
+        summary_review_id: review.summary_review_id,
+        score: analysis.score,
+        changed_lines: analysis.changed_lines,
+        findings: tracking.open,
+        reviewed_at: new Date().toISOString(),
+        result
+      });
+      
+      return result;
+      
     } catch (error) {
       logger.error('Code review analysis failed:', error);
       throw error;
     }
   }
 
-  async analyzeDiff(diff, model) {
+  async fetchReviewDiff(scm, repository, prNumber, diffUrl, previous, headSha) {
+    if (previous?.head_sha && headSha !== 'unknown') {
+      const range = `${previous.head_sha}...${headSha}`;
+      try {
+        // A force push or rebase rewrites history, so the old head is no longer
+        // an ancestor. Providers that can't compare commits return null.
+        const comparison = await scm.compareCommits(repository, previous.head_sha, headSha);
+        if (comparison && comparison.status === 'ahead') {
+          return { mode: 'incremental', base_sha: previous.head_sha, diff: comparison.diff };
+        }
+        if (comparison) {
+          logger.info(`${range} is ${comparison.status}, falling back to a full review`);
+        }
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        logger.info(`Previously reviewed commit ${previous.head_sha} no longer exists, falling back to a full review`);
+      }
+    }
+    
+    const diff = await scm.getDiff(repository, prNumber, { diffUrl });
+    return { mode: 'full', base_sha: null, diff };
+  }
+
+  getStateKey(target, prNumber) {
+    return `${target.provider}:${target.repository}#${prNumber}`;
+  }
+
+  fingerprintFinding(finding) {
+    const message = String(finding.message || '').toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    const parts = finding.kind === 'secret'
+      ? ['secret', finding.file, finding.rule, finding.preview]
+      : ['issue', finding.file, finding.severity, message];
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  }
+
+  // Works out which findings are new, which were already posted, and which
+  // were fixed. In an incremental review earlier findings move with the diff
+  // and count as resolved once their line is rewritten without being
+  // reported again. A full review replaces earlier findings entirely.
+  trackFindings(previous, mode, analysis, files, policy) {
+    const reported = [
+      ...analysis.issues
+        .filter(issue => policy.comments.severities.includes(issue.severity))
+        .map(issue => ({ kind: 'issue', type: issue.type, severity: issue.severity, message: issue.message, file: issue.file, line: issue.line })),
+      ...(analysis.secret_findings || [])
+        .filter(secret => secret.confirmed)
+        .map(secret => ({ kind: 'secret', severity: 'critical', rule: secret.rule, message: secret.message, file: secret.file, line: secret.line, preview: secret.preview }))
+    ].map(finding => ({ ...finding, fingerprint: this.fingerprintFinding(finding) }));
+    
+    const earlier = previous?.findings || [];
+    const reportedByFingerprint = new Map(reported.map(finding => [finding.fingerprint, finding]));
+    const carried = [];
+    const resolved = [];
+    
+    for (const finding of earlier) {
+      if (reportedByFingerprint.has(finding.fingerprint)) {
+        // Already posted: keep the existing comment, but follow the line it now sits on
+        const current = reportedByFingerprint.get(finding.fingerprint);
+        carried.push({ ...finding, file: current.file, line: current.line });
+        continue;
+      }
+      
+      if (mode === 'full') {
+        resolved.push(finding);
+        continue;
+      }
+      
+      const file = files.find(candidate => candidate.oldPath === finding.file || candidate.path === finding.file);
+      if (!file) {
+        carried.push(finding);
+        continue;
+      }
+      
+      const line = file.status === 'deleted' ? null : mapLineThroughDiff(file, finding.line);
+      if (line === null) {
+        resolved.push(finding);
+      } else {
+        carried.push({ ...finding, file: file.path, line });
+      }
+    }
+    
+    const known = new Set(earlier.map(finding => finding.fingerprint));
+    const added = reported.filter(finding => !known.has(finding.fingerprint));
+    
+    return {
+      added,
+      carried,
+      resolved,
+      duplicates: reported.length - added.length,
+      open: [...carried, ...added]
+    };
+  }
+
+  // An incremental review only scores the new commits, so the overall score
+  // blends it with the earlier one by lines changed, and approval considers
+  // every finding still open on the PR.
+  applyTrackedApproval(analysis, tracking, previous, mode, policy) {
+    if (mode === 'incremental' && previous) {
+      const earlierLines = previous.changed_lines || 0;
+      const newLines = analysis.changed_lines || 0;
+      if (earlierLines + newLines > 0) {
+        analysis.score = Math.round((previous.score * earlierLines + analysis.score * newLines) / (earlierLines + newLines));
+      }
+      analysis.changed_lines = earlierLines + newLines;
+    }
+    
+    const blocking = tracking.open.filter(finding =>
+      finding.kind === 'secret' || policy.approval.blocking_severities.includes(finding.severity)
+    );
+    const newlyBlocking = analysis.issues.filter(issue => policy.approval.blocking_severities.includes(issue.severity));
+    
+    analysis.approved = analysis.score >= policy.approval.min_score &&
+      blocking.length === 0 &&
+      newlyBlocking.length === 0 &&
+      !(analysis.secrets_detected > 0) &&
+      analysis.chunks_failed === 0;
+  }
+
+  async loadReviewPolicy(scm, repository, prNumber, policyPath) {
+    const candidates = policyPath ? [policyPath] : REVIEW_POLICY_PATHS;
+    
+    for (const path of candidates) {
+      const content = await scm.getFileContent(repository, path, scm.headRef(prNumber));
+      if (content === null) continue;
+      
+      // Invalid policies fail the review rather than silently falling back
+      const policy = parseReviewPolicy(content, path);
+      logger.info(`Using review policy ${path} for ${repository}#${prNumber}`);
+      return policy;
+    }
+    
+    return { ...DEFAULT_REVIEW_POLICY, source: 'default' };
+  }
+
+  async analyzeDiff(files, llm, policy = DEFAULT_REVIEW_POLICY, usage = null, cache = null) {
+    const reviewable = files.filter(file =>
+      !file.binary &&
+      file.hunks.length > 0 &&
+      !this.isExcludedPath(file.path) &&
+      !isIgnoredByPolicy(file.path, policy) &&
+      isInLanguageFocus(file.path, policy)
+    );
+    const skippedFiles = files.filter(file => !reviewable.includes(file)).map(file => file.path);
+    const chunks = reviewable.flatMap(file => this.chunkFile(file));
+    
+    if (chunks.length === 0) {
+      return {
+        score: 100,
+        approved: true,
+        issues: [],
+        security_concerns: [],
+        performance_issues: [],
+        suggestions: [],
+        files_reviewed: [],
+        skipped_files: skippedFiles,
+        chunks_reviewed: 0,
+        chunks_failed: 0,
+        changed_lines: 0
+      };
+    }
+    
+    logger.info(`Reviewing ${chunks.length} chunks from ${reviewable.length} files (${skippedFiles.length} skipped)`);
+    
+    // Map: review each chunk independently, keeping failures so the rest of the PR still gets reviewed
+    const results = await mapWithConcurrency(chunks, REVIEW_CONCURRENCY, async (chunk) => {
+      try {
+        return { chunk, analysis: await this.reviewChunk(chunk, llm, policy, usage, cache) };
+      } catch (error) {
+        logger.error(`LLM analysis failed for ${chunk.path}:`, error);
+        return { chunk, error };
+      }
+    });
+    
+    const failed = results.filter(result => result.error);
+    if (failed.length === results.length) {
+      throw new Error('Failed to analyze code with LLM');
+    }
+    
+    // Reduce: merge chunk reviews into one report
+    const analysis = this.mergeChunkReviews(results.filter(result => !result.error));
+    
+    for (const { chunk } of failed) {
+      analysis.issues.push({
+        type: 'review',
+        severity: 'major',
+        message: `Lines ${chunk.startLine}-${chunk.endLine} could not be reviewed`,
+        file: chunk.path,
+        line: chunk.startLine
+      });
+    }
+    
+    // Approve if the score meets the policy, nothing blocking was found and the whole diff was reviewed
+    const blockingIssues = analysis.issues.filter(issue => policy.approval.blocking_severities.includes(issue.severity));
+    analysis.approved = analysis.score >= policy.approval.min_score && blockingIssues.length === 0 && failed.length === 0;
+    
+    return {
+      ...analysis,
+      files_reviewed: reviewable.map(file => file.path),
+      skipped_files: skippedFiles,
+      chunks_reviewed: results.length - failed.length,
+      chunks_failed: failed.length,
+      changed_lines: chunks.reduce((sum, chunk) => sum + chunk.changedLines, 0)
+    };
+  }
+
+  // Scanner findings are kept apart from the model's security concerns,
+  // which stay plain strings; a confirmed secret always blocks approval,
+  // whatever the model concluded.
+  applySecretFindings(analysis, secrets) {
+    if (secrets.length === 0) {
+      return { ...analysis, secret_findings: [] };
+    }
+    
+    const confirmed = secrets.filter(secret => secret.confirmed);
+    logger.warn(`Secret scanner found ${confirmed.length} confirmed and ${secrets.length - confirmed.length} possible secrets`);
+    
+    return {
+      ...analysis,
+      secret_findings: secrets,
+      approved: analysis.approved && confirmed.length === 0,
+      secrets_detected: confirmed.length
+    };
+  }
+
+  isExcludedPath(path) {
+    return EXCLUDED_PATH_PATTERNS.some(pattern => pattern.test(path));
+  }
+
+  // Splits a file into chunks of whole hunks, splitting single hunks that are
+  // larger than the chunk budget by line.
+  chunkFile(file) {
+    const pieces = file.hunks.flatMap(hunk => this.splitHunk(hunk));
+    const chunks = [];
+    let current = null;
+    
+    for (const piece of pieces) {
+      const text = renderHunk(piece);
+      if (current && current.size + text.length > REVIEW_CHUNK_MAX_CHARS) {
+        chunks.push(current);
+        current = null;
+      }
+      if (!current) {
+        current = { path: file.path, status: file.status, hunks: [], texts: [], size: 0, changedLines: 0 };
+      }
+      current.hunks.push(piece);
+      current.texts.push(text);
+      current.size += text.length;
+      current.changedLines += piece.lines.filter(line => line.type !== 'context').length;
+    }
+    if (current) chunks.push(current);
+    
+    return chunks.map(chunk => {
+      const numbered = chunk.hunks.flatMap(hunk => hunk.lines).filter(line => line.newLine !== null);
+      return {
+        path: chunk.path,
+        status: chunk.status,
+        text: chunk.texts.join('\n'),
+        changedLines: chunk.changedLines,
+        startLine: numbered.length > 0 ? numbered[0].newLine : 1,
+        endLine: numbered.length > 0 ? numbered[numbered.length - 1].newLine : 1
+      };
+    });
+  }
+
+  splitHunk(hunk) {
+    if (renderHunk(hunk).length <= REVIEW_CHUNK_MAX_CHARS) {
+      return [hunk];
+    }
+    
+    const pieces = [];
+    let lines = [];
+    let size = 0;
+    
+    const flush = () => {
+      const first = lines[0];
+      const oldStart = first.oldLine ?? lines.find(line => line.oldLine !== null)?.oldLine ?? hunk.oldStart;
+      const newStart = first.newLine ?? lines.find(line => line.newLine !== null)?.newLine ?? hunk.newStart;
+      const oldLines = lines.filter(line => line.type !== 'add').length;
+      const newLines = lines.filter(line => line.type !== 'del').length;
+      pieces.push({
+        oldStart,
+        oldLines,
+        newStart,
+        newLines,
+        header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+        lines
+      });
+      lines = [];
+      size = 0;
+    };
+    
+    for (const line of hunk.lines) {
+      // Leave room for the line-number gutter added by renderHunk
+      const lineSize = line.content.length + 8;
+      if (lines.length > 0 && size + lineSize > REVIEW_CHUNK_MAX_CHARS) {
+        flush();
+      }
+      lines.push(line);
+      size += lineSize;
+    }
+    if (lines.length > 0) flush();
+    
+    return pieces;
+  }
+
+  async reviewChunk(chunk, llm, policy, usage, cache) {
+    const rules = policy.rules.length > 0
+      ? `\nThis repository also requires the following. Report violations as issues:\n${policy.rules.map(rule => `- ${rule}`).join('\n')}\n`
+      : '';
+    
     const prompt = `
-You are an expert code reviewer. Analyze the following code diff and provide:
+You are an expert code reviewer. You are reviewing one part of a larger pull request.
+Analyze the following changes to ${chunk.path} (${chunk.status}, lines ${chunk.startLine}-${chunk.endLine}) and provide:
 
-1. Overall code quality score (0-100)
+1. Overall code quality score (0-100) for these changes
 2. List of issues with severity (critical, major, minor)
 3. Security concerns
 4. Performance issues
 5. Suggestions for improvement
-6. Whether to approve the changes
 
+Each diff line is prefixed with its line number in the new version of the file.
+Use those numbers for "line", and only report issues in this part of the diff.
+${rules}
 Code diff:
-${diff}
+${chunk.text}
 
 Respond with ONLY valid JSON (no markdown formatting):
 {
   "score": number,
-  "approved": boolean,
   "issues": [{"type": "string", "severity": "string", "message": "string", "line": number}],
   "security_concerns": ["string"],
   "performance_issues": ["string"],
@@ -84,90 +530,489 @@ Respond with ONLY valid JSON (no markdown formatting):
 }
 `;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.1,
-        max_tokens: 2000
-      });
+    const response = await llmClient.completeJson(llm, {
+      messages: [{ role: 'user', content: prompt }],
+      schema: chunkReviewSchema,
+      temperature: 0.1,
+      max_tokens: 2000,
+      usage,
+      cache,
+      promptVersion: REVIEW_PROMPT_VERSION
+    });
 
-      const analysis = this.parseJsonResponse(response.choices[0].message.content);
+    // An unusable review counts as a failed chunk rather than a made-up score
+    if (response.source !== 'model') {
+      throw new Error(`Invalid review after ${response.attempts} attempts: ${response.errors.join('; ')}`);
+    }
+
+    return response.value;
+  }
+
+  mergeChunkReviews(results) {
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    
+    // Score is the average of the chunk scores, weighted by lines changed
+    let weightedScore = 0;
+    let totalWeight = 0;
+    for (const { chunk, analysis } of results) {
+      const weight = Math.max(chunk.changedLines, 1);
+      weightedScore += analysis.score * weight;
+      totalWeight += weight;
+    }
+    
+    return {
+      score: Math.round(weightedScore / totalWeight),
+      issues: results.flatMap(({ chunk, analysis }) =>
+        analysis.issues.map(issue => ({ ...issue, file: chunk.path }))
+      ),
+      security_concerns: unique(results.flatMap(({ analysis }) => analysis.security_concerns)),
+      performance_issues: unique(results.flatMap(({ analysis }) => analysis.performance_issues)),
+      suggestions: unique(results.flatMap(({ analysis }) => analysis.suggestions))
+    };
+  }
+
+  async postReviewComments(scm, repository, prNumber, pullRequest, analysis, files, tracking, previous, headSha) {
+    const { anchored } = this.anchorIssues(tracking.added, files);
+    const inline = new Set(anchored.map(finding => finding.fingerprint));
+    const comments = anchored.map(finding => this.buildInlineComment(finding, files));
+    
+    // Open findings without an inline comment are listed in the summary
+    tracking.open = tracking.open.map(finding =>
+      inline.has(finding.fingerprint) ? { ...finding, line: anchored.find(a => a.fingerprint === finding.fingerprint).line } : finding
+    );
+    const unplaced = tracking.open.filter(finding => !finding.comment_id && !inline.has(finding.fingerprint));
+    const body = this.buildReviewSummary(analysis, unplaced, tracking, headSha);
+    
+    // Only GitHub has reviews with a verdict; elsewhere findings become
+    // discussions and the summary a comment that is edited on each push
+    if (!scm.supports.reviews) {
+      return this.postDiscussions(scm, repository, prNumber, pullRequest, { anchored, comments, body, unplaced, tracking, previous, headSha });
+    }
+    
+    const [owner, repo] = repository.split('/');
+    const event = this.getReviewEvent(analysis);
+    const reviewComments = comments.map(comment => ({ path: comment.path, line: comment.line, side: 'RIGHT', body: comment.body }));
+    const base = { owner, repo, pull_number: prNumber };
+    if (headSha !== 'unknown') {
+      base.commit_id = headSha;
+    }
+    
+    const summary = {
+      review_id: null,
+      summary_review_id: previous?.summary_review_id || null,
+      event,
+      inline_comments: comments.length,
+      summary_findings: unplaced.length
+    };
+    
+    try {
+      if (summary.summary_review_id && previous.event === event) {
+        // Same verdict: post only the new inline comments and refresh the existing summary
+        if (reviewComments.length > 0) {
+          const { data } = await this.github.pulls.createReview({ ...base, event: 'COMMENT', body: '', comments: reviewComments });
+          summary.review_id = data.id;
+          await this.recordCommentIds(owner, repo, prNumber, data.id, anchored, reviewComments, tracking);
+        }
+        await this.github.pulls.updateReview({ ...base, review_id: summary.summary_review_id, body });
+        summary.review_id = summary.review_id || summary.summary_review_id;
+      } else {
+        // First review, or the verdict changed: submit a new summary review
+        const { data, event: submittedEvent } = await this.submitReview({ ...base, event, body, comments: reviewComments });
+        await this.recordCommentIds(owner, repo, prNumber, data.id, anchored, reviewComments, tracking);
+        
+        if (summary.summary_review_id) {
+          await this.github.pulls.updateReview({
+            ...base,
+            review_id: summary.summary_review_id,
+            body: `_Superseded by a later automated review of ${headSha.substring(0, 7)}._`
+          });
+        }
+        
+        summary.review_id = data.id;
+        summary.summary_review_id = data.id;
+        summary.event = submittedEvent;
+      }
       
-      // Auto-approve if score is high and no critical issues
-      const criticalIssues = analysis.issues.filter(issue => issue.severity === 'critical');
-      analysis.approved = analysis.score >= 80 && criticalIssues.length === 0;
+      await this.replyToResolved(scm, repository, prNumber, tracking.resolved, headSha);
       
-      return analysis;
+      logger.info(`Reviewed ${repository}#${prNumber}: ${comments.length} new inline comments, ${tracking.resolved.length} resolved`);
     } catch (error) {
-      logger.error('LLM analysis failed:', error);
-      throw new Error('Failed to analyze code with LLM');
+      logger.error('Failed to submit review:', error);
+      summary.inline_comments = 0;
     }
+    
+    return summary;
   }
 
-  parseJsonResponse(content) {
+  // GitLab and Bitbucket: one discussion per new finding and a single summary
+  // comment, kept in summary_review_id. There is no verdict to submit, so the
+  // event is always COMMENT.
+  async postDiscussions(scm, repository, prNumber, pullRequest, { anchored, comments, body, unplaced, tracking, previous, headSha }) {
+    const summary = {
+      review_id: null,
+      summary_review_id: previous?.summary_review_id || null,
+      event: 'COMMENT',
+      inline_comments: 0,
+      summary_findings: unplaced.length
+    };
+    
     try {
-      // First try direct JSON parsing
-      return JSON.parse(content);
-    } catch (error) {
-      // If that fails, try to extract JSON from markdown code blocks
-      const jsonMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
+      if (comments.length > 0 && pullRequest) {
+        const posted = await scm.postInlineComments(repository, prNumber, pullRequest, comments);
+        const idsByFingerprint = new Map();
+        anchored.forEach((finding, index) => {
+          const comment = posted.find(candidate =>
+            candidate.path === comments[index].path && candidate.line === comments[index].line && candidate.body === comments[index].body
+          );
+          if (comment) idsByFingerprint.set(finding.fingerprint, comment.id);
+        });
+        tracking.open = tracking.open.map(finding =>
+          idsByFingerprint.has(finding.fingerprint) ? { ...finding, comment_id: idsByFingerprint.get(finding.fingerprint) } : finding
+        );
+        summary.inline_comments = posted.length;
       }
       
-      // Try to find JSON object without code blocks
-      const jsonObjectMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        return JSON.parse(jsonObjectMatch[0]);
+      let note;
+      try {
+        note = await scm.postSummaryComment(repository, prNumber, body, { commentId: summary.summary_review_id });
+      } catch (error) {
+        // The earlier summary was deleted
+        if (error.status !== 404 || !summary.summary_review_id) throw error;
+        note = await scm.postSummaryComment(repository, prNumber, body);
       }
+      summary.review_id = note.id;
+      summary.summary_review_id = note.id;
       
-      // If all parsing fails, return a default structure
-      logger.warn('Could not parse LLM response as JSON, using fallback');
-      return {
-        score: 50,
-        approved: false,
-        issues: [{ type: 'parsing', severity: 'major', message: 'Could not parse LLM response', line: 1 }],
-        security_concerns: [],
-        performance_issues: [],
-        suggestions: ['Review LLM response format']
-      };
+      await this.replyToResolved(scm, repository, prNumber, tracking.resolved, headSha);
+      
+      logger.info(`Reviewed ${repository}#${prNumber}: ${summary.inline_comments} new inline comments, ${tracking.resolved.length} resolved`);
+    } catch (error) {
+      logger.error('Failed to post review comments:', error);
     }
+    
+    return summary;
   }
 
-  async postReviewComments(repository, prNumber, issues) {
+  // Provider-neutral inline comment. GitLab and Bitbucket also need the old
+  // path, and the old line and line kind of unchanged lines.
+  buildInlineComment(finding, files) {
+    const file = files.find(candidate => candidate.path === finding.file);
+    const entry = file.hunks.flatMap(hunk => hunk.lines).find(line => line.newLine === finding.line);
+    return {
+      path: finding.file,
+      old_path: file.oldPath || file.path,
+      line: finding.line,
+      old_line: entry ? entry.oldLine : null,
+      line_type: entry ? entry.type : 'add',
+      body: finding.kind === 'secret'
+        ? `🔑 **SECRET**: ${finding.message}. Revoke this credential and remove it from the history.`
+        : `**${finding.severity.toUpperCase()}**: ${finding.message}`
+    };
+  }
+
+  // Findings for SARIF and check runs: everything still open on the PR, plus
+  // this run's findings that aren't tracked (unposted severities, possible secrets)
+  collectReportFindings(analysis, tracking) {
+    const findings = [...tracking.open];
+    const seen = new Set(findings.map(finding => finding.fingerprint));
+    
+    const untracked = [
+      ...analysis.issues.map(issue => ({ kind: 'issue', ...issue })),
+      ...(analysis.secret_findings || [])
+        .map(secret => ({ kind: 'secret', ...secret, severity: secret.confirmed ? 'critical' : 'major' }))
+    ];
+    
+    for (const finding of untracked) {
+      const fingerprint = this.fingerprintFinding(finding);
+      if (!seen.has(fingerprint)) {
+        seen.add(fingerprint);
+        findings.push({ ...finding, fingerprint });
+      }
+    }
+    
+    return findings;
+  }
+
+  async publishReports(scm, repository, prNumber, headSha, analysis, tracking, options) {
+    const reports = {};
+    if (!options.sarif && !options.upload_sarif && !options.check_run) {
+      return reports;
+    }
+    
+    const findings = this.collectReportFindings(analysis, tracking);
+    const sarif = buildSarif(findings);
+    
+    if (options.sarif) {
+      reports.sarif = sarif;
+    }
+    
+    if (headSha === 'unknown') {
+      logger.warn('Head commit unknown, skipping SARIF upload and check run');
+      return reports;
+    }
+    
     const [owner, repo] = repository.split('/');
     
-    try {
-      for (const issue of issues) {
-        if (issue.severity === 'critical' || issue.severity === 'major') {
-          await this.github.pulls.createReviewComment({
-            owner,
-            repo,
-            pull_number: prNumber,
-            body: `**${issue.severity.toUpperCase()}**: ${issue.message}`,
-            commit_sha: await this.getLatestCommitSha(owner, repo, prNumber),
-            path: issue.file || 'unknown',
-            line: issue.line || 1
-          });
-        }
+    if (options.upload_sarif && !scm.supports.code_scanning) {
+      logger.warn(`SARIF upload is not supported on ${scm.name}, skipping the upload`);
+      reports.sarif_upload_id = null;
+    } else if (options.upload_sarif) {
+      try {
+        const { data } = await this.github.codeScanning.uploadSarif({
+          owner,
+          repo,
+          commit_sha: headSha,
+          ref: `refs/pull/${prNumber}/head`,
+          sarif: zlib.gzipSync(JSON.stringify(sarif)).toString('base64'),
+          tool_name: sarif.runs[0].tool.driver.name
+        });
+        reports.sarif_upload_id = data.id;
+      } catch (error) {
+        logger.warn(`SARIF upload failed: ${error.message}`);
+        reports.sarif_upload_id = null;
+      }
+    }
+    
+    if (options.check_run && !scm.supports.checks) {
+      logger.warn(`Check runs are not supported on ${scm.name}, skipping the check run`);
+      reports.check_run_id = null;
+    } else if (options.check_run) {
+      try {
+        const check = await this.publishCheckRun(owner, repo, headSha, analysis, findings);
+        reports.check_run_id = check.id;
+        reports.check_run_url = check.html_url;
+      } catch (error) {
+        // The Checks API is only available to GitHub Apps
+        logger.warn(`Check run publishing failed: ${error.message}`);
+        reports.check_run_id = null;
       }
-    } catch (error) {
-      logger.error('Failed to post review comments:', error);
     }
+    
+    return reports;
   }
 
-  async getLatestCommitSha(owner, repo, prNumber) {
+  async publishCheckRun(owner, repo, headSha, analysis, findings) {
+    const annotations = findings.filter(finding => finding.file).map(finding => {
+      const line = Math.max(1, Number(finding.line) || 1);
+      return {
+        path: finding.file,
+        start_line: line,
+        end_line: line,
+        annotation_level: ANNOTATION_LEVELS[finding.severity] || 'notice',
+        title: finding.kind === 'secret' ? `Secret: ${finding.rule}` : `${finding.severity} ${finding.type || 'issue'}`,
+        message: finding.preview ? `${finding.message}\n${finding.preview}` : finding.message
+      };
+    });
+    
+    const output = {
+      title: `Score ${analysis.score}/100 — ${analysis.approved ? 'approved' : 'changes requested'}`,
+      summary: [
+        `${findings.length} finding(s), ${annotations.length} annotated.`,
+        analysis.secrets_detected > 0 ? `${analysis.secrets_detected} confirmed secret(s) detected.` : null,
+        analysis.chunks_failed > 0 ? `${analysis.chunks_failed} part(s) of the diff could not be reviewed.` : null
+      ].filter(Boolean).join('\n')
+    };
+    
+    const { data: check } = await this.github.checks.create({
+      owner,
+      repo,
+      name: CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion: analysis.approved ? 'success' : 'failure',
+      completed_at: new Date().toISOString(),
+      output: { ...output, annotations: annotations.slice(0, CHECK_RUN_ANNOTATION_BATCH) }
+    });
+    
+    // Remaining annotations are appended in batches
+    for (let i = CHECK_RUN_ANNOTATION_BATCH; i < annotations.length; i += CHECK_RUN_ANNOTATION_BATCH) {
+      await this.github.checks.update({
+        owner,
+        repo,
+        check_run_id: check.id,
+        output: { ...output, annotations: annotations.slice(i, i + CHECK_RUN_ANNOTATION_BATCH) }
+      });
+    }
+    
+    return check;
+  }
+
+  // Links the comments GitHub created back to their findings so later reviews
+  // can reply to them once resolved.
+  async recordCommentIds(owner, repo, prNumber, reviewId, anchored, comments, tracking) {
+    if (comments.length === 0) return;
+    
     try {
-      const { data: pr } = await this.github.pulls.get({
+      const posted = await githubClient.paginate('pulls.listCommentsForReview', {
         owner,
         repo,
-        pull_number: prNumber
+        pull_number: prNumber,
+        review_id: reviewId,
+        per_page: 100
+      });
+      
+      const idsByFingerprint = new Map();
+      anchored.forEach((finding, index) => {
+        const comment = posted.find(candidate =>
+          candidate.path === comments[index].path && candidate.body === comments[index].body
+        );
+        if (comment) idsByFingerprint.set(finding.fingerprint, comment.id);
+      });
+      
+      tracking.open = tracking.open.map(finding =>
+        idsByFingerprint.has(finding.fingerprint) ? { ...finding, comment_id: idsByFingerprint.get(finding.fingerprint) } : finding
+      );
+    } catch (error) {
+      logger.warn(`Could not list review comments for review ${reviewId}: ${error.message}`);
+    }
+  }
+
+  async replyToResolved(scm, repository, prNumber, resolved, headSha) {
+    for (const finding of resolved.filter(candidate => candidate.comment_id)) {
+      try {
+        await scm.replyToComment(repository, prNumber, finding.comment_id, `✅ Resolved in ${headSha.substring(0, 7)}.`);
+      } catch (error) {
+        logger.warn(`Could not reply to review comment ${finding.comment_id}: ${error.message}`);
+      }
+    }
+  }
+
+  async submitReview(review) {
+    try {
+      const { data } = await this.github.pulls.createReview(review);
+      return { data, event: review.event };
+    } catch (error) {
+      // GitHub rejects APPROVE / REQUEST_CHANGES on the token owner's own PR;
+      // fall back to a plain comment review so the findings are still posted.
+      if (error.status === 422 && review.event !== 'COMMENT') {
+        logger.warn(`${review.event} review rejected, retrying as COMMENT: ${error.message}`);
+        const { data } = await this.github.pulls.createReview({ ...review, event: 'COMMENT' });
+        return { data, event: 'COMMENT' };
+      }
+      throw error;
+    }
+  }
+
+  getReviewEvent(analysis) {
+    if (analysis.approved) return 'APPROVE';
+    // A partially reviewed diff is not enough to request changes
+    if (analysis.chunks_failed > 0) return 'COMMENT';
+    return 'REQUEST_CHANGES';
+  }
+
+  // Places each issue on a line GitHub can comment on: an added or context
+  // line of a hunk in a file that is actually part of the diff. Issues whose
+  // file or line can't be matched are returned as unplaced.
+  anchorIssues(issues, files) {
+    const anchored = [];
+    const unplaced = [];
+    
+    for (const issue of issues) {
+      const file = this.findDiffFile(issue.file, files);
+      const line = file ? this.findDiffLine(Number(issue.line), file) : null;
+      
+      if (file && line !== null) {
+        anchored.push({ ...issue, file: file.path, line });
+      } else {
+        unplaced.push(issue);
+      }
+    }
+    
+    return { anchored, unplaced };
+  }
+
+  findDiffFile(path, files) {
+    if (!path) return null;
+    const candidates = files.filter(file => file.status !== 'deleted' && file.hunks.length > 0);
+    const normalized = path.replace(/^(\.\/|[ab]\/)/, '');
+    
+    const exact = candidates.find(file => file.path === normalized);
+    if (exact) return exact;
+    
+    // The model sometimes drops leading directories; accept an unambiguous suffix match
+    const suffixMatches = candidates.filter(file => file.path.endsWith(`/${normalized}`));
+    return suffixMatches.length === 1 ? suffixMatches[0] : null;
+  }
+
+  findDiffLine(line, file) {
+    if (!Number.isInteger(line) || line < 1) return null;
+    
+    const lines = file.hunks.flatMap(hunk => hunk.lines).filter(entry => entry.newLine !== null);
+    if (lines.some(entry => entry.newLine === line)) {
+      return line;
+    }
+    
+    // Snap to the nearest added line when the reported line is slightly off
+    let nearest = null;
+    for (const entry of lines.filter(candidate => candidate.type === 'add')) {
+      const distance = Math.abs(entry.newLine - line);
+      if (distance <= LINE_SNAP_DISTANCE && (nearest === null || distance < Math.abs(nearest - line))) {
+        nearest = entry.newLine;
+      }
+    }
+    return nearest;
+  }
+
+  buildReviewSummary(analysis, unplaced, tracking, headSha) {
+    const sections = [
+      `## 🤖 Automated Code Review\n\n**Score:** ${analysis.score}/100 — ${analysis.approved ? 'approved' : 'changes requested'}` +
+      (headSha !== 'unknown' ? `\n**Reviewed up to:** ${headSha.substring(0, 7)}` : '')
+    ];
+    
+    const openIssues = unplaced.filter(finding => finding.kind === 'issue');
+    if (openIssues.length > 0) {
+      const items = openIssues.map(issue => {
+        const location = issue.file ? ` (\`${issue.file}${issue.line ? `:${issue.line}` : ''}\`)` : '';
+        return `- **${issue.severity.toUpperCase()}**${location}: ${issue.message}`;
       });
-      return pr.head.sha;
+      sections.push(`### Findings outside the diff\n\n${items.join('\n')}`);
+    }
+    
+    // Secrets the scanner found lead the model's concerns; secrets from
+    // earlier pushes stay listed until their line is fixed
+    const found = analysis.secret_findings || [];
+    const secrets = [
+      ...found,
+      ...tracking.carried
+        .filter(finding => finding.kind === 'secret' &&
+          !found.some(secret => secret.file === finding.file && secret.preview === finding.preview))
+        .map(finding => ({ ...finding, confirmed: true }))
+    ];
+    
+    if (secrets.length > 0 || analysis.security_concerns.length > 0) {
+      const items = [
+        ...secrets.map(secret => {
+          const label = secret.confirmed ? '🔑 **SECRET**' : '**POSSIBLE SECRET**';
+          return `- ${label} \`${secret.file}:${secret.line}\`: ${secret.message} — \`${secret.preview}\``;
+        }),
+        ...analysis.security_concerns.map(concern => `- ${concern}`)
+      ];
+      sections.push(`### Security concerns\n\n${items.join('\n')}`);
+    }
+    
+    if (analysis.performance_issues.length > 0) {
+      sections.push(`### Performance issues\n\n${analysis.performance_issues.map(issue => `- ${issue}`).join('\n')}`);
+    }
+    
+    if (tracking.resolved.length > 0) {
+      sections.push(`✅ ${tracking.resolved.length} earlier finding(s) resolved.`);
+    }
+    
+    if (analysis.chunks_failed > 0) {
+      sections.push(`⚠️ ${analysis.chunks_failed} part(s) of this diff could not be reviewed.`);
+    }
+    
+    return sections.join('\n\n');
+  }
+
+  // Null when the pull request can't be read; the review then runs
+  // against an unknown head commit
+  async getPullRequest(scm, repository, prNumber) {
+    try {
+      return await scm.getPullRequest(repository, prNumber);
     } catch (error) {
-      logger.error('Failed to get commit SHA:', error);
-      return 'unknown';
+      logger.error('Failed to get pull request:', error);
+      return null;
     }
   }
 }
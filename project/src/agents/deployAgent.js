@@ -10,6 +10,9 @@ const logger = winston.createLogger({
 
 class DeployAgent {
   constructor() {
+    // Deployment state by deployment ID, exposed as MCP resources
+    this.deployments = new Map();
+
     this.kc = new k8s.KubeConfig();
     try {
       this.kc.loadFromDefault();
@@ -30,8 +33,19 @@ class DeployAgent {
       namespace = environment 
     } = params;
     
+    const deploymentId = uuidv4();
+    const record = {
+      deployment_id: deploymentId,
+      repository,
+      image_tag,
+      environment,
+      namespace,
+      status: 'in_progress',
+      started_at: new Date().toISOString()
+    };
+    this.deployments.set(deploymentId, record);
+    
     try {
-      const deploymentId = uuidv4();
       const [owner, repo] = repository.split('/');
       const appName = `${owner}-${repo}`.toLowerCase().replace(/[^a-z0-9-]/g, '-');
       
@@ -52,7 +66,7 @@ class DeployAgent {
       // Get service URL
       const serviceUrl = await this.getServiceUrl(appName, namespace, environment);
       
-      return {
+      const result = {
         deployment_id: deploymentId,
         status: 'success',
         environment: environment,
@@ -62,12 +76,29 @@ class DeployAgent {
         rollout_status: 'completed'
       };
       
+      Object.assign(record, result, { finished_at: new Date().toISOString() });
+      
+      return result;
+      
     } catch (error) {
       logger.error('Deployment failed:', error);
+      Object.assign(record, {
+        status: 'failed',
+        error: error.message,
+        finished_at: new Date().toISOString()
+      });
       throw error;
     }
   }
 
+  listDeployments() {
+    return [...this.deployments.values()];
+  }
+
+  getDeployment(deploymentId) {
+    return this.deployments.get(deploymentId) || null;
+  }
+
   async ensureNamespace(namespace) {
     try {
       await this.k8sCoreApi.readNamespace(namespace);
@@ -10,6 +10,9 @@ const logger = winston.createLogger({
 
 class MonitorAgent {
   constructor() {
+    // Latest monitoring report by deployment ID, exposed as MCP resources
+    this.reports = new Map();
+
     this.kc = new k8s.KubeConfig();
     try {
       this.kc.loadFromDefault();
@@ -53,7 +56,7 @@ class MonitorAgent {
         monitoringResults
       );
       
-      return {
+      const result = {
         deployment_id,
         monitoring_status: 'completed',
         duration: monitoring_duration,
@@ -64,12 +67,28 @@ class MonitorAgent {
         dashboard_url: this.generateDashboardUrl(appName, namespace)
       };
       
+      this.reports.set(deployment_id, {
+        ...result,
+        namespace,
+        generated_at: new Date().toISOString()
+      });
+      
+      return result;
+      
     } catch (error) {
       logger.error('Monitoring failed:', error);
       throw error;
     }
   }
 
+  listReports() {
+    return [...this.reports.values()];
+  }
+
+  getReport(deploymentId) {
+    return this.reports.get(deploymentId) || null;
+  }
+
   async findDeploymentById(deploymentId, namespace) {
     try {
       const { body: deployments } = await this.k8sApi.listNamespacedDeployment(
@@ -1,61 +1,185 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
+const path = require('path');
 const winston = require('winston');
 
+const githubClient = require('../github');
+const scmClient = require('../scm');
+const llmClient = require('../llm');
+const usageTracker = require('../llm/usage');
+const llmCache = require('../llm/cache');
+const sandbox = require('../sandbox');
+const { parsePatch, touchedLines, addedLines } = require('../utils/diffParser');
+const { extractSymbols, findChangedSymbols, findCallers } = require('../utils/codeSymbols');
+const { TestConventions, getConventionConfigPaths, isTestFile } = require('../utils/testConventions');
+const { goProfileToLcov, summarizeCoverage } = require('../utils/coverage');
+const { generateMutants, applyMutant } = require('../utils/mutations');
+
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.simple(),
   transports: [new winston.transports.Console()]
 });
 
+// How generated tests reach the pull request:
+//   comment - one PR comment containing the test code
+//   branch  - a commit on tests/<head branch> and a PR into the head branch
+//   push    - a commit on the PR's head branch itself
+const PUBLISH_MODES = ['comment', 'branch', 'push'];
+// Part of the LLM cache keys; bump when the matching prompt changes
+const GENERATE_PROMPT_VERSION = 'generate-tests/1';
+const FIX_PROMPT_VERSION = 'fix-tests/1';
+// Times a failing test file goes back to the model before it is given up on
+const FIX_ATTEMPTS = parseInt(process.env.TEST_WRITER_FIX_ATTEMPTS, 10) || 2;
+// Test output sent back to the model with a fix request
+const FIX_OUTPUT_CHARS = 8000;
+// Prompt budget for changed symbol source and for an existing test file
+const SYMBOL_SOURCE_CHARS = 12000;
+const EXISTING_TEST_CHARS = 8000;
+// Lines of imports and module setup shown ahead of the changed symbols
+const HEADER_LINES = 40;
+// Mutants per source file, and the time each mutant's test run gets
+const MAX_MUTANTS = parseInt(process.env.TEST_WRITER_MAX_MUTANTS, 10) || 20;
+const MUTANT_TIMEOUT_SECONDS = parseInt(process.env.TEST_WRITER_MUTANT_TIMEOUT_SECONDS, 10) || 60;
+
 class TestWriterAgent {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
+  get github() {
+    return githubClient.rest;
   }
 
   async generateTests(params) {
-    const { repository, pr_number, changed_files, llm_model } = params;
-    const model = llm_model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    const {
+      pr_number,
+      changed_files,
+      provider,
+      llm_model,
+      llm_provider,
+      cache: cacheMode,
+      publish_mode = process.env.TEST_WRITER_PUBLISH_MODE || 'comment',
+      run_tests = process.env.TEST_WRITER_RUN_TESTS === 'true',
+      measure_coverage = process.env.TEST_WRITER_MEASURE_COVERAGE !== 'false',
+      mutation_testing = process.env.TEST_WRITER_MUTATION_TESTING === 'true',
+      min_mutation_score = process.env.TEST_WRITER_MIN_MUTATION_SCORE ? Number(process.env.TEST_WRITER_MIN_MUTATION_SCORE) : null
+    } = params;
     
     try {
-      const [owner, repo] = repository.split('/');
+      if (!PUBLISH_MODES.includes(publish_mode)) {
+        const error = new Error(`Invalid publish_mode: ${publish_mode}. Expected one of ${PUBLISH_MODES.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      if (min_mutation_score !== null && !(min_mutation_score >= 0 && min_mutation_score <= 100)) {
+        const error = new Error(`Invalid min_mutation_score: ${min_mutation_score}. Expected a number from 0 to 100`);
+        error.status = 400;
+        throw error;
+      }
+      
+      // GitHub, GitLab or Bitbucket Server, from `provider` or the repository URL
+      const target = scmClient.resolve({ provider, repository: params.repository });
+      const scm = scmClient.getProvider(target.provider);
+      const { repository } = target;
+      if (publish_mode !== 'comment' && !scm.supports.commits) {
+        const error = new Error(`publish_mode ${publish_mode} is only supported for GitHub repositories`);
+        error.status = 400;
+        throw error;
+      }
+      
+      const llm = llmClient.resolve({ agent: 'test_writer', repository, provider: llm_provider, model: llm_model });
+      const usage = usageTracker.start({ agent: 'test_writer', repository });
+      const cache = llmCache.start({ agent: 'test_writer', mode: cacheMode });
+      
+      const pr = await scm.getPullRequest(repository, pr_number);
       
       // Get the changed files content
-      const filesContent = await this.getChangedFilesContent(owner, repo, pr_number);
+      const filesContent = await this.getChangedFilesContent(scm, repository, pr_number);
       
-      // Generate tests for each changed file
+      // Learn how the repository writes its tests so new ones match
+      const conventions = await this.loadTestConventions(scm, repository, pr.head_sha, filesContent.map(file => file.filename));
+      
+      // Generate tests for the symbols each changed file adds or modifies
       const generatedTests = [];
+      const skippedFiles = [];
       
       for (const file of filesContent) {
         if (this.shouldGenerateTests(file.filename)) {
-          const tests = await this.generateTestsForFile(file, model);
+          const target = this.getTestTarget(file, filesContent);
+          if (target.skip) {
+            skippedFiles.push({ file: file.filename, reason: target.skip });
+            continue;
+          }
+          
+          const convention = conventions.forFile(file.filename);
+          const { framework } = convention;
+          const existingTest = await this.findExistingTestFile(scm, repository, pr.head_sha, file.filename, convention, conventions);
+          const testFile = existingTest ? existingTest.path : convention.test_file;
+          const tests = await this.generateTestsForFile(file, llm, usage, cache, { target, framework, convention, testFile, existingTest });
           if (tests) {
             generatedTests.push({
               original_file: file.filename,
-              test_file: this.getTestFileName(file.filename),
+              test_file: testFile,
               test_content: tests,
-              framework: this.detectTestFramework(file.filename)
+              framework,
+              convention,
+              existing_content: existingTest ? existingTest.content : null,
+              target: target.mode,
+              symbols: target.symbols ? target.symbols.map(symbol => symbol.name) : null,
+              extends_existing: Boolean(existingTest)
             });
           }
         }
       }
       
+      // Run the tests against the PR head, sending failures back to the model,
+      // optionally mutation testing the passing ones, and measuring coverage
+      // of the changed files before and after
+      const coverageRuns = [];
+      const verification = run_tests && generatedTests.length > 0
+        ? await this.verifyTests(scm, repository, pr, generatedTests, filesContent, llm, usage, cache, {
+          measureCoverage: measure_coverage,
+          coverageRuns,
+          mutationTesting: mutation_testing,
+          minMutationScore: min_mutation_score
+        })
+        : { status: 'skipped', reason: run_tests ? 'No tests generated' : 'run_tests is false' };
+      const coverage = this.getCoverageReport(verification, measure_coverage, coverageRuns);
+      const mutationReport = this.getMutationReport(verification, mutation_testing, min_mutation_score, generatedTests);
+
+      // Once the tests have been run, only the passing ones are published
+      const publishable = verification.status === 'completed'
+        ? generatedTests.filter(t => t.status === 'passing')
+        : generatedTests;
+
       // Create test files as PR comments or commits
-      if (generatedTests.length > 0) {
-        await this.createTestFiles(owner, repo, pr_number, generatedTests);
-      }
+      const publication = publishable.length > 0
+        ? await this.createTestFiles(scm, repository, pr_number, publishable, publish_mode)
+        : null;
       
       return {
         tests_generated: generatedTests.length,
-        test_files: generatedTests.map(t => t.test_file),
-        coverage_estimate: this.estimateCoverage(generatedTests),
-        frameworks_used: [...new Set(generatedTests.map(t => t.framework))]
+        test_files: publishable.map(t => t.test_file),
+        coverage,
+        mutation_testing: mutationReport,
+        frameworks_used: [...new Set(generatedTests.map(t => t.framework))],
+        verification,
+        test_results: generatedTests.map(t => ({
+          test_file: t.test_file,
+          original_file: t.original_file,
+          framework: t.framework,
+          conventions: {
+            layout: t.convention.layout,
+            evidence: t.convention.evidence
+          },
+          target: t.target,
+          symbols: t.symbols,
+          extends_existing: t.extends_existing,
+          status: t.status || 'unverified',
+          attempts: t.attempts || 0,
+          mutation_score: t.mutation ? t.mutation.score : null,
+          logs: t.logs || null
+        })),
+        skipped_files: skippedFiles,
+        publication,
+        llm,
+        usage: usage.summary(),
+        cache: cache.summary()
       };
       
     } catch (error) {
@@ -64,39 +188,24 @@ class TestWriterAgent {
     }
   }
 
-  async getChangedFilesContent(owner, repo, prNumber) {
+  async getChangedFilesContent(scm, repository, prNumber) {
     try {
-      const { data: files } = await this.github.pulls.listFiles({
-        owner,
-        repo,
-        pull_number: prNumber
-      });
-      
-      const filesContent = [];
+      const files = await scm.listChangedFiles(repository, prNumber);
       
-      for (const file of files) {
-        if (file.status !== 'removed') {
-          try {
-            const { data: content } = await this.github.repos.getContent({
-              owner,
-              repo,
-              path: file.filename,
-              ref: `refs/pull/${prNumber}/head`
-            });
-            
-            filesContent.push({
-              filename: file.filename,
-              content: Buffer.from(content.content, 'base64').toString('utf-8'),
-              additions: file.additions,
-              deletions: file.deletions
-            });
-          } catch (error) {
-            logger.warn(`Could not fetch content for ${file.filename}:`, error.message);
-          }
-        }
-      }
+      const present = files.filter(file => file.status !== 'removed');
+      const contents = await scm.getFileContents(repository, present.map(file => file.filename), scm.headRef(prNumber));
       
-      return filesContent;
+      return present
+        .filter(file => contents[file.filename] !== undefined)
+        .map(file => ({
+          filename: file.filename,
+          status: file.status,
+          content: contents[file.filename],
+          // Absent for binary files and very large diffs
+          patch: file.patch,
+          additions: file.additions,
+          deletions: file.deletions
+        }));
     } catch (error) {
       logger.error('Failed to get changed files:', error);
       throw error;
@@ -108,96 +217,597 @@ class TestWriterAgent {
     const excludePatterns = ['/test/', '/tests/', '.test.', '.spec.', '/node_modules/'];
     
     const hasTestableExtension = testableExtensions.some(ext => filename.endsWith(ext));
-    const isNotTestFile = !excludePatterns.some(pattern => filename.includes(pattern));
+    const isNotTestFile = !excludePatterns.some(pattern => filename.includes(pattern)) && !isTestFile(filename);
     
     return hasTestableExtension && isNotTestFile;
   }
 
-  async generateTestsForFile(file, model) {
-    const prompt = `
+  // Works out what the tests for a changed file should cover: the symbols
+  // the patch touches when the file can be mapped onto symbols, otherwise
+  // the whole file. Files whose changes touch no symbol are skipped.
+  getTestTarget(file, filesContent) {
+    const symbols = extractSymbols(file.filename, file.content);
+    if (!symbols || symbols.length === 0 || !file.patch) {
+      return { mode: 'whole_file' };
+    }
+    
+    const changed = findChangedSymbols(symbols, touchedLines(parsePatch(file.filename, file.patch)));
+    if (changed.length === 0) {
+      return { skip: 'No functions or classes changed' };
+    }
+    
+    return {
+      mode: 'changed_symbols',
+      symbols: changed.map(symbol => ({
+        ...symbol,
+        callers: findCallers(symbol, filesContent, { filename: file.filename })
+      })),
+      others: symbols.filter(symbol => !changed.some(c => c.name === symbol.name)),
+      header: file.content.split('\n').slice(0, Math.min(symbols[0].startLine - 1, HEADER_LINES)).join('\n')
+    };
+  }
+
+  // Builds the repository's test conventions from its file tree at the PR
+  // head and the handful of config files that name a test framework. A
+  // repository whose tree can't be read gets each language's defaults.
+  async loadTestConventions(scm, repository, ref, changedFiles) {
+    let paths = [];
+    try {
+      const tree = await scm.listFiles(repository, ref);
+      if (tree.truncated) {
+        logger.warn(`File tree of ${repository} is truncated, test conventions may be incomplete`);
+      }
+      paths = tree.paths;
+    } catch (error) {
+      logger.warn(`Could not list files of ${repository}, using default test conventions:`, error.message);
+    }
+    
+    const configs = await scm.getFileContents(repository, getConventionConfigPaths(paths, changedFiles), ref);
+    return new TestConventions(paths, configs);
+  }
+
+  // Existing test file for the source file, if the repository has one. Without
+  // a file tree only the conventional test path is checked.
+  async findExistingTestFile(scm, repository, ref, filename, convention, conventions) {
+    const candidate = conventions.paths.size > 0
+      ? conventions.findExistingTest(filename, convention.test_file)
+      : convention.test_file;
+    if (!candidate) return null;
+    
+    try {
+      const content = await scm.getFileContent(repository, candidate, ref);
+      return content === null ? null : { path: candidate, content };
+    } catch (error) {
+      logger.warn(`Could not fetch existing tests at ${candidate}:`, error.message);
+      return null;
+    }
+  }
+
+  async generateTestsForFile(file, llm, usage, cache, { target = { mode: 'whole_file' }, framework, convention, testFile, existingTest } = {}) {
+    const existing = existingTest
+      ? `
+Existing test file ${existingTest.path}:
+${existingTest.content.slice(0, EXISTING_TEST_CHARS)}
+`
+      : '';
+    const existingRequirement = existingTest
+      ? `\n6. Return the complete ${existingTest.path}: keep every existing test unchanged, follow its conventions and add the new tests`
+      : '';
+    
+    const frameworkLine = this.describeFramework(framework, convention);
+    
+    const prompt = target.mode === 'changed_symbols'
+      ? this.buildChangedSymbolsPrompt(file, target, frameworkLine, testFile, existing, existingRequirement)
+      : `
 You are an expert test writer. Generate comprehensive unit tests for the following code file.
 
 File: ${file.filename}
+Test file: ${testFile}
+Framework: ${frameworkLine}
 Content:
 ${file.content}
-
+${existing}
 Requirements:
 1. Generate tests that cover all functions/methods
 2. Include edge cases and error scenarios
-3. Use appropriate test framework for the language
+3. Use ${framework} and import the code under test relative to ${testFile}
 4. Follow best practices for the detected language
-5. Aim for high code coverage
+5. Aim for high code coverage${existingRequirement}
 
 Respond with only the test code, no explanations.
 `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
+      const response = await llmClient.complete(llm, {
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.2,
-        max_tokens: 3000
+        max_tokens: 3000,
+        usage,
+        cache,
+        promptVersion: GENERATE_PROMPT_VERSION
       });
 
-      return response.choices[0].message.content;
+      return this.stripCodeFence(response.content);
     } catch (error) {
       logger.error(`Failed to generate tests for ${file.filename}:`, error);
       return null;
     }
   }
 
-  getTestFileName(originalFile) {
-    const ext = originalFile.split('.').pop();
-    const nameWithoutExt = originalFile.replace(`.${ext}`, '');
+  // Framework plus whatever else the tests should use, e.g. "testing with testify"
+  describeFramework(framework, convention) {
+    if (!convention) return framework;
+    const extras = [
+      convention.assertion_library && `with ${convention.assertion_library}`,
+      convention.build_tool && `built with ${convention.build_tool}`
+    ].filter(Boolean);
+    return [framework, ...extras].join(' ');
+  }
+
+  buildChangedSymbolsPrompt(file, target, frameworkLine, testFile, existing, existingRequirement) {
+    const lines = file.content.split('\n');
+    let budget = SYMBOL_SOURCE_CHARS;
+    
+    const changed = target.symbols.map(symbol => {
+      let source = lines.slice(symbol.startLine - 1, symbol.endLine).join('\n');
+      if (source.length > budget) {
+        source = `${source.slice(0, Math.max(budget, 0))}\n... (truncated)`;
+      }
+      budget -= source.length;
+      
+      const callers = symbol.callers.length > 0
+        ? `Called from:\n${symbol.callers.map(caller => `- ${caller.file}:${caller.line} \`${caller.code}\``).join('\n')}\n`
+        : '';
+      return `### ${symbol.name} (${symbol.kind}, ${symbol.change}, lines ${symbol.startLine}-${symbol.endLine})
+Signature: ${symbol.signature}
+${source}
+${callers}`;
+    }).join('\n');
+    
+    const others = target.others.length > 0
+      ? `\nOther symbols in this file, for reference only (do not test them):\n${target.others.map(symbol => `- ${symbol.signature}`).join('\n')}\n`
+      : '';
     
-    // Language-specific test file naming conventions
-    const conventions = {
-      'js': `${nameWithoutExt}.test.js`,
-      'ts': `${nameWithoutExt}.test.ts`,
-      'py': `test_${originalFile}`,
-      'java': `${nameWithoutExt}Test.java`,
-      'go': `${nameWithoutExt}_test.go`,
-      'rb': `${nameWithoutExt}_spec.rb`
+    return `
+You are an expert test writer. Generate unit tests for the code a pull request changed.
+
+File: ${file.filename}
+Test file: ${testFile}
+Framework: ${frameworkLine}
+
+Imports and module setup:
+${target.header}
+
+Changed code:
+${changed}${others}${existing}
+Requirements:
+1. Test only the changed symbols listed above
+2. Cover their new or modified behaviour, including edge cases and error scenarios
+3. Import the code under test from ${file.filename} the way it is exported, relative to ${testFile}
+4. Mock the dependencies of the changed code rather than calling real services
+5. Follow best practices for the detected language${existingRequirement}
+
+Respond with only the test code, no explanations.
+`;
+  }
+
+  // Runs each test file in a sandbox built from the PR head. Failing files go
+  // back to the model up to FIX_ATTEMPTS times; each test ends up passing,
+  // failing (assertions fail) or discarded (never loaded or timed out).
+  // Tests whose framework has no sandbox runtime stay unverified. With
+  // measureCoverage, the suite is run with coverage of the tested source
+  // files before the tests are added and again after, into coverageRuns.
+  // With mutationTesting, passing tests are run against mutants of their
+  // source file; those scoring under minMutationScore are rejected.
+  async verifyTests(scm, repository, pr, generatedTests, filesContent, llm, usage, cache, {
+    measureCoverage = false,
+    coverageRuns = [],
+    mutationTesting = false,
+    minMutationScore = null
+  } = {}) {
+    if (!(await sandbox.isAvailable())) {
+      logger.warn('Docker is not available, publishing generated tests unverified');
+      return { status: 'skipped', reason: 'Docker is not available' };
+    }
+
+    let archive;
+    try {
+      archive = await scm.getArchive(repository, pr.head_sha);
+    } catch (error) {
+      logger.error(`Could not download ${repository}@${pr.head_sha} for the sandbox:`, error);
+      generatedTests.forEach(t => { t.logs = `Could not download the PR head: ${error.message}`; });
+      return { status: 'skipped', reason: `Could not download the PR head: ${error.message}` };
+    }
+
+    const frameworks = [...new Set(generatedTests.map(t => t.framework))];
+    for (const framework of frameworks) {
+      const tests = generatedTests.filter(t => t.framework === framework);
+      if (!sandbox.supports(framework)) {
+        tests.forEach(t => { t.logs = `No sandbox runtime for ${framework}`; });
+        continue;
+      }
+
+      const coverage = measureCoverage && sandbox.supportsCoverage(framework);
+      const sourceFiles = [...new Set(tests.map(t => t.original_file))];
+
+      let session;
+      try {
+        session = await sandbox.openSession({ framework, archive, label: `${repository}#${pr.number}`, coverage });
+      } catch (error) {
+        logger.error(`Could not prepare ${framework} sandbox:`, error);
+        tests.forEach(t => { t.logs = [error.message, error.output].filter(Boolean).join('\n'); });
+        continue;
+      }
+
+      try {
+        const before = coverage ? await this.measureCoverage(session, framework, sourceFiles, 'before') : null;
+        
+        for (const test of tests) {
+          const source = filesContent.find(file => file.filename === test.original_file);
+          await this.runWithFixes(session, test, source, llm, usage, cache);
+        }
+        
+        if (mutationTesting) {
+          for (const test of tests.filter(t => t.status === 'passing')) {
+            const source = filesContent.find(file => file.filename === test.original_file);
+            test.mutation = await this.runMutationTests(session, test, source);
+            if (minMutationScore !== null && test.mutation.score !== null && test.mutation.score < minMutationScore) {
+              test.status = 'rejected';
+              test.logs = `Mutation score ${test.mutation.score} is below the minimum of ${minMutationScore}`;
+              await this.discardTestFile(session, test);
+            }
+          }
+        }
+        
+        if (coverage) {
+          // Nothing was added to the suite when no test passed
+          const after = tests.some(t => t.status === 'passing')
+            ? await this.measureCoverage(session, framework, sourceFiles, 'after')
+            : { ...before, phase: 'after' };
+          coverageRuns.push(before, after);
+        }
+      } finally {
+        await session.close();
+      }
+    }
+
+    const count = (status) => generatedTests.filter(t => t.status === status).length;
+    return {
+      status: 'completed',
+      passing: count('passing'),
+      failing: count('failing'),
+      discarded: count('discarded'),
+      rejected: count('rejected'),
+      unverified: generatedTests.filter(t => !t.status).length
     };
+  }
+
+  async runWithFixes(session, test, source, llm, usage, cache) {
+    for (let attempt = 1; ; attempt++) {
+      const result = await session.runTest(test.test_file, test.test_content);
+      test.attempts = attempt;
+      test.logs = result.output;
+
+      if (result.passed) {
+        test.status = 'passing';
+        return;
+      }
+
+      const fixed = attempt <= FIX_ATTEMPTS && await this.fixTestsForFile(source, test, result, llm, usage, cache);
+      if (!fixed) {
+        test.status = result.load_error || result.timed_out ? 'discarded' : 'failing';
+        await this.discardTestFile(session, test);
+        return;
+      }
+      test.test_content = fixed;
+    }
+  }
+
+  // Takes a test file out of the sandbox so it can't break the next test run
+  // in the same package, putting back the test file it extended if any
+  async discardTestFile(session, test) {
+    if (test.existing_content !== null) {
+      await session.writeFiles([{ path: test.test_file, content: test.existing_content }]);
+    } else {
+      await session.removeFile(test.test_file);
+    }
+  }
+
+  // Runs the test file against mutants of the lines the PR added to its
+  // source file. A mutant is killed when the tests fail or time out,
+  // survives when they pass and is invalid when the mutated code doesn't
+  // load; invalid mutants don't count towards the score.
+  async runMutationTests(session, test, source) {
+    const lines = source.patch
+      ? new Set(addedLines(parsePatch(source.filename, source.patch)).map(line => line.newLine))
+      : null;
+    const mutants = generateMutants(source.filename, source.content, lines, { max: MAX_MUTANTS });
+    const mutation = { score: null, mutants: mutants.length, killed: 0, survived: 0, invalid: 0, surviving_mutants: [], error: null };
+    
+    try {
+      for (const mutant of mutants) {
+        await session.writeFiles([{ path: source.filename, content: applyMutant(source.content, mutant) }]);
+        const result = await session.runTest(test.test_file, test.test_content, { timeoutSeconds: MUTANT_TIMEOUT_SECONDS });
+        
+        if (result.passed) {
+          mutation.survived += 1;
+          mutation.surviving_mutants.push({
+            line: mutant.line,
+            operator: mutant.operator,
+            original: mutant.original.trim(),
+            mutated: mutant.mutated.trim()
+          });
+        } else if (result.load_error) {
+          mutation.invalid += 1;
+        } else {
+          mutation.killed += 1;
+        }
+      }
+    } catch (error) {
+      logger.error(`Mutation testing of ${source.filename} failed:`, error);
+      mutation.error = error.message;
+    } finally {
+      await session.writeFiles([{ path: source.filename, content: source.content }]);
+    }
     
-    return conventions[ext] || `${nameWithoutExt}.test.${ext}`;
+    const scored = mutation.killed + mutation.survived;
+    mutation.score = scored > 0 ? Math.round((mutation.killed / scored) * 100) : null;
+    return mutation;
   }
 
-  detectTestFramework(filename) {
-    const ext = filename.split('.').pop();
+  getMutationReport(verification, mutationTesting, minScore, generatedTests) {
+    if (!mutationTesting) {
+      return { status: 'skipped', reason: 'mutation_testing is false' };
+    }
+    if (verification.status !== 'completed') {
+      return { status: 'skipped', reason: verification.reason };
+    }
     
-    const frameworks = {
-      'js': 'Jest',
-      'ts': 'Jest',
-      'py': 'pytest',
-      'java': 'JUnit',
-      'go': 'testing',
-      'rb': 'RSpec'
+    const tested = generatedTests.filter(t => t.mutation);
+    const killed = tested.reduce((sum, t) => sum + t.mutation.killed, 0);
+    const scored = killed + tested.reduce((sum, t) => sum + t.mutation.survived, 0);
+    return {
+      status: 'completed',
+      min_score: minScore,
+      score: scored > 0 ? Math.round((killed / scored) * 100) : null,
+      files: tested.map(t => ({
+        file: t.original_file,
+        test_file: t.test_file,
+        status: t.status,
+        ...t.mutation
+      }))
     };
-    
-    return frameworks[ext] || 'Unknown';
   }
 
-  async createTestFiles(owner, repo, prNumber, generatedTests) {
+  async measureCoverage(session, framework, files, phase) {
+    const run = { framework, phase, files, reports: {}, error: null };
     try {
-      // Create a comment with the generated tests
-      const testSummary = generatedTests.map(test => 
-        `### ${test.test_file}\n\`\`\`${this.getLanguageFromExtension(test.test_file)}\n${test.test_content}\n\`\`\``
-      ).join('\n\n');
+      const result = await session.runCoverage(files, phase);
+      run.reports = result.reports;
       
-      await this.github.issues.createComment({
+      if (result.reports.go_profile !== undefined) {
+        const goMod = await session.readFile('go.mod');
+        const modulePath = goMod && (goMod.match(/^module\s+(\S+)/m) || [])[1];
+        run.reports.lcov = goProfileToLcov(result.reports.go_profile, modulePath, { files });
+      }
+      
+      if (run.reports.lcov === undefined) {
+        run.error = result.timed_out
+          ? 'Coverage run timed out'
+          : `Coverage run produced no lcov report (exit code ${result.exit_code})`;
+        logger.warn(`${framework} coverage run (${phase}) failed: ${run.error}\n${result.output}`);
+      }
+    } catch (error) {
+      logger.error(`${framework} coverage run (${phase}) failed:`, error);
+      run.error = error.message;
+    }
+    return run;
+  }
+
+  getCoverageReport(verification, measureCoverage, coverageRuns) {
+    if (!measureCoverage) {
+      return { status: 'skipped', reason: 'measure_coverage is false' };
+    }
+    if (verification.status !== 'completed') {
+      return { status: 'skipped', reason: verification.reason };
+    }
+    if (coverageRuns.length === 0) {
+      return { status: 'skipped', reason: 'No coverage runtime for the frameworks used' };
+    }
+    return summarizeCoverage(coverageRuns);
+  }
+
+  async fixTestsForFile(file, test, result, llm, usage, cache) {
+    const output = result.output.length > FIX_OUTPUT_CHARS ? result.output.slice(-FIX_OUTPUT_CHARS) : result.output;
+    const prompt = `
+You are an expert test writer. The ${test.framework} tests you wrote for ${file.filename} failed.
+
+File: ${file.filename}
+Content:
+${file.content}
+
+Test file: ${test.test_file}
+${test.test_content}
+
+Test output (exit code ${result.exit_code}${result.timed_out ? ', timed out' : ''}):
+${output}
+
+Fix the test file so it compiles and its assertions match what the code actually does.
+Respond with only the complete corrected test code, no explanations.
+`;
+
+    try {
+      const response = await llmClient.complete(llm, {
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        max_tokens: 3000,
+        usage,
+        cache,
+        promptVersion: FIX_PROMPT_VERSION
+      });
+
+      return this.stripCodeFence(response.content);
+    } catch (error) {
+      logger.error(`Failed to fix tests for ${file.filename}:`, error);
+      return null;
+    }
+  }
+
+  async createTestFiles(scm, repository, prNumber, generatedTests, mode = 'comment') {
+    try {
+      if (mode === 'comment') {
+        return await this.commentTestFiles(scm, repository, prNumber, generatedTests);
+      }
+      
+      // Committing goes through GitHub's Git Data API
+      const [owner, repo] = repository.split('/');
+      const { data: pr } = await this.github.pulls.get({ owner, repo, pull_number: prNumber });
+      const fallbackReason = this.getCommitBlocker(pr);
+      if (fallbackReason) {
+        logger.warn(`Cannot ${mode} tests for PR #${prNumber}: ${fallbackReason}`);
+        return {
+          ...await this.commentTestFiles(scm, repository, prNumber, generatedTests),
+          fallback_reason: fallbackReason
+        };
+      }
+      
+      const publication = mode === 'push'
+        ? await this.pushToHeadBranch(pr, generatedTests)
+        : await this.pushToTestsBranch(owner, repo, pr, generatedTests);
+      
+      const files = generatedTests.map(test => `- \`${test.test_file}\``).join('\n');
+      const target = publication.pull_request
+        ? `in #${publication.pull_request.number}`
+        : `to \`${publication.branch}\``;
+      const { data: comment } = await this.github.issues.createComment({
         owner,
         repo,
         issue_number: prNumber,
-        body: `## 🧪 Generated Tests\n\nI've generated the following tests for your changes:\n\n${testSummary}`
+        body: `## 🧪 Generated Tests\n\nI've committed ${generatedTests.length} test file(s) ${target} ([${publication.commit_sha.slice(0, 7)}](${publication.commit_url})):\n\n${files}`
       });
       
-      logger.info(`Created test files comment for PR #${prNumber}`);
+      logger.info(`Committed generated tests for PR #${prNumber} as ${publication.commit_sha}`);
+      return { ...publication, comment_url: comment.html_url };
     } catch (error) {
       logger.error('Failed to create test files:', error);
+      return { mode, error: error.message };
     }
   }
 
+  async commentTestFiles(scm, repository, prNumber, generatedTests) {
+    const testSummary = generatedTests.map(test => 
+      `### ${test.test_file}\n\`\`\`${this.getLanguageFromExtension(test.test_file)}\n${test.test_content}\n\`\`\``
+    ).join('\n\n');
+    
+    const comment = await scm.postSummaryComment(
+      repository,
+      prNumber,
+      `## 🧪 Generated Tests\n\nI've generated the following tests for your changes:\n\n${testSummary}`
+    );
+    
+    logger.info(`Created test files comment for PR #${prNumber}`);
+    return { mode: 'comment', comment_url: comment.url };
+  }
+
+  // Why the tests cannot be committed for this PR, or null if they can.
+  // Neither mode writes to a fork: a tests/ branch in the base repository
+  // cannot target a fork's branch, and "allow edits from maintainers" is
+  // granted to people, not to tokens issued for the base repository.
+  getCommitBlocker(pr) {
+    const fromFork = !pr.head.repo || pr.head.repo.full_name !== pr.base.repo.full_name;
+    return fromFork ? 'pull request comes from a fork' : null;
+  }
+
+  // Commits the tests on tests/<head branch> and opens (or reuses) a PR into
+  // the head branch. The branch is reset on every run so it always holds one
+  // commit of tests on top of the current head.
+  async pushToTestsBranch(owner, repo, pr, generatedTests) {
+    const branch = `tests/${pr.head.ref}`;
+    const commit = await this.commitFiles(owner, repo, pr.head.sha, generatedTests, `test: add generated tests for #${pr.number}`);
+
+    try {
+      await this.github.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      await this.github.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: true });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      await this.github.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+    }
+
+    const { data: existing } = await this.github.pulls.list({
+      owner,
+      repo,
+      head: `${owner}:${branch}`,
+      base: pr.head.ref,
+      state: 'open'
+    });
+
+    const pullRequest = existing[0] || (await this.github.pulls.create({
+      owner,
+      repo,
+      head: branch,
+      base: pr.head.ref,
+      title: `Generated tests for #${pr.number}`,
+      body: `Tests generated for the changes in #${pr.number}. Review them before merging into \`${pr.head.ref}\`.`
+    })).data;
+
+    return {
+      mode: 'branch',
+      branch,
+      commit_sha: commit.sha,
+      commit_url: commit.html_url,
+      pull_request: { number: pullRequest.number, url: pullRequest.html_url }
+    };
+  }
+
+  // Fast-forwards the PR's head branch; fails if it moved while the tests were generated
+  async pushToHeadBranch(pr, generatedTests) {
+    const [owner, repo] = pr.head.repo.full_name.split('/');
+    const commit = await this.commitFiles(owner, repo, pr.head.sha, generatedTests, 'test: add generated tests');
+
+    await this.github.git.updateRef({ owner, repo, ref: `heads/${pr.head.ref}`, sha: commit.sha, force: false });
+
+    return {
+      mode: 'push',
+      branch: pr.head.ref,
+      commit_sha: commit.sha,
+      commit_url: commit.html_url
+    };
+  }
+
+  // Creates one commit on top of parentSha through the Git Data API
+  async commitFiles(owner, repo, parentSha, generatedTests, message) {
+    const { data: parent } = await this.github.git.getCommit({ owner, repo, commit_sha: parentSha });
+
+    const tree = [];
+    for (const test of generatedTests) {
+      const { data: blob } = await this.github.git.createBlob({
+        owner,
+        repo,
+        content: test.test_content,
+        encoding: 'utf-8'
+      });
+      tree.push({ path: test.test_file, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const { data: newTree } = await this.github.git.createTree({ owner, repo, base_tree: parent.tree.sha, tree });
+    const { data: commit } = await this.github.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: newTree.sha,
+      parents: [parentSha]
+    });
+
+    return commit;
+  }
+
+  // Models often wrap code in a markdown fence despite being asked not to
+  stripCodeFence(content) {
+    const match = content.trim().match(/^```[\w+-]*\n([\s\S]*?)\n?```$/);
+    const code = match ? match[1] : content;
+    return code.endsWith('\n') ? code : `${code}\n`;
+  }
+
   getLanguageFromExtension(filename) {
     const ext = filename.split('.').pop();
     const languages = {
@@ -210,17 +820,6 @@ Respond with only the test code, no explanations.
     };
     return languages[ext] || ext;
   }
-
-  estimateCoverage(generatedTests) {
-    // Simple heuristic: estimate coverage based on number of test cases
-    const totalTests = generatedTests.reduce((sum, test) => {
-      const testCount = (test.test_content.match(/test|it\(/g) || []).length;
-      return sum + testCount;
-    }, 0);
-    
-    // Rough estimate: each test case covers ~10% of functionality
-    return Math.min(totalTests * 10, 95);
-  }
 }
 
 module.exports = new TestWriterAgent();
\ No newline at end of file
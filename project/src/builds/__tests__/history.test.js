@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'build-history-'));
+
+const buildHistory = require('../history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+const apiRun = (id, ageMs, fields = {}) => ({
+  id,
+  name: 'CI',
+  workflow_id: 1,
+  head_branch: 'main',
+  head_sha: `sha${id}`,
+  event: 'push',
+  status: 'completed',
+  conclusion: 'success',
+  run_attempt: 1,
+  created_at: new Date(NOW - ageMs).toISOString(),
+  updated_at: new Date(NOW - ageMs + 10 * 60000).toISOString(),
+  ...fields
+});
+
+describe('BuildHistory', () => {
+  afterAll(() => {
+    buildHistory.db.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  it('returns one repository\'s runs, newest first, whatever the case of its name', () => {
+    buildHistory.recordRun('acme/api', apiRun(10, 3 * DAY_MS));
+    buildHistory.recordRun('Acme/API', apiRun(11, DAY_MS));
+    buildHistory.recordRun('acme/api-v2', apiRun(12, DAY_MS));
+
+    expect(buildHistory.getRuns('acme/api').map(run => run.id)).toEqual([11, 10]);
+    expect(buildHistory.getRuns('acme/api', { since: NOW - 2 * DAY_MS }).map(run => run.id)).toEqual([11]);
+    expect(buildHistory.getRuns('acme/other')).toEqual([]);
+  });
+
+  it('keeps the known files of a run while its head commit is the same', () => {
+    buildHistory.putRun({ ...buildHistory.normalizeRun('acme/files', apiRun(20, DAY_MS, { status: 'in_progress' })), files: ['src/x.js'] });
+    buildHistory.recordRun('acme/files', apiRun(20, DAY_MS));
+    expect(buildHistory.getRuns('acme/files')[0]).toMatchObject({ status: 'completed', files: ['src/x.js'] });
+
+    buildHistory.recordRun('acme/files', apiRun(20, DAY_MS, { head_sha: 'rebased' }));
+    expect(buildHistory.getRuns('acme/files')[0].files).toBeNull();
+  });
+
+  it('keeps every attempt\'s jobs and finds them by run', () => {
+    const job = { run_id: 30, name: 'test', status: 'completed', conclusion: 'failure', started_at: new Date(NOW - DAY_MS).toISOString(), completed_at: new Date(NOW - DAY_MS + 60000).toISOString() };
+    buildHistory.recordJob('acme/jobs', { ...job, id: 300, run_attempt: 1 }, 'CI');
+    buildHistory.recordJob('acme/jobs', { ...job, id: 301, run_attempt: 2, conclusion: 'success' }, 'CI');
+
+    expect(buildHistory.getRunJobs('acme/jobs', 30).map(stored => [stored.id, stored.run_attempt, stored.duration_ms])).toEqual([
+      [300, 1, 60000],
+      [301, 2, 60000]
+    ]);
+    expect(buildHistory.getJobs('acme/jobs')).toHaveLength(2);
+  });
+
+  it('drops runs and jobs older than BUILD_HISTORY_DAYS', () => {
+    buildHistory.recordRun('acme/prune', apiRun(40, DAY_MS));
+    buildHistory.recordRun('acme/prune', apiRun(41, 200 * DAY_MS));
+    buildHistory.recordJob('acme/prune', { id: 410, run_id: 41, status: 'completed', started_at: new Date(NOW - 200 * DAY_MS).toISOString() });
+
+    buildHistory.prune('acme/prune');
+
+    expect(buildHistory.getRuns('acme/prune').map(run => run.id)).toEqual([40]);
+    expect(buildHistory.getJobs('acme/prune')).toEqual([]);
+  });
+
+  it('is fresh after a webhook delivery', () => {
+    expect(buildHistory.isFresh('acme/fresh')).toBe(false);
+    buildHistory.markDelivery('acme/fresh');
+    expect(buildHistory.isFresh('Acme/Fresh')).toBe(true);
+  });
+
+  it('reports trends per window', () => {
+    buildHistory.recordRun('acme/trends', apiRun(50, DAY_MS, { conclusion: 'failure' }));
+    buildHistory.recordRun('acme/trends', apiRun(51, 2 * DAY_MS));
+    buildHistory.recordRun('acme/trends', apiRun(52, 9 * DAY_MS));
+    buildHistory.recordRun('acme/trends', apiRun(53, 2 * DAY_MS, { conclusion: 'cancelled' }));
+
+    const [current, previous] = buildHistory.getTrends('acme/trends', { windowDays: 7, windows: 2 });
+    expect(current).toMatchObject({ runs: 2, failures: 1, success_rate: 0.5, median_duration_minutes: 10 });
+    expect(previous).toMatchObject({ runs: 1, failures: 0, success_rate: 1 });
+  });
+});
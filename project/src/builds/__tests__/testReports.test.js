@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-reports-'));
+
+const githubClient = require('../../github');
+const { FakeGitHub } = require('../../github/fakeGitHub');
+const testReports = require('../testReports');
+
+const run = {
+  id: 501,
+  workflow: 'CI',
+  branch: 'main',
+  head_sha: 'a'.repeat(40),
+  conclusion: 'failure',
+  run_attempt: 1,
+  created_at: '2026-01-10T12:00:00Z',
+  url: 'https://github.com/acme/api/actions/runs/501'
+};
+
+describe('testReports.readFinishedRun', () => {
+  let github;
+
+  beforeEach(() => {
+    github = new FakeGitHub()
+      .on('actions.listWorkflowRunArtifacts', {
+        total_count: 1,
+        artifacts: [{ id: 9, name: 'test-results', size_in_bytes: 20, expired: false, created_at: '2026-01-10T12:05:00Z' }]
+      })
+      .on('actions.downloadArtifact', Buffer.from('not a zip archive'));
+    githubClient.use(github);
+  });
+
+  afterAll(() => {
+    // A pending write would recreate the directory
+    testReports.store.flush();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  it('stores a report when an artifact cannot be parsed, so that it is read once', async () => {
+    expect(await testReports.readFinishedRun('acme', 'api', run)).toBe(0);
+    expect(testReports.getReports('acme/api')).toEqual([
+      expect.objectContaining({ run_id: 501, run_attempt: 1, head_sha: run.head_sha, artifacts: 0, tests: 0, failed: [] })
+    ]);
+
+    github.calls = [];
+    expect(await testReports.readFinishedRun('acme', 'api', run)).toBe(0);
+    expect(github.calls).toEqual([]);
+  });
+
+  it('stores a report when an artifact cannot be downloaded', async () => {
+    github.on('actions.downloadArtifact', () => {
+      throw Object.assign(new Error('Artifact has expired'), { status: 410 });
+    });
+
+    expect(await testReports.readFinishedRun('acme', 'api', { ...run, id: 503 })).toBe(0);
+    expect(testReports.getReports('acme/api')).toContainEqual(expect.objectContaining({ run_id: 503, artifacts: 0, tests: 0 }));
+  });
+
+  it('skips runs that did not finish', async () => {
+    expect(await testReports.readFinishedRun('acme', 'api', { ...run, id: 502, conclusion: 'cancelled' })).toBe(0);
+    expect(github.calls).toEqual([]);
+  });
+});
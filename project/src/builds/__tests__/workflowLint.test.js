@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-lint-'));
+
+const githubClient = require('../../github');
+const { FakeGitHub } = require('../../github/fakeGitHub');
+const workflowLint = require('../workflowLint');
+
+const notFound = () => {
+  throw Object.assign(new Error('Branch not found'), { status: 404 });
+};
+
+describe('workflowLint.getRunsBranch', () => {
+  let github;
+
+  beforeEach(() => {
+    github = new FakeGitHub()
+      .on('repos.get', { default_branch: 'main' })
+      .on('repos.getBranch', ({ branch }) => (branch === 'release/2.x' ? { name: branch } : notFound()));
+    githubClient.use(github);
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  it('times workflows by the runs of a branch ref', async () => {
+    expect(await workflowLint.getRunsBranch('acme', 'api', 'release/2.x')).toBe('release/2.x');
+    expect(await workflowLint.getRunsBranch('acme', 'api', 'refs/heads/release/2.x')).toBe('release/2.x');
+    expect(github.calls.map(call => call.endpoint)).toEqual(['repos.getBranch', 'repos.getBranch']);
+  });
+
+  it('uses the default branch for commit SHAs, tags, unknown refs and no ref', async () => {
+    for (const ref of ['b4ffde65f46336ab88eb53be808477a3936bae11', 'refs/tags/v2.0.0', 'v2.0.0', undefined]) {
+      expect(await workflowLint.getRunsBranch('acme', 'api', ref)).toBe('main');
+    }
+    expect(github.calls.filter(call => call.endpoint === 'repos.getBranch').map(call => call.params.branch)).toEqual(['v2.0.0']);
+  });
+
+  it('passes on other API errors', async () => {
+    github.on('repos.getBranch', () => {
+      throw Object.assign(new Error('Server Error'), { status: 500 });
+    });
+    await expect(workflowLint.getRunsBranch('acme', 'api', 'develop')).rejects.toMatchObject({ status: 500 });
+  });
+});
@@ -0,0 +1,52 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const buildHistory = require('./history');
+const testReports = require('./testReports');
+
+const USAGE = 'Usage: npm run builds:backfill -- <owner/repo> [<owner/repo> ...] [--days <n>] [--no-jobs] [--no-test-reports]';
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// Fills the build history of each repository from the GitHub API: workflow
+// runs of the last --days days (default BUILD_HISTORY_DAYS), the files their
+// head commits changed, their jobs and steps unless --no-jobs is given, and
+// their JUnit test reports unless --no-test-reports is given.
+const parseArgs = (args) => {
+  const options = { repositories: [], days: undefined, jobs: true, tests: true };
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--days') {
+      options.days = parseInt(args[++index], 10);
+      if (!(options.days > 0)) throw usageError('--days must be a positive number');
+    } else if (arg === '--no-jobs') {
+      options.jobs = false;
+    } else if (arg === '--no-test-reports') {
+      options.tests = false;
+    } else if (/^[^/\s-][^/\s]*\/[^/\s]+$/.test(arg)) {
+      options.repositories.push(arg);
+    } else {
+      throw usageError(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (options.repositories.length === 0) throw usageError('No repository given');
+  return options;
+};
+
+const main = async () => {
+  const { repositories, days, jobs, tests } = parseArgs(process.argv.slice(2));
+  for (const repository of repositories) {
+    const [owner, repo] = repository.split('/');
+    const result = await buildHistory.backfill(owner, repo, { days, jobs });
+    const reports = tests ? await testReports.sync(owner, repo, buildHistory.getRuns(repository), { limit: Infinity }) : 0;
+    process.stdout.write(`${repository}: ${result.runs} runs stored since ${result.since}, ${result.jobs_added} jobs added, ${reports} test reports read\n`);
+  }
+  testReports.store.flush();
+};
+
+main().catch((error) => {
+  process.stderr.write(`Backfill failed: ${error.message}\n${error.usage ? `${USAGE}\n` : ''}`);
+  process.exit(1);
+});
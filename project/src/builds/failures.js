@@ -0,0 +1,223 @@
+const winston = require('winston');
+const Joi = require('joi');
+
+const JsonStore = require('../stores/jsonStore');
+const githubClient = require('../github');
+const buildHistory = require('./history');
+const llmClient = require('../llm');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isFailure } = require('../utils/buildModel');
+const { CATEGORIES, extractFailure, classifyFailure } = require('../utils/failureClassifier');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Part of the LLM cache key; bump when the classification prompt or schema changes
+const CLASSIFICATION_PROMPT_VERSION = 'classify-failure/1';
+// Most recent failed runs whose jobs are examined
+const FAILED_RUNS = parseInt(process.env.BUILD_FAILURE_RUNS, 10) || 10;
+const LOG_CONCURRENCY = 4;
+// Runs linked per root cause
+const LINKED_RUNS = 5;
+
+const classificationSchema = Joi.object({
+  category: Joi.string().valid(...CATEGORIES, 'unknown').insensitive().required(),
+  summary: Joi.string().min(1).required()
+}).label('classification');
+
+const jobKey = (repository, id) => `${repository.toLowerCase()}#${id}`;
+
+// Root causes of a repository's recent failed builds. Each failed job's log
+// is downloaded once; its failing step, error excerpt and category are kept
+// in DATA_DIR/build-failures.json. Categories come from the deterministic
+// matchers in utils/failureClassifier, and from the LLM only when none match.
+class BuildFailures {
+  constructor() {
+    this.store = new JsonStore('build-failures');
+  }
+
+  get github() {
+    return githubClient.rest;
+  }
+
+  // Recurring root causes among the most recent failed runs, most frequent
+  // first. `llm`, `usage` and `cache` are the calling agent's.
+  async analyze(owner, repo, runs, { llm, usage, cache } = {}) {
+    const repository = `${owner}/${repo}`;
+    const failedRuns = runs.filter(isFailure).slice(0, FAILED_RUNS);
+    this.prune(repository, runs);
+    if (failedRuns.length === 0) return [];
+
+    const failures = [];
+    for (const run of failedRuns) {
+      const jobs = await this.getFailedJobs(owner, repo, run);
+      const classified = await mapWithConcurrency(jobs, LOG_CONCURRENCY, job => this.classifyJob(owner, repo, run, job, { llm, usage, cache }));
+      failures.push(...classified.map(failure => ({ ...failure, run })));
+    }
+
+    return this.summarize(failures);
+  }
+
+  // The run's failed jobs, listing them from the API when no webhook or
+  // backfill stored them
+  async getFailedJobs(owner, repo, run) {
+    const repository = `${owner}/${repo}`;
+    let jobs = buildHistory.getRunJobs(repository, run.id);
+    if (jobs.length === 0) {
+      try {
+        await buildHistory.syncJobs(owner, repo, run);
+        jobs = buildHistory.getRunJobs(repository, run.id);
+      } catch (error) {
+        logger.warn(`Could not list the jobs of run ${run.id} of ${repository}: ${error.message}`);
+        return [];
+      }
+    }
+
+    // Only the run's latest attempt failed as reported
+    const attempt = Math.max(...jobs.map(job => job.run_attempt || 1));
+    return jobs.filter(job => (job.run_attempt || 1) === attempt && isFailure(job));
+  }
+
+  async classifyJob(owner, repo, run, job, { llm, usage, cache }) {
+    const repository = `${owner}/${repo}`;
+    const key = jobKey(repository, job.id);
+    const stored = this.store.get(key);
+    if (stored) return { ...stored, job };
+
+    const log = await this.getJobLog(owner, repo, job);
+    const { step, excerpt } = log === null
+      ? { step: extractFailure('', job).step, excerpt: '' }
+      : extractFailure(log, job);
+
+    const match = classifyFailure({ excerpt, step, conclusion: job.conclusion });
+    const classification = match
+      ? { category: match.category, source: 'matcher', matched: match.matched, summary: null }
+      : await this.classifyWithLlm(job, step, excerpt, { llm, usage, cache });
+
+    const failure = {
+      job_id: job.id,
+      run_id: run.id,
+      step,
+      excerpt,
+      ...classification,
+      logs_available: log !== null,
+      classified_at: new Date().toISOString()
+    };
+    // A failed LLM call is tried again next time
+    if (classification.source !== 'fallback') {
+      this.store.set(key, failure);
+    }
+    return { ...failure, job };
+  }
+
+  // The job's log text, or null when it expired or can't be read
+  async getJobLog(owner, repo, job) {
+    try {
+      const { data } = await this.github.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: job.id });
+      return typeof data === 'string' ? data : Buffer.from(data).toString('utf-8');
+    } catch (error) {
+      logger.warn(`Could not download the log of job ${job.id} of ${owner}/${repo}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async classifyWithLlm(job, step, excerpt, { llm, usage, cache }) {
+    // Nothing to show the model without a log
+    if (!excerpt) {
+      return { category: 'unknown', source: 'no_logs', matched: null, summary: null };
+    }
+
+    const prompt = `
+You are an expert CI engineer. Classify the root cause of this failed GitHub Actions job.
+
+Job: ${job.name}
+Failing step: ${step || 'unknown'}
+Log excerpt:
+${excerpt}
+
+Categories:
+- compile_error: the code does not compile or type-check
+- test_failure: tests ran and some failed
+- dependency_resolution: packages or modules could not be resolved or installed
+- oom_timeout: the job ran out of memory or time
+- infrastructure: network, registry, runner or disk problems unrelated to the code
+- lint: linters or formatters reported problems
+- unknown: none of the above
+
+Respond with ONLY valid JSON (no markdown formatting):
+{
+  "category": "string",
+  "summary": "one sentence naming the error"
+}
+`;
+
+    try {
+      const response = await llmClient.completeJson(llm, {
+        messages: [{ role: 'user', content: prompt }],
+        schema: classificationSchema,
+        temperature: 0,
+        max_tokens: 300,
+        usage,
+        cache,
+        promptVersion: CLASSIFICATION_PROMPT_VERSION
+      });
+
+      if (response.source === 'model') {
+        return { category: response.value.category.toLowerCase(), source: 'model', matched: null, summary: response.value.summary };
+      }
+      logger.warn(`No valid classification of job ${job.id} after ${response.attempts} attempts`);
+    } catch (error) {
+      logger.error(`Failure classification LLM call failed for job ${job.id}:`, error);
+    }
+    return { category: 'unknown', source: 'fallback', matched: null, summary: null };
+  }
+
+  // Forgets the failures of runs no longer in the build history
+  prune(repository, runs) {
+    const prefix = `${repository.toLowerCase()}#`;
+    const runIds = new Set(runs.map(run => run.id));
+    for (const [key, failure] of this.store.entries()) {
+      if (key.startsWith(prefix) && !runIds.has(failure.run_id)) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  // Groups failures by category; a cause counts once per run
+  summarize(failures) {
+    const causes = new Map();
+    for (const failure of failures) {
+      if (!causes.has(failure.category)) {
+        causes.set(failure.category, { category: failure.category, runs: new Map(), latest: failure });
+      }
+      const cause = causes.get(failure.category);
+      if (!cause.runs.has(failure.run.id)) {
+        cause.runs.set(failure.run.id, {
+          run_id: failure.run.id,
+          url: failure.job.url || failure.run.url,
+          workflow: failure.run.workflow,
+          job: failure.job.name,
+          step: failure.step,
+          created_at: failure.run.created_at
+        });
+      }
+    }
+
+    return [...causes.values()]
+      .map(cause => ({
+        category: cause.category,
+        occurrences: cause.runs.size,
+        recurring: cause.runs.size > 1,
+        source: cause.latest.source,
+        evidence: cause.latest.summary || cause.latest.matched,
+        excerpt: cause.latest.excerpt ? cause.latest.excerpt.split('\n').slice(-10).join('\n') : null,
+        runs: [...cause.runs.values()].slice(0, LINKED_RUNS)
+      }))
+      .sort((a, b) => b.occurrences - a.occurrences);
+  }
+}
+
+module.exports = new BuildFailures();
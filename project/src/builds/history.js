@@ -0,0 +1,396 @@
+const winston = require('winston');
+
+const { openDatabase } = require('../stores/database');
+const githubClient = require('../github');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { percentile, isFailure } = require('../utils/buildModel');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Days of workflow runs kept per repository
+const HISTORY_DAYS = parseInt(process.env.BUILD_HISTORY_DAYS, 10) || 90;
+// Workflow runs fetched by one sync, newest first
+const SYNC_RUNS = parseInt(process.env.BUILD_HISTORY_SYNC_RUNS, 10) || 500;
+// How long stored runs are trusted before the next request syncs again;
+// webhook deliveries keep a repository fresh
+const SYNC_INTERVAL_MS = (parseInt(process.env.BUILD_HISTORY_SYNC_INTERVAL_SECONDS, 10) || 900) * 1000;
+// Head commits looked up per sync for the files a run built
+const FILE_LOOKUPS = parseInt(process.env.BUILD_HISTORY_FILE_LOOKUPS, 10) || 50;
+const LOOKUP_CONCURRENCY = 4;
+// Jobs listed as the slowest in each trend window
+const SLOWEST_JOBS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COUNTED_CONCLUSIONS = new Set(['success', 'failure', 'timed_out', 'startup_failure']);
+
+const repositoryKey = (repository) => repository.toLowerCase();
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    repository TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (repository, id)
+  );
+  CREATE INDEX IF NOT EXISTS runs_by_repository ON runs (repository, created_at);
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    repository TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    run_id INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (repository, id)
+  );
+  CREATE INDEX IF NOT EXISTS jobs_by_repository ON jobs (repository, started_at);
+  CREATE INDEX IF NOT EXISTS jobs_by_run ON jobs (repository, run_id);
+
+  CREATE TABLE IF NOT EXISTS freshness (
+    repository TEXT PRIMARY KEY,
+    synced_at TEXT,
+    webhook_at TEXT
+  );
+`;
+
+// Timestamps are compared as ISO 8601 strings
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+const jobTime = (job) => job.started_at || job.completed_at || new Date(0).toISOString();
+
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Time between two timestamps, or null unless both are set
+const between = (start, end) => (start && end ? Math.max(0, new Date(end) - new Date(start)) : null);
+
+// Start to last update of a finished run
+const durationOf = (run) => (run.status === 'completed' ? between(run.run_started_at || run.created_at, run.updated_at) : null);
+
+const median = (values) => percentile([...values].sort((a, b) => a - b), 50);
+
+// GitHub Actions history per repository: workflow runs and their jobs,
+// with steps, in the SQLite database DATA_DIR/build-history.db, indexed by
+// repository and time.
+//
+// Runs and jobs arrive from workflow_run / workflow_job webhooks
+// (routes/webhooks.js), from the backfill command (builds/backfill.js), and
+// from sync(), which the build predictor calls when a repository's runs are
+// older than BUILD_HISTORY_SYNC_INTERVAL_SECONDS. Each run also records the
+// files its head commit changed, which the build model conditions on.
+class BuildHistory {
+  // The database is opened on first use, so that loading the module doesn't
+  // create it
+  get db() {
+    if (!this.database) this.open();
+    return this.database;
+  }
+
+  get query() {
+    if (!this.database) this.open();
+    return this.statements;
+  }
+
+  open() {
+    this.database = openDatabase('build-history');
+    this.database.exec(SCHEMA);
+    this.statements = this.prepareStatements(this.database);
+  }
+
+  prepareStatements(db) {
+    return {
+      getRun: db.prepare('SELECT data FROM runs WHERE repository = ? AND id = ?'),
+      putRun: db.prepare('INSERT OR REPLACE INTO runs (repository, id, created_at, data) VALUES (?, ?, ?, ?)'),
+      getRuns: db.prepare('SELECT data FROM runs WHERE repository = ? AND created_at >= ? ORDER BY created_at DESC'),
+      pruneRuns: db.prepare('DELETE FROM runs WHERE repository = ? AND created_at < ?'),
+      putJob: db.prepare('INSERT OR REPLACE INTO jobs (repository, id, run_id, started_at, data) VALUES (?, ?, ?, ?, ?)'),
+      getJobs: db.prepare('SELECT data FROM jobs WHERE repository = ? AND started_at >= ?'),
+      getRunJobs: db.prepare('SELECT data FROM jobs WHERE repository = ? AND run_id = ?'),
+      getRunIdsWithJobs: db.prepare('SELECT DISTINCT run_id FROM jobs WHERE repository = ?'),
+      pruneJobs: db.prepare('DELETE FROM jobs WHERE repository = ? AND started_at < ?'),
+      getFreshness: db.prepare('SELECT synced_at, webhook_at FROM freshness WHERE repository = ?'),
+      markSynced: db.prepare('INSERT INTO freshness (repository, synced_at) VALUES (?, ?) ON CONFLICT (repository) DO UPDATE SET synced_at = excluded.synced_at'),
+      markDelivery: db.prepare('INSERT INTO freshness (repository, webhook_at) VALUES (?, ?) ON CONFLICT (repository) DO UPDATE SET webhook_at = excluded.webhook_at')
+    };
+  }
+
+  putRun(run) {
+    this.query.putRun.run(repositoryKey(run.repository), run.id, isoTime(run.created_at), JSON.stringify(run));
+    return run;
+  }
+
+  putJob(job) {
+    this.query.putJob.run(repositoryKey(job.repository), job.id, job.run_id, isoTime(jobTime(job)), JSON.stringify(job));
+    return job;
+  }
+
+  get github() {
+    return githubClient.rest;
+  }
+
+  normalizeRun(repository, run, files = null) {
+    return {
+      id: run.id,
+      repository,
+      workflow: run.name || String(run.workflow_id),
+      workflow_id: run.workflow_id,
+      branch: run.head_branch,
+      event: run.event,
+      head_sha: run.head_sha,
+      actor: run.actor ? run.actor.login : null,
+      status: run.status,
+      conclusion: run.conclusion,
+      run_attempt: run.run_attempt || 1,
+      created_at: run.created_at,
+      started_at: run.run_started_at || run.created_at,
+      duration_ms: durationOf(run),
+      url: run.html_url,
+      files
+    };
+  }
+
+  normalizeJob(repository, job, workflow = null) {
+    return {
+      id: job.id,
+      repository,
+      run_id: job.run_id,
+      run_attempt: job.run_attempt || 1,
+      workflow: job.workflow_name || workflow,
+      name: job.name,
+      branch: job.head_branch || null,
+      head_sha: job.head_sha,
+      status: job.status,
+      conclusion: job.conclusion,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      duration_ms: job.status === 'completed' ? between(job.started_at, job.completed_at) : null,
+      runner_name: job.runner_name || null,
+      labels: job.labels || [],
+      url: job.html_url,
+      steps: (job.steps || []).map(step => ({
+        number: step.number,
+        name: step.name,
+        status: step.status,
+        conclusion: step.conclusion,
+        started_at: step.started_at,
+        completed_at: step.completed_at,
+        duration_ms: step.status === 'completed' ? between(step.started_at, step.completed_at) : null
+      }))
+    };
+  }
+
+  // Stores a run from the API or a webhook. A run is stored once per ID, as
+  // its latest attempt; files already known are kept.
+  recordRun(repository, run) {
+    const row = this.query.getRun.get(repositoryKey(repository), run.id);
+    const existing = row ? JSON.parse(row.data) : null;
+    const known = existing && existing.head_sha === run.head_sha ? existing.files : null;
+    return this.putRun(this.normalizeRun(repository, run, known));
+  }
+
+  // Every attempt's jobs are kept, each job having its own ID
+  recordJob(repository, job, workflow = null) {
+    return this.putJob(this.normalizeJob(repository, job, workflow));
+  }
+
+  // Records a webhook delivery, which keeps the repository fresh
+  markDelivery(repository) {
+    this.query.markDelivery.run(repositoryKey(repository), new Date().toISOString());
+  }
+
+  // Newest first, optionally only those created since `since`
+  getRuns(repository, { since = null } = {}) {
+    return parseRows(this.query.getRuns.all(repositoryKey(repository), since ? isoTime(since) : ''));
+  }
+
+  // Optionally only those started since `since`
+  getJobs(repository, { since = null } = {}) {
+    return parseRows(this.query.getJobs.all(repositoryKey(repository), since ? isoTime(since) : ''));
+  }
+
+  // Every attempt's jobs of one run
+  getRunJobs(repository, runId) {
+    return parseRows(this.query.getRunJobs.all(repositoryKey(repository), runId));
+  }
+
+  isFresh(repository) {
+    const { synced_at: syncedAt, webhook_at: webhookAt } = this.query.getFreshness.get(repositoryKey(repository)) || {};
+    const latest = Math.max(syncedAt ? Date.parse(syncedAt) : 0, webhookAt ? Date.parse(webhookAt) : 0);
+    return Date.now() - latest < SYNC_INTERVAL_MS;
+  }
+
+  // Stored runs, synced first unless they are fresh
+  async getRecentRuns(owner, repo) {
+    const repository = `${owner}/${repo}`;
+    return this.isFresh(repository) ? this.getRuns(repository) : this.sync(owner, repo);
+  }
+
+  // Runs from the oldest stored run still in progress, or the newest one
+  // when all are done, or `days` back on the first sync
+  getSyncStart(runs, days = HISTORY_DAYS) {
+    const pending = runs.filter(run => run.status !== 'completed');
+    const from = pending.length > 0 ? pending[pending.length - 1] : runs[0];
+    const start = from ? new Date(from.created_at) : new Date(Date.now() - days * DAY_MS);
+    return start.toISOString().slice(0, 10);
+  }
+
+  async sync(owner, repo, { since = null, limit = SYNC_RUNS } = {}) {
+    const repository = `${owner}/${repo}`;
+    const stored = this.getRuns(repository);
+
+    const runs = await githubClient.paginate('actions.listWorkflowRunsForRepo', {
+      owner,
+      repo,
+      created: `>=${since || this.getSyncStart(stored)}`,
+      per_page: 100
+    }, { limit });
+
+    this.db.transaction(() => {
+      for (const run of runs) {
+        this.recordRun(repository, run);
+      }
+    })();
+    await this.fillChangedFiles(owner, repo);
+    this.prune(repository);
+    this.query.markSynced.run(repositoryKey(repository), new Date().toISOString());
+
+    logger.info(`Synced ${runs.length} workflow runs of ${repository}`);
+    return this.getRuns(repository);
+  }
+
+  // Looks up the files of at most `limit` head commits not yet known,
+  // newest runs first, or only of the commits in `shas`
+  async fillChangedFiles(owner, repo, { limit = FILE_LOOKUPS, shas = null } = {}) {
+    const repository = `${owner}/${repo}`;
+    const runs = this.getRuns(repository);
+    const files = new Map(runs.filter(run => run.files).map(run => [run.head_sha, run.files]));
+    const missing = [...new Set(runs.filter(run => !run.files).map(run => run.head_sha))]
+      .filter(sha => !files.has(sha) && (!shas || shas.includes(sha)))
+      .slice(0, limit);
+
+    await mapWithConcurrency(missing, LOOKUP_CONCURRENCY, async (sha) => {
+      const changed = await this.getCommitFiles(owner, repo, sha);
+      if (changed) files.set(sha, changed);
+    });
+
+    this.db.transaction(() => {
+      for (const run of runs) {
+        if (!run.files && files.has(run.head_sha)) {
+          this.putRun({ ...run, files: files.get(run.head_sha) });
+        }
+      }
+    })();
+  }
+
+  // Paths a commit changed, or null when it can't be read
+  async getCommitFiles(owner, repo, ref) {
+    try {
+      const { data: commit } = await this.github.repos.getCommit({ owner, repo, ref });
+      return (commit.files || []).map(file => file.filename);
+    } catch (error) {
+      logger.warn(`Could not read commit ${ref} of ${owner}/${repo}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async syncJobs(owner, repo, run) {
+    const jobs = await githubClient.paginate('actions.listJobsForWorkflowRun', {
+      owner,
+      repo,
+      run_id: run.id,
+      filter: 'all',
+      per_page: 100
+    });
+    this.db.transaction(() => {
+      for (const job of jobs) {
+        this.recordJob(`${owner}/${repo}`, job, run.workflow);
+      }
+    })();
+    return jobs.length;
+  }
+
+  // Fills the history for `days` back: every run, the files of every head
+  // commit and, unless `jobs` is false, the jobs of every finished run that
+  // has none stored
+  async backfill(owner, repo, { days = HISTORY_DAYS, jobs = true } = {}) {
+    const repository = `${owner}/${repo}`;
+    const since = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    await this.sync(owner, repo, { since, limit: Infinity });
+    await this.fillChangedFiles(owner, repo, { limit: Infinity });
+
+    let jobCount = 0;
+    if (jobs) {
+      const withJobs = new Set(this.query.getRunIdsWithJobs.all(repositoryKey(repository)).map(row => row.run_id));
+      const pending = this.getRuns(repository).filter(run => run.status === 'completed' && !withJobs.has(run.id));
+      const counts = await mapWithConcurrency(pending, LOOKUP_CONCURRENCY, async (run) => {
+        try {
+          return await this.syncJobs(owner, repo, run);
+        } catch (error) {
+          logger.warn(`Could not list the jobs of run ${run.id} of ${repository}: ${error.message}`);
+          return 0;
+        }
+      });
+      jobCount = counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    return { repository, since, runs: this.getRuns(repository).length, jobs_added: jobCount };
+  }
+
+  prune(repository) {
+    const cutoff = isoTime(Date.now() - HISTORY_DAYS * DAY_MS);
+    this.db.transaction(() => {
+      this.query.pruneRuns.run(repositoryKey(repository), cutoff);
+      this.query.pruneJobs.run(repositoryKey(repository), cutoff);
+    })();
+  }
+
+  // Success rate, median duration and slowest jobs per time window, newest
+  // window first. `windowDays` long windows, `windows` of them, optionally
+  // for one workflow or branch.
+  getTrends(repository, { windowDays = 7, windows = 4, workflow = null, branch = null } = {}) {
+    const matches = (record) => (!workflow || record.workflow === workflow) && (!branch || record.branch === branch);
+    const now = Date.now();
+    const since = now - windows * windowDays * DAY_MS;
+    const runs = this.getRuns(repository, { since }).filter(run => matches(run) && COUNTED_CONCLUSIONS.has(run.conclusion));
+    const jobs = this.getJobs(repository, { since }).filter(job => matches(job) && job.duration_ms !== null);
+
+    return Array.from({ length: windows }, (_, index) => {
+      const to = now - index * windowDays * DAY_MS;
+      const from = to - windowDays * DAY_MS;
+      const inWindow = (timestamp) => {
+        const time = new Date(timestamp).getTime();
+        return time > from && time <= to;
+      };
+
+      const windowRuns = runs.filter(run => inWindow(run.created_at));
+      const durations = windowRuns.filter(run => run.duration_ms !== null).map(run => run.duration_ms / 60000);
+      const failures = windowRuns.filter(isFailure).length;
+
+      const byJob = new Map();
+      for (const job of jobs.filter(candidate => inWindow(candidate.started_at))) {
+        const key = `${job.workflow}|${job.name}`;
+        if (!byJob.has(key)) byJob.set(key, { workflow: job.workflow, job: job.name, durations: [] });
+        byJob.get(key).durations.push(job.duration_ms / 60000);
+      }
+
+      return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        runs: windowRuns.length,
+        failures,
+        success_rate: windowRuns.length > 0 ? round((windowRuns.length - failures) / windowRuns.length, 3) : null,
+        median_duration_minutes: durations.length > 0 ? round(median(durations)) : null,
+        slowest_jobs: [...byJob.values()]
+          .map(entry => ({ workflow: entry.workflow, job: entry.job, runs: entry.durations.length, median_minutes: round(median(entry.durations)) }))
+          .sort((a, b) => b.median_minutes - a.median_minutes)
+          .slice(0, SLOWEST_JOBS)
+      };
+    });
+  }
+}
+
+module.exports = new BuildHistory();
@@ -0,0 +1,318 @@
+const winston = require('winston');
+
+const JsonStore = require('../stores/jsonStore');
+const githubClient = require('../github');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isFailure } = require('../utils/buildModel');
+const { readZip } = require('../utils/zipArchive');
+const { parseJUnit } = require('../utils/junitReport');
+const { meaningfulDirs } = require('../utils/testConventions');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Artifacts whose names match are read as test reports
+const ARTIFACT_PATTERN = new RegExp(process.env.TEST_REPORT_ARTIFACTS || 'test|junit|report|result', 'i');
+// Largest artifact downloaded, and the most XML read from one
+const MAX_ARTIFACT_BYTES = (parseInt(process.env.TEST_REPORT_MAX_MB, 10) || 20) * 1024 * 1024;
+const MAX_XML_BYTES = 4 * MAX_ARTIFACT_BYTES;
+// Run attempts whose reports one sync reads, newest first
+const SYNC_RUNS = parseInt(process.env.TEST_REPORT_SYNC_RUNS, 10) || 20;
+const DOWNLOAD_CONCURRENCY = 2;
+// Recent runs linked per flaky test
+const LINKED_RUNS = 5;
+// Failed executions on a SHA that never passed don't count toward the flake
+// rate; this many executions pull an unproven rate toward zero
+const SMOOTHING_EXECUTIONS = 5;
+
+const reportKey = (repository, runId, attempt) => `${repository.toLowerCase()}#${runId}#${attempt}`;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Where a test lives: its file, or a dotted class name read as a path
+// (com.acme.UserTest, tests.api.test_users)
+const testPathOf = (test) => {
+  if (test.file) return test.file;
+  if (test.classname && /^[\w$]+(\.[\w$]+)+$/.test(test.classname)) return test.classname.replace(/\./g, '/');
+  return null;
+};
+
+// The code a file belongs to, ignoring directories that only say "tests" or
+// "sources", so that test/api/users.test.js and src/api/users.js share `api`
+const codeAreaOf = (file) => meaningfulDirs(file).slice(0, 2).join('/') || '.';
+
+// The group of tests that runs together; a test missing from a report whose
+// suite ran was not failed and so passed
+const suiteOf = (test) => test.file || test.classname || test.suite || '';
+
+// Test results of GitHub Actions runs, read from the JUnit XML files in
+// their artifacts and kept per run attempt in DATA_DIR/test-reports.json.
+// A report keeps the failed tests and the suites that ran, which is enough
+// to tell whether any test passed.
+//
+// A test is flaky when it both failed and passed on the same head commit:
+// in a re-run of the same run, or in another workflow or event building it.
+class TestReports {
+  constructor() {
+    this.store = new JsonStore('test-reports');
+  }
+
+  get github() {
+    return githubClient.rest;
+  }
+
+  getReports(repository) {
+    const prefix = `${repository.toLowerCase()}#`;
+    return this.store.entries()
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, report]) => report);
+  }
+
+  // Reads the reports of finished runs not read yet, at most `limit` run
+  // attempts, newest runs first. Reports of runs no longer in `runs` are
+  // dropped.
+  async sync(owner, repo, runs, { limit = SYNC_RUNS } = {}) {
+    const repository = `${owner}/${repo}`;
+    this.prune(repository, runs);
+
+    const pending = [];
+    for (const run of runs) {
+      const attempts = this.getUnreadAttempts(repository, run);
+      if (attempts.length > 0) pending.push({ run, attempts });
+      if (pending.reduce((sum, entry) => sum + entry.attempts.length, 0) >= limit) break;
+    }
+
+    const counts = await mapWithConcurrency(pending, DOWNLOAD_CONCURRENCY, async ({ run, attempts }) => {
+      try {
+        return await this.readRun(owner, repo, run, attempts);
+      } catch (error) {
+        logger.warn(`Could not read the test reports of run ${run.id} of ${repository}: ${error.message}`);
+        return 0;
+      }
+    });
+
+    const read = counts.reduce((sum, count) => sum + count, 0);
+    if (read > 0) logger.info(`Read ${read} test reports of ${repository}`);
+    return read;
+  }
+
+  // Reads the reports of a run that just finished, as its workflow_run
+  // webhook arrives, so that predictions find them stored
+  async readFinishedRun(owner, repo, run) {
+    const repository = `${owner}/${repo}`;
+    const attempts = this.getUnreadAttempts(repository, run);
+    if (attempts.length === 0) return 0;
+    try {
+      return await this.readRun(owner, repo, run, attempts);
+    } catch (error) {
+      logger.warn(`Could not read the test reports of run ${run.id} of ${repository}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Attempts of a finished run without a stored report
+  getUnreadAttempts(repository, run) {
+    if (run.conclusion !== 'success' && !isFailure(run)) return [];
+    const attempts = [];
+    for (let attempt = 1; attempt <= (run.run_attempt || 1); attempt++) {
+      if (!this.store.has(reportKey(repository, run.id, attempt))) attempts.push(attempt);
+    }
+    return attempts;
+  }
+
+  // Stores a report for each of the run's `attempts`, even one without
+  // test results, so that it is read once
+  async readRun(owner, repo, run, attempts) {
+    const repository = `${owner}/${repo}`;
+    const artifacts = (await githubClient.paginate('actions.listWorkflowRunArtifacts', {
+      owner,
+      repo,
+      run_id: run.id,
+      per_page: 100
+    })).filter(artifact => ARTIFACT_PATTERN.test(artifact.name) && !artifact.expired);
+
+    // All attempts' artifacts are listed together; each belongs to the
+    // attempt that started last before it was created
+    const details = await this.getAttempts(owner, repo, run);
+    const attemptOf = (artifact) => {
+      const created = Date.parse(artifact.created_at);
+      let attempt = 1;
+      for (const detail of details) {
+        if (detail.started_at && Date.parse(detail.started_at) <= created) attempt = detail.attempt;
+      }
+      return attempt;
+    };
+
+    let read = 0;
+    for (const attempt of attempts) {
+      const detail = details.find(candidate => candidate.attempt === attempt);
+      const results = await this.readArtifacts(owner, repo, artifacts.filter(artifact => attemptOf(artifact) === attempt));
+      this.store.set(reportKey(repository, run.id, attempt), this.summarizeReport(run, detail, results));
+      if (results.artifacts > 0) read++;
+    }
+    return read;
+  }
+
+  // Start time and conclusion of each attempt of the run
+  async getAttempts(owner, repo, run) {
+    const latest = run.run_attempt || 1;
+    const details = [];
+    for (let attempt = 1; attempt <= latest; attempt++) {
+      if (attempt === latest) {
+        details.push({ attempt, started_at: run.started_at || run.created_at, conclusion: run.conclusion });
+      } else {
+        const { data } = await this.github.actions.getWorkflowRunAttempt({ owner, repo, run_id: run.id, attempt_number: attempt });
+        details.push({ attempt, started_at: data.run_started_at || data.created_at, conclusion: data.conclusion });
+      }
+    }
+    return details;
+  }
+
+  // Test cases of the JUnit XML files in the artifacts. A test reported
+  // more than once, by matrix jobs or retries, failed if it failed anywhere.
+  // An artifact that can't be downloaded or parsed adds no tests, so that
+  // the report is still stored and the artifact isn't downloaded again.
+  async readArtifacts(owner, repo, artifacts) {
+    const tests = new Map();
+    let read = 0;
+
+    for (const artifact of artifacts) {
+      if (artifact.size_in_bytes > MAX_ARTIFACT_BYTES) {
+        logger.warn(`Skipping test report artifact ${artifact.name} of ${owner}/${repo}: ${artifact.size_in_bytes} bytes`);
+        continue;
+      }
+
+      let results;
+      try {
+        const { data } = await this.github.actions.downloadArtifact({ owner, repo, artifact_id: artifact.id, archive_format: 'zip' });
+        const files = readZip(data, { filter: name => name.toLowerCase().endsWith('.xml'), maxBytes: MAX_XML_BYTES });
+        results = files.flatMap(file => parseJUnit(file.data.toString('utf-8')) || []);
+      } catch (error) {
+        logger.warn(`Could not read test report artifact ${artifact.name} of ${owner}/${repo}: ${error.message}`);
+        continue;
+      }
+
+      for (const test of results) {
+        const known = tests.get(test.id);
+        if (!known || (test.status === 'failed' && known.status !== 'failed') || known.status === 'skipped') {
+          tests.set(test.id, test);
+        }
+      }
+      read++;
+    }
+
+    return { artifacts: read, tests: [...tests.values()] };
+  }
+
+  summarizeReport(run, detail, { artifacts, tests }) {
+    const ran = tests.filter(test => test.status !== 'skipped');
+    return {
+      run_id: run.id,
+      run_attempt: detail.attempt,
+      workflow: run.workflow,
+      branch: run.branch,
+      head_sha: run.head_sha,
+      conclusion: detail.conclusion,
+      started_at: detail.started_at,
+      url: detail.attempt === (run.run_attempt || 1) ? run.url : `${run.url}/attempts/${detail.attempt}`,
+      artifacts,
+      tests: ran.length,
+      suites: [...new Set(ran.map(suiteOf))],
+      failed: ran.filter(test => test.status === 'failed').map(({ id, name, classname, file, message }) => ({
+        id,
+        name,
+        classname,
+        file,
+        message
+      }))
+    };
+  }
+
+  prune(repository, runs) {
+    const runIds = new Set(runs.map(run => run.id));
+    const prefix = `${repository.toLowerCase()}#`;
+    for (const [key, report] of this.store.entries()) {
+      if (key.startsWith(prefix) && !runIds.has(report.run_id)) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  // Tests that both failed and passed on at least one head commit, flakiest
+  // first.
+  //
+  // `score` is the share of the commits a test failed on where it also
+  // passed, smoothed so that one flake scores 0.5 and a test that is broken
+  // more often than it flakes scores low. `flake_rate` is the chance that
+  // an execution fails on a commit where the test also passes.
+  getFlakyTests(repository) {
+    const reports = this.getReports(repository)
+      .filter(report => report.artifacts > 0)
+      .sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at));
+
+    const failedTests = new Map();
+    for (const report of reports) {
+      for (const test of report.failed) {
+        if (!failedTests.has(test.id)) failedTests.set(test.id, test);
+      }
+    }
+
+    const flaky = [];
+    for (const test of failedTests.values()) {
+      const suite = suiteOf(test);
+      const executions = reports.filter(report => report.suites.includes(suite) || report.failed.some(failed => failed.id === test.id));
+      const outcomes = executions.map(report => ({ report, failed: report.failed.some(failed => failed.id === test.id) }));
+
+      const bySha = new Map();
+      for (const outcome of outcomes) {
+        if (!bySha.has(outcome.report.head_sha)) bySha.set(outcome.report.head_sha, { passed: 0, failed: 0 });
+        bySha.get(outcome.report.head_sha)[outcome.failed ? 'failed' : 'passed']++;
+      }
+      const failedShas = [...bySha.values()].filter(counts => counts.failed > 0);
+      const flakyShas = [...bySha.entries()].filter(([, counts]) => counts.failed > 0 && counts.passed > 0);
+      if (flakyShas.length === 0) continue;
+
+      const flakes = outcomes.filter(outcome => outcome.failed && bySha.get(outcome.report.head_sha).passed > 0);
+      const path = testPathOf(test);
+      flaky.push({
+        id: test.id,
+        name: test.name,
+        classname: test.classname,
+        file: test.file,
+        area: path ? codeAreaOf(path) : null,
+        score: round(flakyShas.length / (failedShas.length + 1)),
+        flaky_shas: flakyShas.length,
+        failed_shas: failedShas.length,
+        executions: executions.length,
+        failures: outcomes.filter(outcome => outcome.failed).length,
+        flaky_failures: flakes.length,
+        flake_rate: round(flakes.length / (executions.length + SMOOTHING_EXECUTIONS)),
+        last_flaked_at: flakes[0].report.started_at,
+        last_message: flakes[0].report.failed.find(failed => failed.id === test.id).message,
+        runs: outcomes.filter(outcome => flakyShas.some(([sha]) => sha === outcome.report.head_sha))
+          .slice(0, LINKED_RUNS)
+          .map(({ report, failed }) => ({
+            run_id: report.run_id,
+            run_attempt: report.run_attempt,
+            workflow: report.workflow,
+            head_sha: report.head_sha,
+            outcome: failed ? 'failed' : 'passed',
+            url: report.url
+          }))
+      });
+    }
+
+    return flaky.sort((a, b) => b.score - a.score || b.flaky_shas - a.flaky_shas);
+  }
+
+  // The flaky tests in the same code areas as the changed files
+  touchedBy(flakyTests, files) {
+    const areas = new Set((files || []).map(codeAreaOf));
+    return flakyTests.filter(test => test.area !== null && areas.has(test.area));
+  }
+}
+
+module.exports = new TestReports();
@@ -0,0 +1,72 @@
+const githubClient = require('../github');
+const buildHistory = require('./history');
+const { getDurations, isFailure } = require('../utils/buildModel');
+const { lintWorkflow, recommendationsFor } = require('../utils/workflowLinter');
+
+const WORKFLOWS_DIR = '.github/workflows';
+const FULL_SHA = /^[0-9a-f]{40}$/i;
+
+const isWorkflowFile = (entry) => entry.type === 'file' && /\.ya?ml$/i.test(entry.name);
+
+// The GitHub Actions workflows of a repository, read from
+// .github/workflows and checked by utils/workflowLinter. Suggested job
+// timeouts come from the workflows' durations in the build history.
+class WorkflowLint {
+  // [{ path, content }] of the workflow files at `ref`; `listing` is the
+  // directory's content data when the caller already has it
+  async getWorkflowFiles(owner, repo, ref, listing = undefined) {
+    const entries = listing === undefined ? await githubClient.getContent(owner, repo, WORKFLOWS_DIR, ref) : listing;
+    if (!Array.isArray(entries)) return [];
+
+    const paths = entries.filter(isWorkflowFile).map(entry => entry.path || `${WORKFLOWS_DIR}/${entry.name}`);
+    const contents = await githubClient.getFileContents(owner, repo, paths, ref);
+    return Object.entries(contents).map(([path, content]) => ({ path, content }));
+  }
+
+  // p95 duration in minutes per workflow name, from the stored runs that
+  // finished
+  getWorkflowDurations(runs, branch = null) {
+    const completed = runs.filter(run => run.conclusion === 'success' || isFailure(run));
+    return Object.fromEntries(getDurations(completed, branch).map(duration => [duration.workflow, duration.p95_minutes]));
+  }
+
+  lintFiles(files, { durations = {} } = {}) {
+    const workflows = files.map(file => ({ path: file.path, findings: lintWorkflow(file.path, file.content, { durations }) }));
+    const findings = workflows.flatMap(workflow => workflow.findings);
+    return {
+      workflows: workflows.map(workflow => ({ path: workflow.path, findings: workflow.findings.length })),
+      summary: {
+        critical: findings.filter(finding => finding.severity === 'critical').length,
+        major: findings.filter(finding => finding.severity === 'major').length,
+        minor: findings.filter(finding => finding.severity === 'minor').length
+      },
+      findings,
+      recommendations: recommendationsFor(findings)
+    };
+  }
+
+  async lintRepository(owner, repo, ref = undefined) {
+    const files = await this.getWorkflowFiles(owner, repo, ref);
+    const branch = await this.getRunsBranch(owner, repo, ref);
+    const durations = this.getWorkflowDurations(buildHistory.getRuns(`${owner}/${repo}`), branch);
+    return this.lintFiles(files, { durations });
+  }
+
+  // The branch whose runs time the workflows: `ref` when it is a branch,
+  // otherwise (a tag, a commit SHA or no ref) the default branch
+  async getRunsBranch(owner, repo, ref) {
+    const branch = ref && ref.replace(/^refs\/heads\//, '');
+    if (branch && !FULL_SHA.test(branch) && !ref.startsWith('refs/tags/')) {
+      try {
+        await githubClient.rest.repos.getBranch({ owner, repo, branch });
+        return branch;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    const { data } = await githubClient.rest.repos.get({ owner, repo });
+    return data.default_branch;
+  }
+}
+
+module.exports = new WorkflowLint();
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { GitHubAppAuth } = require('../appAuth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const HOUR = 60 * 60 * 1000;
+
+// Answers the app endpoints: repositories map to installations, and every
+// token exchange issues a new token expiring `tokenLifetime` from now
+const appApi = ({ installations = { 'acme/api': 11, 'acme/web': 11, 'other/lib': 22 }, tokenLifetime = HOUR } = {}) => {
+  let issued = 0;
+  return jest.fn(async (route, params) => {
+    if (route === 'GET /repos/{owner}/{repo}/installation') {
+      const id = installations[`${params.owner}/${params.repo}`.toLowerCase()];
+      if (!id) throw Object.assign(new Error('Not Found'), { status: 404 });
+      return { data: { id } };
+    }
+    issued += 1;
+    return { data: { token: `token-${params.installation_id}-${issued}`, expires_at: new Date(Date.now() + tokenLifetime).toISOString() } };
+  });
+};
+
+const exchanges = (request) => request.mock.calls.filter(([route]) => route.startsWith('POST')).length;
+
+describe('GitHubAppAuth', () => {
+  const env = {};
+
+  beforeEach(() => {
+    for (const name of ['GITHUB_APP_ID', 'GITHUB_APP_PRIVATE_KEY', 'GITHUB_APP_PRIVATE_KEY_PATH']) {
+      env[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe('fromEnv', () => {
+    it('is off without app settings and rejects half of them', () => {
+      expect(GitHubAppAuth.fromEnv()).toBeNull();
+
+      process.env.GITHUB_APP_ID = '42';
+      expect(() => GitHubAppAuth.fromEnv()).toThrow('needs both GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY');
+    });
+
+    it('unescapes newlines in the private key', () => {
+      process.env.GITHUB_APP_ID = '42';
+      process.env.GITHUB_APP_PRIVATE_KEY = privateKey.replace(/\n/g, '\\n');
+
+      expect(GitHubAppAuth.fromEnv().privateKey).toBe(privateKey);
+    });
+  });
+
+  it('signs a short-lived RS256 app JWT', () => {
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request: appApi() });
+    const now = Math.floor(Date.now() / 1000);
+
+    const payload = jwt.verify(auth.createJwt(), publicKey, { algorithms: ['RS256'] });
+
+    expect(payload.iss).toBe('42');
+    expect(payload.iat).toBeLessThan(now);
+    expect(payload.exp - payload.iat).toBeLessThanOrEqual(10 * 60);
+    expect(auth.appHeaders().authorization).toMatch(/^bearer /);
+  });
+
+  it('caches installations and their tokens', async () => {
+    const request = appApi();
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request });
+
+    expect(await auth.getToken('acme', 'api')).toBe('token-11-1');
+    expect(await auth.getToken('ACME', 'API')).toBe('token-11-1');
+    // Another repository of the same installation shares its token
+    expect(await auth.getToken('acme', 'web')).toBe('token-11-1');
+    expect(await auth.getToken('other', 'lib')).toBe('token-22-2');
+
+    expect(exchanges(request)).toBe(2);
+    expect(request.mock.calls.filter(([route]) => route.startsWith('GET'))).toHaveLength(3);
+  });
+
+  it('shares one exchange between concurrent requests', async () => {
+    const request = appApi();
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request });
+
+    const tokens = await Promise.all([auth.getToken('acme', 'api'), auth.getToken('acme', 'api'), auth.getToken('acme', 'web')]);
+
+    expect(tokens).toEqual(['token-11-1', 'token-11-1', 'token-11-1']);
+    expect(exchanges(request)).toBe(1);
+  });
+
+  it('fetches a new token shortly before the cached one expires', async () => {
+    jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') });
+    const request = appApi();
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request });
+
+    await auth.getToken('acme', 'api');
+    jest.setSystemTime(Date.parse('2026-01-01T00:50:00Z'));
+    expect(await auth.getToken('acme', 'api')).toBe('token-11-1');
+    jest.setSystemTime(Date.parse('2026-01-01T00:56:00Z'));
+    expect(await auth.getToken('acme', 'api')).toBe('token-11-2');
+  });
+
+  it('drops the installation and token on invalidate', async () => {
+    const request = appApi();
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request });
+
+    await auth.getToken('acme', 'api');
+    auth.invalidate('acme', 'api');
+
+    expect(await auth.getToken('acme', 'api')).toBe('token-11-2');
+    expect(request.mock.calls.filter(([route]) => route.startsWith('GET'))).toHaveLength(2);
+  });
+
+  it('reports a repository without the app as forbidden', async () => {
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request: appApi() });
+
+    await expect(auth.getToken('someone', 'else')).rejects.toMatchObject({
+      status: 403,
+      message: 'GitHub App 42 is not installed on someone/else'
+    });
+  });
+
+  it('does not cache a failed exchange', async () => {
+    const request = appApi();
+    request.mockImplementationOnce(async () => ({ data: { id: 11 } }))
+      .mockImplementationOnce(async () => { throw Object.assign(new Error('Server Error'), { status: 500 }); });
+    const auth = new GitHubAppAuth({ appId: 42, privateKey, request });
+
+    await expect(auth.getToken('acme', 'api')).rejects.toThrow('Server Error');
+    expect(await auth.getToken('acme', 'api')).toBe('token-11-1');
+  });
+});
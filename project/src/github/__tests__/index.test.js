@@ -0,0 +1,179 @@
+const githubClient = require('..');
+
+const rateLimited = (headers, message = 'API rate limit exceeded') =>
+  Object.assign(new Error(message), { status: 403, response: { headers } });
+
+// Stands in for Octokit's endpoint.parse
+const endpoint = { parse: options => ({ url: options.url, headers: options.headers || {} }) };
+
+describe('GitHubClient', () => {
+  const originalToken = process.env.GITHUB_TOKEN;
+
+  beforeEach(() => {
+    process.env.GITHUB_TOKEN = 'token-a';
+  });
+
+  afterEach(() => {
+    githubClient.reset();
+    process.env.GITHUB_TOKEN = originalToken;
+  });
+
+  describe('getRetryDelay', () => {
+    it('waits for the primary rate limit to reset', () => {
+      const reset = Math.floor(Date.now() / 1000) + 30;
+      const error = rateLimited({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+
+      expect(githubClient.getRetryDelay(error, 0)).toBeGreaterThanOrEqual(30);
+      expect(githubClient.getRetryDelay(error, 0)).toBeLessThanOrEqual(32);
+    });
+
+    it('honours retry-after and backs off exponentially on secondary limits', () => {
+      expect(githubClient.getRetryDelay(rateLimited({ 'retry-after': '5' }), 0)).toBe(5);
+
+      const secondary = rateLimited({}, 'You have exceeded a secondary rate limit');
+      expect(githubClient.getRetryDelay(secondary, 0)).toBe(60);
+      expect(githubClient.getRetryDelay(secondary, 1)).toBe(120);
+    });
+
+    it('gives up on other errors, long waits and after the last retry', () => {
+      expect(githubClient.getRetryDelay(Object.assign(new Error('Not Found'), { status: 404 }), 0)).toBeNull();
+      expect(githubClient.getRetryDelay(rateLimited({}, 'Resource not accessible by integration'), 0)).toBeNull();
+      expect(githubClient.getRetryDelay(rateLimited({ 'retry-after': '3600' }), 0)).toBeNull();
+      expect(githubClient.getRetryDelay(rateLimited({ 'retry-after': '1' }), 3)).toBeNull();
+    });
+  });
+
+  describe('requestWithBackoff', () => {
+    it('retries a rate-limited request', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(rateLimited({ 'retry-after': '0' }))
+        .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+      await expect(githubClient.requestWithBackoff(request, { method: 'GET', url: '/rate' }))
+        .resolves.toEqual({ status: 200, data: 'ok' });
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('rethrows errors that are not rate limits', async () => {
+      const request = jest.fn().mockRejectedValue(Object.assign(new Error('Server Error'), { status: 500 }));
+
+      await expect(githubClient.requestWithBackoff(request, { method: 'GET', url: '/boom' })).rejects.toThrow('Server Error');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sendRequest', () => {
+    const get = (url = '/repos/acme/api', headers = {}) => ({ method: 'GET', url, headers });
+
+    it('revalidates cached responses and reuses them on a 304', async () => {
+      const request = jest.fn()
+        .mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"' }, data: { name: 'api' } })
+        .mockRejectedValueOnce(Object.assign(new Error('Not Modified'), { status: 304 }));
+
+      const first = await githubClient.sendRequest(request, get(), endpoint);
+      first.data.name = 'changed by the caller';
+      const second = await githubClient.sendRequest(request, get(), endpoint);
+
+      expect(request.mock.calls[1][0].headers['if-none-match']).toBe('"v1"');
+      expect(second.data).toEqual({ name: 'api' });
+    });
+
+    it('keeps cached responses apart per token', async () => {
+      const request = jest.fn().mockResolvedValue({ status: 200, headers: { etag: '"v1"' }, data: {} });
+
+      await githubClient.sendRequest(request, get(), endpoint);
+      process.env.GITHUB_TOKEN = 'token-b';
+      await githubClient.sendRequest(request, get(), endpoint);
+      await githubClient.sendRequest(request, get('/repos/acme/api', { authorization: 'token other' }), endpoint);
+
+      expect(request.mock.calls.map(([options]) => options.headers['if-none-match'])).toEqual([undefined, undefined, undefined]);
+
+      const keys = await Promise.all([
+        githubClient.getCacheKey(endpoint, get()),
+        githubClient.getCacheKey(endpoint, get('/repos/acme/api', { authorization: 'token other' }))
+      ]);
+      expect(keys[0]).toMatch(/^\/repos\/acme\/api\|\|token:[0-9a-f]{16}$/);
+      expect(keys[0]).not.toBe(keys[1]);
+      expect(keys.join()).not.toContain('token-b');
+    });
+
+    it('does not cache other methods', async () => {
+      const request = jest.fn().mockResolvedValue({ status: 200, headers: { etag: '"v1"' }, data: {} });
+
+      await githubClient.sendRequest(request, { method: 'POST', url: '/repos/acme/api/issues', headers: {} }, endpoint);
+      await githubClient.sendRequest(request, { method: 'POST', url: '/repos/acme/api/issues', headers: {} }, endpoint);
+
+      expect(request.mock.calls[1][0].headers['if-none-match']).toBeUndefined();
+    });
+  });
+
+  describe('as a GitHub App', () => {
+    let appAuth;
+
+    beforeEach(() => {
+      let issued = 0;
+      appAuth = {
+        getInstallationId: jest.fn(async (owner) => (owner === 'acme' ? 11 : 22)),
+        getToken: jest.fn(async () => `installation-token-${++issued}`),
+        invalidate: jest.fn()
+      };
+      githubClient.appAuth = appAuth;
+    });
+
+    it('keys cached responses by installation', async () => {
+      await expect(githubClient.getCacheKey(endpoint, { method: 'GET', url: '/repos/acme/api', owner: 'acme', repo: 'api' }))
+        .resolves.toBe('/repos/acme/api||installation:11');
+      await expect(githubClient.getCacheKey(endpoint, { method: 'GET', url: 'https://api.github.com/repos/other/lib/pulls' }))
+        .resolves.toBe('https://api.github.com/repos/other/lib/pulls||installation:22');
+      await expect(githubClient.getCacheKey(endpoint, { method: 'GET', url: '/app' })).resolves.toBe('/app||app');
+    });
+
+    it('sends the installation token and replaces it once after a 401', async () => {
+      // The options object is reused for the retry, so the header is read as sent
+      const sent = [];
+      const request = jest.fn(async (options) => {
+        sent.push(options.headers.authorization);
+        if (sent.length === 1) throw Object.assign(new Error('Bad credentials'), { status: 401 });
+        return { status: 200, headers: {}, data: {} };
+      });
+
+      await githubClient.requestAsInstallation(request, { method: 'GET', url: '/repos/acme/api', owner: 'acme', repo: 'api', headers: {} });
+
+      expect(sent).toEqual(['token installation-token-1', 'token installation-token-2']);
+      expect(appAuth.invalidate).toHaveBeenCalledWith('acme', 'api');
+    });
+
+    it('rejects requests that name no repository', async () => {
+      await expect(githubClient.requestAsInstallation(jest.fn(), { method: 'GET', url: '/user', headers: {} }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('paginate', () => {
+    const pages = [[1, 2, 3], [4, 5, 6], [7, 8, 9]];
+    const client = {
+      pulls: { listFiles: jest.fn() },
+      async paginate(method, params, mapFn) {
+        const items = [];
+        let stopped = false;
+        for (const data of pages) {
+          items.push(...(mapFn ? mapFn({ data }, () => { stopped = true; }) : data));
+          if (stopped) break;
+        }
+        return items;
+      }
+    };
+
+    beforeEach(() => {
+      githubClient.use(client);
+    });
+
+    it('collects every page', async () => {
+      await expect(githubClient.paginate('pulls.listFiles', { pull_number: 7 })).resolves.toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('stops fetching once the limit is reached', async () => {
+      await expect(githubClient.paginate('pulls.listFiles', { pull_number: 7 }, { limit: 4 })).resolves.toEqual([1, 2, 3, 4]);
+    });
+  });
+});
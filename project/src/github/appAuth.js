@@ -0,0 +1,137 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { Octokit } = require('@octokit/rest');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// GitHub rejects app JWTs valid for more than ten minutes. The issue time is
+// backdated to allow for clock drift between this server and GitHub.
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const JWT_CLOCK_DRIFT_SECONDS = 60;
+// Installation tokens last an hour; a new one is fetched this long before
+// the cached one expires so a request never starts with an expiring token
+const TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// Private keys set in the environment often have their newlines escaped
+const loadPrivateKey = () => {
+  if (process.env.GITHUB_APP_PRIVATE_KEY) {
+    return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+  }
+  return null;
+};
+
+// Authenticates as a GitHub App: signs app JWTs with the private key, finds
+// the installation that covers a repository, and exchanges it for an
+// installation token. Installations and tokens are cached, and concurrent
+// requests for the same token share one exchange.
+class GitHubAppAuth {
+  constructor({ appId, privateKey, request = null }) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    // App endpoints are called without the shared client's hooks, which
+    // would try to authenticate them as an installation
+    this.request = request || new Octokit().request;
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  static fromEnv() {
+    const appId = process.env.GITHUB_APP_ID;
+    const privateKey = loadPrivateKey();
+    if (!appId && !privateKey) return null;
+    if (!appId || !privateKey) {
+      throw new Error('GitHub App authentication needs both GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY (or GITHUB_APP_PRIVATE_KEY_PATH)');
+    }
+    return new GitHubAppAuth({ appId, privateKey });
+  }
+
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign(
+      { iat: now - JWT_CLOCK_DRIFT_SECONDS, exp: now + JWT_LIFETIME_SECONDS, iss: String(this.appId) },
+      this.privateKey,
+      { algorithm: 'RS256' }
+    );
+  }
+
+  appHeaders() {
+    return { authorization: `bearer ${this.createJwt()}` };
+  }
+
+  async getInstallationId(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (this.installations.has(key)) return this.installations.get(key);
+
+    try {
+      const { data } = await this.request('GET /repos/{owner}/{repo}/installation', {
+        owner,
+        repo,
+        headers: this.appHeaders()
+      });
+      this.installations.set(key, data.id);
+      return data.id;
+    } catch (error) {
+      if (error.status === 404) {
+        const notInstalled = new Error(`GitHub App ${this.appId} is not installed on ${owner}/${repo}`);
+        notInstalled.status = 403;
+        throw notInstalled;
+      }
+      throw error;
+    }
+  }
+
+  // An installation token for the repository, reused until shortly before
+  // it expires
+  async getToken(owner, repo) {
+    const installationId = await this.getInstallationId(owner, repo);
+    const cached = this.tokens.get(installationId);
+    if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_SECONDS * 1000)) {
+      return cached.token;
+    }
+
+    // Requests arriving meanwhile wait for this exchange; the no-op catch
+    // keeps a failure nobody else waited for from going unhandled
+    const pending = this.createInstallationToken(installationId);
+    const shared = pending.then(created => created.token);
+    shared.catch(() => {});
+    this.tokens.set(installationId, { token: shared, expiresAt: null });
+    try {
+      const { token, expiresAt } = await pending;
+      this.tokens.set(installationId, { token: Promise.resolve(token), expiresAt });
+      return token;
+    } catch (error) {
+      this.tokens.delete(installationId);
+      throw error;
+    }
+  }
+
+  async createInstallationToken(installationId) {
+    const { data } = await this.request('POST /app/installations/{installation_id}/access_tokens', {
+      installation_id: installationId,
+      headers: this.appHeaders()
+    });
+    logger.info(`Created GitHub App installation token for installation ${installationId}, expires ${data.expires_at}`);
+    return { token: data.token, expiresAt: Date.parse(data.expires_at) };
+  }
+
+  // Drops the repository's cached installation and token, after GitHub
+  // rejected the token or the app was reinstalled
+  invalidate(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    const installationId = this.installations.get(key);
+    this.installations.delete(key);
+    if (installationId !== undefined) this.tokens.delete(installationId);
+  }
+}
+
+module.exports = {
+  GitHubAppAuth
+};
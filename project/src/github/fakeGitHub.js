@@ -0,0 +1,115 @@
+// In-memory stand-in for the Octokit client, for tests and local runs
+// without GitHub (GITHUB_CLIENT=fake).
+//
+// Any endpoint can be called as on Octokit (fake.pulls.listFiles(params)).
+// Responses are stubbed per endpoint with on(); a stub is a value or a
+// function of the request params, and a function may throw to simulate an
+// API error. repos.getContent also serves files added with addFile().
+// Endpoints with no stub fail with 404. Every call is recorded in `calls`.
+//
+//   github.use(new FakeGitHub())
+//     .on('pulls.get', { number: 1, head: { sha: 'abc' } })
+//     .addFile('acme/api', 'package.json', '{}');
+
+const NOT_NAMESPACES = new Set(['then', 'catch', 'finally', 'toJSON', 'constructor', 'inspect']);
+
+const notFound = (message) => Object.assign(new Error(`Not Found: ${message}`), { status: 404 });
+
+class FakeGitHub {
+  constructor() {
+    this.handlers = new Map();
+    this.files = new Map();
+    this.calls = [];
+
+    // Unknown properties are endpoint namespaces: fake.repos, fake.checks, ...
+    return new Proxy(this, {
+      get: (target, property, receiver) => {
+        if (typeof property === 'symbol' || property in target || NOT_NAMESPACES.has(property)) {
+          return Reflect.get(target, property, receiver);
+        }
+        return new Proxy({}, {
+          get: (namespace, method) => (typeof method === 'symbol'
+            ? undefined
+            : Object.assign(params => target.call(`${property}.${method}`, params), { endpoint: `${property}.${method}` }))
+        });
+      }
+    });
+  }
+
+  on(endpoint, response) {
+    this.handlers.set(endpoint, response);
+    return this;
+  }
+
+  // A file served by repos.getContent for `repository` (owner/repo), at any
+  // ref unless one is given
+  addFile(repository, path, content, ref = null) {
+    this.files.set(`${repository}|${path}|${ref || '*'}`, content);
+    return this;
+  }
+
+  reset() {
+    this.handlers.clear();
+    this.files.clear();
+    this.calls = [];
+  }
+
+  async call(endpoint, params = {}) {
+    this.calls.push({ endpoint, params });
+
+    let data;
+    if (this.handlers.has(endpoint)) {
+      const handler = this.handlers.get(endpoint);
+      data = typeof handler === 'function' ? await handler(params) : handler;
+    } else if (endpoint === 'repos.getContent') {
+      data = this.getContent(params);
+    } else {
+      throw notFound(endpoint);
+    }
+
+    return { status: 200, headers: {}, data: structuredClone(data) };
+  }
+
+  getContent({ owner, repo, path, ref }) {
+    const repository = `${owner}/${repo}`;
+    const file = [ref, '*'].map(candidate => this.files.get(`${repository}|${path}|${candidate}`)).find(content => content !== undefined);
+    if (file !== undefined) {
+      return { type: 'file', path, name: path.split('/').pop(), encoding: 'base64', content: Buffer.from(file).toString('base64') };
+    }
+
+    // A directory lists the files directly under it
+    const prefix = `${repository}|${path}/`;
+    const entries = new Map();
+    for (const key of this.files.keys()) {
+      if (!key.startsWith(prefix)) continue;
+      const [name, ...nested] = key.slice(prefix.length).split('|')[0].split('/');
+      entries.set(name, nested.length > 0 ? 'dir' : 'file');
+    }
+    if (entries.size > 0) {
+      return [...entries].map(([name, type]) => ({ type, name, path: `${path}/${name}` }));
+    }
+
+    throw notFound(`${repository}/${path}`);
+  }
+
+  // Like Octokit's: list endpoints that wrap their items in an object
+  // ({ total_count, workflow_runs }) are unwrapped to the items
+  async paginate(method, params, mapFn) {
+    const response = await method(params);
+    if (!Array.isArray(response.data)) {
+      const key = Object.keys(response.data || {}).find(name => Array.isArray(response.data[name]));
+      response.data = key ? response.data[key] : [];
+    }
+    return mapFn ? mapFn(response, () => {}) : response.data;
+  }
+
+  // octokit.request('GET /repos/{owner}/{repo}', params) or request({ method, url })
+  async request(route, params = {}) {
+    const name = typeof route === 'string' ? route : `${route.method || 'GET'} ${route.url}`;
+    return this.call(name, typeof route === 'string' ? params : route);
+  }
+}
+
+module.exports = {
+  FakeGitHub
+};
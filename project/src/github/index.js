@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+const winston = require('winston');
+
+const { FakeGitHub } = require('./fakeGitHub');
+const { GitHubAppAuth } = require('./appAuth');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Retries after a rate limit response, and the longest single wait; a reset
+// further away than that fails the request instead of stalling it
+const MAX_RETRIES = parseInt(process.env.GITHUB_MAX_RETRIES, 10) || 3;
+const MAX_RETRY_WAIT_SECONDS = parseInt(process.env.GITHUB_MAX_RETRY_WAIT_SECONDS, 10) || 120;
+// GitHub asks for at least a minute's pause after a secondary rate limit
+const SECONDARY_RATE_LIMIT_WAIT_SECONDS = 60;
+// Cached GET responses kept for conditional requests
+const CACHE_MAX_ENTRIES = parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES, 10) || 500;
+// Concurrent repos.getContent calls when fetching several files
+const CONTENT_CONCURRENCY = parseInt(process.env.GITHUB_CONTENT_CONCURRENCY, 10) || 8;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The repository a request is for, from its owner/repo parameters or, for
+// requests made with a full URL such as a pull request's diff_url, the URL
+const requestRepository = (options) => {
+  if (options.owner && options.repo) return { owner: options.owner, repo: options.repo };
+  const match = /^https:\/\/(?:api\.github\.com\/repos|github\.com)\/([^/]+)\/([^/]+)\//.exec(options.url || '');
+  return match ? { owner: match[1], repo: match[2].replace(/\.git$/, '') } : null;
+};
+
+const decodeContent = (data) => (data && !Array.isArray(data) && typeof data.content === 'string'
+  ? Buffer.from(data.content, 'base64').toString('utf-8')
+  : null);
+
+// GET responses by URL, Accept header and credentials, least recently used
+// evicted first
+class ResponseCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Shared entry point for every GitHub API call made by the agents.
+//
+// Requests go through one Octokit instance that retries rate-limited calls
+// (primary limits until the reset, secondary limits with exponential
+// backoff) and revalidates cached GET responses with If-None-Match, so
+// unchanged resources come back as 304s that don't count against the rate
+// limit. GITHUB_CLIENT=fake, or use(), swaps in another client such as
+// FakeGitHub.
+//
+// With GITHUB_APP_ID set, each request is authenticated as the GitHub App
+// installation that covers its repository, so one server can act on several
+// organizations with each installation's permissions. Otherwise every
+// request uses GITHUB_TOKEN.
+class GitHubClient {
+  constructor() {
+    this.client = null;
+    this.appAuth = undefined;
+    this.cache = new ResponseCache(CACHE_MAX_ENTRIES);
+  }
+
+  // 'app', 'token' or null when GitHub access isn't configured
+  get authMode() {
+    if (this.getAppAuth()) return 'app';
+    return process.env.GITHUB_TOKEN ? 'token' : null;
+  }
+
+  getAppAuth() {
+    if (this.appAuth === undefined) {
+      this.appAuth = GitHubAppAuth.fromEnv();
+    }
+    return this.appAuth;
+  }
+
+  // The Octokit-compatible client the agents call, e.g. github.rest.pulls.get()
+  get rest() {
+    if (!this.client) {
+      this.client = process.env.GITHUB_CLIENT === 'fake' ? new FakeGitHub() : this.createOctokit();
+    }
+    return this.client;
+  }
+
+  use(client) {
+    this.client = client;
+    this.cache.clear();
+    return client;
+  }
+
+  reset() {
+    this.client = null;
+    this.appAuth = undefined;
+    this.cache.clear();
+  }
+
+  createOctokit() {
+    // In app mode the token is chosen per request in sendRequest
+    const octokit = new Octokit(this.getAppAuth() ? {} : { auth: process.env.GITHUB_TOKEN });
+    octokit.hook.wrap('request', (request, options) => this.sendRequest(request, options, octokit.request.endpoint));
+    return octokit;
+  }
+
+  async sendRequest(request, options, endpoint) {
+    const cacheKey = options.method === 'GET' ? await this.getCacheKey(endpoint, options) : null;
+    const cached = cacheKey && this.cache.get(cacheKey);
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.etag };
+    }
+
+    try {
+      const response = await this.requestAsInstallation(request, options);
+      // Archives and other binary downloads are not worth keeping
+      if (cacheKey && response.headers.etag && !(response.data instanceof ArrayBuffer) && !Buffer.isBuffer(response.data)) {
+        this.cache.set(cacheKey, { etag: response.headers.etag, response: { ...response, data: structuredClone(response.data) } });
+      }
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        // Callers may modify what they get back, so never hand out the cached copy
+        return { ...cached.response, data: structuredClone(cached.response.data) };
+      }
+      throw error;
+    }
+  }
+
+  // A 304 only says the response is unchanged for the same credentials, so
+  // responses are never shared between installations or tokens
+  async getCacheKey(endpoint, options) {
+    const { url, headers } = endpoint.parse(options);
+    return `${url}|${headers.accept || ''}|${await this.getAuthIdentity(options)}`;
+  }
+
+  // The installation a request goes out as in app mode, or a hash of its
+  // token
+  async getAuthIdentity(options) {
+    const explicit = options.headers && options.headers.authorization;
+    const appAuth = this.getAppAuth();
+    if (appAuth && !explicit) {
+      const repository = requestRepository(options);
+      return repository ? `installation:${await appAuth.getInstallationId(repository.owner, repository.repo)}` : 'app';
+    }
+    const token = explicit || process.env.GITHUB_TOKEN || '';
+    return `token:${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+  }
+
+  // Adds the installation token for the request's repository in app mode,
+  // and retries once with a new token if GitHub rejects the cached one
+  async requestAsInstallation(request, options) {
+    const appAuth = this.getAppAuth();
+    if (!appAuth || (options.headers && options.headers.authorization)) {
+      return this.requestWithBackoff(request, options);
+    }
+
+    const repository = requestRepository(options);
+    if (!repository) {
+      const error = new Error(`Cannot authenticate ${options.method} ${options.url} as a GitHub App installation: the request names no repository`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Octokit's inner hooks see the options object the request started with,
+    // so the header is set on it rather than on a copy
+    const send = async () => {
+      const token = await appAuth.getToken(repository.owner, repository.repo);
+      options.headers = { ...options.headers, authorization: `token ${token}` };
+      return this.requestWithBackoff(request, options);
+    };
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      logger.warn(`GitHub rejected the installation token for ${repository.owner}/${repository.repo}, fetching a new one`);
+      appAuth.invalidate(repository.owner, repository.repo);
+      return send();
+    }
+  }
+
+  async requestWithBackoff(request, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const waitSeconds = this.getRetryDelay(error, attempt);
+        if (waitSeconds === null) throw error;
+        logger.warn(`GitHub rate limit hit on ${options.method} ${options.url}, retrying in ${waitSeconds}s (attempt ${attempt + 1} of ${MAX_RETRIES})`);
+        await sleep(waitSeconds * 1000);
+      }
+    }
+  }
+
+  // Seconds to wait before retrying, or null when the error isn't a rate
+  // limit or the wait would be too long
+  getRetryDelay(error, attempt) {
+    if (attempt >= MAX_RETRIES || (error.status !== 403 && error.status !== 429)) return null;
+    const headers = (error.response && error.response.headers) || {};
+
+    let waitSeconds = null;
+    if (headers['retry-after']) {
+      waitSeconds = Number(headers['retry-after']);
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      waitSeconds = Math.max(Math.ceil(Number(headers['x-ratelimit-reset']) - Date.now() / 1000) + 1, 1);
+    } else if (/secondary rate limit/i.test(error.message)) {
+      waitSeconds = SECONDARY_RATE_LIMIT_WAIT_SECONDS * 2 ** attempt;
+    }
+
+    return waitSeconds !== null && waitSeconds <= MAX_RETRY_WAIT_SECONDS ? waitSeconds : null;
+  }
+
+  // Every item of a paginated list endpoint, named like 'pulls.listFiles'.
+  // `limit` stops after roughly that many items for lists that can be huge.
+  async paginate(endpoint, params, { limit = null } = {}) {
+    const [namespace, method] = endpoint.split('.');
+    const client = this.rest;
+    // Next-page links name the repository by ID, so in app mode the first
+    // page's installation token is passed along explicitly
+    const appAuth = client instanceof Octokit && this.getAppAuth();
+    if (appAuth && params.owner && params.repo) {
+      const token = await appAuth.getToken(params.owner, params.repo);
+      params = { ...params, headers: { ...params.headers, authorization: `token ${token}` } };
+    }
+
+    if (limit === null) {
+      return client.paginate(client[namespace][method], params);
+    }
+
+    let count = 0;
+    const items = await client.paginate(client[namespace][method], params, (response, done) => {
+      count += response.data.length;
+      if (count >= limit) done();
+      return response.data;
+    });
+    return items.slice(0, limit);
+  }
+
+  // A file's or directory's content data, or null when the path doesn't exist
+  async getContent(owner, repo, path, ref) {
+    try {
+      const { data } = await this.rest.repos.getContent({ owner, repo, path, ref });
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // A file's text, or null when it doesn't exist or is a directory
+  async getFileContent(owner, repo, path, ref) {
+    return decodeContent(await this.getContent(owner, repo, path, ref));
+  }
+
+  // Content data for several paths at once, at most CONTENT_CONCURRENCY
+  // requests at a time. Paths that are missing or fail to load are null.
+  async getContents(owner, repo, paths, ref) {
+    return mapWithConcurrency(paths, CONTENT_CONCURRENCY, async (path) => {
+      try {
+        return { path, data: await this.getContent(owner, repo, path, ref) };
+      } catch (error) {
+        logger.warn(`Could not fetch ${owner}/${repo}/${path}:`, error.message);
+        return { path, data: null };
+      }
+    });
+  }
+
+  // { path: text } for the given paths that exist as files
+  async getFileContents(owner, repo, paths, ref) {
+    const contents = await this.getContents(owner, repo, paths, ref);
+    return Object.fromEntries(contents
+      .map(({ path, data }) => [path, decodeContent(data)])
+      .filter(([, content]) => content !== null));
+  }
+}
+
+module.exports = new GitHubClient();
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+
+const llmCache = require('../cache');
+const llmClient = require('..');
+const { MockProvider } = require('../providers/mockProvider');
+
+const target = { provider: 'mock', model: 'mock' };
+const keyOf = (content, extra = {}) => llmCache.key({ kind: 'text', target, messages: [{ role: 'user', content }], ...extra });
+
+describe('llmCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    llmCache.ttlMs = 60 * 1000;
+    llmCache.maxEntries = 3;
+    llmCache.maxBytes = 1000;
+    llmCache.enabled = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const key of llmCache.store.keys()) llmCache.remove(key);
+    llmClient.registerProvider('mock', () => new MockProvider());
+  });
+
+  afterAll(() => {
+    // A pending write would recreate the directory
+    llmCache.store.flush();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('key', () => {
+    it('ignores line endings and trailing whitespace', () => {
+      expect(keyOf('line one  \r\nline two\n')).toBe(keyOf('line one\nline two'));
+    });
+
+    it('changes with the prompt version, model and sampling settings', () => {
+      const base = keyOf('review');
+      expect(keyOf('review', { version: 2 })).not.toBe(base);
+      expect(keyOf('review', { temperature: 0.3 })).not.toBe(base);
+      expect(llmCache.key({ kind: 'text', target: { provider: 'mock', model: 'other' }, messages: [{ role: 'user', content: 'review' }] })).not.toBe(base);
+    });
+  });
+
+  it('expires entries after the TTL', () => {
+    llmCache.set('a', { content: 'A' }, 'code_review');
+
+    now += 60 * 1000;
+    expect(llmCache.get('a')).toEqual({ content: 'A' });
+    now += 1;
+    expect(llmCache.get('a')).toBeUndefined();
+    expect(llmCache.store.has('a')).toBe(false);
+    expect(llmCache.bytes).toBe(0);
+  });
+
+  it('evicts the least recently used entry beyond the entry limit', () => {
+    for (const key of ['a', 'b', 'c']) {
+      llmCache.set(key, { content: key }, 'code_review');
+      now += 1000;
+    }
+    llmCache.get('a');
+    now += 1000;
+
+    llmCache.set('d', { content: 'd' }, 'code_review');
+
+    expect(llmCache.store.keys().sort()).toEqual(['a', 'c', 'd']);
+  });
+
+  it('evicts the least recently used entries beyond the byte limit', () => {
+    const value = { content: 'x'.repeat(400) };
+    for (const key of ['a', 'b', 'c']) {
+      llmCache.set(key, value, 'code_review');
+      now += 1000;
+    }
+
+    expect(llmCache.store.keys()).toEqual(['b', 'c']);
+    expect(llmCache.bytes).toBeLessThanOrEqual(1000);
+  });
+
+  it('skips a result larger than the whole cache', () => {
+    llmCache.set('a', { content: 'A' }, 'code_review');
+    llmCache.set('huge', { content: 'x'.repeat(2000) }, 'code_review');
+
+    expect(llmCache.store.keys()).toEqual(['a']);
+  });
+
+  describe('sessions', () => {
+    it('rejects an unknown mode', () => {
+      expect(() => llmCache.start({ agent: 'code_review', mode: 'sometimes' }))
+        .toThrow(expect.objectContaining({ status: 400, message: 'Invalid cache mode: sometimes. Use one of: use, bypass, refresh' }));
+    });
+
+    it('reuses, replaces or leaves alone cached results by mode', () => {
+      llmCache.set('a', { content: 'cached' }, 'code_review');
+
+      const use = llmCache.start({ agent: 'code_review' });
+      expect(use.lookup('a')).toEqual({ content: 'cached' });
+
+      const refresh = llmCache.start({ agent: 'code_review', mode: 'refresh' });
+      expect(refresh.lookup('a')).toBeUndefined();
+      refresh.store('a', { content: 'fresh' });
+      expect(llmCache.get('a')).toEqual({ content: 'fresh' });
+
+      const bypass = llmCache.start({ agent: 'code_review', mode: 'bypass' });
+      expect(bypass.lookup('a')).toBeUndefined();
+      bypass.store('a', { content: 'ignored' });
+      bypass.store('b', { content: 'ignored' });
+      expect(llmCache.get('a')).toEqual({ content: 'fresh' });
+      expect(llmCache.store.has('b')).toBe(false);
+    });
+
+    it('reports from_cache only when every result was reused', () => {
+      llmCache.set('a', { content: 'A' }, 'code_review');
+      const session = llmCache.start({ agent: 'code_review' });
+
+      session.lookup('a');
+      expect(session.summary()).toEqual({ mode: 'use', hits: 1, misses: 0, from_cache: true });
+      session.lookup('b');
+      expect(session.summary()).toEqual({ mode: 'use', hits: 1, misses: 1, from_cache: false });
+      expect(llmCache.start({ agent: 'code_review' }).summary().from_cache).toBe(false);
+    });
+  });
+
+  it('serves a repeated completion from the cache without calling the model', async () => {
+    const mock = new MockProvider().addResponse('review', 'Looks good');
+    llmClient.registerProvider('mock', () => mock);
+    const messages = [{ role: 'user', content: 'Please review this' }];
+
+    const first = await llmClient.complete(target, { messages, cache: llmCache.start({ agent: 'code_review' }), promptVersion: 1 });
+    const session = llmCache.start({ agent: 'code_review' });
+    const second = await llmClient.complete(target, { messages, cache: session, promptVersion: 1 });
+
+    expect(first.cached).toBeUndefined();
+    expect(second).toMatchObject({ content: 'Looks good', cached: true, usage: { prompt_tokens: 0, completion_tokens: 0 } });
+    expect(mock.calls).toHaveLength(1);
+    expect(session.summary().from_cache).toBe(true);
+  });
+});
@@ -0,0 +1,141 @@
+const Joi = require('joi');
+const llmClient = require('..');
+const { MockProvider } = require('../providers/mockProvider');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_REPOSITORY_PROVIDERS', 'CODE_REVIEW_LLM_PROVIDER', 'CODE_REVIEW_LLM_MODEL', 'MOCK_LLM_RESPONSE'];
+
+describe('llmClient', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.LLM_PROVIDER = 'mock';
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    llmClient.registerProvider('mock', () => new MockProvider());
+  });
+
+  describe('resolve', () => {
+    it('uses the request, then the agent settings, then LLM_PROVIDER', () => {
+      process.env.CODE_REVIEW_LLM_PROVIDER = 'anthropic';
+      process.env.CODE_REVIEW_LLM_MODEL = 'claude-3-5-haiku-latest';
+
+      expect(llmClient.resolve({ agent: 'code_review', provider: 'mock', model: 'm1' })).toEqual({ provider: 'mock', model: 'm1' });
+      expect(llmClient.resolve({ agent: 'code_review' })).toEqual({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' });
+      expect(llmClient.resolve({ agent: 'test_writer' })).toEqual({ provider: 'mock', model: 'mock' });
+    });
+
+    it('keeps the agent model for its own provider only', () => {
+      process.env.CODE_REVIEW_LLM_MODEL = 'mock-large';
+      expect(llmClient.resolve({ agent: 'code_review' })).toEqual({ provider: 'mock', model: 'mock-large' });
+
+      process.env.CODE_REVIEW_LLM_PROVIDER = 'anthropic';
+      expect(llmClient.resolve({ agent: 'code_review', provider: 'mock' })).toEqual({ provider: 'mock', model: 'mock' });
+    });
+
+    it('pins repositories to a provider through LLM_REPOSITORY_PROVIDERS', () => {
+      process.env.LLM_REPOSITORY_PROVIDERS = 'acme/payments=mock, acme/secret-*=local';
+
+      expect(llmClient.resolve({ repository: 'Acme/Payments', model: 'gpt-4o' })).toEqual({ provider: 'mock', model: 'mock' });
+      expect(llmClient.resolve({ repository: 'acme/payments', provider: 'mock', model: 'm2' })).toEqual({ provider: 'mock', model: 'm2' });
+      expect(llmClient.resolve({ repository: 'acme/secret-vault' }).provider).toBe('local');
+      expect(llmClient.resolve({ repository: 'acme/web', provider: 'anthropic' }).provider).toBe('anthropic');
+    });
+
+    it('rejects another provider for a pinned repository', () => {
+      process.env.LLM_REPOSITORY_PROVIDERS = 'acme/payments=mock';
+      expect(() => llmClient.resolve({ repository: 'acme/payments', provider: 'openai' }))
+        .toThrow(expect.objectContaining({ status: 403, message: "Repository acme/payments may only use the 'mock' LLM provider" }));
+    });
+
+    it('rejects an unknown provider', () => {
+      expect(() => llmClient.resolve({ provider: 'gemini' }))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('Unknown LLM provider: gemini') }));
+      expect(llmClient.isConfigured('gemini')).toBe(false);
+    });
+  });
+
+  describe('complete', () => {
+    it('sends the messages to the mock provider and normalizes the response', async () => {
+      const mock = new MockProvider().addResponse('review', { score: 90 });
+      llmClient.registerProvider('mock', () => mock);
+
+      const target = llmClient.resolve({ agent: 'code_review' });
+      const response = await llmClient.complete(target, { messages: [{ role: 'user', content: 'Please review this' }] });
+
+      expect(response).toMatchObject({
+        content: '{"score":90}',
+        provider: 'mock',
+        model: 'mock',
+        usage: { prompt_tokens: 5, completion_tokens: 3 }
+      });
+      expect(response.latency_ms).toEqual(expect.any(Number));
+      expect(mock.calls).toEqual([{ model: 'mock', messages: [{ role: 'user', content: 'Please review this' }] }]);
+    });
+
+    it('answers unmatched prompts with MOCK_LLM_RESPONSE', async () => {
+      process.env.MOCK_LLM_RESPONSE = '{"ok":true}';
+      const response = await llmClient.complete({ provider: 'mock', model: 'mock' }, { messages: [{ role: 'user', content: 'anything' }] });
+      expect(response.content).toBe('{"ok":true}');
+    });
+  });
+
+  describe('completeJson', () => {
+    const schema = Joi.object({ score: Joi.number().min(0).max(100).required() });
+    const target = { provider: 'mock', model: 'mock' };
+    const messages = [{ role: 'user', content: 'Score this' }];
+
+    // A mock answering with `replies` in turn
+    const replying = (...replies) => {
+      const mock = new MockProvider();
+      mock.addResponse(() => true, () => replies[Math.min(mock.calls.length, replies.length - 1)]);
+      llmClient.registerProvider('mock', () => mock);
+      return mock;
+    };
+
+    it('reads JSON wrapped in a code fence or surrounded by prose', () => {
+      expect(llmClient.validateJson('```json\n{ "score": 80 }\n```', schema)).toEqual({ value: { score: 80 } });
+      expect(llmClient.validateJson('Here is my review: {"score": 70, "extra": true} Hope it helps!', schema)).toEqual({ value: { score: 70 } });
+      expect(llmClient.validateJson('no json here', schema).errors[0]).toMatch(/^Response is not valid JSON/);
+      expect(llmClient.validateJson('{"score": 120}', schema).errors).toEqual(['"score" must be less than or equal to 100']);
+    });
+
+    it('returns the first valid response', async () => {
+      replying('{"score": 90}');
+      expect(await llmClient.completeJson(target, { messages, schema })).toEqual({ value: { score: 90 }, source: 'model', attempts: 1 });
+    });
+
+    it('sends invalid output back with its errors and accepts the repair', async () => {
+      const mock = replying('{"score": "high"}', '{"score": 75}');
+
+      const result = await llmClient.completeJson(target, { messages, schema });
+
+      expect(result).toEqual({ value: { score: 75 }, source: 'model', attempts: 2 });
+      const repair = mock.calls[1].messages;
+      expect(repair.slice(0, 2)).toEqual([...messages, { role: 'assistant', content: '{"score": "high"}' }]);
+      expect(repair[2].content).toContain('- "score" must be a number');
+    });
+
+    it('gives up with the last errors once the repair attempts are used up', async () => {
+      const mock = replying('not json', '{}', '{"score": -1}');
+
+      const result = await llmClient.completeJson(target, { messages, schema, repairAttempts: 2 });
+
+      expect(result).toEqual({
+        value: null,
+        source: 'fallback',
+        attempts: 3,
+        errors: ['"score" must be greater than or equal to 0']
+      });
+      expect(mock.calls).toHaveLength(3);
+    });
+  });
+});
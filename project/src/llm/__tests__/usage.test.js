@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-'));
+process.env.LLM_PRICING = JSON.stringify({ mock: { prompt: 1000, completion: 2000 } });
+
+const llmClient = require('..');
+const usageTracker = require('../usage');
+
+const MONTH = new Date().toISOString().slice(0, 7);
+
+describe('UsageTracker', () => {
+  beforeEach(() => {
+    for (const key of usageTracker.store.keys()) usageTracker.store.delete(key);
+    delete process.env.LLM_MONTHLY_BUDGETS;
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('getPrice', () => {
+    it('prices dated snapshots by the longest matching prefix', () => {
+      expect(usageTracker.getPrice('gpt-4o-2024-08-06')).toEqual({ prompt: 2.5, completion: 10 });
+      expect(usageTracker.getPrice('gpt-4o-mini-2024-07-18')).toEqual({ prompt: 0.15, completion: 0.6 });
+      expect(usageTracker.getPrice('unknown-model')).toBeNull();
+    });
+
+    it('applies LLM_PRICING overrides', () => {
+      expect(usageTracker.getPrice('mock')).toEqual({ prompt: 1000, completion: 2000 });
+    });
+  });
+
+  describe('record and summarize', () => {
+    it('adds calls to daily buckets and groups them', () => {
+      const base = { agent: 'code_review', provider: 'openai', model: 'gpt-4o', latency_ms: 100 };
+      usageTracker.record({ ...base, repository: 'acme/api', prompt_tokens: 1000000, completion_tokens: 0 });
+      usageTracker.record({ ...base, repository: 'acme/api', prompt_tokens: 0, completion_tokens: 100000 });
+      usageTracker.record({ ...base, repository: 'acme/web', model: 'custom-model', prompt_tokens: 10, completion_tokens: 10 });
+
+      const summary = usageTracker.summarize({ group_by: ['repository'] });
+      expect(summary.totals).toMatchObject({ calls: 3, cost_usd: 3.5, unpriced_calls: 1 });
+      expect(summary.groups).toEqual(expect.arrayContaining([
+        expect.objectContaining({ repository: 'acme/api', calls: 2, cost_usd: 3.5 }),
+        expect.objectContaining({ repository: 'acme/web', calls: 1, cost_usd: 0 })
+      ]));
+      expect(usageTracker.summarize({ repository: 'acme/web' }).totals.calls).toBe(1);
+    });
+
+    it('keeps nested repository paths apart', () => {
+      const base = { agent: 'code_review', provider: 'mock', model: 'mock', latency_ms: 1, prompt_tokens: 1, completion_tokens: 1 };
+      usageTracker.record({ ...base, repository: 'group/subgroup/project' });
+      usageTracker.record({ ...base, repository: 'group/project' });
+      expect(usageTracker.summarize({ repository: 'group/subgroup/project' }).totals.calls).toBe(1);
+    });
+  });
+
+  describe('budgets', () => {
+    it('reports the month spent against the matching budget', () => {
+      process.env.LLM_MONTHLY_BUDGETS = 'acme/payments=10,acme/*=1';
+      usageTracker.record({ agent: 'code_review', repository: 'acme/api', provider: 'openai', model: 'gpt-4o', prompt_tokens: 100000, completion_tokens: 0, latency_ms: 1 });
+
+      expect(usageTracker.getBudgetStatus('acme/api')).toEqual({ month: MONTH, monthly_usd: 1, spent_usd: 0.25, remaining_usd: 0.75 });
+      expect(usageTracker.getBudgetStatus('acme/payments').monthly_usd).toBe(10);
+      expect(usageTracker.getBudgetStatus('other/repo')).toBeNull();
+    });
+
+    it('refuses to start a request once the budget is spent', () => {
+      process.env.LLM_MONTHLY_BUDGETS = 'acme/*=0.1';
+      usageTracker.record({ agent: 'code_review', repository: 'acme/api', provider: 'openai', model: 'gpt-4o', prompt_tokens: 100000, completion_tokens: 0, latency_ms: 1 });
+
+      expect(() => usageTracker.start({ agent: 'code_review', repository: 'acme/api' })).toThrow(expect.objectContaining({ status: 402 }));
+      expect(() => usageTracker.start({ agent: 'code_review', repository: 'other/repo' })).not.toThrow();
+    });
+
+    it('stops a running request once its calls have spent the budget', async () => {
+      process.env.LLM_MONTHLY_BUDGETS = 'acme/*=0.005';
+      const target = llmClient.resolve({ agent: 'code_review', repository: 'acme/api', provider: 'mock' });
+      const usage = usageTracker.start({ agent: 'code_review', repository: 'acme/api' });
+      const messages = [{ role: 'user', content: 'Review this diff' }];
+
+      await llmClient.complete(target, { messages, usage });
+      await expect(llmClient.complete(target, { messages, usage })).rejects.toMatchObject({ status: 402 });
+      expect(usage.summary().calls).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const JsonStore = require('../stores/jsonStore');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const MODES = ['use', 'bypass', 'refresh'];
+
+// How long a result is reused, and how much the cache may hold before the
+// least recently used results are evicted
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 2000;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Line endings and trailing whitespace don't change what the model is asked
+const normalizeContent = (content) => String(content ?? '')
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+// Cache use of the LLM calls made while serving one agent request.
+//   use      reuse a cached result, or call the model and cache its result
+//   refresh  always call the model and replace the cached result
+//   bypass   call the model and leave the cache alone
+class CacheSession {
+  constructor(cache, { agent, mode }) {
+    this.cache = cache;
+    this.agent = agent;
+    this.mode = mode;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // The cached result, or undefined when the model has to be called
+  lookup(key) {
+    const value = this.mode === 'use' && this.cache.enabled ? this.cache.get(key) : undefined;
+    if (value === undefined) {
+      this.misses++;
+    } else {
+      this.hits++;
+    }
+    return value;
+  }
+
+  store(key, value) {
+    if (this.mode === 'bypass' || !this.cache.enabled) return;
+    this.cache.set(key, value, this.agent);
+  }
+
+  // `from_cache` is true only when every LLM result of the request was reused
+  summary() {
+    return {
+      mode: this.mode,
+      hits: this.hits,
+      misses: this.misses,
+      from_cache: this.hits > 0 && this.misses === 0
+    };
+  }
+}
+
+// Content-addressed store of LLM results in DATA_DIR/llm-cache.json, so the
+// same diff, file or build context gets the same answer when a pipeline is
+// re-run. Results are keyed by a hash of the prompt version, provider, model,
+// sampling settings and normalized messages; a prompt change therefore needs
+// a new version in the calling agent.
+class LlmCache {
+  constructor() {
+    this.store = new JsonStore('llm-cache');
+    this.enabled = process.env.LLM_CACHE !== 'false';
+    this.ttlMs = parseLimit(process.env.LLM_CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000;
+    this.maxEntries = parseLimit(process.env.LLM_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES);
+    this.maxBytes = parseLimit(process.env.LLM_CACHE_MAX_BYTES, DEFAULT_MAX_BYTES);
+    this.bytes = this.store.values().reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    // Read times not yet written to the store. A hit only updates this, as
+    // writing the store rewrites the whole file; they are written with the
+    // next result stored, and on exit.
+    this.usedAt = new Map();
+
+    process.on('exit', () => {
+      if (this.usedAt.size === 0) return;
+      this.persistUsage();
+      this.store.flush();
+    });
+  }
+
+  // Rejects an unknown mode with 400 before any work is done
+  start({ agent, mode } = {}) {
+    const selected = mode || 'use';
+    if (!MODES.includes(selected)) {
+      const error = new Error(`Invalid cache mode: ${mode}. Use one of: ${MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return new CacheSession(this, { agent, mode: selected });
+  }
+
+  key({ version, kind, target, messages, temperature, max_tokens }) {
+    const input = JSON.stringify({
+      version: version || null,
+      kind,
+      provider: target.provider,
+      model: target.model,
+      temperature: temperature ?? null,
+      max_tokens: max_tokens ?? null,
+      messages: messages.map(message => ({ role: message.role, content: normalizeContent(message.content) }))
+    });
+    return crypto.createHash('sha256').update(input).digest('hex');
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() - entry.created_at > this.ttlMs) {
+      this.remove(key);
+      return undefined;
+    }
+
+    // Read order drives eviction
+    this.usedAt.set(key, Date.now());
+    return entry.value;
+  }
+
+  set(key, value, agent) {
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    if (bytes > this.maxBytes) {
+      logger.warn(`Not caching a ${bytes} byte LLM result larger than LLM_CACHE_MAX_BYTES`);
+      return;
+    }
+
+    this.remove(key);
+    const now = Date.now();
+    this.store.set(key, { value, agent, bytes, created_at: now, used_at: now });
+    this.bytes += bytes;
+    this.evict();
+    this.persistUsage();
+  }
+
+  remove(key) {
+    this.usedAt.delete(key);
+    const entry = this.store.get(key);
+    if (!entry) return;
+    this.bytes -= entry.bytes || 0;
+    this.store.delete(key);
+  }
+
+  usedAtOf(key, entry) {
+    return this.usedAt.get(key) || entry.used_at;
+  }
+
+  persistUsage() {
+    for (const [key, usedAt] of this.usedAt) {
+      const entry = this.store.get(key);
+      if (entry) this.store.set(key, { ...entry, used_at: usedAt });
+    }
+    this.usedAt.clear();
+  }
+
+  // Drops expired results, then the least recently used until the cache is
+  // back within its limits
+  evict() {
+    const now = Date.now();
+    const entries = this.store.entries().sort(([keyA, a], [keyB, b]) => this.usedAtOf(keyA, a) - this.usedAtOf(keyB, b));
+    let count = entries.length;
+    let evicted = 0;
+
+    for (const [key, entry] of entries) {
+      const expired = now - entry.created_at > this.ttlMs;
+      if (!expired && count <= this.maxEntries && this.bytes <= this.maxBytes) continue;
+      this.remove(key);
+      count--;
+      if (!expired) evicted++;
+    }
+
+    if (evicted > 0) {
+      logger.info(`Evicted ${evicted} LLM cache entries`);
+    }
+  }
+}
+
+module.exports = new LlmCache();
@@ -0,0 +1,224 @@
+const winston = require('winston');
+
+const { createOpenAIProvider, createAzureOpenAIProvider, createLocalProvider } = require('./providers/openaiProvider');
+const { AnthropicProvider } = require('./providers/anthropicProvider');
+const { MockProvider } = require('./providers/mockProvider');
+const llmCache = require('./cache');
+const { parseRepositoryMap, matchRepository } = require('../utils/repositoryMap');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  azure: createAzureOpenAIProvider,
+  anthropic: () => new AnthropicProvider(),
+  local: createLocalProvider,
+  mock: () => new MockProvider()
+};
+
+// Repair prompts sent after an invalid JSON response before giving up
+const DEFAULT_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) || 2;
+
+// Shared entry point for every LLM call made by the agents.
+//
+// A call targets { provider, model }. resolve() picks them from, in order:
+// the repository pin (which cannot be overridden), the request, the agent's
+// own settings (<AGENT>_LLM_PROVIDER / <AGENT>_LLM_MODEL), LLM_PROVIDER, and
+// finally the provider's default model.
+class LlmClient {
+  constructor() {
+    this.providers = new Map();
+    this.factories = { ...PROVIDER_FACTORIES };
+  }
+
+  registerProvider(name, factory) {
+    this.factories[name] = factory;
+    this.providers.delete(name);
+  }
+
+  getProvider(name) {
+    if (!this.factories[name]) {
+      const error = new Error(`Unknown LLM provider: ${name}. Available: ${Object.keys(this.factories).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  // LLM_REPOSITORY_PROVIDERS, e.g. "acme/payments=local,acme/secret-*=local"
+  getPinnedProvider(repository) {
+    return matchRepository(parseRepositoryMap(process.env.LLM_REPOSITORY_PROVIDERS), repository);
+  }
+
+  resolve({ agent, repository, provider, model } = {}) {
+    const prefix = agent ? `${agent.toUpperCase()}_` : '';
+    const pinned = this.getPinnedProvider(repository);
+
+    if (pinned && provider && provider !== pinned) {
+      const error = new Error(`Repository ${repository} may only use the '${pinned}' LLM provider`);
+      error.status = 403;
+      throw error;
+    }
+
+    const name = pinned || provider || process.env[`${prefix}LLM_PROVIDER`] || process.env.LLM_PROVIDER || 'openai';
+    const instance = this.getProvider(name);
+
+    // A model requested for another provider means nothing to a pinned one
+    const requestedModel = pinned && provider !== pinned ? null : model;
+    const agentProvider = process.env[`${prefix}LLM_PROVIDER`] || process.env.LLM_PROVIDER || 'openai';
+    const agentModel = agentProvider === name ? process.env[`${prefix}LLM_MODEL`] : null;
+
+    return {
+      provider: name,
+      model: requestedModel || agentModel || instance.defaultModel
+    };
+  }
+
+  isConfigured(name = process.env.LLM_PROVIDER || 'openai') {
+    try {
+      return this.getProvider(name).isConfigured();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Sends chat messages to the target's provider and returns normalized
+  // { content, provider, model, usage: { prompt_tokens, completion_tokens }, latency_ms }.
+  // Pass the request's recorder from llm/usage as `usage` to account for the call,
+  // and its llm/cache session as `cache` (with the prompt's `promptVersion`) to
+  // reuse an earlier result; a cached response has `cached: true` and no usage.
+  async complete(target, { messages, temperature, max_tokens, usage, cache, promptVersion }) {
+    const key = cache && llmCache.key({ version: promptVersion, kind: 'text', target, messages, temperature, max_tokens });
+    const cached = key && cache.lookup(key);
+    if (cached) {
+      return { ...cached, usage: { prompt_tokens: 0, completion_tokens: 0 }, provider: target.provider, latency_ms: 0, cached: true };
+    }
+
+    // A request that started under budget stops once the budget is spent
+    if (usage) usage.checkBudget();
+
+    const provider = this.getProvider(target.provider);
+    const startedAt = Date.now();
+
+    const response = await provider.complete({
+      model: target.model,
+      messages,
+      temperature,
+      max_tokens
+    });
+
+    const latencyMs = Date.now() - startedAt;
+    logger.info(`LLM call ${target.provider}/${target.model} took ${latencyMs}ms`);
+
+    if (usage) {
+      usage.add({
+        provider: target.provider,
+        model: response.model || target.model,
+        usage: response.usage,
+        latency_ms: latencyMs
+      });
+    }
+
+    if (key) {
+      cache.store(key, { content: response.content, model: response.model || target.model });
+    }
+
+    return {
+      ...response,
+      provider: target.provider,
+      latency_ms: latencyMs
+    };
+  }
+
+  // Asks for JSON matching a Joi schema. Invalid output is sent back to the
+  // model with the validation errors, up to `repairAttempts` times.
+  //
+  // Returns { value, source: 'model', attempts } on success, or
+  // { value: null, source: 'fallback', attempts, errors } when the model never
+  // produced valid output, leaving the fallback to the caller. With `cache`,
+  // only valid output is cached and a reused value comes back as
+  // { value, source: 'model', attempts: 0, cached: true }.
+  async completeJson(target, {
+    messages,
+    schema,
+    temperature,
+    max_tokens,
+    usage,
+    cache,
+    promptVersion,
+    repairAttempts = DEFAULT_REPAIR_ATTEMPTS
+  }) {
+    const key = cache && llmCache.key({ version: promptVersion, kind: 'json', target, messages, temperature, max_tokens });
+    const cached = key && cache.lookup(key);
+    if (cached) {
+      return { value: cached.value, source: 'model', attempts: 0, cached: true };
+    }
+
+    const conversation = [...messages];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+      const response = await this.complete(target, { messages: conversation, temperature, max_tokens, usage });
+      const result = this.validateJson(response.content, schema);
+
+      if (!result.errors) {
+        if (key) cache.store(key, { value: result.value });
+        return { value: result.value, source: 'model', attempts: attempt };
+      }
+
+      errors = result.errors;
+      logger.warn(`LLM output failed validation (attempt ${attempt}): ${errors.join('; ')}`);
+
+      conversation.push(
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: `Your response was not valid:\n${errors.map(error => `- ${error}`).join('\n')}\n\nRespond again with ONLY the corrected JSON object (no markdown formatting).`
+        }
+      );
+    }
+
+    return { value: null, source: 'fallback', attempts: repairAttempts + 1, errors };
+  }
+
+  validateJson(content, schema) {
+    let parsed;
+    try {
+      parsed = extractJson(content);
+    } catch (error) {
+      return { errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const { value, error } = schema.validate(parsed, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return { errors: error.details.map(detail => detail.message) };
+    }
+    return { value };
+  }
+}
+
+// Pulls a JSON object out of model output that may be wrapped in a markdown
+// code fence or surrounded by prose. Throws when none can be parsed.
+const extractJson = (content) => {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1].trim() : text;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+};
+
+module.exports = new LlmClient();
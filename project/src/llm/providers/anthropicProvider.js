@@ -0,0 +1,47 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Anthropic Messages API. System prompts are passed separately from the
+// conversation, so they are lifted out of the chat-style message list.
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.defaultModel = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY);
+  }
+
+  async complete({ model, messages, temperature, max_tokens }) {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const conversation = messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role, content: message.content }));
+
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: max_tokens || 1024,
+      temperature,
+      ...(system && { system }),
+      messages: conversation
+    });
+
+    return {
+      content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: response.model || model,
+      usage: {
+        prompt_tokens: response.usage?.input_tokens || 0,
+        completion_tokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = {
+  AnthropicProvider
+};
@@ -0,0 +1,59 @@
+// Deterministic provider for tests and local runs without an LLM.
+//
+// Responses are matched against the prompt in registration order; a matcher
+// is a string (substring), RegExp or predicate. Unmatched prompts get the
+// default response (MOCK_LLM_RESPONSE, or "{}"). Token usage is estimated from
+// text length so accounting stays deterministic too.
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock';
+    this.responses = [];
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  addResponse(matcher, content) {
+    this.responses.push({ matcher, content });
+    return this;
+  }
+
+  reset() {
+    this.responses = [];
+    this.calls = [];
+  }
+
+  findResponse(prompt) {
+    const entry = this.responses.find(({ matcher }) => {
+      if (typeof matcher === 'function') return matcher(prompt);
+      if (matcher instanceof RegExp) return matcher.test(prompt);
+      return prompt.includes(matcher);
+    });
+    if (!entry) return process.env.MOCK_LLM_RESPONSE || '{}';
+    return typeof entry.content === 'function' ? entry.content(prompt) : entry.content;
+  }
+
+  async complete({ model, messages }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const content = this.findResponse(prompt);
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+
+    this.calls.push({ model, messages });
+
+    return {
+      content: text,
+      model: model || this.defaultModel,
+      usage: {
+        prompt_tokens: Math.ceil(prompt.length / 4),
+        completion_tokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+}
+
+module.exports = {
+  MockProvider
+};
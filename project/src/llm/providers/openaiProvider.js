@@ -0,0 +1,83 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+
+// Chat completions provider for the OpenAI API and anything that speaks the
+// same protocol: Azure OpenAI and local servers such as Ollama or vLLM.
+class OpenAIProvider {
+  constructor(name, createClient, options = {}) {
+    this.name = name;
+    this.createClient = createClient;
+    this.defaultModel = options.defaultModel;
+    this.configured = options.configured ?? true;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return this.configured;
+  }
+
+  async complete({ model, messages, temperature, max_tokens }) {
+    // Created on first use so a missing key only fails the calls that need it
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens
+    });
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      model: response.model || model,
+      usage: {
+        prompt_tokens: response.usage?.prompt_tokens || 0,
+        completion_tokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+const createOpenAIProvider = () => new OpenAIProvider(
+  'openai',
+  () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+  {
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    configured: Boolean(process.env.OPENAI_API_KEY)
+  }
+);
+
+// Azure routes by deployment, so the model name is the deployment name
+const createAzureOpenAIProvider = () => new OpenAIProvider(
+  'azure',
+  () => new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  }),
+  {
+    defaultModel: process.env.AZURE_OPENAI_DEPLOYMENT,
+    configured: Boolean(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT)
+  }
+);
+
+// Self-hosted OpenAI-compatible servers (Ollama, vLLM, LM Studio, ...)
+const createLocalProvider = () => new OpenAIProvider(
+  'local',
+  () => new OpenAI({
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+  }),
+  {
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    configured: Boolean(process.env.LOCAL_LLM_BASE_URL)
+  }
+);
+
+module.exports = {
+  OpenAIProvider,
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createLocalProvider
+};
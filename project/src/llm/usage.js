@@ -0,0 +1,204 @@
+const winston = require('winston');
+
+const JsonStore = require('../stores/jsonStore');
+const { parseRepositoryMap, matchRepository } = require('../utils/repositoryMap');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// USD per million tokens. A model is priced by its exact name, then by the
+// longest matching prefix, so dated snapshots (gpt-4o-2024-08-06) use the
+// base model's price. LLM_PRICING adds or overrides entries.
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet': { prompt: 3, completion: 15 },
+  'claude-sonnet-4': { prompt: 3, completion: 15 },
+  'claude-opus-4': { prompt: 15, completion: 75 },
+  mock: { prompt: 0, completion: 0 }
+};
+
+const DEFAULT_GROUP_BY = ['repository', 'agent', 'model', 'day'];
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+const emptyTotals = () => ({
+  calls: 0,
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  cost_usd: 0,
+  latency_ms: 0,
+  unpriced_calls: 0
+});
+
+const addTotals = (totals, entry) => {
+  totals.calls += entry.calls;
+  totals.prompt_tokens += entry.prompt_tokens;
+  totals.completion_tokens += entry.completion_tokens;
+  totals.cost_usd = roundCost(totals.cost_usd + entry.cost_usd);
+  totals.latency_ms += entry.latency_ms;
+  totals.unpriced_calls += entry.unpriced_calls;
+  return totals;
+};
+
+const parsePricing = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring invalid LLM_PRICING: ${error.message}`);
+    return {};
+  }
+};
+
+// Usage of the LLM calls made while serving one agent request
+class UsageRecorder {
+  constructor(tracker, { agent, repository }) {
+    this.tracker = tracker;
+    this.agent = agent;
+    this.repository = repository;
+    this.totals = emptyTotals();
+  }
+
+  add({ provider, model, usage, latency_ms }) {
+    const entry = this.tracker.record({
+      agent: this.agent,
+      repository: this.repository,
+      provider,
+      model,
+      prompt_tokens: usage?.prompt_tokens || 0,
+      completion_tokens: usage?.completion_tokens || 0,
+      latency_ms: latency_ms || 0
+    });
+    addTotals(this.totals, entry);
+    return entry;
+  }
+
+  checkBudget() {
+    this.tracker.checkBudget(this.repository);
+  }
+
+  summary() {
+    return { ...this.totals };
+  }
+}
+
+// Prices LLM calls and keeps daily totals per repository, agent, provider and
+// model in DATA_DIR/llm-usage.json. Per-call records are not kept; the daily
+// buckets are all /usage and the budgets need.
+class UsageTracker {
+  constructor() {
+    this.store = new JsonStore('llm-usage');
+    this.pricing = { ...DEFAULT_PRICING, ...parsePricing(process.env.LLM_PRICING) };
+    this.unpricedModels = new Set();
+  }
+
+  // Fails fast with 402 when the repository has spent its monthly budget.
+  // The LLM client checks again before each call the request makes.
+  start({ agent, repository }) {
+    this.checkBudget(repository);
+    return new UsageRecorder(this, { agent, repository });
+  }
+
+  checkBudget(repository) {
+    const budget = this.getBudgetStatus(repository);
+    if (budget && budget.remaining_usd <= 0) {
+      const error = new Error(`LLM budget for ${repository} exhausted: $${budget.spent_usd} of $${budget.monthly_usd} spent in ${budget.month}`);
+      error.status = 402;
+      throw error;
+    }
+  }
+
+  getPrice(model) {
+    if (this.pricing[model]) return this.pricing[model];
+    const prefix = Object.keys(this.pricing)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  record({ agent, repository, provider, model, prompt_tokens, completion_tokens, latency_ms }) {
+    const price = this.getPrice(model);
+    if (!price && !this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      logger.warn(`No price configured for LLM model ${model}, recording its cost as 0`);
+    }
+
+    const entry = {
+      calls: 1,
+      prompt_tokens,
+      completion_tokens,
+      cost_usd: price
+        ? roundCost((prompt_tokens * price.prompt + completion_tokens * price.completion) / 1e6)
+        : 0,
+      latency_ms,
+      unpriced_calls: price ? 0 : 1
+    };
+
+    const day = new Date().toISOString().slice(0, 10);
+    const key = [day, repository, agent, provider, model].join('|');
+    const bucket = this.store.get(key) || { day, repository, agent, provider, model, ...emptyTotals() };
+    this.store.set(key, addTotals(bucket, entry));
+
+    return entry;
+  }
+
+  // LLM_MONTHLY_BUDGETS, in USD, e.g. "acme/payments=200,acme/*=50"
+  getBudgetStatus(repository, month = new Date().toISOString().slice(0, 7)) {
+    const budget = Number(matchRepository(parseRepositoryMap(process.env.LLM_MONTHLY_BUDGETS), repository));
+    if (!budget) return null;
+
+    const spent = this.store.values()
+      .filter(bucket => bucket.repository === repository && bucket.day.startsWith(month))
+      .reduce((sum, bucket) => sum + bucket.cost_usd, 0);
+
+    return {
+      month,
+      monthly_usd: budget,
+      spent_usd: roundCost(spent),
+      remaining_usd: roundCost(Math.max(budget - spent, 0))
+    };
+  }
+
+  // Totals over the matching daily buckets, grouped by any of repository,
+  // agent, provider, model and day
+  summarize({ repository, agent, provider, model, from, to, group_by = DEFAULT_GROUP_BY } = {}) {
+    const buckets = this.store.values().filter(bucket =>
+      (!repository || bucket.repository === repository) &&
+      (!agent || bucket.agent === agent) &&
+      (!provider || bucket.provider === provider) &&
+      (!model || bucket.model === model) &&
+      (!from || bucket.day >= from) &&
+      (!to || bucket.day <= to)
+    );
+
+    const groups = new Map();
+    for (const bucket of buckets) {
+      const fields = Object.fromEntries(group_by.map(field => [field, bucket[field]]));
+      const key = JSON.stringify(fields);
+      if (!groups.has(key)) groups.set(key, { ...fields, ...emptyTotals() });
+      addTotals(groups.get(key), bucket);
+    }
+
+    return {
+      group_by,
+      totals: buckets.reduce(addTotals, emptyTotals()),
+      groups: [...groups.values()].sort((a, b) =>
+        (b.day || '').localeCompare(a.day || '') || b.cost_usd - a.cost_usd
+      )
+    };
+  }
+}
+
+module.exports = new UsageTracker();
@@ -0,0 +1,80 @@
+const deployAgent = require('../agents/deployAgent');
+const monitorAgent = require('../agents/monitorAgent');
+
+const DEPLOYMENTS_URI = 'devops://deployments';
+const MONITORING_URI = 'devops://monitoring';
+
+const resourceTemplates = [
+  {
+    uriTemplate: `${DEPLOYMENTS_URI}/{deployment_id}`,
+    name: 'Deployment state',
+    description: 'Status, namespace, URL and deployed resources of a single deployment',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: `${MONITORING_URI}/{deployment_id}`,
+    name: 'Monitoring report',
+    description: 'Latest health report produced by monitorAgent for a deployment',
+    mimeType: 'application/json'
+  }
+];
+
+const listResources = () => {
+  const resources = [
+    {
+      uri: DEPLOYMENTS_URI,
+      name: 'Deployments',
+      description: 'State of every deployment made by this server',
+      mimeType: 'application/json'
+    },
+    {
+      uri: MONITORING_URI,
+      name: 'Monitoring reports',
+      description: 'Latest monitoring report for every monitored deployment',
+      mimeType: 'application/json'
+    }
+  ];
+
+  for (const deployment of deployAgent.listDeployments()) {
+    resources.push({
+      uri: `${DEPLOYMENTS_URI}/${deployment.deployment_id}`,
+      name: `Deployment ${deployment.repository} (${deployment.environment})`,
+      description: `Deployment ${deployment.deployment_id}: ${deployment.status}`,
+      mimeType: 'application/json'
+    });
+  }
+
+  for (const report of monitorAgent.listReports()) {
+    resources.push({
+      uri: `${MONITORING_URI}/${report.deployment_id}`,
+      name: `Monitoring report ${report.deployment_id}`,
+      description: `Health: ${report.health_status}`,
+      mimeType: 'application/json'
+    });
+  }
+
+  return resources;
+};
+
+// Returns null when the URI does not name a known resource
+const readResource = (uri) => {
+  if (uri === DEPLOYMENTS_URI) {
+    return deployAgent.listDeployments();
+  }
+  if (uri === MONITORING_URI) {
+    return monitorAgent.listReports();
+  }
+  if (uri.startsWith(`${DEPLOYMENTS_URI}/`)) {
+    return deployAgent.getDeployment(uri.slice(DEPLOYMENTS_URI.length + 1));
+  }
+  if (uri.startsWith(`${MONITORING_URI}/`)) {
+    return monitorAgent.getReport(uri.slice(MONITORING_URI.length + 1));
+  }
+  return null;
+};
+
+module.exports = {
+  resourceTemplates,
+  listResources,
+  readResource
+};
@@ -0,0 +1,84 @@
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const winston = require('winston');
+
+const { tools, findTool } = require('./tools');
+const { resourceTemplates, listResources, readResource } = require('./resources');
+const { version } = require('../../package.json');
+
+// Logs go to stderr so they never interleave with JSON-RPC frames on stdout
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console({ stderrLevels: ['error', 'warn', 'info', 'debug'] })]
+});
+
+const createMcpServer = () => {
+  const server = new Server(
+    { name: 'mcp-devops-server', version },
+    { capabilities: { tools: {}, resources: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const tool = findTool(name);
+
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    logger.info(`MCP tool call: ${name}`, { repository: args.repository });
+
+    try {
+      const result = await tool.handler(args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    } catch (error) {
+      // Agent failures are reported as tool errors so the model can react to them
+      logger.error(`MCP tool ${name} failed:`, error);
+      return {
+        content: [{ type: 'text', text: `${name} failed: ${error.message}` }],
+        isError: true
+      };
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: listResources()
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const data = readResource(uri);
+
+    if (data === null) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+    };
+  });
+
+  return server;
+};
+
+module.exports = { createMcpServer };
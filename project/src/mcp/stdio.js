@@ -0,0 +1,32 @@
+const { Writable } = require('stream');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// stdout carries JSON-RPC frames only. Every agent logs through its own
+// winston Console transport, so route plain stdout writes to stderr and hand
+// the transport a stream bound to the real stdout.
+const writeStdout = process.stdout.write.bind(process.stdout);
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+const protocolOut = new Writable({
+  write(chunk, encoding, callback) {
+    writeStdout(chunk, encoding, callback);
+  }
+});
+
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { createMcpServer } = require('./server');
+
+const main = async () => {
+  const server = createMcpServer();
+  const transport = new StdioServerTransport(process.stdin, protocolOut);
+  await server.connect(transport);
+  process.stderr.write('MCP DevOps Server listening on stdio\n');
+};
+
+main().catch((error) => {
+  process.stderr.write(`MCP stdio server failed to start: ${error.stack || error.message}\n`);
+  process.exit(1);
+});
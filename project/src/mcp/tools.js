@@ -0,0 +1,210 @@
+const codeReviewAgent = require('../agents/codeReviewAgent');
+const testWriterAgent = require('../agents/testWriterAgent');
+const buildPredictorAgent = require('../agents/buildPredictorAgent');
+const dockerHandlerAgent = require('../agents/dockerHandlerAgent');
+const deployAgent = require('../agents/deployAgent');
+const monitorAgent = require('../agents/monitorAgent');
+
+const repositoryProperty = {
+  type: 'string',
+  description: 'Repository in owner/repo form',
+  pattern: '^[^/\\s]+/[^/\\s]+$'
+};
+
+// Pull request agents also work on GitLab and Bitbucket Server repositories
+const scmRepositoryProperty = {
+  type: 'string',
+  description: 'Repository path (owner/repo, a GitLab group/project path or a Bitbucket PROJECT/repo) or its URL',
+  pattern: '^\\S+/\\S+$'
+};
+
+const scmProviderProperty = {
+  type: 'string',
+  enum: ['github', 'gitlab', 'bitbucket'],
+  description: 'Source control provider (defaults to the repository URL\'s host, or SCM_PROVIDER)'
+};
+
+const llmModelProperty = {
+  type: 'string',
+  description: 'LLM model override (defaults to the provider\'s configured model)'
+};
+
+const llmProviderProperty = {
+  type: 'string',
+  enum: ['openai', 'azure', 'anthropic', 'local', 'mock'],
+  description: 'LLM provider override (defaults to LLM_PROVIDER)'
+};
+
+const llmCacheProperty = {
+  type: 'string',
+  enum: ['use', 'bypass', 'refresh'],
+  description: 'use: reuse cached LLM results for identical input (default); refresh: call the LLM and replace them; bypass: call the LLM without touching the cache'
+};
+
+// Each tool maps one-to-one onto an agent entry point, so the MCP surface
+// stays in sync with the REST routes in routes/agents.js.
+const tools = [
+  {
+    name: 'codeReviewAgent.analyze',
+    description: 'Review a pull request diff with the LLM, post review comments and return a quality score and approval decision.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: scmRepositoryProperty,
+        provider: scmProviderProperty,
+        pr_number: { type: 'integer', minimum: 1, description: 'Pull or merge request number' },
+        diff_url: { type: 'string', description: 'URL of the pull request diff (GitHub only; defaults to the pull request\'s diff)' },
+        llm_model: llmModelProperty,
+        llm_provider: llmProviderProperty,
+        cache: llmCacheProperty,
+        policy_path: { type: 'string', description: 'Review policy file at the PR head (default .mcp/review.yml)' },
+        full_review: { type: 'boolean', default: false, description: 'Review the whole PR even if earlier commits were already reviewed' },
+        sarif: { type: 'boolean', default: false, description: 'Include a SARIF 2.1.0 document in the result' },
+        upload_sarif: { type: 'boolean', default: false, description: 'Upload the SARIF document to GitHub code scanning (GitHub only)' },
+        check_run: { type: 'boolean', default: false, description: 'Publish a GitHub check run with annotations (GitHub only)' }
+      },
+      required: ['repository', 'pr_number']
+    },
+    handler: params => codeReviewAgent.analyze(params)
+  },
+  {
+    name: 'testWriterAgent.generateTests',
+    description: 'Generate unit tests for the files changed in a pull request and publish them as a PR comment or a commit.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: scmRepositoryProperty,
+        provider: scmProviderProperty,
+        pr_number: { type: 'integer', minimum: 1, description: 'Pull or merge request number' },
+        changed_files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Changed file paths, informational only'
+        },
+        llm_model: llmModelProperty,
+        llm_provider: llmProviderProperty,
+        cache: llmCacheProperty,
+        publish_mode: {
+          type: 'string',
+          enum: ['comment', 'branch', 'push'],
+          description: 'comment: post the tests as a PR comment; branch: commit to tests/<head branch> and open a PR; push: commit to the PR head branch. branch and push are GitHub only (default TEST_WRITER_PUBLISH_MODE or comment)'
+        },
+        run_tests: {
+          type: 'boolean',
+          description: 'Run the generated tests in a Docker sandbox and let the model fix failures; only passing tests are published (default false unless TEST_WRITER_RUN_TESTS=true)'
+        },
+        measure_coverage: {
+          type: 'boolean',
+          description: 'Measure line and branch coverage of the changed files before and after adding the tests, with lcov and Cobertura reports; needs run_tests (default true unless TEST_WRITER_MEASURE_COVERAGE=false)'
+        },
+        mutation_testing: {
+          type: 'boolean',
+          description: 'Run the passing tests against mutants of the lines the PR added and report a mutation score per file; needs run_tests (default false unless TEST_WRITER_MUTATION_TESTING=true)'
+        },
+        min_mutation_score: {
+          type: 'number',
+          minimum: 0,
+          maximum: 100,
+          description: 'Reject and do not publish tests whose mutation score is below this percentage (default TEST_WRITER_MIN_MUTATION_SCORE)'
+        }
+      },
+      required: ['repository', 'pr_number']
+    },
+    handler: params => testWriterAgent.generateTests(params)
+  },
+  {
+    name: 'buildPredictorAgent.predict',
+    description: 'Predict the build outcome, failure probability and duration for a branch with a statistical model of its GitHub Actions history, explained by the LLM.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: repositoryProperty,
+        branch: { type: 'string', description: 'Branch to analyze' },
+        commit_sha: { type: 'string', description: 'Commit being built; its author and changed files condition the prediction (defaults to the branch head)' },
+        llm_model: llmModelProperty,
+        llm_provider: llmProviderProperty,
+        cache: llmCacheProperty
+      },
+      required: ['repository', 'branch']
+    },
+    handler: params => buildPredictorAgent.predict(params)
+  },
+  {
+    name: 'dockerHandlerAgent.handle',
+    description: 'Build and push a Docker image, generate Kubernetes manifests, or apply manifests to the cluster.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: repositoryProperty,
+        commit_sha: { type: 'string', description: 'Commit used to tag the image' },
+        action: {
+          type: 'string',
+          enum: ['build_and_push', 'generate_k8s_manifests', 'deploy_to_k8s'],
+          default: 'build_and_push'
+        },
+        build_prediction: {
+          type: 'object',
+          description: 'Result of buildPredictorAgent.predict, used for strategy and resources'
+        },
+        k8s_manifests: {
+          type: 'object',
+          description: 'Manifests to apply when action is deploy_to_k8s'
+        },
+        namespace: { type: 'string', description: 'Target namespace for deploy_to_k8s' }
+      },
+      required: ['repository']
+    },
+    handler: params => dockerHandlerAgent.handle(params)
+  },
+  {
+    name: 'deployAgent.deploy',
+    description: 'Deploy Kubernetes resources for an application and wait for the rollout to become ready.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: repositoryProperty,
+        image_tag: { type: 'string', description: 'Image tag being deployed' },
+        environment: { type: 'string', default: 'staging' },
+        namespace: { type: 'string', description: 'Defaults to the environment name' },
+        kubernetes_config: {
+          type: 'object',
+          description: 'Manifests produced by dockerHandlerAgent',
+          properties: {
+            deployment: { type: 'object' },
+            service: { type: 'object' },
+            ingress: { type: 'object' }
+          }
+        }
+      },
+      required: ['repository', 'kubernetes_config']
+    },
+    handler: params => deployAgent.deploy(params)
+  },
+  {
+    name: 'monitorAgent.monitor',
+    description: 'Monitor a deployment for a period of time and return a health report.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deployment_id: { type: 'string', description: 'ID returned by deployAgent.deploy' },
+        environment: { type: 'string', default: 'staging' },
+        namespace: { type: 'string', description: 'Defaults to the environment name' },
+        monitoring_duration: {
+          type: 'integer',
+          minimum: 30,
+          default: 300,
+          description: 'Monitoring window in seconds'
+        }
+      },
+      required: ['deployment_id']
+    },
+    handler: params => monitorAgent.monitor(params)
+  }
+];
+
+const findTool = (name) => tools.find(tool => tool.name === name);
+
+module.exports = {
+  tools,
+  findTool
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-route-'));
+
+const usageRoutes = require('../usage');
+const usageTracker = require('../../llm/usage');
+
+describe('GET /usage', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/usage', usageRoutes);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/usage`;
+
+    const base = { agent: 'code_review', provider: 'mock', model: 'mock', prompt_tokens: 10, completion_tokens: 5, latency_ms: 1 };
+    usageTracker.record({ ...base, repository: 'group/subgroup/project' });
+    usageTracker.record({ ...base, repository: 'acme/api' });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  const get = async (query) => {
+    const response = await fetch(`${baseUrl}?${new URLSearchParams(query)}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('filters by an owner/repo repository', async () => {
+    const { status, body } = await get({ repository: 'acme/api' });
+    expect(status).toBe(200);
+    expect(body.totals.calls).toBe(1);
+  });
+
+  it('filters by a nested GitLab project path', async () => {
+    const { status, body } = await get({ repository: 'group/subgroup/project', group_by: 'repository' });
+    expect(status).toBe(200);
+    expect(body.groups).toEqual([expect.objectContaining({ repository: 'group/subgroup/project', calls: 1 })]);
+  });
+
+  it.each(['acme', 'acme/', '/acme/api', 'acme//api', 'acme/my api'])('rejects the repository %j', async (repository) => {
+    const { status, body } = await get({ repository });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid usage query');
+  });
+
+  it('rejects an unknown group_by field', async () => {
+    expect((await get({ group_by: 'repository,team' })).status).toBe(400);
+  });
+});
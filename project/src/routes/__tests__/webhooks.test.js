@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+
+const githubClient = require('../../github');
+const { FakeGitHub } = require('../../github/fakeGitHub');
+const buildHistory = require('../../builds/history');
+const testReports = require('../../builds/testReports');
+const webhookRoutes = require('../webhooks');
+
+const SECRET = 'webhook-secret';
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('POST /webhooks/github', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    githubClient.use(new FakeGitHub()
+      .on('repos.getCommit', { files: [{ filename: 'src/app.js' }] })
+      .on('actions.listWorkflowRunArtifacts', { total_count: 0, artifacts: [] }));
+    const app = express();
+    app.use('/webhooks', webhookRoutes);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}/webhooks/github`;
+  });
+
+  beforeEach(() => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    buildHistory.db.close();
+    // A pending write would recreate the directory
+    testReports.store.flush();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  const deliver = async (event, payload, { signature } = {}) => {
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: 'POST',
+      body,
+      headers: {
+        'content-type': 'application/json',
+        'x-github-event': event,
+        'x-hub-signature-256': signature === undefined ? sign(body) : signature
+      }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const run = {
+    id: 101,
+    name: 'CI',
+    workflow_id: 7,
+    head_branch: 'main',
+    head_sha: 'abc123',
+    event: 'push',
+    status: 'in_progress',
+    conclusion: null,
+    run_attempt: 1,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  it('answers 503 without a webhook secret', async () => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    expect((await deliver('ping', {})).status).toBe(503);
+  });
+
+  it('rejects a missing or wrong signature', async () => {
+    expect((await deliver('ping', {}, { signature: '' })).status).toBe(401);
+    expect((await deliver('ping', {}, { signature: sign('{}', 'other-secret') })).status).toBe(401);
+    expect((await deliver('ping', {}, { signature: 'sha256=abc' })).status).toBe(401);
+  });
+
+  it('ignores events the build history does not use', async () => {
+    expect(await deliver('ping', { zen: 'Keep it logically awesome.' })).toEqual({
+      status: 202,
+      body: { received: 'ping', ignored: true }
+    });
+  });
+
+  it('stores workflow runs with the files of finished ones', async () => {
+    expect((await deliver('workflow_run', { repository: { full_name: 'acme/api' }, workflow_run: run })).body).toEqual({
+      received: 'workflow_run',
+      run_id: 101
+    });
+    expect(buildHistory.getRuns('acme/api')).toEqual([expect.objectContaining({ id: 101, status: 'in_progress', files: null })]);
+
+    const fillChangedFiles = jest.spyOn(buildHistory, 'fillChangedFiles');
+    const completed = { ...run, status: 'completed', conclusion: 'success' };
+    await deliver('workflow_run', { repository: { full_name: 'acme/api' }, workflow_run: completed });
+    // The files are looked up after answering
+    await fillChangedFiles.mock.results[0].value;
+    expect(buildHistory.getRuns('acme/api')).toEqual([expect.objectContaining({ id: 101, conclusion: 'success', files: ['src/app.js'] })]);
+    expect(buildHistory.isFresh('acme/api')).toBe(true);
+  });
+
+  it('answers before looking up the files, and survives a failed lookup', async () => {
+    let fail;
+    jest.spyOn(buildHistory, 'fillChangedFiles').mockReturnValue(new Promise((resolve, reject) => { fail = reject; }));
+    const completed = { ...run, id: 102, status: 'completed', conclusion: 'failure' };
+
+    expect((await deliver('workflow_run', { repository: { full_name: 'acme/api' }, workflow_run: completed })).status).toBe(200);
+    fail(Object.assign(new Error('Server Error'), { status: 500 }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect((await deliver('ping', {})).status).toBe(202);
+  });
+
+  it('stores workflow jobs', async () => {
+    const job = { id: 501, run_id: 101, name: 'test', status: 'completed', conclusion: 'failure', started_at: run.created_at, completed_at: run.updated_at, steps: [] };
+    await deliver('workflow_job', { repository: { full_name: 'acme/api' }, workflow_job: job });
+    expect(buildHistory.getRunJobs('acme/api', 101)).toEqual([expect.objectContaining({ id: 501, conclusion: 'failure' })]);
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    const body = 'not json';
+    const response = await fetch(url, {
+      method: 'POST',
+      body,
+      headers: { 'x-github-event': 'ping', 'x-hub-signature-256': sign(body) }
+    });
+    expect(response.status).toBe(400);
+  });
+});
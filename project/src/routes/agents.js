@@ -24,7 +24,7 @@ router.post('/code-review', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error('Code review failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Code review failed',
       message: error.message
     });
@@ -39,7 +39,7 @@ router.post('/test-writer', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error('Test generation failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Test generation failed',
       message: error.message
     });
@@ -54,7 +54,7 @@ router.post('/build-predictor', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error('Build prediction failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Build prediction failed',
       message: error.message
     });
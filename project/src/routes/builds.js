@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+
+const buildHistory = require('../builds/history');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const trendsQuerySchema = Joi.object({
+  window: Joi.string().pattern(/^\d+d$/).message('"window" must be a number of days, e.g. 7d').default('7d'),
+  windows: Joi.number().integer().min(1).max(52).default(4),
+  workflow: Joi.string(),
+  branch: Joi.string()
+});
+
+// Build trends from the stored workflow runs and jobs
+router.get('/:owner/:repo', (req, res) => {
+  try {
+    const { value: query, error } = trendsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid build trends query',
+        message: error.message
+      });
+    }
+
+    const repository = `${req.params.owner}/${req.params.repo}`;
+    const windowDays = parseInt(query.window, 10);
+    if (windowDays < 1) {
+      return res.status(400).json({
+        error: 'Invalid build trends query',
+        message: '"window" must be at least 1d'
+      });
+    }
+
+    res.json({
+      repository,
+      window: query.window,
+      workflow: query.workflow || null,
+      branch: query.branch || null,
+      stored_runs: buildHistory.getRuns(repository).length,
+      trends: buildHistory.getTrends(repository, {
+        windowDays,
+        windows: query.windows,
+        workflow: query.workflow,
+        branch: query.branch
+      })
+    });
+  } catch (error) {
+    logger.error('Build trends query failed:', error);
+    res.status(error.status || 500).json({
+      error: 'Build trends query failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
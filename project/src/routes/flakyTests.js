@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+
+const buildHistory = require('../builds/history');
+const testReports = require('../builds/testReports');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const flakyTestsQuerySchema = Joi.object({
+  min_score: Joi.number().min(0).max(1).default(0),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  sync: Joi.boolean().default(true)
+});
+
+// Flaky tests from the test reports of the stored workflow runs. Reports of
+// runs not read yet are read first unless sync=false.
+router.get('/:owner/:repo', async (req, res) => {
+  try {
+    const { value: query, error } = flakyTestsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid flaky tests query',
+        message: error.message
+      });
+    }
+
+    const { owner, repo } = req.params;
+    const repository = `${owner}/${repo}`;
+    if (query.sync) {
+      await testReports.sync(owner, repo, buildHistory.getRuns(repository));
+    }
+
+    const reports = testReports.getReports(repository).filter(report => report.artifacts > 0);
+    const flaky = testReports.getFlakyTests(repository).filter(test => test.score >= query.min_score);
+
+    res.json({
+      repository,
+      reports: reports.length,
+      commits: new Set(reports.map(report => report.head_sha)).size,
+      flaky_tests: flaky.length,
+      tests: flaky.slice(0, query.limit)
+    });
+  } catch (error) {
+    logger.error('Flaky tests query failed:', error);
+    res.status(error.status || 500).json({
+      error: 'Flaky tests query failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const llmClient = require('../llm');
+const githubClient = require('../github');
 
 // Health check endpoint
 router.get('/', (req, res) => {
@@ -12,12 +14,21 @@ router.get('/', (req, res) => {
   });
 });
 
+// GitHub App settings that are only half filled in throw
+const githubStatus = () => {
+  try {
+    return githubClient.authMode ? 'ready' : 'not_configured';
+  } catch (error) {
+    return 'misconfigured';
+  }
+};
+
 // Readiness check
 router.get('/ready', (req, res) => {
   // Add any readiness checks here (database connections, external services, etc.)
   const checks = {
-    llm_service: process.env.OPENAI_API_KEY ? 'ready' : 'not_configured',
-    github_integration: process.env.GITHUB_TOKEN ? 'ready' : 'not_configured',
+    llm_service: llmClient.isConfigured() ? 'ready' : 'not_configured',
+    github_integration: githubStatus(),
     docker_service: 'ready', // Add actual Docker connectivity check
     kubernetes_service: 'ready' // Add actual K8s connectivity check
   };
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+
+const { createMcpServer } = require('../mcp/server');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Streamable HTTP transport in stateless mode: every POST gets a fresh
+// server/transport pair, so no session state is kept between requests.
+router.post('/', async (req, res) => {
+  const server = createMcpServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+    enableJsonResponse: true
+  });
+
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    logger.error('MCP request failed:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null
+      });
+    }
+  }
+});
+
+// Stateless mode has no server-initiated stream and no sessions to delete
+const methodNotAllowed = (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed' },
+    id: null
+  });
+};
+
+router.get('/', methodNotAllowed);
+router.delete('/', methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+
+const usageTracker = require('../llm/usage');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const day = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"{{#label}}" must be a YYYY-MM-DD date');
+
+const usageQuerySchema = Joi.object({
+  // owner/repo, or a nested GitLab project path (group/subgroup/project)
+  repository: Joi.string().pattern(/^[^/\s]+(\/[^/\s]+)+$/),
+  agent: Joi.string().valid('code_review', 'test_writer', 'build_predictor'),
+  provider: Joi.string(),
+  model: Joi.string(),
+  from: day,
+  to: day,
+  group_by: Joi.string().pattern(/^(repository|agent|provider|model|day)(,(repository|agent|provider|model|day))*$/)
+    .message('"group_by" must be a comma separated list of repository, agent, provider, model, day')
+});
+
+// LLM token usage and cost, aggregated from daily totals
+router.get('/', (req, res) => {
+  try {
+    const { value: query, error } = usageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid usage query',
+        message: error.message
+      });
+    }
+
+    const summary = usageTracker.summarize({
+      ...query,
+      group_by: query.group_by ? [...new Set(query.group_by.split(','))] : undefined
+    });
+
+    res.json({
+      from: query.from || null,
+      to: query.to || null,
+      ...summary,
+      ...(query.repository && { budget: usageTracker.getBudgetStatus(query.repository) })
+    });
+  } catch (error) {
+    logger.error('Usage query failed:', error);
+    res.status(error.status || 500).json({
+      error: 'Usage query failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+
+const buildHistory = require('../builds/history');
+const testReports = require('../builds/testReports');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// GitHub signs the raw body with the webhook secret as
+// X-Hub-Signature-256: sha256=<hex HMAC>
+const isValidSignature = (secret, body, signature) => {
+  if (!signature || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// GitHub webhook receiver for the build history. Deliveries are
+// authenticated by their signature rather than a bearer token, so the body
+// is read raw; this router is mounted ahead of the JSON body parser.
+router.post('/github', express.raw({ type: '*/*', limit: '25mb' }), async (req, res) => {
+  try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({
+        error: 'Webhooks not configured',
+        message: 'GITHUB_WEBHOOK_SECRET is not set'
+      });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!isValidSignature(secret, body, req.get('X-Hub-Signature-256'))) {
+      logger.warn('Rejected webhook delivery with an invalid signature', { delivery: req.get('X-GitHub-Delivery') });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const payload = JSON.parse(body.toString('utf-8'));
+    const repository = payload.repository && payload.repository.full_name;
+
+    if (event === 'workflow_run' && repository) {
+      const run = payload.workflow_run;
+      const stored = buildHistory.recordRun(repository, run);
+      buildHistory.markDelivery(repository);
+      res.json({ received: event, run_id: run.id });
+      if (run.status !== 'completed') return;
+
+      // The build model needs the files a finished run built, and test
+      // reports take longer than GitHub waits for a delivery, so both are
+      // read after answering
+      const [owner, repo] = repository.split('/');
+      buildHistory.fillChangedFiles(owner, repo, { shas: [run.head_sha] }).catch((error) => {
+        logger.error(`Could not look up the files of run ${run.id} of ${repository}:`, error);
+      });
+      testReports.readFinishedRun(owner, repo, stored);
+      return;
+    }
+
+    if (event === 'workflow_job' && repository) {
+      const job = payload.workflow_job;
+      buildHistory.recordJob(repository, job);
+      buildHistory.markDelivery(repository);
+      return res.json({ received: event, job_id: job.id });
+    }
+
+    // ping, and events the build history doesn't use
+    res.status(202).json({ received: event || null, ignored: true });
+  } catch (error) {
+    logger.error('Webhook delivery failed:', error);
+    res.status(error instanceof SyntaxError ? 400 : error.status || 500).json({
+      error: 'Webhook delivery failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
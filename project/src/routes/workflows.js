@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+
+const workflowLint = require('../builds/workflowLint');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const lintQuerySchema = Joi.object({
+  ref: Joi.string()
+});
+
+// Static analysis of the repository's GitHub Actions workflows, at `ref`
+// or the default branch
+router.get('/:owner/:repo', async (req, res) => {
+  try {
+    const { value: query, error } = lintQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid workflow lint query',
+        message: error.message
+      });
+    }
+
+    const { owner, repo } = req.params;
+    const result = await workflowLint.lintRepository(owner, repo, query.ref);
+
+    res.json({
+      repository: `${owner}/${repo}`,
+      ref: query.ref || null,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Workflow lint failed:', error);
+    res.status(error.status || 500).json({
+      error: 'Workflow lint failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const { execFileSync } = require('child_process');
+const { getRuntime, shellQuote } = require('../runtimes');
+
+const echo = (value) => execFileSync('sh', ['-c', `printf %s ${shellQuote(value)}`]).toString();
+
+describe('shellQuote', () => {
+  it('passes values through sh unchanged', () => {
+    for (const value of ['plain.test.js', 'with space.js', "it's.js", '$(rm -rf /)', '`id`;"x"\\n']) {
+      expect(echo(value)).toBe(value);
+    }
+  });
+
+  it('quotes non-string values', () => {
+    expect(shellQuote(42)).toBe("'42'");
+  });
+});
+
+describe('getRuntime', () => {
+  it('returns null for frameworks without a sandbox runtime', () => {
+    expect(getRuntime('Jasmine')).toBeNull();
+  });
+
+  it('builds the run command for one test file', () => {
+    expect(getRuntime('Jest').run("src/it's.test.js"))
+      .toBe("npx --no-install jest --ci --colors=false --runTestsByPath 'src/it'\\''s.test.js'");
+    expect(getRuntime('pytest').run('tests/test_app.py'))
+      .toBe("python -m pytest -q -p no:cacheprovider 'tests/test_app.py'");
+    expect(getRuntime('testing').run('pkg/store/store_test.go')).toBe('go test -count=1 ./pkg/store');
+    expect(getRuntime('JUnit 5').run('src/test/java/com/acme/AppTest.java')).toContain("-Dtest='AppTest'");
+    expect(getRuntime('RSpec').run('spec/app_spec.rb'))
+      .toBe("if [ -f Gemfile ]; then bundle exec rspec 'spec/app_spec.rb'; else rspec 'spec/app_spec.rb'; fi");
+  });
+
+  it('installs without running the repository\'s scripts', () => {
+    const jest = getRuntime('Jest').install;
+    expect(jest.match(/npm (ci|install)[^;&]*/g).every(command => command.includes('--ignore-scripts'))).toBe(true);
+    expect(getRuntime('pytest').install).not.toMatch(/pip install(?![^&]*--only-binary)/);
+    expect(getRuntime('pytest').prepare).toContain('--no-index');
+    expect(getRuntime('JUnit 5').install).toBeNull();
+    expect(getRuntime('JUnit 5').prepare).toContain('mvn -q -B -o');
+    expect(getRuntime('JUnit 5').prepare).toContain('./gradlew --no-daemon --offline');
+    expect(getRuntime('RSpec').install).not.toMatch(/bundle install/);
+    expect(getRuntime('Minitest').install).not.toMatch(/bundle install/);
+  });
+});
+
+describe('isLoadError', () => {
+  it('tells files that never ran from failing assertions', () => {
+    expect(getRuntime('Jest').isLoadError('FAIL src/a.test.js\n  ● Test suite failed to run', 1)).toBe(true);
+    expect(getRuntime('Jest').isLoadError('Tests: 1 failed, 2 passed', 1)).toBe(false);
+
+    expect(getRuntime('pytest').isLoadError('no tests ran', 5)).toBe(true);
+    expect(getRuntime('pytest').isLoadError('ERROR collecting tests/test_app.py', 2)).toBe(true);
+    expect(getRuntime('pytest').isLoadError('1 failed', 1)).toBe(false);
+
+    expect(getRuntime('testing').isLoadError('FAIL\texample.com/pkg [build failed]', 1)).toBe(true);
+    expect(getRuntime('testing').isLoadError('--- FAIL: TestAdd', 1)).toBe(false);
+
+    expect(getRuntime('JUnit 5').isLoadError('[ERROR] COMPILATION ERROR :', 1)).toBe(true);
+    expect(getRuntime('JUnit 5').isLoadError('Tests run: 3, Failures: 1', 1)).toBe(false);
+
+    expect(getRuntime('RSpec').isLoadError('An error occurred while loading ./spec/app_spec.rb', 1)).toBe(true);
+    expect(getRuntime('RSpec').isLoadError('3 examples, 1 failure', 1)).toBe(false);
+  });
+});
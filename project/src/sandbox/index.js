@@ -0,0 +1,265 @@
+const Docker = require('dockerode');
+const tar = require('tar-stream');
+const { PassThrough } = require('stream');
+const winston = require('winston');
+
+const { getRuntime, shellQuote } = require('./runtimes');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const WORKDIR = '/workspace';
+// Per-command limit; `timeout` exits with 124 when it fires
+const COMMAND_TIMEOUT_SECONDS = parseInt(process.env.SANDBOX_TIMEOUT_SECONDS, 10) || 300;
+// Containers stop on their own after this, even if the server dies mid-run
+const CONTAINER_LIFETIME_SECONDS = parseInt(process.env.SANDBOX_LIFETIME_SECONDS, 10) || 1800;
+const MEMORY_BYTES = (parseInt(process.env.SANDBOX_MEMORY_MB, 10) || 2048) * 1024 * 1024;
+const NANO_CPUS = Math.round((parseFloat(process.env.SANDBOX_CPUS) || 1) * 1e9);
+// Only the tail of a command's output is kept
+const MAX_OUTPUT_CHARS = 20000;
+
+const tailOutput = (output, totalChars) => totalChars > output.length
+  ? `[... ${totalChars - output.length} characters truncated ...]\n${output}`
+  : output;
+
+// Builds a tar archive for container.putArchive
+const packFiles = (files) => new Promise((resolve, reject) => {
+  const pack = tar.pack();
+  const chunks = [];
+  pack.on('data', chunk => chunks.push(chunk));
+  pack.on('end', () => resolve(Buffer.concat(chunks)));
+  pack.on('error', reject);
+  for (const file of files) {
+    pack.entry({ name: file.path, mode: 0o644 }, file.content);
+  }
+  pack.finalize();
+});
+
+// Reads the single file in a container.getArchive tar stream
+const unpackFile = (stream) => new Promise((resolve, reject) => {
+  const extract = tar.extract();
+  let content = null;
+  extract.on('entry', (header, entry, next) => {
+    const chunks = [];
+    entry.on('data', chunk => chunks.push(chunk));
+    entry.on('end', () => {
+      if (content === null && header.type === 'file') content = Buffer.concat(chunks).toString('utf-8');
+      next();
+    });
+  });
+  extract.on('finish', () => resolve(content));
+  extract.on('error', reject);
+  stream.pipe(extract);
+});
+
+// One container holding a checkout of the repository. Only the network
+// install step runs online, and it installs declared packages without
+// running their scripts or any code from the repository. The container is
+// then taken off the network before anything from the checkout runs: the
+// project's build, its test setup and the generated tests.
+class SandboxSession {
+  constructor(sandbox, container, runtime, { coverage = false } = {}) {
+    this.sandbox = sandbox;
+    this.container = container;
+    this.runtime = runtime;
+    this.coverage = coverage && runtime.coverage ? runtime.coverage : null;
+  }
+
+  async exec(command, { timeoutSeconds = COMMAND_TIMEOUT_SECONDS } = {}) {
+    const exec = await this.container.exec({
+      Cmd: ['timeout', String(timeoutSeconds), 'sh', '-c', command],
+      AttachStdout: true,
+      AttachStderr: true,
+      WorkingDir: WORKDIR
+    });
+    const stream = await exec.start({ hijack: true, stdin: false });
+
+    let output = '';
+    let totalChars = 0;
+    const collector = new PassThrough();
+    collector.on('data', chunk => {
+      const text = chunk.toString('utf-8');
+      totalChars += text.length;
+      output = (output + text).slice(-MAX_OUTPUT_CHARS);
+    });
+    this.sandbox.docker.modem.demuxStream(stream, collector, collector);
+    await new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+
+    const { ExitCode: exitCode } = await exec.inspect();
+    return { exitCode, timedOut: exitCode === 124, output: tailOutput(output, totalChars) };
+  }
+
+  async writeFiles(files, dir = WORKDIR) {
+    await this.container.putArchive(await packFiles(files), { path: dir });
+  }
+
+  // Returns null when the file doesn't exist
+  async readFile(file) {
+    const absolute = file.startsWith('/') ? file : `${WORKDIR}/${file}`;
+    let stream;
+    try {
+      stream = await this.container.getArchive({ path: absolute });
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+    return unpackFile(stream);
+  }
+
+  async install() {
+    const command = [this.runtime.install, this.coverage && this.coverage.install].filter(Boolean).join(' && ');
+    const result = command ? await this.exec(command) : { exitCode: 0, output: '' };
+    if (result.exitCode !== 0) {
+      const error = new Error(`Dependency installation failed (exit ${result.exitCode})`);
+      error.output = result.output;
+      throw error;
+    }
+    await this.isolate();
+
+    if (!this.runtime.prepare) return result;
+    const prepared = await this.exec(this.runtime.prepare);
+    if (prepared.exitCode !== 0) {
+      const error = new Error(`Project build failed (exit ${prepared.exitCode})`);
+      error.output = prepared.output;
+      throw error;
+    }
+    return { exitCode: 0, output: `${result.output}${prepared.output}` };
+  }
+
+  async isolate() {
+    const network = this.sandbox.docker.getNetwork(this.sandbox.network);
+    await network.disconnect({ Container: this.container.id, Force: true });
+  }
+
+  // Writes one test file and runs it on its own
+  async runTest(file, content, { timeoutSeconds } = {}) {
+    await this.writeFiles([{ path: file, content }]);
+    const result = await this.exec(this.runtime.run(file), timeoutSeconds ? { timeoutSeconds } : undefined);
+    return {
+      passed: result.exitCode === 0,
+      load_error: result.exitCode !== 0 && !result.timedOut && this.runtime.isLoadError(result.output, result.exitCode),
+      timed_out: result.timedOut,
+      exit_code: result.exitCode,
+      output: result.output
+    };
+  }
+
+  // Runs the whole suite with coverage of the given source files. `reports`
+  // holds the content of each report the runtime writes, by format; a report
+  // the run didn't produce is left out.
+  async runCoverage(files, phase) {
+    if (!this.coverage) {
+      throw new Error('Coverage was not enabled for this session');
+    }
+    const dir = `/tmp/coverage-${phase}`;
+    const result = await this.exec(this.coverage.run(files, dir));
+
+    const reports = {};
+    for (const [format, file] of Object.entries(this.coverage.reports)) {
+      const content = await this.readFile(`${dir}/${file}`);
+      if (content !== null) reports[format] = content;
+    }
+    return { exit_code: result.exitCode, timed_out: result.timedOut, output: result.output, reports };
+  }
+
+  async removeFile(file) {
+    await this.exec(`rm -f ${shellQuote(file)}`);
+  }
+
+  async close() {
+    try {
+      await this.container.remove({ force: true });
+    } catch (error) {
+      logger.warn(`Could not remove sandbox container ${this.container.id}: ${error.message}`);
+    }
+  }
+}
+
+// Isolated containers for running code from pull requests
+class Sandbox {
+  constructor() {
+    this.docker = new Docker();
+    this.network = process.env.SANDBOX_NETWORK || 'bridge';
+  }
+
+  async isAvailable() {
+    try {
+      await this.docker.ping();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  supports(framework) {
+    return Boolean(getRuntime(framework));
+  }
+
+  supportsCoverage(framework) {
+    const runtime = getRuntime(framework);
+    return Boolean(runtime && runtime.coverage);
+  }
+
+  // Starts a container for the framework, unpacks the repository archive
+  // (a GitHub tarball with one top-level directory) into it and installs
+  // dependencies, plus the coverage tooling when `coverage` is set and the
+  // framework has it. The caller must close() the session.
+  async openSession({ framework, archive, label, coverage = false }) {
+    const runtime = getRuntime(framework);
+    if (!runtime) {
+      throw new Error(`No sandbox runtime for ${framework}`);
+    }
+
+    await this.pullImage(runtime.image);
+
+    const container = await this.docker.createContainer({
+      Image: runtime.image,
+      Cmd: ['sleep', String(CONTAINER_LIFETIME_SECONDS)],
+      WorkingDir: WORKDIR,
+      Labels: { 'mcp.sandbox': label || 'true' },
+      HostConfig: {
+        NetworkMode: this.network,
+        Memory: MEMORY_BYTES,
+        NanoCpus: NANO_CPUS,
+        PidsLimit: 512,
+        SecurityOpt: ['no-new-privileges'],
+        CapDrop: ['NET_RAW', 'MKNOD', 'SYS_CHROOT', 'SETFCAP', 'AUDIT_WRITE']
+      }
+    });
+
+    const session = new SandboxSession(this, container, runtime, { coverage });
+    try {
+      await container.start();
+      await session.writeFiles([{ path: 'source.tar.gz', content: Buffer.from(archive) }], '/tmp');
+      const unpacked = await session.exec(`tar -xzf /tmp/source.tar.gz --strip-components=1 -C ${WORKDIR} && rm /tmp/source.tar.gz`);
+      if (unpacked.exitCode !== 0) {
+        throw new Error(`Could not unpack repository: ${unpacked.output}`);
+      }
+      await session.install();
+      return session;
+    } catch (error) {
+      await session.close();
+      throw error;
+    }
+  }
+
+  async pullImage(image) {
+    try {
+      await this.docker.getImage(image).inspect();
+    } catch (error) {
+      logger.info(`Pulling sandbox image ${image}`);
+      const stream = await this.docker.pull(image);
+      await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(stream, err => (err ? reject(err) : resolve()));
+      });
+    }
+  }
+}
+
+module.exports = new Sandbox();
@@ -0,0 +1,179 @@
+const path = require('path');
+
+// Quotes a value for sh -c
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// Installs the project's Node dependencies, then the test runner if the
+// project doesn't already provide it. No lifecycle scripts run, the
+// project's own included.
+const nodeInstall = (runner, pkg = runner) => [
+  'if [ -f package-lock.json ]; then npm ci --ignore-scripts --no-audit --no-fund; elif [ -f package.json ]; then npm install --ignore-scripts --no-audit --no-fund; else npm init -y >/dev/null; fi',
+  ...(runner ? [`npx --no-install ${runner} --version >/dev/null 2>&1 || npm install --no-save --ignore-scripts --no-audit --no-fund ${pkg}`] : [])
+].join(' && ');
+
+// Coverage through c8 for runners without built-in instrumentation
+const c8Coverage = (command) => ({
+  install: 'npx --no-install c8 --version >/dev/null 2>&1 || npm install --no-save --ignore-scripts --no-audit --no-fund c8',
+  run: (files, dir) => `npx --no-install c8 --all --reporter=lcovonly --reporter=cobertura --report-dir=${shellQuote(dir)} ${files.map(file => `--include=${shellQuote(file)}`).join(' ')} ${command}`,
+  reports: { lcov: 'lcov.info', cobertura: 'cobertura-coverage.xml' }
+});
+
+// coverage.py over the whole suite. The lcov file is created up front
+// because coverage.py writes nothing when none of the files were imported.
+const pythonCoverage = (command) => ({
+  install: 'pip install -q --only-binary=:all: coverage',
+  run: (files, dir) => {
+    const include = shellQuote(files.join(','));
+    return [
+      `mkdir -p ${shellQuote(dir)} && : > ${shellQuote(`${dir}/lcov.info`)}`,
+      `python -m coverage run --branch -m ${command}`,
+      `python -m coverage lcov -o ${shellQuote(`${dir}/lcov.info`)} --include=${include}`,
+      `python -m coverage xml -o ${shellQuote(`${dir}/coverage.xml`)} --include=${include}`
+    ].join('; ');
+  },
+  reports: { lcov: 'lcov.info', cobertura: 'coverage.xml' }
+});
+
+const NODE_IMAGE = process.env.SANDBOX_NODE_IMAGE || 'node:20-bookworm-slim';
+const PYTHON_IMAGE = process.env.SANDBOX_PYTHON_IMAGE || 'python:3.12-slim';
+// The packages requirements.txt and pyproject.toml declare, as wheels only:
+// building an sdist would run its setup.py. Local paths and editable
+// installs are left out, and pyproject.toml is read with tomllib rather
+// than through its build backend.
+const PYTHON_INSTALL = [
+  ': > /tmp/requirements.txt',
+  'if [ -f requirements.txt ]; then grep -vE \'^[[:space:]]*(-e|--editable|\\.|/|-r|-c)\' requirements.txt >> /tmp/requirements.txt || true; fi',
+  'if [ -f pyproject.toml ]; then python -c "import tomllib; print(\'\\n\'.join(tomllib.load(open(\'pyproject.toml\', \'rb\')).get(\'project\', {}).get(\'dependencies\', [])))" >> /tmp/requirements.txt; fi',
+  'pip install -q --only-binary=:all: -r /tmp/requirements.txt'
+].join(' && ');
+// Runs offline: the project's own package, without its dependencies
+const PYTHON_PREPARE = 'if [ -f pyproject.toml ] || [ -f setup.py ]; then pip install -q --no-deps --no-build-isolation --no-index -e . || true; fi';
+const RUBY_IMAGE = process.env.SANDBOX_RUBY_IMAGE || 'ruby:3.3-slim';
+// The gems pinned in Gemfile.lock, installed without evaluating the
+// Gemfile, which is Ruby code
+const RUBY_INSTALL = 'if [ -f Gemfile.lock ]; then awk \'/^GEM/{gem=1;next} /^[A-Z]/{gem=0} gem && /^    [^ ]+ \\([^)]+\\)$/{gsub(/[()]/,"",$2); print $1" "$2}\' Gemfile.lock | while read -r name version; do gem install --silent --no-document --ignore-dependencies "$name" -v "${version%%-*}" || exit 1; done; fi';
+
+// Java projects build with Maven or, through its wrapper, Gradle. Both run
+// project code (build scripts, plugins and extensions from the project's
+// own repositories) while resolving dependencies, so they resolve offline:
+// SANDBOX_JAVA_IMAGE has to provide the dependencies in its local
+// repository, and `gradle` for a project without a wrapper.
+const JAVA_RUNTIME = {
+  image: process.env.SANDBOX_JAVA_IMAGE || 'maven:3-eclipse-temurin-21',
+  install: null,
+  prepare: [
+    'if [ -f pom.xml ]; then mvn -q -B -o -DskipTests test-compile',
+    'elif [ -f gradlew ]; then chmod +x gradlew && ./gradlew --no-daemon --offline -q testClasses',
+    'elif [ -f build.gradle ] || [ -f build.gradle.kts ]; then gradle --no-daemon --offline -q testClasses; fi'
+  ].join('; '),
+  run: file => {
+    const test = shellQuote(path.posix.basename(file, '.java'));
+    return [
+      `if [ -f pom.xml ]; then mvn -q -B -o test -Dsurefire.failIfNoSpecifiedTests=false -Dtest=${test}`,
+      `elif [ -f gradlew ]; then ./gradlew --no-daemon --offline -q test --tests ${test}`,
+      `else gradle --no-daemon --offline -q test --tests ${test}; fi`
+    ].join('; ');
+  },
+  isLoadError: (output) => /COMPILATION ERROR|Compilation failed|No tests were executed|No tests found for given includes/.test(output)
+};
+
+// How to install dependencies and run one test file for each framework the
+// test writer detects. `install` runs with network access and must not run
+// code from the repository: it installs declared packages without their
+// build or lifecycle scripts. `prepare`, where set, and `run` are offline.
+// `isLoadError` tells a test file that never ran (syntax, compile or import
+// errors, no tests collected) from one whose assertions failed.
+// `coverage`, where a runtime has it, runs the whole suite with coverage of
+// the given source files and names the report files it writes to `dir`.
+const RUNTIMES = {
+  Jest: {
+    image: NODE_IMAGE,
+    install: nodeInstall('jest'),
+    run: file => `npx --no-install jest --ci --colors=false --runTestsByPath ${shellQuote(file)}`,
+    isLoadError: (output) => /Test suite failed to run|No tests found|Your test suite must contain at least one test/.test(output),
+    coverage: {
+      install: null,
+      run: (files, dir) => `npx --no-install jest --ci --colors=false --passWithNoTests --coverage --coverageReporters=lcovonly --coverageReporters=cobertura --coverageDirectory=${shellQuote(dir)} ${files.map(file => `--collectCoverageFrom=${shellQuote(file)}`).join(' ')}`,
+      reports: { lcov: 'lcov.info', cobertura: 'cobertura-coverage.xml' }
+    }
+  },
+  Vitest: {
+    image: NODE_IMAGE,
+    install: nodeInstall('vitest'),
+    run: file => `npx --no-install vitest run --color=false ${shellQuote(file)}`,
+    isLoadError: (output) => /Failed to load|No test files found|No test suite found|SyntaxError/.test(output),
+    coverage: {
+      // The coverage provider has to match the installed Vitest version
+      install: 'npm install --no-save --ignore-scripts --no-audit --no-fund "@vitest/coverage-v8@$(node -p "require(\'vitest/package.json\').version")"',
+      run: (files, dir) => `npx --no-install vitest run --color=false --passWithNoTests --coverage.enabled=true --coverage.provider=v8 --coverage.reporter=lcovonly --coverage.reporter=cobertura --coverage.reportsDirectory=${shellQuote(dir)} ${files.map(file => `--coverage.include=${shellQuote(file)}`).join(' ')}`,
+      reports: { lcov: 'lcov.info', cobertura: 'cobertura-coverage.xml' }
+    }
+  },
+  Mocha: {
+    image: NODE_IMAGE,
+    install: nodeInstall('mocha'),
+    run: file => `npx --no-install mocha --no-colors ${shellQuote(file)}`,
+    isLoadError: (output) => /SyntaxError|Cannot find module|ERR_MODULE_NOT_FOUND|0 passing/.test(output),
+    coverage: c8Coverage('npx --no-install mocha --no-colors')
+  },
+  'node:test': {
+    image: NODE_IMAGE,
+    install: nodeInstall(null),
+    run: file => `node --test ${shellQuote(file)}`,
+    isLoadError: (output) => /SyntaxError|Cannot find module|ERR_MODULE_NOT_FOUND|# tests 0/.test(output),
+    coverage: c8Coverage('node --test')
+  },
+  pytest: {
+    image: PYTHON_IMAGE,
+    install: `${PYTHON_INSTALL} && pip install -q --only-binary=:all: pytest`,
+    prepare: PYTHON_PREPARE,
+    run: file => `python -m pytest -q -p no:cacheprovider ${shellQuote(file)}`,
+    // Exit codes 2-5: interrupted, internal error, usage error, no tests collected
+    isLoadError: (output, exitCode) => exitCode >= 2 && exitCode <= 5,
+    coverage: pythonCoverage('pytest -q -p no:cacheprovider')
+  },
+  unittest: {
+    image: PYTHON_IMAGE,
+    install: PYTHON_INSTALL,
+    prepare: PYTHON_PREPARE,
+    run: file => `python -m unittest ${shellQuote(file)}`,
+    // Exit code 5 (Python 3.12+): no tests ran
+    isLoadError: (output, exitCode) => exitCode === 5 || /ImportError|ModuleNotFoundError|SyntaxError|Ran 0 tests/.test(output),
+    coverage: pythonCoverage('unittest discover')
+  },
+  testing: {
+    image: process.env.SANDBOX_GO_IMAGE || 'golang:1.22-bookworm',
+    install: 'if [ -f go.mod ]; then go mod download; fi',
+    // Go tests run per package
+    run: file => `go test -count=1 ./${path.posix.dirname(file)}`,
+    isLoadError: (output) => /\[build failed\]|\[setup failed\]|no test files/.test(output),
+    // A cover profile, converted to lcov by the caller
+    coverage: {
+      install: null,
+      run: (files, dir) => `mkdir -p ${shellQuote(dir)} && go test -count=1 -covermode=count -coverpkg=./... -coverprofile=${shellQuote(`${dir}/cover.out`)} ./...`,
+      reports: { go_profile: 'cover.out' }
+    }
+  },
+  'JUnit 5': JAVA_RUNTIME,
+  'JUnit 4': JAVA_RUNTIME,
+  TestNG: JAVA_RUNTIME,
+  RSpec: {
+    image: RUBY_IMAGE,
+    install: `${RUBY_INSTALL} && (gem list -i rspec >/dev/null 2>&1 || gem install --silent --no-document rspec)`,
+    run: file => `if [ -f Gemfile ]; then bundle exec rspec ${shellQuote(file)}; else rspec ${shellQuote(file)}; fi`,
+    isLoadError: (output) => /An error occurred while loading|0 examples, 0 failures/.test(output)
+  },
+  Minitest: {
+    image: RUBY_IMAGE,
+    install: `${RUBY_INSTALL} && (gem list -i minitest >/dev/null 2>&1 || gem install --silent --no-document minitest)`,
+    run: file => `if [ -f Gemfile ]; then bundle exec ruby -Ilib -Itest ${shellQuote(file)}; else ruby -Ilib -Itest ${shellQuote(file)}; fi`,
+    isLoadError: (output) => /SyntaxError|LoadError|cannot load such file|0 runs, 0 assertions/.test(output)
+  }
+};
+
+const getRuntime = (framework) => RUNTIMES[framework] || null;
+
+module.exports = {
+  getRuntime,
+  shellQuote
+};
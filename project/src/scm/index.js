@@ -0,0 +1,127 @@
+const { GitHubProvider } = require('./providers/githubProvider');
+const { GitLabProvider } = require('./providers/gitlabProvider');
+const { BitbucketProvider } = require('./providers/bitbucketProvider');
+
+const PROVIDER_FACTORIES = {
+  github: () => new GitHubProvider(),
+  gitlab: () => new GitLabProvider(),
+  bitbucket: () => new BitbucketProvider()
+};
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const hostOf = (url) => {
+  try {
+    return url ? new URL(url).host.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Repository path within each provider's web or clone URL:
+//   github.com/acme/api/pull/12            -> acme/api
+//   gitlab.acme.com/platform/tools/api/-/merge_requests/12 -> platform/tools/api
+//   bitbucket.acme.com/projects/PLAT/repos/api/browse       -> PLAT/api
+//   bitbucket.acme.com/scm/plat/api.git                     -> plat/api
+const REPOSITORY_PATHS = {
+  github: (segments) => (segments.length >= 2 ? segments.slice(0, 2) : null),
+  gitlab: (segments) => {
+    const end = segments.indexOf('-');
+    const path = end === -1 ? segments : segments.slice(0, end);
+    return path.length >= 2 ? path : null;
+  },
+  bitbucket: (segments) => {
+    if (segments[0] === 'projects' && segments[2] === 'repos' && segments[3]) return [segments[1], segments[3]];
+    if (segments[0] === 'scm' && segments.length >= 3) return segments.slice(1, 3);
+    return null;
+  }
+};
+
+// Source control access for the agents that work on pull requests.
+//
+// Every provider implements the same interface, with `repository` being the
+// provider's repository path (owner/repo, a GitLab group/project path, or a
+// Bitbucket Server PROJECT/repo) and `number` the pull or merge request:
+//
+//   getPullRequest(repository, number)
+//     -> { number, title, url, head_sha, base_sha, head_ref, base_ref, raw }
+//   getDiff(repository, number, { diffUrl })      unified diff text
+//   compareCommits(repository, base, head)        { status, diff } or null
+//   listChangedFiles(repository, number)
+//     -> [{ filename, previous_filename, status, patch, additions, deletions }]
+//   getFileContent(repository, path, ref)         text, or null when missing
+//   getFileContents(repository, paths, ref)       { path: text }
+//   listFiles(repository, ref)                    { paths, truncated }
+//   getArchive(repository, ref)                   gzipped tarball
+//   postInlineComments(repository, number, pullRequest, comments)
+//     -> [{ id, path, line, body }]
+//   postSummaryComment(repository, number, body, { commentId })  { id, url }
+//   replyToComment(repository, number, commentId, body)
+//   headRef(number)                               ref of the request's head
+//
+// plus `supports`, the GitHub-only features a provider has: review verdicts
+// (reviews), check runs (checks), code scanning uploads (code_scanning) and
+// commits through the API (commits).
+class ScmClient {
+  constructor() {
+    this.providers = new Map();
+    this.factories = { ...PROVIDER_FACTORIES };
+  }
+
+  registerProvider(name, factory) {
+    this.factories[name] = factory;
+    this.providers.delete(name);
+  }
+
+  getProvider(name) {
+    if (!this.factories[name]) {
+      throw invalid(`Unknown SCM provider: ${name}. Available: ${Object.keys(this.factories).join(', ')}`);
+    }
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  // Picks the provider and repository path for a request. `repository` is
+  // either a path or a repository, pull request or clone URL; a URL's host
+  // selects the provider unless `provider` names one.
+  resolve({ provider, repository } = {}) {
+    if (!repository) {
+      throw invalid('repository is required');
+    }
+
+    if (!/^https?:\/\//i.test(repository)) {
+      const name = provider || process.env.SCM_PROVIDER || 'github';
+      this.getProvider(name);
+      return { provider: name, repository: repository.replace(/\.git$/, '').replace(/^\/+|\/+$/g, '') };
+    }
+
+    const url = new URL(repository);
+    const name = provider || this.getProviderForHost(url.host.toLowerCase());
+    if (!name) {
+      throw invalid(`Cannot tell the SCM provider of ${url.host}; set provider, or GITLAB_URL / BITBUCKET_URL to that server`);
+    }
+    this.getProvider(name);
+
+    const segments = url.pathname.replace(/\.git$/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    const path = REPOSITORY_PATHS[name] ? REPOSITORY_PATHS[name](segments) : segments;
+    if (!path) {
+      throw invalid(`${repository} is not a ${name} repository URL`);
+    }
+    return { provider: name, repository: path.join('/') };
+  }
+
+  getProviderForHost(host) {
+    const hosts = [
+      ['gitlab', hostOf(process.env.GITLAB_URL)],
+      ['bitbucket', hostOf(process.env.BITBUCKET_URL)],
+      ['github', 'github.com'],
+      ['gitlab', 'gitlab.com']
+    ];
+    const match = hosts.find(([, candidate]) => candidate === host);
+    return match ? match[0] : null;
+  }
+}
+
+module.exports = new ScmClient();
@@ -0,0 +1,153 @@
+const { BitbucketProvider } = require('../bitbucketProvider');
+const { parseDiff } = require('../../../utils/diffParser');
+
+const REPO = '/projects/PLAT/repos/api';
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+// Routes stubbed requests by "METHOD url"; a route is a response or a
+// function of the request options
+const stubRequests = (provider, routes) => {
+  provider.request = jest.fn(async (method, url, options = {}) => {
+    const route = routes[`${method.toUpperCase()} ${url}`];
+    if (route === undefined) throw notFound();
+    return typeof route === 'function' ? route(options) : route;
+  });
+  return provider.request;
+};
+
+const DIFF = [
+  'diff --git src://src/app.js dst://src/app.js',
+  'index 1111111..2222222 100644',
+  '--- src://src/app.js',
+  '+++ dst://src/app.js',
+  '@@ -1,2 +1,3 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  'diff --git src://lib/gone.js dst://lib/gone.js',
+  'deleted file mode 100644',
+  '--- src://lib/gone.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-bye();',
+  ''
+].join('\n');
+
+describe('BitbucketProvider', () => {
+  let bitbucket;
+
+  beforeEach(() => {
+    process.env.BITBUCKET_URL = 'https://bitbucket.acme.com/';
+    bitbucket = new BitbucketProvider();
+  });
+
+  afterEach(() => {
+    delete process.env.BITBUCKET_URL;
+  });
+
+  it('needs BITBUCKET_URL', async () => {
+    delete process.env.BITBUCKET_URL;
+    await expect(new BitbucketProvider().getPullRequest('PLAT/api', 3)).rejects.toMatchObject({ status: 400, message: 'BITBUCKET_URL is not set' });
+  });
+
+  it('maps a pull request onto the shared pull request shape', async () => {
+    stubRequests(bitbucket, {
+      [`GET ${REPO}/pull-requests/3`]: {
+        data: {
+          id: 3,
+          title: 'Add users',
+          links: { self: [{ href: 'https://bitbucket.acme.com/projects/PLAT/repos/api/pull-requests/3' }] },
+          fromRef: { latestCommit: 'head', displayId: 'feature' },
+          toRef: { latestCommit: 'base', displayId: 'main' }
+        }
+      }
+    });
+
+    expect(await bitbucket.getPullRequest('PLAT/api', 3)).toMatchObject({
+      number: 3,
+      url: 'https://bitbucket.acme.com/projects/PLAT/repos/api/pull-requests/3',
+      head_sha: 'head',
+      base_sha: 'base',
+      head_ref: 'feature',
+      base_ref: 'main'
+    });
+  });
+
+  it('rewrites src:// and dst:// paths into a git diff', async () => {
+    stubRequests(bitbucket, { [`GET ${REPO}/pull-requests/3.diff`]: { data: DIFF } });
+
+    const diff = await bitbucket.getDiff('PLAT/api', 3);
+
+    expect(diff).toContain('diff --git a/src/app.js b/src/app.js\n');
+    expect(diff).toContain('--- a/src/app.js\n+++ b/src/app.js\n');
+    expect(parseDiff(diff).map(file => [file.path, file.status])).toEqual([['src/app.js', 'modified'], ['lib/gone.js', 'deleted']]);
+  });
+
+  it('lists changed files with their own patches', async () => {
+    stubRequests(bitbucket, { [`GET ${REPO}/pull-requests/3.diff`]: { data: DIFF } });
+
+    expect(await bitbucket.listChangedFiles('PLAT/api', 3)).toEqual([
+      {
+        filename: 'src/app.js',
+        previous_filename: null,
+        status: 'modified',
+        patch: '@@ -1,2 +1,3 @@\n const a = 1;\n-const b = 2;\n+const b = 3;\n+const c = 4;',
+        additions: 2,
+        deletions: 1
+      },
+      { filename: 'lib/gone.js', previous_filename: null, status: 'removed', patch: '@@ -1 +0,0 @@\n-bye();', additions: 0, deletions: 1 }
+    ]);
+  });
+
+  it('pages with start and nextPageStart', async () => {
+    const request = stubRequests(bitbucket, {
+      [`GET ${REPO}/files`]: ({ params }) => ({
+        data: params.start === 0
+          ? { values: ['a.js', 'b.js'], isLastPage: false, nextPageStart: 2 }
+          : { values: ['c.js'], isLastPage: true }
+      })
+    });
+
+    expect(await bitbucket.listFiles('PLAT/api', 'head')).toEqual({ paths: ['a.js', 'b.js', 'c.js'], truncated: false });
+    expect(request.mock.calls.map(([, , options]) => options.params.start)).toEqual([0, 2]);
+  });
+
+  it('anchors inline comments to added and context lines', async () => {
+    const request = stubRequests(bitbucket, {
+      [`POST ${REPO}/pull-requests/3/comments`]: ({ data }) => ({ data: { id: data.anchor.line } })
+    });
+
+    const posted = await bitbucket.postInlineComments('PLAT/api', 3, {}, [
+      { path: 'src/app.js', line: 2, line_type: 'add', body: 'Added line' },
+      { path: 'src/app.js', old_path: 'src/old.js', line: 1, line_type: 'context', body: 'Context line' }
+    ]);
+
+    expect(posted.map(comment => comment.id)).toEqual([2, 1]);
+    expect(request.mock.calls.map(([, , options]) => options.data.anchor)).toEqual([
+      { path: 'src/app.js', srcPath: 'src/app.js', line: 2, lineType: 'ADDED', fileType: 'TO', diffType: 'EFFECTIVE' },
+      { path: 'src/app.js', srcPath: 'src/old.js', line: 1, lineType: 'CONTEXT', fileType: 'TO', diffType: 'EFFECTIVE' }
+    ]);
+  });
+
+  it('edits the summary comment at its current version', async () => {
+    const request = stubRequests(bitbucket, {
+      [`GET ${REPO}/pull-requests/3/comments/8`]: { data: { id: 8, version: 4 } },
+      [`PUT ${REPO}/pull-requests/3/comments/8`]: { data: { id: 8 } }
+    });
+
+    expect(await bitbucket.postSummaryComment('PLAT/api', 3, 'updated', { commentId: 8 })).toEqual({
+      id: 8,
+      url: 'https://bitbucket.acme.com/projects/PLAT/repos/api/pull-requests/3/overview?commentId=8'
+    });
+    expect(request.mock.calls[1][2].data).toEqual({ text: 'updated', version: 4 });
+  });
+
+  it('replies in the comment thread', async () => {
+    const request = stubRequests(bitbucket, { [`POST ${REPO}/pull-requests/3/comments`]: { data: { id: 9 } } });
+
+    await bitbucket.replyToComment('PLAT/api', 3, 8, 'Resolved');
+
+    expect(request.mock.calls[0][2].data).toEqual({ text: 'Resolved', parent: { id: 8 } });
+  });
+});
@@ -0,0 +1,157 @@
+const { GitLabProvider } = require('../gitlabProvider');
+const { parseDiff } = require('../../../utils/diffParser');
+
+const PROJECT = '/projects/platform%2Ftools%2Fapi';
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+// Routes stubbed requests by "METHOD url"; a route is a response or a
+// function of the request options
+const stubRequests = (provider, routes) => {
+  provider.request = jest.fn(async (method, url, options = {}) => {
+    const route = routes[`${method.toUpperCase()} ${url}`];
+    if (route === undefined) throw notFound();
+    return typeof route === 'function' ? route(options) : route;
+  });
+  return provider.request;
+};
+
+const CHANGES = [
+  {
+    old_path: 'src/app.js',
+    new_path: 'src/app.js',
+    diff: '@@ -1,2 +1,2 @@\n const a = 1;\n-const b = 2;\n+const b = 3;\n'
+  },
+  { old_path: 'docs/old.md', new_path: 'docs/new.md', renamed_file: true, diff: '' },
+  { old_path: 'lib/new.js', new_path: 'lib/new.js', new_file: true, diff: '@@ -0,0 +1 @@\n+run();\n' }
+];
+
+describe('GitLabProvider', () => {
+  let gitlab;
+
+  beforeEach(() => {
+    delete process.env.GITLAB_URL;
+    gitlab = new GitLabProvider();
+  });
+
+  it('maps a merge request onto the shared pull request shape', async () => {
+    stubRequests(gitlab, {
+      [`GET ${PROJECT}/merge_requests/12`]: {
+        data: {
+          iid: 12,
+          title: 'Add users',
+          web_url: 'https://gitlab.com/platform/tools/api/-/merge_requests/12',
+          sha: 'head',
+          source_branch: 'feature',
+          target_branch: 'main',
+          diff_refs: { base_sha: 'base', start_sha: 'start', head_sha: 'head' }
+        }
+      }
+    });
+
+    expect(await gitlab.getPullRequest('platform/tools/api', 12)).toMatchObject({
+      number: 12,
+      head_sha: 'head',
+      base_sha: 'base',
+      start_sha: 'start',
+      head_ref: 'feature',
+      base_ref: 'main'
+    });
+  });
+
+  it('follows x-next-page through every page', async () => {
+    const request = stubRequests(gitlab, {
+      [`GET ${PROJECT}/merge_requests/12/diffs`]: ({ params }) => ({
+        data: params.page === 1 ? CHANGES.slice(0, 2) : CHANGES.slice(2),
+        headers: { 'x-next-page': params.page === 1 ? '2' : '' }
+      })
+    });
+
+    const files = await gitlab.listChangedFiles('platform/tools/api', 12);
+
+    expect(request.mock.calls.map(([, , options]) => options.params.page)).toEqual([1, 2]);
+    expect(files).toEqual([
+      { filename: 'src/app.js', previous_filename: null, status: 'modified', patch: CHANGES[0].diff, additions: 1, deletions: 1 },
+      { filename: 'docs/new.md', previous_filename: 'docs/old.md', status: 'renamed', patch: undefined, additions: 0, deletions: 0 },
+      { filename: 'lib/new.js', previous_filename: null, status: 'added', patch: CHANGES[2].diff, additions: 1, deletions: 0 }
+    ]);
+  });
+
+  it('renders per-file diffs as a unified diff, falling back to /changes on older servers', async () => {
+    stubRequests(gitlab, {
+      [`GET ${PROJECT}/merge_requests/12/changes`]: { data: { changes: CHANGES } }
+    });
+
+    const files = parseDiff(await gitlab.getDiff('platform/tools/api', 12));
+
+    expect(files.map(file => [file.path, file.status])).toEqual([
+      ['src/app.js', 'modified'],
+      ['docs/new.md', 'renamed'],
+      ['lib/new.js', 'added']
+    ]);
+    expect(files[0].hunks[0].lines.map(line => line.type)).toEqual(['context', 'del', 'add']);
+  });
+
+  it('compares commits only when head still contains base', async () => {
+    stubRequests(gitlab, {
+      [`GET ${PROJECT}/repository/merge_base`]: ({ params }) => ({ data: { id: params.refs[0] === 'old' ? 'old' : 'other' } }),
+      [`GET ${PROJECT}/repository/compare`]: { data: { diffs: CHANGES.slice(0, 1) } }
+    });
+
+    const ahead = await gitlab.compareCommits('platform/tools/api', 'old', 'head');
+    expect(ahead.status).toBe('ahead');
+    expect(parseDiff(ahead.diff).map(file => file.path)).toEqual(['src/app.js']);
+    expect(await gitlab.compareCommits('platform/tools/api', 'rebased', 'head')).toEqual({ status: 'diverged', diff: null });
+    expect(await gitlab.compareCommits('platform/tools/api', 'head', 'head')).toEqual({ status: 'identical', diff: '' });
+  });
+
+  it('posts each finding as a positioned discussion and skips the ones GitLab rejects', async () => {
+    const request = stubRequests(gitlab, {
+      [`POST ${PROJECT}/merge_requests/12/discussions`]: ({ data }) => {
+        if (data.position.new_line === 99) throw Object.assign(new Error('line_code can not be blank'), { status: 400 });
+        return { data: { id: `discussion-${data.position.new_line}` } };
+      }
+    });
+    const pullRequest = { base_sha: 'base', start_sha: 'start', head_sha: 'head' };
+
+    const posted = await gitlab.postInlineComments('platform/tools/api', 12, pullRequest, [
+      { path: 'src/app.js', line: 2, line_type: 'add', body: 'Added line' },
+      { path: 'src/app.js', old_path: 'src/old.js', line: 1, old_line: 1, line_type: 'context', body: 'Context line' },
+      { path: 'src/app.js', line: 99, line_type: 'add', body: 'Rejected' }
+    ]);
+
+    expect(posted.map(comment => comment.id)).toEqual(['discussion-2', 'discussion-1']);
+    expect(request.mock.calls[1][2].data.position).toEqual({
+      position_type: 'text',
+      base_sha: 'base',
+      start_sha: 'start',
+      head_sha: 'head',
+      old_path: 'src/old.js',
+      new_path: 'src/app.js',
+      new_line: 1,
+      old_line: 1
+    });
+  });
+
+  it('creates the summary note once and edits it afterwards', async () => {
+    const request = stubRequests(gitlab, {
+      [`POST ${PROJECT}/merge_requests/12/notes`]: { data: { id: 5 } },
+      [`PUT ${PROJECT}/merge_requests/12/notes/5`]: { data: { id: 5 } }
+    });
+
+    expect(await gitlab.postSummaryComment('platform/tools/api', 12, 'first')).toEqual({
+      id: 5,
+      url: 'https://gitlab.com/platform/tools/api/-/merge_requests/12#note_5'
+    });
+    await gitlab.postSummaryComment('platform/tools/api', 12, 'second', { commentId: 5 });
+
+    expect(request.mock.calls.map(([method]) => method)).toEqual(['post', 'put']);
+  });
+
+  it('returns null for missing files', async () => {
+    stubRequests(gitlab, {
+      [`GET ${PROJECT}/repository/files/README.md/raw`]: { data: '# API' }
+    });
+
+    expect(await gitlab.getFileContents('platform/tools/api', ['README.md', 'missing.md'], 'head')).toEqual({ 'README.md': '# API' });
+  });
+});
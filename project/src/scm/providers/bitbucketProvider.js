@@ -0,0 +1,206 @@
+const winston = require('winston');
+
+const { createHttpClient, encodePath } = require('./http');
+const { parseDiff } = require('../../utils/diffParser');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Concurrent file reads, as for GitHub
+const CONTENT_CONCURRENCY = parseInt(process.env.GITHUB_CONTENT_CONCURRENCY, 10) || 8;
+// Repository files listed before giving up on the rest
+const MAX_TREE_ENTRIES = 20000;
+
+const FILE_STATUSES = { added: 'added', deleted: 'removed', renamed: 'renamed', modified: 'modified' };
+
+// Bitbucket prefixes paths in raw diffs with src:// and dst:// where git
+// uses a/ and b/
+const normalizeDiff = (diff) => (diff || '').split('\n').map(line => {
+  if (line.startsWith('diff --git ')) return line.replace(' src://', ' a/').replace(' dst://', ' b/');
+  if (line.startsWith('--- src://')) return `--- a/${line.slice(10)}`;
+  if (line.startsWith('+++ dst://')) return `+++ b/${line.slice(10)}`;
+  return line;
+}).join('\n');
+
+// Splits a unified diff into each file's text, without the file headers
+const splitPatches = (diff) => diff.split(/^(?=diff --git )/m)
+  .filter(section => section.startsWith('diff --git '))
+  .map(section => {
+    const hunkStart = section.search(/^@@ /m);
+    return hunkStart === -1 ? undefined : section.slice(hunkStart).replace(/\n$/, '');
+  });
+
+// Bitbucket Server / Data Center at BITBUCKET_URL through the REST API 1.0,
+// authenticated with an HTTP access token in BITBUCKET_TOKEN. Repositories
+// are PROJECT/repo.
+class BitbucketProvider {
+  constructor() {
+    this.name = 'bitbucket';
+    this.supports = { reviews: false, checks: false, code_scanning: false, commits: false };
+    this.baseUrl = (process.env.BITBUCKET_URL || '').replace(/\/+$/, '');
+    this.request = createHttpClient({
+      baseURL: `${this.baseUrl}/rest/api/1.0`,
+      headers: process.env.BITBUCKET_TOKEN ? { Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` } : {}
+    });
+  }
+
+  repo(repository) {
+    if (!this.baseUrl) {
+      const error = new Error('BITBUCKET_URL is not set');
+      error.status = 400;
+      throw error;
+    }
+    const [project, slug] = repository.split('/');
+    return `/projects/${encodeURIComponent(project)}/repos/${encodeURIComponent(slug)}`;
+  }
+
+  headRef(number) {
+    return `refs/pull-requests/${number}/from`;
+  }
+
+  // Every value of a paged list
+  async paginate(url, params = {}, { limit = Infinity } = {}) {
+    const values = [];
+    let start = 0;
+    while (start !== null && values.length < limit) {
+      const { data } = await this.request('get', url, { params: { ...params, start, limit: 1000 } });
+      values.push(...data.values);
+      start = data.isLastPage ? null : data.nextPageStart;
+    }
+    return values;
+  }
+
+  async getPullRequest(repository, number) {
+    const { data: pr } = await this.request('get', `${this.repo(repository)}/pull-requests/${number}`);
+    return {
+      number: pr.id,
+      title: pr.title,
+      url: pr.links && pr.links.self ? pr.links.self[0].href : null,
+      head_sha: pr.fromRef.latestCommit,
+      base_sha: pr.toRef.latestCommit,
+      head_ref: pr.fromRef.displayId,
+      base_ref: pr.toRef.displayId,
+      raw: pr
+    };
+  }
+
+  async getDiff(repository, number) {
+    const { data } = await this.request('get', `${this.repo(repository)}/pull-requests/${number}.diff`, {
+      responseType: 'text'
+    });
+    return normalizeDiff(data);
+  }
+
+  // The REST API has no raw diff between two commits, so pull requests are
+  // always reviewed in full
+  async compareCommits() {
+    return null;
+  }
+
+  async listChangedFiles(repository, number) {
+    const diff = await this.getDiff(repository, number);
+    const patches = splitPatches(diff);
+    return parseDiff(diff).map((file, index) => ({
+      filename: file.path,
+      previous_filename: file.status === 'renamed' ? file.oldPath : null,
+      status: FILE_STATUSES[file.status],
+      patch: patches[index],
+      additions: file.additions,
+      deletions: file.deletions
+    }));
+  }
+
+  async getFileContent(repository, path, ref) {
+    try {
+      const { data } = await this.request('get', `${this.repo(repository)}/raw/${encodePath(path)}`, {
+        params: { at: ref },
+        responseType: 'text'
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async getFileContents(repository, paths, ref) {
+    const contents = await mapWithConcurrency(paths, CONTENT_CONCURRENCY, async (path) => {
+      try {
+        return [path, await this.getFileContent(repository, path, ref)];
+      } catch (error) {
+        logger.warn(`Could not fetch ${repository}/${path}:`, error.message);
+        return [path, null];
+      }
+    });
+    return Object.fromEntries(contents.filter(([, content]) => content !== null));
+  }
+
+  async listFiles(repository, ref) {
+    const paths = await this.paginate(`${this.repo(repository)}/files`, { at: ref }, { limit: MAX_TREE_ENTRIES });
+    return { paths, truncated: paths.length >= MAX_TREE_ENTRIES };
+  }
+
+  // The sandbox strips the archive's top directory, as in GitHub's tarballs
+  async getArchive(repository, ref) {
+    const { data } = await this.request('get', `${this.repo(repository)}/archive`, {
+      params: { at: ref, format: 'tar.gz', prefix: `${repository.split('/')[1]}/` },
+      responseType: 'arraybuffer'
+    });
+    return data;
+  }
+
+  async postInlineComments(repository, number, pullRequest, comments) {
+    const posted = [];
+    for (const comment of comments) {
+      const anchor = {
+        path: comment.path,
+        srcPath: comment.old_path || comment.path,
+        line: comment.line,
+        lineType: comment.line_type === 'context' ? 'CONTEXT' : 'ADDED',
+        fileType: 'TO',
+        diffType: 'EFFECTIVE'
+      };
+
+      try {
+        const { data } = await this.request('post', `${this.repo(repository)}/pull-requests/${number}/comments`, {
+          data: { text: comment.body, anchor }
+        });
+        posted.push({ ...comment, id: data.id });
+      } catch (error) {
+        logger.warn(`Could not comment on ${comment.path}:${comment.line} of ${repository}#${number}: ${error.message}`);
+      }
+    }
+    return posted;
+  }
+
+  // Edits must name the comment's current version
+  async postSummaryComment(repository, number, body, { commentId = null } = {}) {
+    const comments = `${this.repo(repository)}/pull-requests/${number}/comments`;
+    let comment;
+    if (commentId) {
+      const { data: current } = await this.request('get', `${comments}/${commentId}`);
+      ({ data: comment } = await this.request('put', `${comments}/${commentId}`, { data: { text: body, version: current.version } }));
+    } else {
+      ({ data: comment } = await this.request('post', comments, { data: { text: body } }));
+    }
+    const [project, slug] = repository.split('/');
+    return {
+      id: comment.id,
+      url: `${this.baseUrl}/projects/${project}/repos/${slug}/pull-requests/${number}/overview?commentId=${comment.id}`
+    };
+  }
+
+  async replyToComment(repository, number, commentId, body) {
+    await this.request('post', `${this.repo(repository)}/pull-requests/${number}/comments`, {
+      data: { text: body, parent: { id: commentId } }
+    });
+  }
+}
+
+module.exports = {
+  BitbucketProvider
+};
@@ -0,0 +1,150 @@
+const githubClient = require('../../github');
+
+// GitHub through the shared client in src/github, so requests get its
+// pagination, rate-limit backoff, caching and App authentication
+class GitHubProvider {
+  constructor() {
+    this.name = 'github';
+    this.supports = { reviews: true, checks: true, code_scanning: true, commits: true };
+  }
+
+  get github() {
+    return githubClient.rest;
+  }
+
+  split(repository) {
+    const [owner, repo] = repository.split('/');
+    return { owner, repo };
+  }
+
+  headRef(number) {
+    return `refs/pull/${number}/head`;
+  }
+
+  async getPullRequest(repository, number) {
+    const { data: pr } = await this.github.pulls.get({ ...this.split(repository), pull_number: number });
+    return {
+      number: pr.number,
+      title: pr.title,
+      url: pr.html_url,
+      head_sha: pr.head.sha,
+      base_sha: pr.base.sha,
+      head_ref: pr.head.ref,
+      base_ref: pr.base.ref,
+      raw: pr
+    };
+  }
+
+  // The pull request's diff_url is used when the caller has one
+  async getDiff(repository, number, { diffUrl } = {}) {
+    const { data } = diffUrl
+      ? await this.github.request({ method: 'GET', url: diffUrl, headers: { accept: 'application/vnd.github.v3.diff' } })
+      : await this.github.pulls.get({ ...this.split(repository), pull_number: number, mediaType: { format: 'diff' } });
+    return data;
+  }
+
+  // The diff is only fetched when head is ahead of base; a force push or
+  // rebase leaves base off head's history
+  async compareCommits(repository, base, head) {
+    const basehead = `${base}...${head}`;
+    const { data: comparison } = await this.github.repos.compareCommitsWithBasehead({ ...this.split(repository), basehead });
+    if (comparison.status !== 'ahead') {
+      return { status: comparison.status, diff: null };
+    }
+
+    const { data: diff } = await this.github.repos.compareCommitsWithBasehead({
+      ...this.split(repository),
+      basehead,
+      mediaType: { format: 'diff' }
+    });
+    return { status: 'ahead', diff };
+  }
+
+  async listChangedFiles(repository, number) {
+    const files = await githubClient.paginate('pulls.listFiles', {
+      ...this.split(repository),
+      pull_number: number,
+      per_page: 100
+    });
+    return files.map(file => ({
+      filename: file.filename,
+      previous_filename: file.previous_filename || null,
+      status: file.status,
+      // Absent for binary files and very large diffs
+      patch: file.patch,
+      additions: file.additions,
+      deletions: file.deletions
+    }));
+  }
+
+  async getFileContent(repository, path, ref) {
+    const { owner, repo } = this.split(repository);
+    return githubClient.getFileContent(owner, repo, path, ref);
+  }
+
+  async getFileContents(repository, paths, ref) {
+    const { owner, repo } = this.split(repository);
+    return githubClient.getFileContents(owner, repo, paths, ref);
+  }
+
+  async listFiles(repository, ref) {
+    const { data: tree } = await this.github.git.getTree({ ...this.split(repository), tree_sha: ref, recursive: 'true' });
+    return {
+      paths: tree.tree.filter(entry => entry.type === 'blob').map(entry => entry.path),
+      truncated: Boolean(tree.truncated)
+    };
+  }
+
+  async getArchive(repository, ref) {
+    const { data } = await this.github.repos.downloadTarballArchive({ ...this.split(repository), ref });
+    return data;
+  }
+
+  // Posts the comments as one COMMENT review
+  async postInlineComments(repository, number, pullRequest, comments) {
+    if (comments.length === 0) return [];
+    const { owner, repo } = this.split(repository);
+
+    const { data: review } = await this.github.pulls.createReview({
+      owner,
+      repo,
+      pull_number: number,
+      commit_id: pullRequest.head_sha,
+      event: 'COMMENT',
+      body: '',
+      comments: comments.map(comment => ({ path: comment.path, line: comment.line, side: 'RIGHT', body: comment.body }))
+    });
+    const posted = await githubClient.paginate('pulls.listCommentsForReview', {
+      owner,
+      repo,
+      pull_number: number,
+      review_id: review.id,
+      per_page: 100
+    });
+
+    return comments.map(comment => {
+      const match = posted.find(candidate => candidate.path === comment.path && candidate.body === comment.body);
+      return { ...comment, id: match ? match.id : null };
+    });
+  }
+
+  async postSummaryComment(repository, number, body, { commentId = null } = {}) {
+    const { data: comment } = commentId
+      ? await this.github.issues.updateComment({ ...this.split(repository), comment_id: commentId, body })
+      : await this.github.issues.createComment({ ...this.split(repository), issue_number: number, body });
+    return { id: comment.id, url: comment.html_url };
+  }
+
+  async replyToComment(repository, number, commentId, body) {
+    await this.github.pulls.createReplyForReviewComment({
+      ...this.split(repository),
+      pull_number: number,
+      comment_id: commentId,
+      body
+    });
+  }
+}
+
+module.exports = {
+  GitHubProvider
+};
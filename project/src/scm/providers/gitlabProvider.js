@@ -0,0 +1,228 @@
+const winston = require('winston');
+
+const { createHttpClient, encodePath, renderFileDiff } = require('./http');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Concurrent file reads, as for GitHub
+const CONTENT_CONCURRENCY = parseInt(process.env.GITHUB_CONTENT_CONCURRENCY, 10) || 8;
+// Repository tree entries listed before giving up on the rest
+const MAX_TREE_ENTRIES = 20000;
+
+// GitLab's per-file diffs are hunks only, without file headers
+const countLines = (diff, marker) => (diff || '').split('\n').filter(line => line.startsWith(marker)).length;
+
+const fileStatus = (change) => {
+  if (change.new_file) return 'added';
+  if (change.deleted_file) return 'removed';
+  if (change.renamed_file) return 'renamed';
+  return 'modified';
+};
+
+// GitLab (gitlab.com or self-hosted at GITLAB_URL) through the REST API v4,
+// authenticated with GITLAB_TOKEN. Merge requests are addressed by their
+// project-scoped iid.
+class GitLabProvider {
+  constructor() {
+    this.name = 'gitlab';
+    this.supports = { reviews: false, checks: false, code_scanning: false, commits: false };
+    this.baseUrl = (process.env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+    this.request = createHttpClient({
+      baseURL: `${this.baseUrl}/api/v4`,
+      headers: process.env.GITLAB_TOKEN ? { 'PRIVATE-TOKEN': process.env.GITLAB_TOKEN } : {}
+    });
+  }
+
+  project(repository) {
+    return `/projects/${encodeURIComponent(repository)}`;
+  }
+
+  headRef(number) {
+    return `refs/merge-requests/${number}/head`;
+  }
+
+  // Every item of an offset-paginated list
+  async paginate(url, params = {}, { limit = Infinity } = {}) {
+    const items = [];
+    let page = 1;
+    while (page && items.length < limit) {
+      const response = await this.request('get', url, { params: { ...params, per_page: 100, page } });
+      items.push(...response.data);
+      page = parseInt(response.headers['x-next-page'], 10) || null;
+    }
+    return items;
+  }
+
+  async getPullRequest(repository, number) {
+    const { data: mr } = await this.request('get', `${this.project(repository)}/merge_requests/${number}`);
+    const refs = mr.diff_refs || {};
+    return {
+      number: mr.iid,
+      title: mr.title,
+      url: mr.web_url,
+      head_sha: mr.sha,
+      base_sha: refs.base_sha || null,
+      // Where the source branch left the target; inline comments need it
+      start_sha: refs.start_sha || null,
+      head_ref: mr.source_branch,
+      base_ref: mr.target_branch,
+      raw: mr
+    };
+  }
+
+  // The merge request's per-file diffs; GitLab before 15.7 only has the
+  // older /changes endpoint
+  async getChanges(repository, number) {
+    const base = `${this.project(repository)}/merge_requests/${number}`;
+    try {
+      return await this.paginate(`${base}/diffs`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      const { data } = await this.request('get', `${base}/changes`);
+      return data.changes;
+    }
+  }
+
+  async getDiff(repository, number) {
+    const changes = await this.getChanges(repository, number);
+    return changes.map(change => this.renderChange(change)).join('\n');
+  }
+
+  renderChange(change) {
+    return renderFileDiff({
+      oldPath: change.old_path,
+      newPath: change.new_path,
+      added: change.new_file,
+      deleted: change.deleted_file,
+      renamed: change.renamed_file,
+      hunks: change.diff
+    });
+  }
+
+  // GitLab's compare doesn't say how the commits relate, so the merge base
+  // tells whether head still contains base
+  async compareCommits(repository, base, head) {
+    if (base === head) return { status: 'identical', diff: '' };
+
+    const { data: mergeBase } = await this.request('get', `${this.project(repository)}/repository/merge_base`, {
+      params: { refs: [base, head] }
+    });
+    if (mergeBase.id !== base) {
+      return { status: 'diverged', diff: null };
+    }
+
+    const { data: comparison } = await this.request('get', `${this.project(repository)}/repository/compare`, {
+      params: { from: base, to: head, straight: true }
+    });
+    return { status: 'ahead', diff: comparison.diffs.map(change => this.renderChange(change)).join('\n') };
+  }
+
+  async listChangedFiles(repository, number) {
+    const changes = await this.getChanges(repository, number);
+    return changes.map(change => ({
+      filename: change.new_path,
+      previous_filename: change.renamed_file ? change.old_path : null,
+      status: fileStatus(change),
+      patch: change.diff || undefined,
+      additions: countLines(change.diff, '+'),
+      deletions: countLines(change.diff, '-')
+    }));
+  }
+
+  async getFileContent(repository, path, ref) {
+    try {
+      const { data } = await this.request('get', `${this.project(repository)}/repository/files/${encodeURIComponent(path)}/raw`, {
+        params: { ref },
+        responseType: 'text'
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async getFileContents(repository, paths, ref) {
+    const contents = await mapWithConcurrency(paths, CONTENT_CONCURRENCY, async (path) => {
+      try {
+        return [path, await this.getFileContent(repository, path, ref)];
+      } catch (error) {
+        logger.warn(`Could not fetch ${repository}/${path}:`, error.message);
+        return [path, null];
+      }
+    });
+    return Object.fromEntries(contents.filter(([, content]) => content !== null));
+  }
+
+  async listFiles(repository, ref) {
+    const entries = await this.paginate(`${this.project(repository)}/repository/tree`, { ref, recursive: true }, {
+      limit: MAX_TREE_ENTRIES
+    });
+    return {
+      paths: entries.filter(entry => entry.type === 'blob').map(entry => entry.path),
+      truncated: entries.length >= MAX_TREE_ENTRIES
+    };
+  }
+
+  async getArchive(repository, ref) {
+    const { data } = await this.request('get', `${this.project(repository)}/repository/archive.tar.gz`, {
+      params: { sha: ref },
+      responseType: 'arraybuffer'
+    });
+    return data;
+  }
+
+  // One discussion per comment. Unchanged lines need their old line number
+  // as well; a comment GitLab can't place is logged and left out.
+  async postInlineComments(repository, number, pullRequest, comments) {
+    const posted = [];
+    for (const comment of comments) {
+      const position = {
+        position_type: 'text',
+        base_sha: pullRequest.base_sha,
+        start_sha: pullRequest.start_sha || pullRequest.base_sha,
+        head_sha: pullRequest.head_sha,
+        old_path: comment.old_path || comment.path,
+        new_path: comment.path,
+        new_line: comment.line
+      };
+      if (comment.line_type === 'context' && comment.old_line) {
+        position.old_line = comment.old_line;
+      }
+
+      try {
+        const { data: discussion } = await this.request('post', `${this.project(repository)}/merge_requests/${number}/discussions`, {
+          data: { body: comment.body, position }
+        });
+        posted.push({ ...comment, id: discussion.id });
+      } catch (error) {
+        logger.warn(`Could not comment on ${comment.path}:${comment.line} of ${repository}!${number}: ${error.message}`);
+      }
+    }
+    return posted;
+  }
+
+  async postSummaryComment(repository, number, body, { commentId = null } = {}) {
+    const notes = `${this.project(repository)}/merge_requests/${number}/notes`;
+    const { data: note } = commentId
+      ? await this.request('put', `${notes}/${commentId}`, { data: { body } })
+      : await this.request('post', notes, { data: { body } });
+    return { id: note.id, url: `${this.baseUrl}/${encodePath(repository)}/-/merge_requests/${number}#note_${note.id}` };
+  }
+
+  // Replies go into the comment's discussion
+  async replyToComment(repository, number, discussionId, body) {
+    await this.request('post', `${this.project(repository)}/merge_requests/${number}/discussions/${discussionId}/notes`, {
+      data: { body }
+    });
+  }
+}
+
+module.exports = {
+  GitLabProvider
+};
@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+// Thin axios wrapper for the REST-based providers. Failed requests reject
+// with the HTTP status on error.status, like Octokit errors, so callers can
+// treat a 404 the same way for every provider.
+const createHttpClient = ({ baseURL, headers, timeout = 30000 }) => {
+  const client = axios.create({ baseURL, headers, timeout });
+
+  return async (method, url, { params, data, responseType, headers: extraHeaders } = {}) => {
+    try {
+      return await client.request({ method, url, params, data, responseType, headers: extraHeaders });
+    } catch (error) {
+      if (!error.response) throw error;
+      const body = error.response.data;
+      const detail = body && typeof body === 'object'
+        ? body.message || body.error || (body.errors && body.errors.map(e => e.message).join('; '))
+        : null;
+      const failed = new Error(`${method.toUpperCase()} ${url} failed with ${error.response.status}${detail ? `: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}` : ''}`);
+      failed.status = error.response.status;
+      failed.response = error.response;
+      throw failed;
+    }
+  };
+};
+
+// Path of a repository-relative file in a URL
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// Renders one file of a provider's structured diff as unified diff text
+// that parseDiff understands
+const renderFileDiff = ({ oldPath, newPath, added, deleted, renamed, hunks }) => [
+  `diff --git a/${oldPath || newPath} b/${newPath || oldPath}`,
+  added ? 'new file mode 100644' : null,
+  deleted ? 'deleted file mode 100644' : null,
+  renamed ? `rename from ${oldPath}` : null,
+  renamed ? `rename to ${newPath}` : null,
+  `--- ${added ? '/dev/null' : `a/${oldPath}`}`,
+  `+++ ${deleted ? '/dev/null' : `b/${newPath}`}`,
+  (hunks || '').replace(/\n$/, '')
+].filter(line => line !== null && line !== '').join('\n');
+
+module.exports = {
+  createHttpClient,
+  encodePath,
+  renderFileDiff
+};
@@ -11,6 +11,12 @@ dotenv.config();
 const agentRoutes = require('./routes/agents');
 const notificationRoutes = require('./routes/notifications');
 const healthRoutes = require('./routes/health');
+const mcpRoutes = require('./routes/mcp');
+const usageRoutes = require('./routes/usage');
+const buildRoutes = require('./routes/builds');
+const flakyTestRoutes = require('./routes/flakyTests');
+const workflowRoutes = require('./routes/workflows');
+const webhookRoutes = require('./routes/webhooks');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
@@ -43,6 +49,9 @@ app.use(cors({
   credentials: true
 }));
 
+// Webhooks verify their signature over the raw body, so they come before body parsing
+app.use('/webhooks', webhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -58,11 +67,21 @@ app.use((req, res, next) => {
 
 // Authentication middleware for protected routes
 app.use('/agent', authMiddleware);
+app.use('/mcp', authMiddleware);
+app.use('/usage', authMiddleware);
+app.use('/builds', authMiddleware);
+app.use('/flaky-tests', authMiddleware);
+app.use('/workflows', authMiddleware);
 
 // Routes
 app.use('/health', healthRoutes);
 app.use('/agent', agentRoutes);
 app.use('/notifications', notificationRoutes);
+app.use('/mcp', mcpRoutes);
+app.use('/usage', usageRoutes);
+app.use('/builds', buildRoutes);
+app.use('/flaky-tests', flakyTestRoutes);
+app.use('/workflows', workflowRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -85,7 +104,13 @@ app.listen(PORT, () => {
   logger.info('  POST /agent/docker-handler');
   logger.info('  POST /agent/deploy');
   logger.info('  POST /agent/monitor');
+  logger.info('  POST /mcp (Model Context Protocol, streamable HTTP)');
+  logger.info('  GET  /builds/:owner/:repo');
+  logger.info('  GET  /flaky-tests/:owner/:repo');
+  logger.info('  GET  /workflows/:owner/:repo');
+  logger.info('  POST /webhooks/github');
   logger.info('  GET  /health');
+  logger.info('  GET  /usage');
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite database at DATA_DIR/<name>.db, for records that grow without bound
+// and are queried by range rather than read whole.
+//
+// Writes go to the write-ahead log, one row at a time, so storing a record
+// doesn't rewrite the rest.
+const openDatabase = (name, options = {}) => {
+  const dataDir = options.dataDir || process.env.DATA_DIR || 'data';
+  const file = path.resolve(dataDir, `${name}.db`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+
+  process.on('exit', () => {
+    if (db.open) db.close();
+  });
+  return db;
+};
+
+module.exports = { openDatabase };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Keyed JSON document persisted to DATA_DIR/<name>.json.
+//
+// Reads are served from memory. Writes are coalesced and flushed to disk
+// atomically (write to a temp file, then rename) so a crash never leaves a
+// half-written file behind.
+class JsonStore {
+  constructor(name, options = {}) {
+    const dataDir = options.dataDir || process.env.DATA_DIR || 'data';
+    this.file = path.resolve(dataDir, `${name}.json`);
+    this.flushDelayMs = options.flushDelayMs ?? 100;
+    this.data = this.load();
+    this.flushTimer = null;
+
+    process.on('exit', () => {
+      if (this.flushTimer) this.flush();
+    });
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read ${this.file}, starting empty: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.data, key);
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.scheduleFlush();
+    return value;
+  }
+
+  delete(key) {
+    delete this.data[key];
+    this.scheduleFlush();
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+
+  values() {
+    return Object.values(this.data);
+  }
+
+  entries() {
+    return Object.entries(this.data);
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    // Pending writes must not keep the process alive on their own
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      logger.error(`Failed to write ${this.file}:`, error);
+    }
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,111 @@
+const { predictBuild, percentile, areaOf, fileTypeOf, isFailure } = require('../buildModel');
+
+let nextId = 1;
+// Runs newest first, one hour apart
+const runsOf = (specs) => specs.map((spec, index) => ({
+  id: nextId++,
+  workflow: 'CI',
+  branch: 'main',
+  actor: 'dev',
+  conclusion: 'success',
+  created_at: new Date(Date.UTC(2026, 0, 10) - index * 3600000).toISOString(),
+  duration_ms: 10 * 60000,
+  files: null,
+  ...spec
+}));
+
+describe('helpers', () => {
+  it('interpolates percentiles between ranks', () => {
+    expect(percentile([], 50)).toBeNull();
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([10, 20], 95)).toBe(19.5);
+  });
+
+  it('groups files by their first two directories', () => {
+    expect(areaOf('src/api/v2/users.js')).toBe('src/api');
+    expect(areaOf('lib/x.js')).toBe('lib');
+    expect(areaOf('README.md')).toBe('.');
+  });
+
+  it('types files by extension or name', () => {
+    expect(fileTypeOf('src/App.TSX')).toBe('.tsx');
+    expect(fileTypeOf('deploy/Dockerfile')).toBe('Dockerfile');
+  });
+
+  it('counts failures, time-outs and startup failures as failed', () => {
+    expect(['failure', 'timed_out', 'startup_failure', 'cancelled', 'success'].map(conclusion => isFailure({ conclusion })))
+      .toEqual([true, true, true, false, false]);
+  });
+});
+
+describe('durations', () => {
+  it("uses the branch's own runs once it has enough of them", () => {
+    const runs = runsOf([
+      { branch: 'feature', duration_ms: 20 * 60000 },
+      { branch: 'feature', duration_ms: 20 * 60000 },
+      { branch: 'feature', duration_ms: 20 * 60000 },
+      { duration_ms: 5 * 60000 },
+      { workflow: 'Lint', duration_ms: 60000 },
+      { workflow: 'Docs', duration_ms: null }
+    ]);
+
+    expect(predictBuild(runs, { branch: 'feature' }).durations).toEqual([
+      { workflow: 'CI', scope: 'branch', samples: 3, p50_minutes: 20, p90_minutes: 20, p95_minutes: 20 },
+      { workflow: 'Lint', scope: 'all_branches', samples: 1, p50_minutes: 1, p90_minutes: 1, p95_minutes: 1 }
+    ]);
+    expect(predictBuild(runs, { branch: 'other' }).durations[0]).toMatchObject({ scope: 'all_branches', samples: 4 });
+  });
+});
+
+describe('predictBuild', () => {
+  it('predicts an even chance with no confidence without history', () => {
+    const prediction = predictBuild([], {});
+    expect(prediction).toMatchObject({ failure_probability: 0.5, confidence: 0, estimated_duration: null });
+    expect(prediction.inputs.factors).toEqual([]);
+  });
+
+  it('predicts success for a branch that keeps passing', () => {
+    const runs = runsOf(Array.from({ length: 30 }, () => ({})));
+    const prediction = predictBuild(runs, { branch: 'main', author: 'dev' });
+    expect(prediction.outcome).toBe('success');
+    expect(prediction.failure_probability).toBeLessThan(0.1);
+    expect(prediction.estimated_duration).toBe(10);
+  });
+
+  it('raises the probability for a branch that keeps failing', () => {
+    const runs = runsOf([
+      ...Array.from({ length: 6 }, () => ({ branch: 'feature', conclusion: 'failure' })),
+      ...Array.from({ length: 20 }, () => ({}))
+    ]);
+    const prediction = predictBuild(runs, { branch: 'feature' });
+    expect(prediction.outcome).toBe('failure');
+    expect(prediction.inputs.streak).toEqual({ branch: 'feature', consecutive_failures: 6, last_conclusion: 'failure' });
+    expect(prediction.inputs.factors.find(factor => factor.factor === 'branch').shift).toBeGreaterThan(0);
+  });
+
+  it('ignores cancelled and skipped runs', () => {
+    const runs = runsOf([{ conclusion: 'cancelled' }, { conclusion: 'skipped' }, {}]);
+    expect(predictBuild(runs, {}).inputs.base_rate).toEqual({ runs: 1, failures: 0, rate: 0.333 });
+  });
+
+  it('scores the riskiest changed area', () => {
+    const runs = runsOf([
+      ...Array.from({ length: 5 }, () => ({ conclusion: 'failure', files: ['src/db/pool.js'] })),
+      ...Array.from({ length: 15 }, () => ({ files: ['src/api/users.js'] }))
+    ]);
+    const area = predictBuild(runs, { files: ['src/api/users.js', 'src/db/query.js'] }).inputs.factors
+      .find(factor => factor.factor === 'changed_area');
+    expect(area).toMatchObject({ value: 'src/db', runs: 5, failures: 5 });
+  });
+
+  it('adds the chance of nearby flaky tests failing the build', () => {
+    const runs = runsOf(Array.from({ length: 20 }, () => ({})));
+    const flaky = { id: 'api::retries', area: 'api', flake_rate: 0.3, executions: 10, flaky_failures: 3 };
+    const without = predictBuild(runs, { branch: 'main' });
+    const withFlaky = predictBuild(runs, { branch: 'main', flaky_tests: [flaky] });
+
+    expect(withFlaky.failure_probability).toBeGreaterThan(without.failure_probability);
+    expect(withFlaky.inputs.change.flaky_tests).toEqual(['api::retries']);
+    expect(withFlaky.inputs.factors.find(factor => factor.factor === 'flaky_tests')).toMatchObject({ value: 'api', rate: 0.3 });
+  });
+});
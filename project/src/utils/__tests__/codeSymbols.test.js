@@ -0,0 +1,131 @@
+const { extractSymbols, findChangedSymbols, findCallers } = require('../codeSymbols');
+
+const JS_SOURCE = [
+  'class Store {',
+  '  constructor() {',
+  '    this.items = [];',
+  '  }',
+  '',
+  '  add(item) {',
+  '    this.items.push(item);',
+  '  }',
+  '}',
+  '',
+  'const helper = (x) => x * 2;',
+  '',
+  'module.exports.run = async function (input) {',
+  '  return helper(input);',
+  '};',
+  ''
+].join('\n');
+
+const PY_SOURCE = [
+  'class Cart:',
+  '    def add(self, item):',
+  '        self.items.append(item)',
+  '',
+  '    def total(self):',
+  '        return sum(self.items)',
+  '',
+  'def checkout(cart):',
+  '    return cart.total()',
+  ''
+].join('\n');
+
+const GO_SOURCE = [
+  'package store',
+  '',
+  'type Store struct {',
+  '\titems []string',
+  '}',
+  '',
+  'func (s *Store) Add(item string) {',
+  '\ts.items = append(s.items, item)',
+  '}',
+  '',
+  'func New() *Store {',
+  '\treturn &Store{}',
+  '}',
+  ''
+].join('\n');
+
+const summary = (symbols) => symbols.map(symbol => [symbol.name, symbol.kind, symbol.startLine, symbol.endLine]);
+
+describe('extractSymbols', () => {
+  it('finds classes, methods and bound functions in JavaScript', () => {
+    const symbols = extractSymbols('src/store.js', JS_SOURCE);
+
+    expect(summary(symbols)).toEqual([
+      ['Store', 'class', 1, 9],
+      ['Store.constructor', 'method', 2, 4],
+      ['Store.add', 'method', 6, 8],
+      ['helper', 'function', 11, 11],
+      ['run', 'function', 13, 15]
+    ]);
+    expect(symbols[2].signature).toBe('add(item)');
+    expect(symbols[4].signature).toBe('module.exports.run = async function (input)');
+  });
+
+  it('nests Python functions in their class by indentation', () => {
+    expect(summary(extractSymbols('cart.py', PY_SOURCE))).toEqual([
+      ['Cart', 'class', 1, 6],
+      ['Cart.add', 'method', 2, 3],
+      ['Cart.total', 'method', 5, 6],
+      ['checkout', 'function', 8, 9]
+    ]);
+  });
+
+  it('names Go methods after their receiver', () => {
+    expect(summary(extractSymbols('store.go', GO_SOURCE))).toEqual([
+      ['Store', 'class', 3, 5],
+      ['Store.Add', 'method', 7, 9],
+      ['New', 'function', 11, 13]
+    ]);
+  });
+
+  it('returns null for unsupported or unparsable files', () => {
+    expect(extractSymbols('README.md', '# Store')).toBeNull();
+    expect(extractSymbols('src/bad.ts', 'function (')).toBeNull();
+  });
+});
+
+describe('findChangedSymbols', () => {
+  const symbols = extractSymbols('src/store.js', JS_SOURCE);
+
+  it('marks symbols whose every line is new as added', () => {
+    const changed = findChangedSymbols(symbols, new Set([7, 13, 14, 15]));
+
+    expect(changed.map(symbol => [symbol.name, symbol.change])).toEqual([
+      ['Store.add', 'modified'],
+      ['run', 'added']
+    ]);
+  });
+
+  it('counts a class only for lines outside its methods', () => {
+    expect(findChangedSymbols(symbols, new Set([5])).map(symbol => symbol.name)).toEqual(['Store']);
+    expect(findChangedSymbols(symbols, new Set([12]))).toEqual([]);
+  });
+});
+
+describe('findCallers', () => {
+  const symbols = extractSymbols('src/store.js', JS_SOURCE);
+  const helper = symbols.find(symbol => symbol.name === 'helper');
+
+  it('lists calls in other files and outside the symbol itself', () => {
+    const files = [
+      { filename: 'src/store.js', content: JS_SOURCE },
+      { filename: 'src/api.js', content: 'const x = helper(2);\nfunction helper(y) {}\n' }
+    ];
+
+    expect(findCallers(helper, files, { filename: 'src/store.js' })).toEqual([
+      { file: 'src/store.js', line: 14, code: 'return helper(input);' },
+      { file: 'src/api.js', line: 1, code: 'const x = helper(2);' }
+    ]);
+  });
+
+  it('skips names too short or too generic to search for', () => {
+    const constructor = symbols.find(symbol => symbol.name === 'Store.constructor');
+    expect(findCallers(constructor, [{ filename: 'src/a.js', content: 'constructor()' }])).toEqual([]);
+    expect(findCallers({ name: 'go', startLine: 1, endLine: 1 }, [{ filename: 'a.js', content: 'go()' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+const { parseLcov, goProfileToLcov, summarizeCoverage } = require('../coverage');
+
+const LCOV = [
+  'TN:',
+  'SF:/workspace/src/users.js',
+  'DA:1,1',
+  'DA:2,0',
+  'DA:3,4',
+  'DA:4,0',
+  'BRDA:2,0,0,1',
+  'BRDA:2,0,1,-',
+  'LF:4',
+  'LH:2',
+  'end_of_record',
+  'SF:./lib/math.js',
+  'DA:1,1',
+  'end_of_record',
+  ''
+].join('\n');
+
+const COBERTURA = '<?xml version="1.0" ?>\n<coverage line-rate="0.5" branch-rate="0.5"></coverage>\n';
+
+describe('parseLcov', () => {
+  it('counts line and branch hits per repository path', () => {
+    const files = parseLcov(LCOV);
+
+    expect([...files.keys()]).toEqual(['src/users.js', 'lib/math.js']);
+    expect(files.get('src/users.js')).toEqual({
+      lines: { covered: 2, total: 4 },
+      branches: { covered: 1, total: 2 }
+    });
+    expect(files.get('lib/math.js')).toEqual({ lines: { covered: 1, total: 1 }, branches: null });
+  });
+
+  it('merges repeated records of the same line', () => {
+    const files = parseLcov('SF:a.js\nDA:1,0\nDA:1,3\nend_of_record\n');
+    expect(files.get('a.js').lines).toEqual({ covered: 1, total: 1 });
+  });
+
+  it('returns no files for an empty report', () => {
+    expect(parseLcov('').size).toBe(0);
+    expect(parseLcov(null).size).toBe(0);
+  });
+});
+
+describe('goProfileToLcov', () => {
+  const PROFILE = [
+    'mode: count',
+    'example.com/shop/cart/cart.go:5.30,7.2 2 3',
+    'example.com/shop/cart/cart.go:9.20,10.2 1 0',
+    'example.com/shop/main.go:3.13,5.2 1 1',
+    ''
+  ].join('\n');
+
+  it('converts statement blocks into lcov line records', () => {
+    const files = parseLcov(goProfileToLcov(PROFILE, 'example.com/shop'));
+
+    expect(files.get('cart/cart.go')).toEqual({ lines: { covered: 3, total: 5 }, branches: null });
+    expect(files.get('main.go').lines).toEqual({ covered: 3, total: 3 });
+  });
+
+  it('keeps only the requested files', () => {
+    const lcov = goProfileToLcov(PROFILE, 'example.com/shop', { files: ['main.go'] });
+    expect([...parseLcov(lcov).keys()]).toEqual(['main.go']);
+  });
+});
+
+describe('summarizeCoverage', () => {
+  const run = (phase, lcov, extra = {}) => ({
+    framework: 'Jest',
+    phase,
+    files: ['src/users.js'],
+    reports: { lcov, cobertura: COBERTURA },
+    ...extra
+  });
+
+  it('compares coverage before and after the generated tests', () => {
+    const before = 'SF:src/users.js\nDA:1,1\nDA:2,0\nDA:3,0\nDA:4,0\nend_of_record\n';
+    const report = summarizeCoverage([run('before', before), run('after', LCOV)]);
+
+    expect(report.status).toBe('completed');
+    expect(report.files[0]).toMatchObject({
+      file: 'src/users.js',
+      before: { lines: { covered: 1, total: 4, pct: 25 }, branches: null },
+      after: { lines: { covered: 2, total: 4, pct: 50 }, branches: { covered: 1, total: 2, pct: 50 } },
+      delta: { lines: 25, branches: null }
+    });
+    expect(report.totals.delta.lines).toBe(25);
+  });
+
+  it('counts a file no test loaded before as uncovered', () => {
+    const report = summarizeCoverage([run('before', ''), run('after', LCOV)]);
+
+    expect(report.files[0].before.lines).toEqual({ covered: 0, total: 4, pct: 0 });
+    expect(report.files[0].before.branches).toEqual({ covered: 0, total: 2, pct: 0 });
+    expect(report.files[0].delta.lines).toBe(50);
+  });
+
+  it('keeps the lcov and Cobertura reports as artifacts', () => {
+    const report = summarizeCoverage([run('before', ''), run('after', LCOV)]);
+
+    expect(report.artifacts.map(artifact => [artifact.phase, artifact.format])).toEqual([
+      ['before', 'cobertura'],
+      ['after', 'lcov'],
+      ['after', 'cobertura']
+    ]);
+    expect(report.artifacts[2].content).toBe(COBERTURA);
+  });
+
+  it('fails when a phase produced no report', () => {
+    const report = summarizeCoverage([run('before', LCOV), { ...run('after', null), reports: null, error: 'Coverage run timed out' }]);
+
+    expect(report.status).toBe('failed');
+    expect(report.errors).toEqual([{ framework: 'Jest', phase: 'after', message: 'Coverage run timed out' }]);
+  });
+});
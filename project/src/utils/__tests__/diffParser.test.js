@@ -0,0 +1,142 @@
+const {
+  parseDiff,
+  parsePatch,
+  renderHunk,
+  mapLineThroughDiff,
+  addedLines,
+  touchedLines
+} = require('../diffParser');
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1,4 +1,5 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' const d = 5;',
+  ' module.exports = { a };',
+  '@@ -10,2 +11,2 @@ function run() {',
+  ' run();',
+  '-stop();',
+  '+halt();',
+  'diff --git a/docs/old.md b/docs/new.md',
+  'similarity index 100%',
+  'rename from docs/old.md',
+  'rename to docs/new.md',
+  'diff --git a/gone.txt b/gone.txt',
+  'deleted file mode 100644',
+  '--- a/gone.txt',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-bye',
+  'diff --git a/logo.png b/logo.png',
+  'new file mode 100644',
+  'Binary files /dev/null and b/logo.png differ',
+  ''
+].join('\n');
+
+describe('parseDiff', () => {
+  const files = parseDiff(DIFF);
+
+  it('returns one entry per file with its status', () => {
+    expect(files.map(file => [file.path, file.status])).toEqual([
+      ['src/app.js', 'modified'],
+      ['docs/new.md', 'renamed'],
+      ['gone.txt', 'deleted'],
+      ['logo.png', 'added']
+    ]);
+    expect(files[1].oldPath).toBe('docs/old.md');
+    expect(files[3].binary).toBe(true);
+  });
+
+  it('numbers hunk lines in the old and new file', () => {
+    const [app] = files;
+    expect(app.additions).toBe(3);
+    expect(app.deletions).toBe(2);
+    expect(app.hunks).toHaveLength(2);
+    expect(app.hunks[0].lines.map(line => [line.type, line.oldLine, line.newLine])).toEqual([
+      ['context', 1, 1],
+      ['del', 2, null],
+      ['add', null, 2],
+      ['add', null, 3],
+      ['context', 3, 4],
+      ['context', 4, 5]
+    ]);
+    expect(app.hunks[1]).toMatchObject({ oldStart: 10, oldLines: 2, newStart: 11, newLines: 2 });
+  });
+
+  it('keeps the old path of a deleted file', () => {
+    expect(files[2].path).toBe('gone.txt');
+    expect(files[2].hunks[0].lines).toEqual([{ type: 'del', content: 'bye', oldLine: 1, newLine: null }]);
+  });
+
+  it('lists the added lines of a file', () => {
+    expect(addedLines(files[0]).map(line => [line.newLine, line.content])).toEqual([
+      [2, 'const b = 3;'],
+      [3, 'const c = 4;'],
+      [12, 'halt();']
+    ]);
+  });
+
+  it('returns nothing for an empty diff', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff(undefined)).toEqual([]);
+  });
+});
+
+describe('parsePatch', () => {
+  it('parses the hunks-only patch of one file', () => {
+    const file = parsePatch('lib/x.js', '@@ -0,0 +1,2 @@\n+one\n+two');
+    expect(file.path).toBe('lib/x.js');
+    expect(addedLines(file).map(line => [line.newLine, line.content])).toEqual([[1, 'one'], [2, 'two']]);
+  });
+
+  it('handles a missing patch', () => {
+    expect(parsePatch('lib/x.js', undefined).hunks).toEqual([]);
+  });
+});
+
+describe('renderHunk', () => {
+  it('prefixes each line with its new line number', () => {
+    const [app] = parseDiff(DIFF);
+    expect(renderHunk(app.hunks[1]).split('\n')).toEqual([
+      '@@ -10,2 +11,2 @@ function run() {',
+      '   11  run();',
+      '      -stop();',
+      '   12 +halt();'
+    ]);
+  });
+});
+
+describe('mapLineThroughDiff', () => {
+  const [app] = parseDiff(DIFF);
+
+  it('maps lines before, inside and after the hunks', () => {
+    expect(mapLineThroughDiff(app, 1)).toBe(1);
+    expect(mapLineThroughDiff(app, 3)).toBe(4);
+    expect(mapLineThroughDiff(app, 7)).toBe(8);
+    expect(mapLineThroughDiff(app, 20)).toBe(21);
+  });
+
+  it('returns null for a deleted line', () => {
+    expect(mapLineThroughDiff(app, 2)).toBeNull();
+    expect(mapLineThroughDiff(app, 11)).toBeNull();
+  });
+
+  it('shifts the line at a pure insertion point down', () => {
+    const [file] = parseDiff('diff --git a/a.js b/a.js\n@@ -5,0 +6,2 @@\n+x\n+y');
+    expect(mapLineThroughDiff(file, 5)).toBe(5);
+    expect(mapLineThroughDiff(file, 6)).toBe(8);
+  });
+});
+
+describe('touchedLines', () => {
+  it('includes added lines and the line at each deletion', () => {
+    const [app] = parseDiff(DIFF);
+    expect([...touchedLines(app)].sort((a, b) => a - b)).toEqual([2, 3, 12]);
+  });
+});
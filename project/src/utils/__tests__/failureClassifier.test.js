@@ -0,0 +1,70 @@
+const { extractFailure, classifyFailure } = require('../failureClassifier');
+
+const log = (lines) => lines.map(line => `2026-01-10T12:00:00.1234567Z ${line}`).join('\r\n');
+
+describe('extractFailure', () => {
+  it('keeps the failing step output up to the first error marker', () => {
+    const job = { steps: [{ name: 'Checkout', conclusion: 'success' }, { name: 'Run tests', conclusion: 'failure' }] };
+    const { step, excerpt } = extractFailure(log([
+      '##[group]Run npm ci',
+      'added 120 packages',
+      '##[endgroup]',
+      '##[group]Run npm test',
+      'Tests:       2 failed, 40 passed',
+      '##[error]Process completed with exit code 1.',
+      'Post job cleanup.',
+      '##[error]Node.js 16 actions are deprecated.'
+    ]), job);
+
+    expect(step).toBe('Run tests');
+    expect(excerpt).toBe([
+      '##[group]Run npm test',
+      'Tests:       2 failed, 40 passed',
+      '##[error]Process completed with exit code 1.',
+      '##[error]Node.js 16 actions are deprecated.'
+    ].join('\n'));
+  });
+
+  it('ends at the last non-empty line without an error marker', () => {
+    const { step, excerpt } = extractFailure(log(['building', 'Killed']) + '\n\n');
+    expect(step).toBeNull();
+    expect(excerpt).toBe('building\nKilled');
+  });
+
+  it('keeps the end of long excerpts', () => {
+    const lines = Array.from({ length: 40 }, (_, index) => `${index} ${'x'.repeat(200)}`);
+    const { excerpt } = extractFailure(log([...lines, '##[error]boom']));
+    expect(excerpt.length).toBe(4000);
+    expect(excerpt.endsWith('##[error]boom')).toBe(true);
+  });
+});
+
+describe('classifyFailure', () => {
+  it.each([
+    ['FATAL ERROR: Reached heap limit - JavaScript heap out of memory', 'oom_timeout'],
+    ['npm ERR! network request failed, reason: getaddrinfo EAI_AGAIN registry.npmjs.org', 'infrastructure'],
+    ['npm ERR! code ERESOLVE\nunable to resolve dependency tree', 'dependency_resolution'],
+    ['✖ 3 problems (3 errors, 0 warnings)', 'lint'],
+    ["src/index.ts(4,7): error TS2322: Type 'string' is not assignable to type 'number'.", 'compile_error'],
+    ['Tests:       1 failed, 12 passed, 13 total', 'test_failure']
+  ])('classifies %j as %s', (excerpt, category) => {
+    expect(classifyFailure({ excerpt }).category).toBe(category);
+  });
+
+  it('prefers the root cause over its symptoms', () => {
+    const excerpt = 'Error: connect ECONNRESET 140.82.112.3:443\nTests:       5 failed, 10 passed';
+    expect(classifyFailure({ excerpt })).toEqual({ category: 'infrastructure', matched: 'ECONNRESET' });
+  });
+
+  it('classifies timed out jobs without looking at the log', () => {
+    expect(classifyFailure({ excerpt: 'error TS2304', conclusion: 'timed_out' }))
+      .toEqual({ category: 'oom_timeout', matched: 'job timed out' });
+  });
+
+  it('falls back to the step name only without a log', () => {
+    expect(classifyFailure({ excerpt: '', step: 'Run ESLint' })).toEqual({ category: 'lint', matched: 'step "Run ESLint"' });
+    expect(classifyFailure({ step: 'Install dependencies' }).category).toBe('dependency_resolution');
+    expect(classifyFailure({ excerpt: 'something odd happened', step: 'Run ESLint' })).toBeNull();
+    expect(classifyFailure()).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+const { parseJUnit } = require('../junitReport');
+
+describe('parseJUnit', () => {
+  it('reads one entry per test case with its status', () => {
+    const tests = parseJUnit(`<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="jest tests">
+  <testsuite name="api" file="/home/runner/work/api/api/src/api.test.js">
+    <testcase classname="api returns users" name="returns users" time="0.01"/>
+    <testcase classname="api rejects bad ids" name="rejects bad ids">
+      <failure message="expected 400, got 500" type="AssertionError"><![CDATA[<stack> & more]]></failure>
+    </testcase>
+    <testcase classname="api pages" name="pages"><skipped/></testcase>
+  </testsuite>
+</testsuites>`);
+
+    expect(tests).toEqual([
+      { id: 'api returns users::returns users', suite: 'api', classname: 'api returns users', name: 'returns users', file: 'src/api.test.js', status: 'passed', message: null },
+      { id: 'api rejects bad ids::rejects bad ids', suite: 'api', classname: 'api rejects bad ids', name: 'rejects bad ids', file: 'src/api.test.js', status: 'failed', message: 'expected 400, got 500' },
+      { id: 'api pages::pages', suite: 'api', classname: 'api pages', name: 'pages', file: 'src/api.test.js', status: 'skipped', message: null }
+    ]);
+  });
+
+  it('names tests by their suite without a classname', () => {
+    const [test] = parseJUnit('<testsuite name="pkg/store"><testcase name="TestGet" file=".\\store\\get_test.go"><error type="panic"/></testcase></testsuite>');
+    expect(test).toMatchObject({ id: 'pkg/store::TestGet', classname: null, file: 'store/get_test.go', status: 'failed', message: 'panic' });
+  });
+
+  it('decodes entities in attributes', () => {
+    const [test] = parseJUnit('<testsuite><testcase name="a &lt; b &amp;&amp; &#x1F600; &#65;" classname=\'it "quotes"\'/></testsuite>');
+    expect(test.name).toBe('a < b && 😀 A');
+    expect(test.classname).toBe('it "quotes"');
+  });
+
+  it('keeps out-of-range and unknown entities as they are', () => {
+    const [test] = parseJUnit('<testsuite><testcase name="&#x110000; &#99999999999; &nbsp;"/></testsuite>');
+    expect(test.name).toBe('&#x110000; &#99999999999; &nbsp;');
+  });
+
+  it('ignores tags in comments and CDATA sections', () => {
+    const tests = parseJUnit(`<testsuite name="s">
+  <!-- <testcase name="commented"/> -->
+  <testcase name="real"><system-out><![CDATA[<testcase name="printed"/>]]></system-out></testcase>
+</testsuite>`);
+    expect(tests.map(test => test.name)).toEqual(['real']);
+  });
+
+  it('returns null for documents that are not JUnit reports', () => {
+    expect(parseJUnit('<coverage line-rate="0.8"/>')).toBeNull();
+    expect(parseJUnit('')).toBeNull();
+    expect(parseJUnit('<testsuites></testsuites>')).toEqual([]);
+  });
+});
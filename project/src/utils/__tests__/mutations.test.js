@@ -0,0 +1,71 @@
+const { generateMutants, applyMutant } = require('../mutations');
+
+const mutatedLines = (mutants) => mutants.map(mutant => [mutant.operator, mutant.mutated.trim()]);
+
+describe('generateMutants', () => {
+  it('flips conditionals and swaps arithmetic in code', () => {
+    const mutants = generateMutants('src/price.js', 'const total = price * qty;\nif (total >= limit && open) {}');
+    expect(mutatedLines(mutants)).toEqual([
+      ['arithmetic', 'const total = price / qty;'],
+      ['conditional', 'if (total < limit && open) {}'],
+      ['conditional', 'if (total >= limit || open) {}']
+    ]);
+    expect(mutants[1]).toMatchObject({ line: 2, column: 10, original: 'if (total >= limit && open) {}' });
+  });
+
+  it('leaves strings, comments, unary minus and arrows alone', () => {
+    const content = [
+      "const label = 'a < b';",
+      '// x + y',
+      'const negative = -value;',
+      'const double = n => n;',
+      '/* total * 2 */'
+    ].join('\n');
+    expect(generateMutants('src/a.js', content)).toEqual([]);
+  });
+
+  it('removes call statements but not logging, returns or control flow', () => {
+    const content = [
+      '  await repo.save(user);',
+      '  logger.info(user);',
+      '  return compute(user);',
+      '  if (ready(user)) go();'
+    ].join('\n');
+    expect(mutatedLines(generateMutants('src/a.ts', content))).toEqual([['remove_call', '']]);
+  });
+
+  it('uses the language no-op and word operators', () => {
+    const content = 'if ready and valid:\n    notify(user)\n# a or b';
+    expect(mutatedLines(generateMutants('app.py', content))).toEqual([
+      ['conditional', 'if ready or valid:'],
+      ['remove_call', 'pass']
+    ]);
+  });
+
+  it('ignores Python docstrings', () => {
+    expect(generateMutants('app.py', '"""\na + b\n"""')).toEqual([]);
+  });
+
+  it('only mutates the given lines', () => {
+    const mutants = generateMutants('src/a.js', 'a = b + c;\nd = e - f;', new Set([2]));
+    expect(mutatedLines(mutants)).toEqual([['arithmetic', 'd = e + f;']]);
+  });
+
+  it('spreads mutants over the file when there are more than max', () => {
+    const content = Array.from({ length: 30 }, (_, i) => `x${i} = a + b;`).join('\n');
+    const mutants = generateMutants('src/a.js', content, null, { max: 5 });
+    expect(mutants.map(mutant => mutant.line)).toEqual([1, 7, 13, 19, 25]);
+  });
+
+  it('returns nothing for languages without syntax rules', () => {
+    expect(generateMutants('notes.txt', 'a + b')).toEqual([]);
+  });
+});
+
+describe('applyMutant', () => {
+  it('replaces the mutated line only', () => {
+    const content = 'a = 1;\nif (a < 2) {}\nb = 3;';
+    const [mutant] = generateMutants('src/a.js', content);
+    expect(applyMutant(content, mutant)).toBe('a = 1;\nif (a >= 2) {}\nb = 3;');
+  });
+});
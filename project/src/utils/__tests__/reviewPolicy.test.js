@@ -0,0 +1,71 @@
+const {
+  DEFAULT_REVIEW_POLICY,
+  parseReviewPolicy,
+  isIgnoredByPolicy,
+  isInLanguageFocus
+} = require('../reviewPolicy');
+
+describe('parseReviewPolicy', () => {
+  it('returns the defaults for an empty file', () => {
+    expect(parseReviewPolicy('')).toEqual({ ...DEFAULT_REVIEW_POLICY, source: '.mcp/review.yml' });
+  });
+
+  it('merges the policy over the defaults', () => {
+    const policy = parseReviewPolicy([
+      'approval:',
+      '  min_score: 90',
+      'ignore_paths: ["docs/**"]',
+      'rules:',
+      '  - Public functions must validate their arguments',
+      'languages: [JavaScript]'
+    ].join('\n'), 'custom.yml');
+
+    expect(policy).toEqual({
+      approval: { min_score: 90, blocking_severities: ['critical'] },
+      comments: { severities: ['critical', 'major'] },
+      ignore_paths: ['docs/**'],
+      rules: ['Public functions must validate their arguments'],
+      languages: ['javascript'],
+      source: 'custom.yml'
+    });
+  });
+
+  it('rejects invalid YAML with 422', () => {
+    expect(() => parseReviewPolicy('approval: [')).toThrow(expect.objectContaining({ status: 422 }));
+  });
+
+  it('reports every schema problem at once', () => {
+    let error;
+    try {
+      parseReviewPolicy('approval:\n  min_score: 120\ncomments:\n  severities: [urgent]');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.status).toBe(422);
+    expect(error.message).toContain('min_score');
+    expect(error.message).toContain('severities');
+  });
+});
+
+describe('isIgnoredByPolicy', () => {
+  const policy = { ...DEFAULT_REVIEW_POLICY, ignore_paths: ['docs/**', '*.sql'] };
+
+  it('matches paths and, for patterns without a slash, basenames', () => {
+    expect(isIgnoredByPolicy('docs/guide/intro.md', policy)).toBe(true);
+    expect(isIgnoredByPolicy('db/migrations/001.sql', policy)).toBe(true);
+    expect(isIgnoredByPolicy('src/docs.js', policy)).toBe(false);
+  });
+});
+
+describe('isInLanguageFocus', () => {
+  it('keeps every file in focus without languages', () => {
+    expect(isInLanguageFocus('main.go', DEFAULT_REVIEW_POLICY)).toBe(true);
+  });
+
+  it('matches extensions and file names of the configured languages', () => {
+    const policy = { ...DEFAULT_REVIEW_POLICY, languages: ['typescript', 'dockerfile'] };
+    expect(isInLanguageFocus('src/app.tsx', policy)).toBe(true);
+    expect(isInLanguageFocus('deploy/Dockerfile', policy)).toBe(true);
+    expect(isInLanguageFocus('src/app.js', policy)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+const { buildSarif } = require('../sarif');
+
+describe('buildSarif', () => {
+  const findings = [
+    { kind: 'issue', type: 'Null Check', severity: 'major', message: 'user may be null', file: 'src/a.js', line: 12, fingerprint: 'abc' },
+    { kind: 'issue', type: 'Null Check', severity: 'critical', message: 'crash on empty list', file: 'src/b.js', line: 0 },
+    { kind: 'secret', rule: 'github-token', severity: 'critical', message: 'GitHub token committed in config.js', file: 'config.js', line: 3 },
+    { kind: 'issue', type: 'design', severity: 'minor', message: 'Consider splitting this module', file: null, line: null }
+  ];
+  const sarif = buildSarif(findings);
+  const [run] = sarif.runs;
+
+  it('produces a SARIF 2.1.0 document with one run', () => {
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+    expect(run.tool.driver.name).toBe('mcp-devops-code-review');
+  });
+
+  it('defines each rule once', () => {
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['review/null-check', 'secret/github-token']);
+    expect(run.tool.driver.rules[1].properties).toEqual({ tags: ['security', 'secret'], 'security-severity': '9.0' });
+  });
+
+  it('leaves out findings without a file', () => {
+    expect(run.results).toHaveLength(3);
+  });
+
+  it('maps severities to levels and keeps lines at 1 or more', () => {
+    expect(run.results.map(result => [result.ruleId, result.level, result.locations[0].physicalLocation.region.startLine])).toEqual([
+      ['review/null-check', 'warning', 12],
+      ['review/null-check', 'error', 1],
+      ['secret/github-token', 'error', 3]
+    ]);
+  });
+
+  it('adds partial fingerprints only when a finding has one', () => {
+    expect(run.results[0].partialFingerprints).toEqual({ 'mcpFindingHash/v1': 'abc' });
+    expect(run.results[1].partialFingerprints).toBeUndefined();
+  });
+});
@@ -0,0 +1,124 @@
+const { TestConventions, getConventionConfigPaths, isTestFile } = require('../testConventions');
+
+const packageJson = (devDependencies, test = '') => JSON.stringify({ scripts: { test }, devDependencies });
+
+describe('isTestFile', () => {
+  it('recognises test naming conventions across languages', () => {
+    expect(['src/a.test.js', 'src/__tests__/a.js', 'tests/test_a.py', 'a_test.go', 'src/test/java/ATest.java', 'spec/a_spec.rb']
+      .every(isTestFile)).toBe(true);
+    expect(['src/a.js', 'lib/a.py', 'a.go'].some(isTestFile)).toBe(false);
+  });
+});
+
+describe('getConventionConfigPaths', () => {
+  it('asks for root configs, the nearest package.json and sample Python tests', () => {
+    const paths = ['package.json', 'packages/web/package.json', 'packages/web/src/app.js', 'pytest.ini', 'tests/test_a.py', 'app/main.py'];
+
+    expect(getConventionConfigPaths(paths, ['packages/web/src/app.js', 'app/main.py']))
+      .toEqual(['pytest.ini', 'packages/web/package.json', 'tests/test_a.py']);
+  });
+});
+
+describe('TestConventions', () => {
+  describe('JavaScript', () => {
+    it('uses the framework of the nearest package.json', () => {
+      const conventions = new TestConventions(
+        ['package.json', 'web/package.json', 'web/src/app.ts', 'api/src/server.js'],
+        { 'package.json': packageJson({ mocha: '^10' }), 'web/package.json': packageJson({ vitest: '^1' }) }
+      );
+
+      expect(conventions.forFile('web/src/app.ts')).toMatchObject({ language: 'typescript', framework: 'Vitest' });
+      expect(conventions.forFile('api/src/server.js').framework).toBe('Mocha');
+    });
+
+    it('recognises node:test from the test script and defaults to Jest', () => {
+      expect(new TestConventions(['package.json'], { 'package.json': packageJson({}, 'node --test') })
+        .forFile('src/a.js').framework).toBe('node:test');
+
+      const fallback = new TestConventions(['src/a.js']).forFile('src/a.js');
+      expect(fallback.framework).toBe('Jest');
+      expect(fallback.evidence[0]).toBe('no package.json: no test framework declared, defaulting to Jest');
+    });
+
+    it('follows the layout and suffix of the existing tests', () => {
+      const colocated = new TestConventions(['src/a.js', 'src/b.spec.js', 'src/c.spec.js']);
+      expect(colocated.forFile('src/a.js')).toMatchObject({ test_file: 'src/a.spec.js', layout: 'colocated' });
+
+      const underTests = new TestConventions(['src/a.js', 'src/__tests__/b.test.js']);
+      expect(underTests.forFile('src/users/a.js').test_file).toBe('src/users/__tests__/a.test.js');
+
+      const mirrored = new TestConventions(['src/users/a.js', 'test/orders/b.test.js']);
+      expect(mirrored.forFile('src/users/a.js')).toMatchObject({ test_file: 'test/users/a.test.js', layout: 'separate' });
+
+      const flat = new TestConventions(['src/users/a.js', 'test/b.test.js']);
+      expect(flat.forFile('src/users/a.js').test_file).toBe('test/a.test.js');
+    });
+  });
+
+  describe('Python', () => {
+    it('tells pytest from unittest', () => {
+      expect(new TestConventions(['pyproject.toml'], { 'pyproject.toml': '[tool.pytest.ini_options]\n' })
+        .forFile('app/a.py').framework).toBe('pytest');
+
+      const unittest = new TestConventions(['tests/test_b.py'], { 'tests/test_b.py': 'import unittest\n' });
+      expect(unittest.forFile('app/a.py')).toMatchObject({ framework: 'unittest', evidence: ['existing tests use unittest', expect.any(String)] });
+
+      expect(new TestConventions([]).forFile('app/a.py').framework).toBe('pytest');
+    });
+
+    it('places tests under tests/ or next to the sources', () => {
+      expect(new TestConventions([]).forFile('app/a.py').test_file).toBe('tests/test_a.py');
+
+      const suffixed = new TestConventions(['app/b_test.py', 'app/c_test.py']);
+      expect(suffixed.forFile('app/a.py')).toMatchObject({ test_file: 'app/a_test.py', layout: 'colocated' });
+
+      const nested = new TestConventions(['app/tests/test_b.py']);
+      expect(nested.forFile('app/a.py')).toMatchObject({ test_file: 'app/tests/test_a.py', layout: 'nested' });
+    });
+  });
+
+  it('writes Go tests next to the package and notes testify', () => {
+    const conventions = new TestConventions(['go.mod'], { 'go.mod': 'require github.com/stretchr/testify v1.9.0\n' });
+
+    expect(conventions.forFile('pkg/store/store.go')).toMatchObject({
+      framework: 'testing',
+      assertion_library: 'testify',
+      test_file: 'pkg/store/store_test.go'
+    });
+  });
+
+  it('reads the Java framework and build tool from the build file', () => {
+    const maven = new TestConventions(['pom.xml'], { 'pom.xml': '<artifactId>testng</artifactId>' });
+    expect(maven.forFile('src/main/java/com/acme/App.java')).toMatchObject({
+      framework: 'TestNG',
+      build_tool: 'maven',
+      test_file: 'src/test/java/com/acme/AppTest.java'
+    });
+
+    const gradle = new TestConventions(['build.gradle', 'src/test/java/BTests.java'], { 'build.gradle': "testImplementation 'junit:junit:4.13'" });
+    expect(gradle.forFile('src/main/java/A.java')).toMatchObject({
+      framework: 'JUnit 4',
+      build_tool: 'gradle',
+      test_file: 'src/test/java/ATests.java'
+    });
+  });
+
+  it('tells RSpec from Minitest', () => {
+    expect(new TestConventions(['Gemfile'], { Gemfile: "gem 'rspec'" }).forFile('lib/shop/cart.rb'))
+      .toMatchObject({ framework: 'RSpec', test_file: 'spec/shop/cart_spec.rb' });
+    expect(new TestConventions(['test/order_test.rb']).forFile('lib/cart.rb'))
+      .toMatchObject({ framework: 'Minitest', test_file: 'test/cart_test.rb' });
+  });
+
+  it('finds the existing test that covers a source file', () => {
+    const conventions = new TestConventions(['src/users/a.js', 'test/users/a.test.js', 'tests/orders/test_b.py', 'tests/users/test_b.py']);
+
+    expect(conventions.findExistingTest('src/users/a.js', 'src/users/a.test.js')).toBe('test/users/a.test.js');
+    expect(conventions.findExistingTest('app/users/b.py', 'tests/test_b.py')).toBe('tests/users/test_b.py');
+    expect(conventions.findExistingTest('src/c.js', 'src/c.test.js')).toBeNull();
+  });
+
+  it('returns null for languages it does not know', () => {
+    expect(new TestConventions([]).forFile('README.md')).toBeNull();
+  });
+});
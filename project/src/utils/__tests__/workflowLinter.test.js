@@ -0,0 +1,133 @@
+const { lintWorkflow, recommendationsFor } = require('../workflowLinter');
+
+const FILE = '.github/workflows/ci.yml';
+const SHA = 'b4ffde65f46336ab88eb53be808477a3936bae11';
+
+const lint = (lines, options) => lintWorkflow(FILE, lines.join('\n'), options);
+const summarize = (findings) => findings.map(({ rule, severity, job, line }) => ({ rule, severity, job, line }));
+
+describe('lintWorkflow', () => {
+  it('reports each use of a repeated action on its own line', () => {
+    const findings = lint([
+      'name: CI',
+      'on: push',
+      'jobs:',
+      '  test:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - run: echo start',
+      '      - uses: actions/checkout@v4',
+      '      - run: npm ci',
+      '      - uses: actions/checkout@v4',
+      '        with:',
+      '          path: other',
+      '      - uses: some-org/deploy@main'
+    ]);
+
+    expect(summarize(findings)).toEqual([
+      { rule: 'unpinned-action', severity: 'minor', job: 'test', line: 8 },
+      { rule: 'unpinned-action', severity: 'minor', job: 'test', line: 10 },
+      { rule: 'unpinned-action', severity: 'major', job: 'test', line: 13 },
+      { rule: 'missing-cache', severity: 'minor', job: 'test', line: 4 },
+      { rule: 'missing-timeout', severity: 'minor', job: 'test', line: 4 },
+      { rule: 'default-permissions', severity: 'minor', job: null, line: null }
+    ]);
+    expect(findings[2]).toMatchObject({ action: 'some-org/deploy', message: expect.stringContaining('follows the mutable ref main') });
+  });
+
+  it('accepts pinned actions, cached installs and timeouts', () => {
+    expect(lint([
+      'name: CI',
+      'on: push',
+      'permissions:',
+      '  contents: read',
+      'jobs:',
+      '  test:',
+      '    runs-on: ubuntu-latest',
+      '    timeout-minutes: 15',
+      '    steps:',
+      `      - uses: actions/checkout@${SHA} # v4`,
+      `      - uses: actions/setup-node@${SHA}`,
+      '        with:',
+      '          cache: npm',
+      '      - run: npm ci && npm test',
+      '      - uses: ./.github/actions/report',
+      '      - uses: docker://alpine@sha256:' + 'a'.repeat(64)
+    ])).toEqual([]);
+  });
+
+  it('suggests timeouts from the workflow durations', () => {
+    const lines = ['name: CI', 'on: push', 'permissions: {}', 'jobs:', '  build:', '    runs-on: ubuntu-latest', '    steps:', '      - run: make'];
+    expect(lint(lines, { durations: { CI: 12 } })[0].fix).toBe('Set `timeout-minutes: 25` on job build');
+    expect(lint(lines)[0].fix).toBe('Set `timeout-minutes: 30` on job build');
+  });
+
+  it('flags pull request code and text in pull_request_target', () => {
+    const findings = lint([
+      'on: pull_request_target',
+      'permissions: write-all',
+      'jobs:',
+      '  label:',
+      '    runs-on: ubuntu-latest',
+      '    timeout-minutes: 5',
+      '    steps:',
+      `      - uses: actions/checkout@${SHA}`,
+      '        with:',
+      '          ref: ${{ github.event.pull_request.head.sha }}',
+      '      - run: echo "${{ github.event.pull_request.title }}"'
+    ]);
+
+    expect(summarize(findings)).toEqual([
+      { rule: 'broad-permissions', severity: 'major', job: null, line: 2 },
+      { rule: 'pull-request-target-checkout', severity: 'critical', job: 'label', line: 10 },
+      { rule: 'pull-request-target-injection', severity: 'critical', job: 'label', line: 11 }
+    ]);
+  });
+
+  it('flags matrix jobs that keep running', () => {
+    const findings = lint([
+      'on: push',
+      'permissions: {}',
+      'jobs:',
+      '  test:',
+      '    if: always()',
+      '    timeout-minutes: 5',
+      '    strategy:',
+      '      fail-fast: false',
+      '      matrix:',
+      '        node: [18, 20]',
+      '    steps:',
+      '      - run: node --version'
+    ]);
+    expect(summarize(findings)).toEqual([
+      { rule: 'uncancellable-matrix', severity: 'major', job: 'test', line: 5 },
+      { rule: 'matrix-not-cancelled', severity: 'minor', job: 'test', line: 8 }
+    ]);
+  });
+
+  it('reports workflows that cannot be parsed or have no jobs', () => {
+    expect(summarize(lint(['on: push', 'jobs:', '  test: [unclosed']))).toEqual([
+      { rule: 'invalid-workflow', severity: 'major', job: null, line: 4 }
+    ]);
+    expect(lint(['on: push'])[0].message).toBe(`${FILE} has no jobs`);
+  });
+});
+
+describe('recommendationsFor', () => {
+  it('lists the most severe advice first and a file\'s unpinned actions together', () => {
+    const findings = [
+      { rule: 'missing-timeout', severity: 'minor', file: 'a.yml', fix: 'Set a timeout' },
+      { rule: 'unpinned-action', severity: 'major', file: 'a.yml', action: 'acme/deploy' },
+      { rule: 'unpinned-action', severity: 'minor', file: 'a.yml', action: 'actions/checkout' },
+      { rule: 'unpinned-action', severity: 'minor', file: 'a.yml', action: 'actions/checkout' },
+      { rule: 'pull-request-target-checkout', severity: 'critical', file: 'b.yml', fix: 'Stop checking out PR code' },
+      { rule: 'missing-timeout', severity: 'minor', file: 'a.yml', fix: 'Set a timeout' }
+    ];
+
+    expect(recommendationsFor(findings)).toEqual([
+      'b.yml: Stop checking out PR code',
+      'a.yml: Pin acme/deploy, actions/checkout to full commit SHAs or image digests',
+      'a.yml: Set a timeout'
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+const zlib = require('zlib');
+const { readZip } = require('../zipArchive');
+
+// A zip archive of `entries` ({ name, content, method, flags }), deflated
+// unless method is 0
+const zipOf = (entries) => {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, content, method = 8, flags = 0 } of entries) {
+    const data = Buffer.from(content);
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(flags, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+describe('readZip', () => {
+  it('reads stored and deflated files', () => {
+    const files = readZip(zipOf([
+      { name: 'junit.xml', content: '<testsuite/>', method: 0 },
+      { name: 'reports/jest.xml', content: '<testsuites>'.repeat(100) },
+      { name: 'reports/', content: '' }
+    ]));
+
+    expect(files.map(file => [file.name, file.data.toString()])).toEqual([
+      ['junit.xml', '<testsuite/>'],
+      ['reports/jest.xml', '<testsuites>'.repeat(100)]
+    ]);
+  });
+
+  it('reads only the files passing the filter', () => {
+    const data = zipOf([{ name: 'junit.xml', content: 'a' }, { name: 'coverage.json', content: 'b' }]);
+    expect(readZip(data, { filter: name => name.endsWith('.xml') }).map(file => file.name)).toEqual(['junit.xml']);
+  });
+
+  it('limits the total uncompressed size', () => {
+    const data = zipOf([{ name: 'a.xml', content: 'x'.repeat(600) }, { name: 'b.xml', content: 'x'.repeat(600) }]);
+    expect(readZip(data, { maxBytes: 1200 })).toHaveLength(2);
+    expect(() => readZip(data, { maxBytes: 1000 })).toThrow('Invalid zip archive: more than 1000 bytes uncompressed');
+  });
+
+  it('rejects encrypted files, unknown compression and zip64 archives', () => {
+    expect(() => readZip(zipOf([{ name: 'a.xml', content: 'x', flags: 1 }]))).toThrow('a.xml is encrypted');
+    expect(() => readZip(zipOf([{ name: 'a.xml', content: 'x', method: 12 }]))).toThrow('unsupported compression method 12');
+
+    const zip64 = zipOf([{ name: 'a.xml', content: 'x' }]);
+    zip64.writeUInt32LE(0xffffffff, zip64.length - 6);
+    expect(() => readZip(zip64)).toThrow('zip64 archives are not supported');
+  });
+
+  it('rejects data that is not a zip archive', () => {
+    expect(() => readZip(Buffer.from('not a zip archive at all'))).toThrow('no end of central directory record');
+
+    const data = zipOf([{ name: 'a.xml', content: 'x' }]);
+    data.writeUInt32LE(0, data.length - 6);
+    expect(() => readZip(data)).toThrow('corrupt central directory');
+  });
+});
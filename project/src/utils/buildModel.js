@@ -0,0 +1,214 @@
+// Deterministic build prediction from stored workflow runs.
+//
+// Runs are the records kept by builds/history: { workflow, branch, actor,
+// conclusion, created_at, duration_ms, files }. predictBuild returns the
+// failure probability of a workflow run for the change, duration percentiles
+// per workflow, and every input that went into them.
+//
+// The failure probability starts from the base failure rate of all completed
+// runs. Each factor (branch, author, changed areas, changed file types and
+// the branch's current streak) adds the log-odds difference between its own
+// failure rate and the base rate. Factor rates are smoothed toward the base
+// rate, so a factor seen in a handful of runs moves the estimate a little.
+// Flaky tests near the change (builds/testReports) add their chance of
+// flaking on top, as an independent cause of failure.
+
+const path = require('path');
+
+// Pseudo-runs at the base rate added to every factor's counts
+const SMOOTHING_RUNS = 5;
+// Log-odds a single factor can move the estimate
+const MAX_FACTOR_SHIFT = 2;
+// Runs on a branch before its own durations are used instead of all branches'
+const MIN_BRANCH_DURATION_SAMPLES = 3;
+// Completed runs at which confidence reaches half its possible value
+const CONFIDENCE_RUNS = 20;
+// Failure probabilities at or above which the outcome is warning or failure
+const WARNING_PROBABILITY = 0.25;
+const FAILURE_PROBABILITY = 0.5;
+
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'startup_failure']);
+// Cancelled and skipped runs say nothing about whether the change builds
+const COUNTED_CONCLUSIONS = new Set(['success', ...FAILED_CONCLUSIONS]);
+
+const isFailure = (run) => FAILED_CONCLUSIONS.has(run.conclusion);
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const logit = (p) => Math.log(p / (1 - p));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const clampProbability = (p) => Math.min(0.99, Math.max(0.01, p));
+
+// Linear interpolation between closest ranks; `sorted` is ascending
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Directory a change belongs to, at most two levels deep: src/api/users.js
+// and src/api/v2/users.js are both in src/api
+const areaOf = (file) => {
+  const directories = file.split('/').slice(0, -1);
+  return directories.length > 0 ? directories.slice(0, 2).join('/') : '.';
+};
+
+// Extension, or the file name for Dockerfile, Makefile and the like
+const fileTypeOf = (file) => {
+  const name = path.posix.basename(file);
+  const extension = path.posix.extname(name).toLowerCase();
+  return extension || name;
+};
+
+const unique = (values) => [...new Set(values)];
+
+const countFailures = (runs) => ({ runs: runs.length, failures: runs.filter(isFailure).length });
+
+// One factor's failure rate and how far it moves the estimate
+const scoreFactor = (factor, value, runs, baseRate) => {
+  const { runs: total, failures } = countFailures(runs);
+  const rate = (failures + SMOOTHING_RUNS * baseRate) / (total + SMOOTHING_RUNS);
+  const shift = Math.max(-MAX_FACTOR_SHIFT, Math.min(MAX_FACTOR_SHIFT, logit(clampProbability(rate)) - logit(baseRate)));
+  return { factor, value, runs: total, failures, rate: round(rate), shift: round(shift) };
+};
+
+// Of several values (changed areas, file types), the one whose runs failed
+// most often speaks for the factor
+const scoreRiskiest = (factor, values, runsFor, baseRate) => {
+  const scored = values.map(value => scoreFactor(factor, value, runsFor(value), baseRate));
+  if (scored.length === 0) return null;
+  return scored.reduce((riskiest, candidate) => (candidate.shift > riskiest.shift ? candidate : riskiest));
+};
+
+// The chance that at least one of the flaky tests flakes, combined with the
+// base rate as an independent cause of failure
+const scoreFlakyTests = (tests, baseRate) => {
+  if (!tests || tests.length === 0) return null;
+  const rate = 1 - tests.reduce((passes, test) => passes * (1 - test.flake_rate), 1);
+  const combined = 1 - (1 - baseRate) * (1 - rate);
+  const shift = Math.min(MAX_FACTOR_SHIFT, logit(clampProbability(combined)) - logit(baseRate));
+  return {
+    factor: 'flaky_tests',
+    value: unique(tests.map(test => test.area)).join(', '),
+    runs: tests.reduce((sum, test) => sum + test.executions, 0),
+    failures: tests.reduce((sum, test) => sum + test.flaky_failures, 0),
+    rate: round(rate),
+    shift: round(Math.max(0, shift))
+  };
+};
+
+// Consecutive failed runs at the top of the branch's history, newest first
+const getStreak = (runs, branch) => {
+  const onBranch = runs.filter(run => run.branch === branch);
+  let failures = 0;
+  while (failures < onBranch.length && isFailure(onBranch[failures])) failures++;
+  return {
+    branch,
+    consecutive_failures: failures,
+    last_conclusion: onBranch.length > 0 ? onBranch[0].conclusion : null
+  };
+};
+
+// Runs whose previous run of the same workflow on the same branch failed
+// (afterFailure) or didn't
+const runsFollowing = (runs, afterFailure) => {
+  const previous = new Map();
+  const following = [];
+  for (const run of [...runs].reverse()) {
+    const key = `${run.workflow}|${run.branch}`;
+    if (previous.has(key) && isFailure(previous.get(key)) === afterFailure) {
+      following.push(run);
+    }
+    previous.set(key, run);
+  }
+  return following;
+};
+
+const getDurations = (runs, branch) => {
+  const workflows = unique(runs.map(run => run.workflow));
+  return workflows.map(workflow => {
+    const timed = runs.filter(run => run.workflow === workflow && run.duration_ms > 0);
+    const onBranch = timed.filter(run => run.branch === branch);
+    const scope = onBranch.length >= MIN_BRANCH_DURATION_SAMPLES ? 'branch' : 'all_branches';
+    const samples = (scope === 'branch' ? onBranch : timed).map(run => run.duration_ms / 60000).sort((a, b) => a - b);
+    return {
+      workflow,
+      scope,
+      samples: samples.length,
+      p50_minutes: samples.length > 0 ? round(percentile(samples, 50), 1) : null,
+      p90_minutes: samples.length > 0 ? round(percentile(samples, 90), 1) : null,
+      p95_minutes: samples.length > 0 ? round(percentile(samples, 95), 1) : null
+    };
+  }).filter(duration => duration.samples > 0);
+};
+
+// `runs` newest first; `change` is { branch, author, files, flaky_tests }
+// with files null when unknown and flaky_tests the flaky tests near the
+// changed files
+const predictBuild = (runs, change) => {
+  const completed = runs.filter(run => COUNTED_CONCLUSIONS.has(run.conclusion));
+  const base = countFailures(completed);
+  // Laplace smoothing keeps the base rate off 0 and 1
+  const baseRate = (base.failures + 1) / (base.runs + 2);
+
+  const files = change.files || [];
+  const areas = unique(files.map(areaOf));
+  const fileTypes = unique(files.map(fileTypeOf));
+  const withFiles = completed.filter(run => Array.isArray(run.files));
+  const streak = getStreak(completed, change.branch);
+
+  const factors = [
+    change.branch ? scoreFactor('branch', change.branch, completed.filter(run => run.branch === change.branch), baseRate) : null,
+    change.author ? scoreFactor('author', change.author, completed.filter(run => run.actor === change.author), baseRate) : null,
+    scoreRiskiest('changed_area', areas, area => withFiles.filter(run => run.files.some(file => areaOf(file) === area)), baseRate),
+    scoreRiskiest('file_type', fileTypes, type => withFiles.filter(run => run.files.some(file => fileTypeOf(file) === type)), baseRate),
+    streak.last_conclusion
+      ? scoreFactor('streak', streak.consecutive_failures > 0 ? 'after_failure' : 'after_success', runsFollowing(completed, streak.consecutive_failures > 0), baseRate)
+      : null,
+    scoreFlakyTests(change.flaky_tests, baseRate)
+  ].filter(Boolean);
+
+  const probability = clampProbability(sigmoid(logit(baseRate) + factors.reduce((sum, factor) => sum + factor.shift, 0)));
+  const outcome = probability > FAILURE_PROBABILITY ? 'failure' : probability >= WARNING_PROBABILITY ? 'warning' : 'success';
+  const confidence = Math.round(100 * Math.max(probability, 1 - probability) * base.runs / (base.runs + CONFIDENCE_RUNS));
+
+  const durations = getDurations(completed, change.branch);
+  // Workflows run side by side, so the build takes as long as the slowest
+  const medians = durations.map(duration => duration.p50_minutes);
+
+  return {
+    outcome,
+    confidence,
+    failure_probability: round(probability),
+    estimated_duration: medians.length > 0 ? Math.max(...medians) : null,
+    durations,
+    inputs: {
+      runs_considered: completed.length,
+      window: completed.length > 0
+        ? { from: completed[completed.length - 1].created_at, to: completed[0].created_at }
+        : null,
+      base_rate: { runs: base.runs, failures: base.failures, rate: round(baseRate) },
+      change: {
+        branch: change.branch || null,
+        author: change.author || null,
+        changed_files: change.files ? change.files.length : null,
+        areas,
+        file_types: fileTypes,
+        flaky_tests: (change.flaky_tests || []).map(test => test.id)
+      },
+      streak,
+      factors
+    }
+  };
+};
+
+module.exports = {
+  predictBuild,
+  getDurations,
+  percentile,
+  areaOf,
+  fileTypeOf,
+  isFailure
+};
@@ -0,0 +1,325 @@
+// Locates the functions, methods and classes in a source file so changes can
+// be mapped onto them. JavaScript and TypeScript are parsed with Babel; the
+// other languages the test writer supports use line-based heuristics.
+//
+// A symbol is { name, kind: 'function'|'method'|'class', startLine, endLine,
+// signature }, with 1-based inclusive lines. Methods are named Class.method.
+
+const { parse } = require('@babel/parser');
+
+const MAX_SIGNATURE_CHARS = 200;
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+const collapse = (text) => {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > MAX_SIGNATURE_CHARS ? `${line.slice(0, MAX_SIGNATURE_CHARS)}...` : line;
+};
+
+const extensionOf = (filename) => {
+  const match = filename.match(/\.[^./]+$/);
+  return match ? match[0].toLowerCase() : '';
+};
+
+// --- JavaScript / TypeScript ------------------------------------------------
+
+const isFunctionNode = (node) => node && ['FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+
+// Text of a member expression such as module.exports.run or Foo.prototype.bar
+const memberName = (node) => {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberName(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+};
+
+const extractJsSymbols = (filename, content) => {
+  const ext = extensionOf(filename);
+  const typescript = ['.ts', '.tsx', '.mts', '.cts'].includes(ext);
+  const ast = parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: [
+      ...(typescript ? ['typescript'] : []),
+      ...(['.ts', '.mts', '.cts'].includes(ext) ? [] : ['jsx']),
+      'decorators-legacy'
+    ]
+  });
+
+  const symbols = [];
+  const signatureOf = (node, body) => collapse(content.slice(node.start, body ? body.start : node.end));
+  const add = (name, kind, node, body) => {
+    if (!name) return;
+    symbols.push({ name, kind, startLine: node.loc.start.line, endLine: node.loc.end.line, signature: signatureOf(node, body) });
+  };
+
+  const addClass = (name, node) => {
+    add(name, 'class', node, node.body);
+    for (const member of node.body.body) {
+      const key = member.key && (member.key.name || member.key.value);
+      if (['ClassMethod', 'ClassPrivateMethod', 'TSDeclareMethod'].includes(member.type) && member.body) {
+        add(`${name}.${member.kind === 'constructor' ? 'constructor' : key}`, 'method', member, member.body);
+      } else if (['ClassProperty', 'ClassPrivateProperty'].includes(member.type) && isFunctionNode(member.value)) {
+        add(`${name}.${key}`, 'method', member, member.value.body);
+      }
+    }
+  };
+
+  const addObject = (name, node) => {
+    for (const property of node.properties) {
+      const key = property.key && (property.key.name || property.key.value);
+      if (!key) continue;
+      if (property.type === 'ObjectMethod') {
+        add(`${name}.${key}`, 'method', property, property.body);
+      } else if (property.type === 'ObjectProperty' && isFunctionNode(property.value)) {
+        add(`${name}.${key}`, 'method', property, property.value.body);
+      }
+    }
+  };
+
+  // A value bound to a name: functions, classes and objects of functions count
+  const addValue = (name, value, node) => {
+    if (!value || !name) return;
+    if (isFunctionNode(value)) add(name, 'function', node, value.body);
+    else if (value.type === 'ClassExpression') addClass(name, value);
+    else if (value.type === 'ObjectExpression') addObject(name, value);
+  };
+
+  const visit = (statement) => {
+    if (!statement) return;
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        visit(statement.declaration);
+        break;
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+          if (!declaration.id) {
+            // export default function () {} / export default class {}
+            if (declaration.type === 'ClassDeclaration') addClass('default', declaration);
+            else add('default', 'function', declaration, declaration.body);
+          } else {
+            visit(declaration);
+          }
+        } else {
+          addValue('default', declaration, statement);
+        }
+        break;
+      }
+      case 'FunctionDeclaration':
+        if (statement.id && statement.body) add(statement.id.name, 'function', statement, statement.body);
+        break;
+      case 'ClassDeclaration':
+        if (statement.id) addClass(statement.id.name, statement);
+        break;
+      case 'VariableDeclaration':
+        for (const declarator of statement.declarations) {
+          if (declarator.id.type === 'Identifier') addValue(declarator.id.name, declarator.init, declarator);
+        }
+        break;
+      case 'ExpressionStatement': {
+        const expression = statement.expression;
+        if (expression.type === 'AssignmentExpression') {
+          const name = memberName(expression.left);
+          const shortName = name && name.replace(/^(module\.)?exports\.?/, '');
+          addValue(shortName || 'exports', expression.right, statement);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  ast.program.body.forEach(visit);
+  return symbols;
+};
+
+// --- Heuristics for other languages ----------------------------------------
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Last line of an indentation-delimited block starting at `start` (0-based)
+const indentedBlockEnd = (lines, start) => {
+  const indent = indentOf(lines[start]);
+  let end = start;
+  for (let i = start + 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    if (indentOf(lines[i]) <= indent) break;
+    end = i;
+  }
+  return end;
+};
+
+// Last line of a brace-delimited block whose opening brace is on or after `start`
+const braceBlockEnd = (lines, start) => {
+  let depth = 0;
+  let opened = false;
+  for (let i = start; i < lines.length; i++) {
+    const code = lines[i]
+      .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g, '""')
+      .replace(/\/\/.*$/, '');
+    for (const char of code) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (opened && depth <= 0) return i;
+    // A declaration without a body (interface method, abstract method)
+    if (!opened && /;\s*$/.test(code)) return i;
+  }
+  return lines.length - 1;
+};
+
+// Last line of a Ruby block: the `end` at the same indentation
+const rubyBlockEnd = (lines, start) => {
+  const indent = indentOf(lines[start]);
+  if (/\bend\s*$/.test(lines[start]) || /^\s*def\s+[^(]*(\([^)]*\))?\s*=/.test(lines[start])) return start;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (/^\s*end\b/.test(lines[i]) && indentOf(lines[i]) === indent) return i;
+  }
+  return lines.length - 1;
+};
+
+const JAVA_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'else', 'throw', 'synchronized', 'try', 'do']);
+
+const LINE_RULES = {
+  '.py': [
+    { pattern: /^\s*class\s+(\w+)/, kind: 'class', end: indentedBlockEnd },
+    { pattern: /^\s*(?:async\s+)?def\s+(\w+)\s*\(/, kind: 'function', end: indentedBlockEnd }
+  ],
+  '.go': [
+    { pattern: /^type\s+(\w+)\s+(?:struct|interface)\b/, kind: 'class', end: braceBlockEnd },
+    {
+      pattern: /^func\s+(?:\(\s*\w*\s*\*?(\w+)[^)]*\)\s*)?(\w+)\s*[[(]/,
+      kind: 'function',
+      end: braceBlockEnd,
+      // Methods are named Receiver.Method
+      name: match => (match[1] ? `${match[1]}.${match[2]}` : match[2])
+    }
+  ],
+  '.java': [
+    { pattern: /^\s*(?:(?:public|protected|private|static|final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/, kind: 'class', end: braceBlockEnd },
+    {
+      pattern: /^\s*(?:(?:public|protected|private|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s+)?(?:([\w.<>[\]?,]+)\s+)?(\w+)\s*\([^;]*$/,
+      kind: 'function',
+      end: braceBlockEnd,
+      name: match => (JAVA_KEYWORDS.has(match[2]) || JAVA_KEYWORDS.has(match[1]) || !match[1] && !/^\s*(public|protected|private)\b/.test(match.input) ? null : match[2])
+    }
+  ],
+  '.rb': [
+    { pattern: /^\s*(?:class|module)\s+([\w:]+)/, kind: 'class', end: rubyBlockEnd },
+    { pattern: /^\s*def\s+(?:self\.)?([\w?!=[\]]+)/, kind: 'function', end: rubyBlockEnd }
+  ]
+};
+
+const extractLineSymbols = (content, rules) => {
+  const lines = content.split('\n');
+  const symbols = [];
+
+  lines.forEach((line, index) => {
+    for (const rule of rules) {
+      const match = line.match(rule.pattern);
+      if (!match) continue;
+      const name = rule.name ? rule.name(match) : match[1];
+      if (!name) continue;
+      const end = rule.end(lines, index);
+      symbols.push({
+        name,
+        kind: rule.kind === 'function' && name.includes('.') ? 'method' : rule.kind,
+        startLine: index + 1,
+        endLine: end + 1,
+        signature: collapse(line)
+      });
+      break;
+    }
+  });
+
+  // Functions nested in a class body are its methods
+  const classes = symbols.filter(symbol => symbol.kind === 'class');
+  for (const symbol of symbols) {
+    if (symbol.kind !== 'function' || symbol.name.includes('.')) continue;
+    const owner = classes
+      .filter(cls => cls.startLine < symbol.startLine && cls.endLine >= symbol.endLine)
+      .sort((a, b) => b.startLine - a.startLine)[0];
+    if (owner) {
+      symbol.kind = 'method';
+      symbol.name = `${owner.name}.${symbol.name}`;
+    }
+  }
+
+  return symbols;
+};
+
+// Symbols in a file, or null when the language is unsupported or the file
+// cannot be parsed
+const extractSymbols = (filename, content) => {
+  const ext = extensionOf(filename);
+  try {
+    if (JS_EXTENSIONS.includes(ext)) return extractJsSymbols(filename, content);
+    if (LINE_RULES[ext]) return extractLineSymbols(content, LINE_RULES[ext]);
+  } catch (error) {
+    return null;
+  }
+  return null;
+};
+
+// Symbols overlapping the touched lines, as { ...symbol, change: 'added'|'modified' }.
+// A class only counts when lines outside all of its methods changed.
+const findChangedSymbols = (symbols, touched) => {
+  const touches = (symbol) => [...touched].some(line => line >= symbol.startLine && line <= symbol.endLine);
+
+  return symbols
+    .filter(symbol => {
+      if (!touches(symbol)) return false;
+      if (symbol.kind !== 'class') return true;
+      const members = symbols.filter(member => member.name.startsWith(`${symbol.name}.`));
+      return [...touched].some(line =>
+        line >= symbol.startLine && line <= symbol.endLine &&
+        !members.some(member => line >= member.startLine && line <= member.endLine)
+      );
+    })
+    .map(symbol => {
+      let added = true;
+      for (let line = symbol.startLine; line <= symbol.endLine && added; line++) {
+        added = touched.has(line);
+      }
+      return { ...symbol, change: added ? 'added' : 'modified' };
+    });
+};
+
+// Lines calling `name` in the given files, skipping the symbol's own definition
+const findCallers = (symbol, files, { filename, limit = 5 } = {}) => {
+  const shortName = symbol.name.split('.').pop();
+  if (shortName.length < 3 || shortName === 'constructor') return [];
+
+  const escaped = shortName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|[^\\w$])${escaped}\\s*\\(`);
+  const callers = [];
+
+  for (const file of files) {
+    file.content.split('\n').forEach((line, index) => {
+      const lineNumber = index + 1;
+      if (callers.length >= limit || !pattern.test(line)) return;
+      if (file.filename === filename && lineNumber >= symbol.startLine && lineNumber <= symbol.endLine) return;
+      // Definitions of functions with the same name elsewhere
+      if (/^\s*(?:export\s+)?(?:async\s+)?(?:def|func|function)\b/.test(line)) return;
+      callers.push({ file: file.filename, line: lineNumber, code: collapse(line) });
+    });
+  }
+
+  return callers;
+};
+
+module.exports = {
+  extractSymbols,
+  findChangedSymbols,
+  findCallers
+};
@@ -0,0 +1,165 @@
+// Coverage reports from the test sandbox, reduced to line and branch
+// coverage per source file.
+//
+// Every runtime's coverage run produces an lcov report (Go's cover profile
+// is converted with goProfileToLcov), so lcov is the one format parsed here.
+// parseLcov returns a Map of repository path to
+// { lines: { covered, total }, branches: { covered, total } | null }.
+
+const WORKDIR = '/workspace/';
+
+const toRepoPath = (file) => {
+  const normalized = file.replace(/\\/g, '/');
+  if (normalized.startsWith(WORKDIR)) return normalized.slice(WORKDIR.length);
+  return normalized.replace(/^\.\//, '');
+};
+
+const percent = (covered, total) => (total > 0 ? Math.round((covered / total) * 10000) / 100 : null);
+
+const withPercent = (counts) => (counts ? { ...counts, pct: percent(counts.covered, counts.total) } : null);
+
+// Line and branch hits are counted from DA and BRDA records rather than the
+// LF/LH/BRF/BRH summaries, which not every tool writes
+const parseLcov = (text) => {
+  const files = new Map();
+  let current = null;
+
+  for (const line of (text || '').split('\n')) {
+    const [tag, ...rest] = line.trim().split(':');
+    const value = rest.join(':');
+    if (tag === 'SF') {
+      current = { path: toRepoPath(value), lines: new Map(), branches: new Map() };
+    } else if (!current) {
+      continue;
+    } else if (tag === 'DA') {
+      const [lineNumber, hits] = value.split(',');
+      current.lines.set(lineNumber, Math.max(current.lines.get(lineNumber) || 0, parseInt(hits, 10) || 0));
+    } else if (tag === 'BRDA') {
+      const [lineNumber, block, branch, taken] = value.split(',');
+      const key = `${lineNumber},${block},${branch}`;
+      const hits = taken === '-' ? 0 : parseInt(taken, 10) || 0;
+      current.branches.set(key, Math.max(current.branches.get(key) || 0, hits));
+    } else if (tag === 'end_of_record') {
+      const hitCount = (map) => [...map.values()].filter(hits => hits > 0).length;
+      files.set(current.path, {
+        lines: { covered: hitCount(current.lines), total: current.lines.size },
+        branches: current.branches.size > 0
+          ? { covered: hitCount(current.branches), total: current.branches.size }
+          : null
+      });
+      current = null;
+    }
+  }
+
+  return files;
+};
+
+// Converts a `go test -coverprofile` profile into lcov. Profile entries are
+// `<import path>/<file>:<startLine>.<col>,<endLine>.<col> <statements> <count>`;
+// the module path from go.mod is stripped to get repository paths. Go
+// reports statement coverage only, so the result has no branch records.
+const goProfileToLcov = (profile, modulePath, { files = null } = {}) => {
+  const byFile = new Map();
+
+  for (const line of (profile || '').split('\n')) {
+    const match = line.match(/^(.+\.go):(\d+)\.\d+,(\d+)\.\d+ \d+ (\d+)$/);
+    if (!match) continue;
+
+    const [, importPath, start, end, count] = match;
+    const file = modulePath && importPath.startsWith(`${modulePath}/`)
+      ? importPath.slice(modulePath.length + 1)
+      : importPath;
+    if (files && !files.includes(file)) continue;
+
+    if (!byFile.has(file)) byFile.set(file, new Map());
+    const lines = byFile.get(file);
+    for (let n = parseInt(start, 10); n <= parseInt(end, 10); n++) {
+      lines.set(n, Math.max(lines.get(n) || 0, parseInt(count, 10)));
+    }
+  }
+
+  return [...byFile.entries()].map(([file, lines]) => [
+    'TN:',
+    `SF:${file}`,
+    ...[...lines.entries()].sort((a, b) => a[0] - b[0]).map(([n, hits]) => `DA:${n},${hits}`),
+    `LF:${lines.size}`,
+    `LH:${[...lines.values()].filter(hits => hits > 0).length}`,
+    'end_of_record'
+  ].join('\n')).join('\n');
+};
+
+const addCounts = (a, b) => {
+  if (!a) return b ? { ...b } : null;
+  if (!b) return a;
+  return { covered: a.covered + b.covered, total: a.total + b.total };
+};
+
+const delta = (before, after) => (before && after && before.pct !== null && after.pct !== null
+  ? Math.round((after.pct - before.pct) * 100) / 100
+  : null);
+
+// Builds the test writer's coverage report from the sandbox runs:
+// runs: [{ framework, phase: 'before'|'after', files, reports: { lcov, cobertura }, error }]
+// Each file is compared against the runs of its own framework. A file no
+// test loads is missing from its tool's report: before the generated tests
+// that means none of it ran; if it is still missing afterwards its size is
+// unknown and its coverage is null.
+const summarizeCoverage = (runs) => {
+  const files = [];
+  const totals = { before: { lines: null, branches: null }, after: { lines: null, branches: null } };
+
+  for (const framework of [...new Set(runs.map(run => run.framework))]) {
+    const phases = {};
+    for (const run of runs.filter(r => r.framework === framework)) {
+      // An empty report is a run in which none of the files were loaded
+      phases[run.phase] = run.reports && typeof run.reports.lcov === 'string' ? parseLcov(run.reports.lcov) : null;
+    }
+    const measured = runs.find(run => run.framework === framework && run.phase === 'before');
+    if (!measured || !phases.before || !phases.after) continue;
+
+    for (const file of measured.files) {
+      const entry = { file, framework };
+      const after = phases.after.get(file);
+      const unloaded = after && {
+        lines: { covered: 0, total: after.lines.total },
+        branches: after.branches && { covered: 0, total: after.branches.total }
+      };
+      for (const phase of ['before', 'after']) {
+        const counts = phase === 'before' ? phases.before.get(file) || unloaded : after;
+        entry[phase] = counts ? { lines: withPercent(counts.lines), branches: withPercent(counts.branches) } : null;
+        if (counts) {
+          totals[phase].lines = addCounts(totals[phase].lines, counts.lines);
+          totals[phase].branches = addCounts(totals[phase].branches, counts.branches);
+        }
+      }
+      entry.delta = {
+        lines: delta(entry.before && entry.before.lines, entry.after && entry.after.lines),
+        branches: delta(entry.before && entry.before.branches, entry.after && entry.after.branches)
+      };
+      files.push(entry);
+    }
+  }
+
+  const before = { lines: withPercent(totals.before.lines), branches: withPercent(totals.before.branches) };
+  const after = { lines: withPercent(totals.after.lines), branches: withPercent(totals.after.branches) };
+
+  return {
+    status: files.length > 0 ? 'completed' : 'failed',
+    files,
+    totals: {
+      before,
+      after,
+      delta: { lines: delta(before.lines, after.lines), branches: delta(before.branches, after.branches) }
+    },
+    artifacts: runs.flatMap(run => Object.entries(run.reports || {})
+      .filter(([, content]) => content)
+      .map(([format, content]) => ({ framework: run.framework, phase: run.phase, format, content }))),
+    errors: runs.filter(run => run.error).map(run => ({ framework: run.framework, phase: run.phase, message: run.error }))
+  };
+};
+
+module.exports = {
+  parseLcov,
+  goProfileToLcov,
+  summarizeCoverage
+};
@@ -0,0 +1,147 @@
+// Unified diff parsing shared by the review and test agents.
+//
+// parseDiff returns one entry per file:
+// {
+//   path, oldPath, status: 'added'|'deleted'|'renamed'|'modified', binary,
+//   additions, deletions,
+//   hunks: [{ oldStart, oldLines, newStart, newLines, header,
+//             lines: [{ type: 'add'|'del'|'context', content, oldLine, newLine }] }]
+// }
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+const stripPrefix = (path) => path.replace(/^[ab]\//, '');
+
+const parseGitHeader = (line) => {
+  const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+  return match ? { oldPath: match[1], path: match[2] } : { oldPath: null, path: null };
+};
+
+const parseDiff = (diff) => {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const { oldPath, path } = parseGitHeader(line);
+      file = { path, oldPath, status: 'modified', binary: false, additions: 0, deletions: 0, hunks: [] };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+
+    if (!file) continue;
+
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      oldLine = parseInt(hunkMatch[1], 10);
+      newLine = parseInt(hunkMatch[3], 10);
+      hunk = {
+        oldStart: oldLine,
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: newLine,
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        header: line,
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      // File header section
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) {
+        file.status = 'renamed';
+        file.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) file.path = line.slice('rename to '.length);
+      else if (line.startsWith('Binary files ') || line.startsWith('GIT binary patch')) file.binary = true;
+      else if (line.startsWith('--- ') && line !== '--- /dev/null') file.oldPath = stripPrefix(line.slice(4));
+      else if (line.startsWith('+++ ') && line !== '+++ /dev/null') file.path = stripPrefix(line.slice(4));
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.slice(1), oldLine: null, newLine: newLine++ });
+      file.additions++;
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.slice(1), oldLine: oldLine++, newLine: null });
+      file.deletions++;
+    } else if (line.startsWith(' ')) {
+      hunk.lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+    }
+    // "\ No newline at end of file" and trailing blank lines carry no content
+  }
+
+  for (const entry of files) {
+    if (entry.status === 'deleted') entry.path = entry.oldPath;
+  }
+
+  return files;
+};
+
+// Renders hunk lines back into diff text, prefixing each line with its
+// new-file line number so the model can reference real lines.
+const renderHunk = (hunk) => {
+  const body = hunk.lines.map(line => {
+    const marker = line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ';
+    const number = line.newLine === null ? '' : String(line.newLine);
+    return `${number.padStart(5)} ${marker}${line.content}`;
+  });
+  return [hunk.header, ...body].join('\n');
+};
+
+// Maps a line number in the old version of a file to its number in the new
+// version. Returns null when that line was deleted or rewritten by the diff.
+const mapLineThroughDiff = (file, oldLine) => {
+  let offset = 0;
+
+  for (const hunk of file.hunks) {
+    // A pure insertion ("-5,0") adds lines after oldStart, not before it
+    if (oldLine < hunk.oldStart || (hunk.oldLines === 0 && oldLine === hunk.oldStart)) break;
+
+    if (oldLine < hunk.oldStart + hunk.oldLines) {
+      const entry = hunk.lines.find(line => line.oldLine === oldLine);
+      return entry && entry.type === 'context' ? entry.newLine : null;
+    }
+
+    offset += hunk.newLines - hunk.oldLines;
+  }
+
+  return oldLine + offset;
+};
+
+const addedLines = (file) => file.hunks.flatMap(hunk => hunk.lines.filter(line => line.type === 'add'));
+
+// Parses the hunks-only `patch` GitHub returns for each file in pulls.listFiles
+const parsePatch = (path, patch) => parseDiff(`diff --git a/${path} b/${path}\n${patch || ''}`)[0];
+
+// New-file line numbers a change touched: added lines, plus the line now at
+// the position of each deletion so removed code still marks its surroundings
+const touchedLines = (file) => {
+  const lines = new Set();
+  for (const hunk of file.hunks) {
+    hunk.lines.forEach((line, index) => {
+      if (line.type === 'add') {
+        lines.add(line.newLine);
+      } else if (line.type === 'del') {
+        const next = hunk.lines.slice(index + 1).find(candidate => candidate.newLine !== null);
+        lines.add(next ? next.newLine : hunk.newStart + hunk.newLines - 1);
+      }
+    });
+  }
+  return lines;
+};
+
+module.exports = {
+  parseDiff,
+  parsePatch,
+  renderHunk,
+  mapLineThroughDiff,
+  addedLines,
+  touchedLines
+};
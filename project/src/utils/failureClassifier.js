@@ -0,0 +1,150 @@
+// Root causes of failed CI jobs, from their logs.
+//
+// extractFailure finds the failing step and an excerpt of a GitHub Actions
+// job log around its first ##[error] line. classifyFailure matches the
+// excerpt against known error signatures (or, without a log, the step's
+// name) and returns { category, matched } with the text that matched, or
+// null when nothing did and the LLM has to decide.
+
+const CATEGORIES = ['compile_error', 'test_failure', 'dependency_resolution', 'oom_timeout', 'infrastructure', 'lint'];
+
+// Lines of log kept before the error, and the excerpt's size limit
+const EXCERPT_LINES = 40;
+const EXCERPT_CHARS = 4000;
+
+// Checked in order: a job that ran out of memory or lost its network often
+// also shows failing tests or compile errors, which are then only symptoms
+const SIGNATURES = [
+  ['oom_timeout', [
+    /JavaScript heap out of memory/,
+    /java\.lang\.OutOfMemoryError/,
+    /\bMemoryError\b/,
+    /Cannot allocate memory|\bENOMEM\b/,
+    /exit code 137\b|signal 9\b|\bKilled\b/,
+    /has exceeded the maximum execution time/,
+    /\btimed out after\b|\bTimeoutError\b|deadline exceeded/i
+  ]],
+  ['infrastructure', [
+    /\b(ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN)\b/,
+    /getaddrinfo|Could not resolve host|Temporary failure in name resolution/,
+    /\b(502 Bad Gateway|503 Service Unavailable|504 Gateway Time-?out)\b/,
+    /API rate limit exceeded|toomanyrequests/i,
+    /No space left on device/,
+    /The runner has received a shutdown signal|lost communication with the server/,
+    /TLS handshake timeout|Connection reset by peer/
+  ]],
+  ['dependency_resolution', [
+    /npm ERR! code (ERESOLVE|E404|ETARGET|ENOVERSIONS)/,
+    /Could not resolve dependencies|unable to resolve dependency tree/i,
+    /No matching distribution found|ResolutionImpossible/,
+    /Could not find artifact|Could not resolve all (files|dependencies)/,
+    /failed to select a version for|no matching package named/,
+    /go: .*(unknown revision|module .* not found|missing go\.sum entry)/,
+    /Couldn't find (package|any versions for)/,
+    /Could not find gem|Bundler could not find compatible versions/,
+    /lockfile (needs to be updated|is out of date)|frozen-lockfile/i
+  ]],
+  ['lint', [
+    /\b(eslint|prettier|stylelint|flake8|pylint|ruff|black|rubocop|golangci-lint|gofmt|ktlint|checkstyle|clippy)\b.*(error|fail|problem|would reformat|offense)/i,
+    /✖ \d+ problems? \(\d+ errors?/,
+    /Code style issues found|would reformat|files? would be reformatted/,
+    /\d+ offenses? detected/
+  ]],
+  ['compile_error', [
+    /error TS\d+:/,
+    /\bSyntaxError\b/,
+    /error\[E\d{4}\]/,
+    /cannot find symbol|COMPILATION ERROR|Compilation failed/,
+    /\berror CS\d+:/,
+    /^\S+\.go:\d+:\d+: /m,
+    /: error: /,
+    /Module build failed|Build failed with \d+ errors?/
+  ]],
+  ['test_failure', [
+    /Tests?:\s+\d+ failed/,
+    /\b\d+ failing\b/,
+    /--- FAIL:|^FAIL\b/m,
+    /\bAssertionError\b|AssertionFailedError/,
+    /Tests run: \d+, Failures: [1-9]|There (were|was) \d+ failures?/,
+    /=+ .*\d+ failed.* =+/,
+    /\bexpected\b.*\b(to (equal|be|have)|but (got|was))\b/i
+  ]]
+];
+
+// What kind of step failed, by its name
+const STEP_HINTS = [
+  ['lint', /\b(lint|format|style|prettier|eslint)/i],
+  ['test_failure', /\btests?\b|\bspec\b|jest|pytest|mocha/i],
+  ['dependency_resolution', /\b(install|dependencies|deps|restore|bundle)\b/i],
+  ['compile_error', /\b(build|compile|tsc|typecheck)\b/i]
+];
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z ?/;
+const ERROR_MARKER = '##[error]';
+
+const stripTimestamp = (line) => line.replace(TIMESTAMP, '');
+
+// The job's first failed step, or null when none is marked failed
+const failingStep = (job) => {
+  const steps = (job && job.steps) || [];
+  const failed = steps.find(step => step.conclusion === 'failure' || step.conclusion === 'timed_out');
+  return failed ? failed.name : null;
+};
+
+// { step, excerpt }: the lines leading up to the first error marker (the
+// step's own output, from its ##[group] header on), or the end of the log
+const extractFailure = (log, job = null) => {
+  const lines = String(log || '').replace(/\r\n/g, '\n').split('\n').map(stripTimestamp);
+  let end = lines.findIndex(line => line.includes(ERROR_MARKER));
+  if (end === -1) {
+    end = lines.length - 1;
+    while (end > 0 && lines[end].trim() === '') end--;
+  }
+
+  let start = Math.max(0, end - EXCERPT_LINES);
+  for (let index = end; index >= start; index--) {
+    if (lines[index].startsWith('##[group]Run ')) {
+      start = index;
+      break;
+    }
+  }
+
+  // The messages after the first marker often name the actual error
+  const trailing = lines.slice(end + 1).filter(line => line.includes(ERROR_MARKER)).slice(0, 5);
+  let excerpt = [...lines.slice(start, end + 1), ...trailing].join('\n').trim();
+  if (excerpt.length > EXCERPT_CHARS) {
+    excerpt = excerpt.slice(-EXCERPT_CHARS);
+  }
+
+  return { step: failingStep(job), excerpt };
+};
+
+const classifyFailure = ({ excerpt = '', step = null, conclusion = null } = {}) => {
+  if (conclusion === 'timed_out') {
+    return { category: 'oom_timeout', matched: 'job timed out' };
+  }
+
+  for (const [category, patterns] of SIGNATURES) {
+    for (const pattern of patterns) {
+      const match = excerpt.match(pattern);
+      if (match) {
+        return { category, matched: match[0].trim().slice(0, 200) };
+      }
+    }
+  }
+
+  // Without a log the step name is all there is to go on
+  for (const [category, pattern] of STEP_HINTS) {
+    if (!excerpt.trim() && step && pattern.test(step)) {
+      return { category, matched: `step "${step}"` };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  CATEGORIES,
+  extractFailure,
+  classifyFailure
+};
@@ -0,0 +1,97 @@
+// Test results from JUnit XML reports, the format Jest (jest-junit),
+// pytest, Maven Surefire, Gradle, go-junit-report and most other test
+// runners can write.
+//
+// parseJUnit returns one entry per <testcase>:
+// { id, suite, classname, name, file, status, message } with status
+// 'passed', 'failed' or 'skipped', or null when the document isn't a JUnit
+// report. `id` names the test the same way across runs.
+
+// CI checkouts live under /home/runner/work/<repo>/<repo>/ and the like
+const CHECKOUT_PREFIX = /^.*?\/work\/[^/]+\/[^/]+\//;
+
+// A start, end or empty-element tag; attribute values may contain '>'
+const TAG = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const MAX_CODE_POINT = 0x10ffff;
+
+const decode = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isFinite(code) && code <= MAX_CODE_POINT ? String.fromCodePoint(code) : entity;
+  }
+  return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+});
+
+const attributesOf = (text) => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(ATTRIBUTE)) {
+    attributes[name] = decode(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+  }
+  return attributes;
+};
+
+const toRepoPath = (file) => (file
+  ? file.replace(/\\/g, '/').replace(CHECKOUT_PREFIX, '').replace(/^\.\//, '')
+  : null);
+
+const parseJUnit = (xml) => {
+  // Failure output in CDATA sections and comments can contain anything
+  const text = String(xml || '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<testsuites?[\s>]/.test(text)) return null;
+
+  const tests = [];
+  const suites = [];
+  let current = null;
+
+  const finish = () => {
+    const { attributes, status, message } = current;
+    const suite = suites.length > 0 ? suites[suites.length - 1] : {};
+    const classname = attributes.classname || null;
+    const name = attributes.name || '';
+    tests.push({
+      id: `${classname || suite.name || ''}::${name}`,
+      suite: suite.name || null,
+      classname,
+      name,
+      file: toRepoPath(attributes.file || suite.file),
+      status,
+      message
+    });
+    current = null;
+  };
+
+  for (const [, closing, tag, attributeText, selfClosing] of text.matchAll(TAG)) {
+    if (tag === 'testsuite') {
+      if (closing) {
+        suites.pop();
+      } else if (!selfClosing) {
+        const attributes = attributesOf(attributeText);
+        suites.push({ name: attributes.name || null, file: attributes.file || attributes.filepath || null });
+      }
+    } else if (tag === 'testcase') {
+      if (closing) {
+        if (current) finish();
+      } else {
+        current = { attributes: attributesOf(attributeText), status: 'passed', message: null };
+        if (selfClosing) finish();
+      }
+    } else if (current && !closing && (tag === 'failure' || tag === 'error')) {
+      const attributes = attributesOf(attributeText);
+      current.status = 'failed';
+      current.message = current.message || (attributes.message ? attributes.message.slice(0, 500) : attributes.type || null);
+    } else if (current && !closing && tag === 'skipped' && current.status === 'passed') {
+      current.status = 'skipped';
+    }
+  }
+
+  return tests;
+};
+
+module.exports = {
+  parseJUnit
+};
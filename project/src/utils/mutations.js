@@ -0,0 +1,164 @@
+// Line-level mutation operators for checking that generated tests notice
+// when the code they cover changes behaviour.
+//
+// generateMutants returns one entry per mutant:
+// { line, column, operator: 'conditional'|'arithmetic'|'remove_call', original, mutated }
+// where original and mutated are the full source line. applyMutant puts a
+// mutant into the file content. Operators only match code, never strings or
+// comments, and binary operators only with spaces around them so unary
+// minus, ++, generics and arrows are left alone.
+
+const path = require('path');
+
+const C_LIKE = { lineComment: '//', blockComment: true, tripleQuotes: false, backticks: true, noOp: '' };
+const SYNTAX = {
+  '.js': C_LIKE,
+  '.jsx': C_LIKE,
+  '.mjs': C_LIKE,
+  '.cjs': C_LIKE,
+  '.ts': C_LIKE,
+  '.tsx': C_LIKE,
+  '.go': C_LIKE,
+  '.java': { ...C_LIKE, backticks: false },
+  '.py': { lineComment: '#', blockComment: false, tripleQuotes: true, backticks: false, noOp: 'pass', words: true },
+  '.rb': { lineComment: '#', blockComment: false, tripleQuotes: false, backticks: false, noOp: 'nil', words: true }
+};
+
+const CONDITIONAL_FLIPS = {
+  '===': '!==',
+  '!==': '===',
+  '==': '!=',
+  '!=': '==',
+  '<=': '>',
+  '>=': '<',
+  '<': '>=',
+  '>': '<=',
+  '&&': '||',
+  '||': '&&',
+  and: 'or',
+  or: 'and'
+};
+const ARITHMETIC_SWAPS = { '+': '-', '-': '+', '*': '/', '/': '*', '%': '*' };
+
+const CONDITIONAL = / (===|!==|==|!=|<=|>=|<|>|&&|\|\|) /g;
+const CONDITIONAL_WORDS = / (and|or) /g;
+const ARITHMETIC = / ([+\-*/%]) /g;
+// A statement that is nothing but a call: foo(x), this.save(), await api.post(...)
+const CALL_STATEMENT = /^(\s*)(await\s+)?[A-Za-z_$][\w$]*(\??\.[A-Za-z_$][\w$]*)*\s*\(.*\)\s*;?\s*$/;
+const NOT_CALLS = /^\s*((if|for|while|switch|return|catch|function|elif|def|class|super|assert|raise|throw|yield|new)\b|this\s*\()/;
+// Removing a logging call changes nothing a test can see
+const LOGGING_CALLS = /^\s*(await\s+)?(console|logger|log|print|puts|fmt\.Print\w*|System\.(out|err))\b/;
+
+// Replaces strings and comments with spaces, keeping every line's length,
+// so operator matches on the result are always code
+const maskNonCode = (content, syntax) => {
+  let masked = '';
+  let i = 0;
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+  while (i < content.length) {
+    const rest = content.slice(i, i + 3);
+    let end = -1;
+
+    if (content.startsWith(syntax.lineComment, i)) {
+      end = content.indexOf('\n', i);
+      end = end === -1 ? content.length : end;
+    } else if (syntax.blockComment && rest.startsWith('/*')) {
+      end = content.indexOf('*/', i + 2);
+      end = end === -1 ? content.length : end + 2;
+    } else if (syntax.tripleQuotes && (rest === '"""' || rest === "'''")) {
+      end = content.indexOf(rest, i + 3);
+      end = end === -1 ? content.length : end + 3;
+    } else if (rest[0] === '"' || rest[0] === "'" || (syntax.backticks && rest[0] === '`')) {
+      const quote = rest[0];
+      end = i + 1;
+      while (end < content.length && content[end] !== quote && (quote === '`' || content[end] !== '\n')) {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, content.length);
+    }
+
+    if (end === -1) {
+      masked += content[i];
+      i += 1;
+    } else {
+      masked += blank(content.slice(i, end));
+      i = end;
+    }
+  }
+
+  return masked;
+};
+
+const parensBalanced = (text) => {
+  let depth = 0;
+  for (const char of text) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+};
+
+const replaceAt = (text, column, length, replacement) =>
+  `${text.slice(0, column)}${replacement}${text.slice(column + length)}`;
+
+// Every mutant on the given lines (all lines when `lines` is null), spread
+// evenly over the file when there are more than `max`
+const generateMutants = (filename, content, lines = null, { max = 20 } = {}) => {
+  const syntax = SYNTAX[path.posix.extname(filename).toLowerCase()];
+  if (!syntax) return [];
+
+  const sourceLines = content.split('\n');
+  const maskedLines = maskNonCode(content, syntax).split('\n');
+  const mutants = [];
+
+  maskedLines.forEach((masked, index) => {
+    const lineNumber = index + 1;
+    if ((lines && !lines.has(lineNumber)) || masked.trim() === '') return;
+    const original = sourceLines[index];
+
+    const patterns = [
+      ['conditional', CONDITIONAL, CONDITIONAL_FLIPS],
+      ...(syntax.words ? [['conditional', CONDITIONAL_WORDS, CONDITIONAL_FLIPS]] : []),
+      ['arithmetic', ARITHMETIC, ARITHMETIC_SWAPS]
+    ];
+    for (const [operator, pattern, replacements] of patterns) {
+      for (const match of masked.matchAll(pattern)) {
+        const column = match.index + 1;
+        mutants.push({
+          line: lineNumber,
+          column,
+          operator,
+          original,
+          mutated: replaceAt(original, column, match[1].length, replacements[match[1]])
+        });
+      }
+    }
+
+    const call = masked.match(CALL_STATEMENT);
+    if (call && !NOT_CALLS.test(masked) && !LOGGING_CALLS.test(masked) && parensBalanced(masked)) {
+      mutants.push({
+        line: lineNumber,
+        column: call[1].length,
+        operator: 'remove_call',
+        original,
+        mutated: `${call[1]}${syntax.noOp}`
+      });
+    }
+  });
+
+  if (mutants.length <= max) return mutants;
+  return Array.from({ length: max }, (_, i) => mutants[Math.floor((i * mutants.length) / max)]);
+};
+
+const applyMutant = (content, mutant) => {
+  const lines = content.split('\n');
+  lines[mutant.line - 1] = mutant.mutated;
+  return lines.join('\n');
+};
+
+module.exports = {
+  generateMutants,
+  applyMutant
+};
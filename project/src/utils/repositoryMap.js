@@ -0,0 +1,25 @@
+const { minimatch } = require('minimatch');
+
+// Parses comma separated "glob=value" settings, e.g.
+// "acme/payments=local,acme/secret-*=local"
+const parseRepositoryMap = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [pattern, setting] = entry.split('=').map(part => part.trim());
+    return { pattern, value: setting };
+  })
+  .filter(entry => entry.pattern && entry.value);
+
+// Value of the first entry whose glob matches the repository, or null
+const matchRepository = (entries, repository) => {
+  if (!repository) return null;
+  const entry = entries.find(({ pattern }) => minimatch(repository, pattern, { nocase: true }));
+  return entry ? entry.value : null;
+};
+
+module.exports = {
+  parseRepositoryMap,
+  matchRepository
+};
@@ -0,0 +1,118 @@
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+
+// Per-repository code review policy, committed as .mcp/review.yml:
+//
+//   approval:
+//     min_score: 80
+//     blocking_severities: [critical]
+//   comments:
+//     severities: [critical, major]
+//   ignore_paths: ['docs/**', '**/*.sql']
+//   rules:
+//     - Public functions must validate their arguments
+//   languages: [javascript, typescript]
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+
+const LANGUAGE_EXTENSIONS = {
+  javascript: ['.js', '.jsx', '.mjs', '.cjs'],
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  python: ['.py'],
+  java: ['.java'],
+  kotlin: ['.kt', '.kts'],
+  go: ['.go'],
+  ruby: ['.rb'],
+  rust: ['.rs'],
+  csharp: ['.cs'],
+  php: ['.php'],
+  shell: ['.sh', '.bash'],
+  yaml: ['.yml', '.yaml'],
+  terraform: ['.tf'],
+  dockerfile: ['Dockerfile']
+};
+
+const DEFAULT_REVIEW_POLICY = {
+  approval: {
+    min_score: 80,
+    blocking_severities: ['critical']
+  },
+  comments: {
+    severities: ['critical', 'major']
+  },
+  ignore_paths: [],
+  rules: [],
+  languages: []
+};
+
+const severityList = Joi.array().items(Joi.string().valid(...SEVERITIES)).unique();
+
+const reviewPolicySchema = Joi.object({
+  approval: Joi.object({
+    min_score: Joi.number().integer().min(0).max(100),
+    blocking_severities: severityList
+  }),
+  comments: Joi.object({
+    severities: severityList
+  }),
+  ignore_paths: Joi.array().items(Joi.string().min(1)),
+  rules: Joi.array().items(Joi.string().min(1).max(500)).max(50),
+  languages: Joi.array().items(Joi.string().lowercase().valid(...Object.keys(LANGUAGE_EXTENSIONS))).unique()
+}).label('review policy');
+
+// Parses and validates policy YAML, merging it over the defaults.
+// Throws an Error with status 422 describing every problem found.
+const parseReviewPolicy = (text, source = '.mcp/review.yml') => {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw policyError(`Invalid review policy ${source}: ${error.reason || error.message}`);
+  }
+
+  if (raw === undefined || raw === null) {
+    return { ...DEFAULT_REVIEW_POLICY, source };
+  }
+
+  const { value, error } = reviewPolicySchema.validate(raw, { abortEarly: false, convert: true });
+  if (error) {
+    const details = error.details.map(detail => detail.message).join('; ');
+    throw policyError(`Invalid review policy ${source}: ${details}`);
+  }
+
+  return {
+    approval: { ...DEFAULT_REVIEW_POLICY.approval, ...value.approval },
+    comments: { ...DEFAULT_REVIEW_POLICY.comments, ...value.comments },
+    ignore_paths: value.ignore_paths || DEFAULT_REVIEW_POLICY.ignore_paths,
+    rules: value.rules || DEFAULT_REVIEW_POLICY.rules,
+    languages: value.languages || DEFAULT_REVIEW_POLICY.languages,
+    source
+  };
+};
+
+const policyError = (message) => {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+};
+
+const isIgnoredByPolicy = (path, policy) =>
+  policy.ignore_paths.some(pattern => minimatch(path, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+
+// With no languages configured every file is in focus
+const isInLanguageFocus = (path, policy) => {
+  if (policy.languages.length === 0) return true;
+  const basename = path.split('/').pop();
+  return policy.languages.some(language =>
+    LANGUAGE_EXTENSIONS[language].some(suffix => basename === suffix || basename.endsWith(suffix))
+  );
+};
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_REVIEW_POLICY,
+  parseReviewPolicy,
+  isIgnoredByPolicy,
+  isInLanguageFocus
+};
@@ -0,0 +1,83 @@
+const { version } = require('../../package.json');
+
+// Builds SARIF 2.1.0 documents from code review findings.
+//
+// Findings are plain objects with { kind: 'issue'|'secret', severity, message,
+// file, line } plus `type` for issues, `rule` for secrets and an optional
+// `fingerprint` used to track the result across commits.
+
+const TOOL_NAME = 'mcp-devops-code-review';
+
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  major: 'warning',
+  minor: 'note'
+};
+
+// GitHub code scanning reads this rule property to rank security alerts
+const SECRET_SECURITY_SEVERITY = '9.0';
+
+const slugify = (value) => String(value || 'general').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'general';
+
+const ruleIdFor = (finding) =>
+  finding.kind === 'secret' ? `secret/${finding.rule}` : `review/${slugify(finding.type)}`;
+
+const buildRule = (finding) => {
+  const isSecret = finding.kind === 'secret';
+  return {
+    id: ruleIdFor(finding),
+    name: isSecret ? `Secret: ${finding.rule}` : `Code review: ${finding.type || 'general'}`,
+    shortDescription: {
+      text: isSecret ? 'Credential committed to the repository' : `LLM code review finding (${finding.type || 'general'})`
+    },
+    properties: {
+      tags: isSecret ? ['security', 'secret'] : ['code-review'],
+      ...(isSecret && { 'security-severity': SECRET_SECURITY_SEVERITY })
+    }
+  };
+};
+
+const buildResult = (finding) => ({
+  ruleId: ruleIdFor(finding),
+  level: SEVERITY_LEVELS[finding.severity] || 'note',
+  message: { text: finding.message },
+  locations: [{
+    physicalLocation: {
+      artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+      region: { startLine: Math.max(1, Number(finding.line) || 1) }
+    }
+  }],
+  ...(finding.fingerprint && { partialFingerprints: { 'mcpFindingHash/v1': finding.fingerprint } }),
+  properties: { severity: finding.severity }
+});
+
+// Findings without a file can't be located in the repository and are left out
+const buildSarif = (findings) => {
+  const located = findings.filter(finding => finding.file);
+  const rules = new Map();
+  for (const finding of located) {
+    const id = ruleIdFor(finding);
+    if (!rules.has(id)) rules.set(id, buildRule(finding));
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version,
+          rules: [...rules.values()]
+        }
+      },
+      automationDetails: { id: `${TOOL_NAME}/` },
+      results: located.map(buildResult)
+    }]
+  };
+};
+
+module.exports = {
+  buildSarif,
+  SEVERITY_LEVELS
+};
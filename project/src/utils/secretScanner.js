@@ -0,0 +1,216 @@
+const { addedLines } = require('./diffParser');
+
+// Deterministic secret detection over the lines a diff adds.
+//
+// Provider rules match well-known credential formats and are reported as
+// confirmed. The generic rule looks for high-entropy string literals assigned
+// to secret-like names and is reported as possible, since it can't be sure.
+
+const PROVIDER_RULES = [
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    pattern: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16})\b/g
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern: /aws.{0,20}(?:secret|private).{0,20}?['"=:\s]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    minEntropy: 4.0
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36})\b/g
+  },
+  {
+    id: 'github-fine-grained-token',
+    description: 'GitHub fine-grained personal access token',
+    pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  {
+    id: 'slack-token',
+    description: 'Slack token',
+    pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/g
+  },
+  {
+    id: 'slack-webhook',
+    description: 'Slack incoming webhook URL',
+    pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{16,})/g
+  },
+  {
+    id: 'private-key',
+    description: 'Private key',
+    pattern: /(-----BEGIN (?:RSA |DSA |EC |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/g,
+    // The armor header is not secret; the key material follows on later lines
+    redact: false
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,})\b/g,
+    verify: (value) => {
+      try {
+        const header = JSON.parse(Buffer.from(value.split('.')[0], 'base64url').toString('utf-8'));
+        return typeof header.alg === 'string';
+      } catch (error) {
+        return false;
+      }
+    }
+  }
+];
+
+const GENERIC_RULE = {
+  id: 'generic-high-entropy-secret',
+  description: 'High-entropy value assigned to a secret-like name',
+  pattern: /(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|credential|auth)[\w.-]*['"]?\s*[:=]\s*['"`]([^'"`\s]{16,})['"`]/gi,
+  minEntropy: 3.5
+};
+
+// Values that are obviously placeholders or references, not secrets
+const PLACEHOLDER_PATTERN = /example|placeholder|changeme|your[-_]|xxxx|dummy|sample|redacted|<[^>]*>|\$\{|\{\{|process\.env|os\.environ/i;
+
+const shannonEntropy = (value) => {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+};
+
+const redact = (value) => {
+  if (value.length <= 8) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 6, 12))}${value.slice(-2)}`;
+};
+
+const buildPreview = (content, value, shouldRedact = true) => {
+  const line = (shouldRedact ? content.replace(value, redact(value)) : content).trim();
+  return line.length > 120 ? `${line.slice(0, 117)}...` : line;
+};
+
+const matchRule = (rule, content) => {
+  const matches = [];
+  rule.pattern.lastIndex = 0;
+  let match;
+  while ((match = rule.pattern.exec(content)) !== null) {
+    const value = match[1];
+    if (PLACEHOLDER_PATTERN.test(value)) continue;
+    if (rule.minEntropy && shannonEntropy(value) < rule.minEntropy) continue;
+    if (rule.verify && !rule.verify(value)) continue;
+    matches.push(value);
+  }
+  return matches;
+};
+
+// Scans the added lines of parsed diff files and returns one finding per secret
+const scanDiffForSecrets = (files) => {
+  const findings = [];
+
+  for (const file of files) {
+    if (file.binary || file.status === 'deleted') continue;
+
+    for (const line of addedLines(file)) {
+      const seen = new Set();
+
+      for (const rule of PROVIDER_RULES) {
+        for (const value of matchRule(rule, line.content)) {
+          seen.add(value);
+          findings.push({
+            rule: rule.id,
+            message: `${rule.description} committed in ${file.path}`,
+            file: file.path,
+            line: line.newLine,
+            preview: buildPreview(line.content, value, rule.redact !== false),
+            confirmed: true
+          });
+        }
+      }
+
+      for (const value of matchRule(GENERIC_RULE, line.content)) {
+        if (seen.has(value)) continue;
+        findings.push({
+          rule: GENERIC_RULE.id,
+          message: `Possible hardcoded secret in ${file.path}`,
+          file: file.path,
+          line: line.newLine,
+          preview: buildPreview(line.content, value),
+          confirmed: false,
+          entropy: Number(shannonEntropy(value).toFixed(2))
+        });
+      }
+    }
+  }
+
+  return findings;
+};
+
+const PRIVATE_KEY_END = /-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----/;
+
+// Masks the secrets on one diff line as a finding's preview does. Key material
+// after a private key's armor header is replaced, up to its end marker on
+// this line or a later one.
+const redactLine = (content, state) => {
+  if (state.inKey) {
+    const end = content.search(PRIVATE_KEY_END);
+    if (end < 0) return '[REDACTED]';
+    state.inKey = false;
+    content = `${end > 0 ? '[REDACTED]' : ''}${content.slice(end)}`;
+  }
+
+  let redacted = content;
+  for (const rule of [...PROVIDER_RULES, GENERIC_RULE]) {
+    for (const value of matchRule(rule, redacted)) {
+      if (rule.redact === false) {
+        const start = redacted.indexOf(value) + value.length;
+        const rest = redacted.slice(start);
+        const end = rest.search(PRIVATE_KEY_END);
+        const material = end < 0 ? rest : rest.slice(0, end);
+        state.inKey = end < 0;
+        redacted = `${redacted.slice(0, start)}${material ? '[REDACTED]' : ''}${end < 0 ? '' : rest.slice(end)}`;
+      } else {
+        redacted = redacted.split(value).join(redact(value));
+      }
+    }
+  }
+  return redacted;
+};
+
+// A copy of parsed diff files with the secrets scanDiffForSecrets would
+// find masked on every line, for sending the diff outside. Removed and
+// context lines are masked too: a deleted secret is still a leaked one.
+// Key material is followed separately in the old and the new file.
+const redactSecrets = (files) => files.map((file) => {
+  if (file.binary) return file;
+
+  const before = { inKey: false };
+  const after = { inKey: false };
+  return {
+    ...file,
+    hunks: file.hunks.map(hunk => ({
+      ...hunk,
+      lines: hunk.lines.map((line) => {
+        let content;
+        if (line.type === 'add') {
+          content = redactLine(line.content, after);
+        } else if (line.type === 'del') {
+          content = redactLine(line.content, before);
+        } else {
+          const state = { inKey: before.inKey || after.inKey };
+          content = redactLine(line.content, state);
+          before.inKey = state.inKey;
+          after.inKey = state.inKey;
+        }
+        return content === line.content ? line : { ...line, content };
+      })
+    }))
+  };
+});
+
+module.exports = {
+  scanDiffForSecrets,
+  redactSecrets,
+  shannonEntropy
+};
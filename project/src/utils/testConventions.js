@@ -0,0 +1,388 @@
+// Works out how a repository writes its tests: which framework each
+// language uses and where test files live, so generated tests look like the
+// ones already there.
+//
+// Detection runs on the repository's file list plus the contents of the few
+// config files returned by getConventionConfigPaths(). forFile() then gives
+// { language, framework, test_file, layout, evidence } for a source file.
+
+const path = require('path');
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.go': 'go',
+  '.java': 'java',
+  '.rb': 'ruby'
+};
+
+const TEST_FILE_PATTERNS = {
+  javascript: /(^|\/)__tests__\/|\.(test|spec)\.[cm]?[jt]sx?$/,
+  typescript: /(^|\/)__tests__\/|\.(test|spec)\.[cm]?[jt]sx?$/,
+  python: /(^|\/)test_[^/]+\.py$|_test\.py$/,
+  go: /_test\.go$/,
+  java: /(^|\/)src\/test\/.*\.java$|(Test|Tests|IT)\.java$/,
+  ruby: /_spec\.rb$|_test\.rb$/
+};
+
+// Top-level directories that hold a separate test tree
+const TEST_DIRS = ['test', 'tests', 'spec', '__test__'];
+// Source roots dropped when a separate test tree mirrors the sources
+const SOURCE_ROOTS = /^(src|lib|app)\//;
+
+const ROOT_CONFIG_FILES = [
+  'pyproject.toml', 'setup.cfg', 'pytest.ini', 'tox.ini', 'requirements.txt', 'requirements-dev.txt', 'requirements_dev.txt',
+  'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'Gemfile', '.rspec'
+];
+
+// Directory names that say nothing about which code a test covers
+const NEUTRAL_DIRS = new Set([...TEST_DIRS, '__tests__', 'src', 'lib', 'app', 'main', 'java']);
+
+const languageOf = (filename) => LANGUAGES[path.posix.extname(filename).toLowerCase()] || null;
+
+const isTestFile = (filename) => {
+  const language = languageOf(filename);
+  return Boolean(language && TEST_FILE_PATTERNS[language].test(filename));
+};
+
+// Most common value, or the fallback when there are no votes
+const majority = (values, fallback) => {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  let best = fallback;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Test file names that can belong to a source file, by language
+const testNamesFor = (filename) => {
+  const { name } = path.posix.parse(filename);
+  switch (languageOf(filename)) {
+    case 'javascript':
+    case 'typescript':
+      return new RegExp(`^${escapeRegExp(name)}(\\.(test|spec))?\\.[cm]?[jt]sx?$`);
+    case 'python':
+      return new RegExp(`^(test_${escapeRegExp(name)}|${escapeRegExp(name)}_test)\\.py$`);
+    case 'go':
+      return new RegExp(`^${escapeRegExp(name)}_test\\.go$`);
+    case 'java':
+      return new RegExp(`^${escapeRegExp(name)}Tests?\\.java$`);
+    case 'ruby':
+      return new RegExp(`^${escapeRegExp(name)}_(spec|test)\\.rb$`);
+    default:
+      return null;
+  }
+};
+
+// Directories of a path minus the ones that only say "tests" or "sources"
+const meaningfulDirs = (filename) => path.posix.dirname(filename).split('/').filter(dir => dir !== '.' && !NEUTRAL_DIRS.has(dir));
+
+// True when one directory list ends with the other
+const dirsAlign = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.every((dir, i) => dir === longer[longer.length - shorter.length + i]);
+};
+
+// Closest package.json at or above the file's directory
+const nearestPackageJson = (filename, paths) => {
+  let dir = path.posix.dirname(filename);
+  for (;;) {
+    const candidate = dir === '.' ? 'package.json' : `${dir}/package.json`;
+    if (paths.has(candidate)) return candidate;
+    if (dir === '.') return null;
+    dir = path.posix.dirname(dir);
+  }
+};
+
+// Config files worth reading for the given changed files, plus a few
+// existing Python tests to tell pytest from unittest
+const getConventionConfigPaths = (paths, changedFiles) => {
+  const all = new Set(paths);
+  const wanted = ROOT_CONFIG_FILES.filter(file => all.has(file));
+
+  for (const file of changedFiles) {
+    if (['javascript', 'typescript'].includes(languageOf(file))) {
+      const packageJson = nearestPackageJson(file, all);
+      if (packageJson) wanted.push(packageJson);
+    }
+  }
+
+  if (changedFiles.some(file => languageOf(file) === 'python')) {
+    wanted.push(...paths.filter(file => languageOf(file) === 'python' && isTestFile(file)).slice(0, 3));
+  }
+
+  return [...new Set(wanted)];
+};
+
+class TestConventions {
+  // paths: every file in the repository; configs: { path: content }
+  constructor(paths, configs = {}) {
+    this.paths = new Set(paths);
+    this.configs = configs;
+    this.testFiles = paths.filter(isTestFile);
+  }
+
+  forFile(filename) {
+    const language = languageOf(filename);
+    switch (language) {
+      case 'javascript':
+      case 'typescript':
+        return this.forJavaScript(filename, language);
+      case 'python':
+        return this.forPython(filename);
+      case 'go':
+        return this.forGo(filename);
+      case 'java':
+        return this.forJava(filename);
+      case 'ruby':
+        return this.forRuby(filename);
+      default:
+        return null;
+    }
+  }
+
+  // Existing test file that most likely covers the source file: the
+  // conventional test path if it exists, otherwise a test with a matching
+  // name whose directories line up with the source's (tests/foo/test_bar.py
+  // for src/foo/bar.py), preferring the closest one
+  findExistingTest(filename, testFile) {
+    if (this.paths.has(testFile)) return testFile;
+
+    const names = testNamesFor(filename);
+    if (!names) return null;
+    const sourceDirs = meaningfulDirs(filename);
+    // Go tests live in the package directory
+    const sameDirOnly = languageOf(filename) === 'go';
+
+    const matches = this.testFiles.filter(file => {
+      if (!names.test(path.posix.basename(file)) || file === filename) return false;
+      if (sameDirOnly) return path.posix.dirname(file) === path.posix.dirname(filename);
+      // __tests__/name.js counts; a bare name.js elsewhere is just another source file
+      if (!/(^|\/)__tests__\//.test(file) && path.posix.basename(file) === path.posix.basename(filename)) return false;
+      return dirsAlign(meaningfulDirs(file), sourceDirs);
+    });
+
+    return matches.sort((a, b) => meaningfulDirs(b).length - meaningfulDirs(a).length)[0] || null;
+  }
+
+  // Where tests for files under `root` live, judged by existing tests there:
+  // { layout: 'colocated'|'__tests__'|'nested'|'separate', testDir, mirrored }.
+  // 'nested' is a test directory next to the sources (pkg/tests/test_x.py).
+  detectLayout(testFiles, root, fallback) {
+    if (testFiles.length === 0) return { ...fallback, evidence: 'no existing tests, using the default layout' };
+
+    const relative = testFiles.map(file => (root === '.' ? file : file.slice(root.length + 1)));
+    const layouts = relative.map(file => {
+      if (/(^|\/)__tests__\//.test(file)) return '__tests__';
+      const dirs = file.split('/').slice(0, -1);
+      if (dirs.length > 0 && TEST_DIRS.includes(dirs[0])) return `separate:${dirs[0]}`;
+      const nested = dirs.find(dir => TEST_DIRS.includes(dir));
+      return nested ? `nested:${nested}` : 'colocated';
+    });
+
+    const winner = majority(layouts, 'colocated');
+    const votes = layouts.filter(l => l === winner).length;
+    if (winner.startsWith('nested:')) {
+      const testDir = winner.split(':')[1];
+      return { layout: 'nested', testDir, evidence: `${votes} of ${testFiles.length} existing tests are in ${testDir}/ directories next to the sources` };
+    }
+    if (!winner.startsWith('separate:')) {
+      return { layout: winner, evidence: `${votes} of ${testFiles.length} existing tests are ${winner}` };
+    }
+
+    const testDir = winner.split(':')[1];
+    const inDir = relative.filter(file => file.startsWith(`${testDir}/`));
+    return {
+      layout: 'separate',
+      testDir,
+      // Flat when every test sits directly in the test directory
+      mirrored: inDir.some(file => file.split('/').length > 2),
+      evidence: `${inDir.length} of ${testFiles.length} existing tests are under ${testDir}/`
+    };
+  }
+
+  // Path of a test in a separate tree: root/testDir[/mirrored dirs]/basename
+  separatePath(filename, root, location, basename) {
+    const relative = root === '.' ? filename : filename.slice(root.length + 1);
+    const dir = location.mirrored ? path.posix.dirname(relative.replace(SOURCE_ROOTS, '')) : '.';
+    return path.posix.join(root, location.testDir, dir, basename);
+  }
+
+  forJavaScript(filename, language) {
+    const evidence = [];
+    const packageJsonPath = nearestPackageJson(filename, this.paths);
+    const root = packageJsonPath ? path.posix.dirname(packageJsonPath) : '.';
+    let framework = 'Jest';
+
+    const packageJson = this.parseJson(packageJsonPath);
+    const deps = packageJson ? { ...packageJson.dependencies, ...packageJson.devDependencies } : {};
+    const testScript = (packageJson && packageJson.scripts && packageJson.scripts.test) || '';
+    let declared = true;
+    if (deps.vitest || /\bvitest\b/.test(testScript)) framework = 'Vitest';
+    else if (deps.jest || deps['ts-jest'] || /\bjest\b/.test(testScript)) framework = 'Jest';
+    else if (deps.mocha || /\bmocha\b/.test(testScript)) framework = 'Mocha';
+    else if (/node\s+(--[\w-]+\s+)*--test\b/.test(testScript)) framework = 'node:test';
+    else declared = false;
+    evidence.push(declared
+      ? `${packageJsonPath} uses ${framework}`
+      : `${packageJsonPath || 'no package.json'}: no test framework declared, defaulting to Jest`);
+
+    const testFiles = this.testFiles.filter(file =>
+      ['javascript', 'typescript'].includes(languageOf(file)) && (root === '.' || file.startsWith(`${root}/`))
+    );
+    const location = this.detectLayout(testFiles, root, { layout: 'colocated' });
+    evidence.push(location.evidence);
+
+    const suffix = majority(testFiles.map(file => (/\.spec\.[^.]+$/.test(file) ? 'spec' : 'test')), 'test');
+    const { dir, name, ext } = path.posix.parse(filename);
+    const basename = `${name}.${suffix}${ext}`;
+
+    let testFile;
+    if (location.layout === '__tests__') testFile = path.posix.join(dir, '__tests__', basename);
+    else if (location.layout === 'nested') testFile = path.posix.join(dir, location.testDir, basename);
+    else if (location.layout === 'separate') testFile = this.separatePath(filename, root, location, basename);
+    else testFile = path.posix.join(dir, basename);
+
+    return { language, framework, test_file: testFile, layout: location.layout, evidence };
+  }
+
+  forPython(filename) {
+    const evidence = [];
+    let framework = null;
+
+    const pytestConfig = [
+      ['pytest.ini', () => true],
+      ['pyproject.toml', text => /\[tool\.pytest|["'\s]pytest[\s"'<>=~!,]/.test(text)],
+      ['setup.cfg', text => /\[tool:pytest\]/.test(text)],
+      ['tox.ini', text => /\[pytest\]/.test(text)],
+      ['requirements.txt', text => /^pytest\b/m.test(text)],
+      ['requirements-dev.txt', text => /^pytest\b/m.test(text)],
+      ['requirements_dev.txt', text => /^pytest\b/m.test(text)]
+    ].find(([file, matches]) => this.configs[file] !== undefined && matches(this.configs[file]));
+
+    if (pytestConfig) {
+      framework = 'pytest';
+      evidence.push(`${pytestConfig[0]} configures pytest`);
+    } else {
+      const samples = Object.entries(this.configs).filter(([file]) => languageOf(file) === 'python' && isTestFile(file));
+      if (samples.some(([, text]) => /^\s*import unittest|unittest\.TestCase/m.test(text)) &&
+          !samples.some(([, text]) => /^\s*import pytest/m.test(text))) {
+        framework = 'unittest';
+        evidence.push('existing tests use unittest');
+      }
+    }
+    if (!framework) {
+      framework = 'pytest';
+      evidence.push('no test framework configured, defaulting to pytest');
+    }
+
+    const testFiles = this.testFiles.filter(file => languageOf(file) === 'python');
+    const location = this.detectLayout(testFiles, '.', { layout: 'separate', testDir: 'tests', mirrored: false });
+    evidence.push(location.evidence);
+
+    const prefixed = majority(testFiles.map(file => path.posix.basename(file).startsWith('test_')), true);
+    const { dir, name } = path.posix.parse(filename);
+    const basename = prefixed ? `test_${name}.py` : `${name}_test.py`;
+
+    let testFile;
+    if (location.layout === 'separate') testFile = this.separatePath(filename, '.', location, basename);
+    else if (location.layout === 'nested') testFile = path.posix.join(dir, location.testDir, basename);
+    else testFile = path.posix.join(dir, basename);
+
+    return { language: 'python', framework, test_file: testFile, layout: location.layout, evidence };
+  }
+
+  forGo(filename) {
+    const goMod = this.configs['go.mod'] || '';
+    const testify = goMod.includes('github.com/stretchr/testify');
+    const { dir, name } = path.posix.parse(filename);
+    return {
+      language: 'go',
+      framework: 'testing',
+      assertion_library: testify ? 'testify' : null,
+      test_file: path.posix.join(dir, `${name}_test.go`),
+      layout: 'colocated',
+      evidence: [testify ? 'go.mod requires github.com/stretchr/testify' : 'Go tests use the standard testing package']
+    };
+  }
+
+  forJava(filename) {
+    const evidence = [];
+    const buildFile = ['pom.xml', 'build.gradle', 'build.gradle.kts'].find(file => this.configs[file] !== undefined);
+    const build = buildFile ? this.configs[buildFile] : '';
+
+    let framework = 'JUnit 5';
+    if (/junit-jupiter|org\.junit\.jupiter|spring-boot-starter-test/.test(build)) framework = 'JUnit 5';
+    else if (/testng/i.test(build)) framework = 'TestNG';
+    else if (/junit:junit|<artifactId>junit<\/artifactId>/.test(build)) framework = 'JUnit 4';
+    evidence.push(buildFile ? `${buildFile} declares ${framework}` : 'no build file, defaulting to JUnit 5');
+
+    const testFiles = this.testFiles.filter(file => languageOf(file) === 'java');
+    const suffix = majority(testFiles.map(file => (/Tests\.java$/.test(file) ? 'Tests' : 'Test')), 'Test');
+    const testFile = /(^|\/)src\/main\//.test(filename)
+      ? filename.replace(/(^|\/)src\/main\//, '$1src/test/').replace(/\.java$/, `${suffix}.java`)
+      : filename.replace(/\.java$/, `${suffix}.java`);
+
+    return {
+      language: 'java',
+      framework,
+      build_tool: buildFile === 'pom.xml' ? 'maven' : buildFile ? 'gradle' : null,
+      test_file: testFile,
+      layout: 'separate',
+      evidence
+    };
+  }
+
+  forRuby(filename) {
+    const evidence = [];
+    const gemfile = this.configs.Gemfile || '';
+    const specs = this.testFiles.filter(file => file.endsWith('_spec.rb'));
+    const minitests = this.testFiles.filter(file => file.endsWith('_test.rb'));
+
+    let framework;
+    if (/['"]rspec(-rails)?['"]/.test(gemfile) || this.configs['.rspec'] !== undefined || specs.length > minitests.length) {
+      framework = 'RSpec';
+      evidence.push(specs.length > 0 ? `${specs.length} existing specs` : 'Gemfile or .rspec configures RSpec');
+    } else if (/['"]minitest['"]/.test(gemfile) || minitests.length > 0) {
+      framework = 'Minitest';
+      evidence.push(minitests.length > 0 ? `${minitests.length} existing Minitest tests` : 'Gemfile includes minitest');
+    } else {
+      framework = 'RSpec';
+      evidence.push('no test framework configured, defaulting to RSpec');
+    }
+
+    const relative = filename.replace(SOURCE_ROOTS, '').replace(/\.rb$/, '');
+    const testFile = framework === 'RSpec' ? `spec/${relative}_spec.rb` : `test/${relative}_test.rb`;
+
+    return { language: 'ruby', framework, test_file: testFile, layout: 'separate', evidence };
+  }
+
+  parseJson(file) {
+    if (!file || this.configs[file] === undefined) return null;
+    try {
+      return JSON.parse(this.configs[file]);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  TestConventions,
+  getConventionConfigPaths,
+  isTestFile,
+  meaningfulDirs
+};
@@ -0,0 +1,323 @@
+const yaml = require('js-yaml');
+
+// Static checks of GitHub Actions workflow files.
+//
+// lintWorkflow parses one workflow and returns its findings:
+// { rule, severity, file, job, line, message, fix }, severity being
+// critical, major or minor as in code review, plus the `action` of an
+// unpinned-action finding. `line` is where the finding was spotted in the
+// file, or null. recommendationsFor turns findings into one suggested fix
+// per line of advice, most severe first.
+
+const SEVERITY_ORDER = ['critical', 'major', 'minor'];
+
+const RULES = {
+  'invalid-workflow': 'major',
+  'unpinned-action': 'major',
+  'missing-cache': 'minor',
+  'missing-timeout': 'minor',
+  'broad-permissions': 'major',
+  'default-permissions': 'minor',
+  'pull-request-target-checkout': 'critical',
+  'pull-request-target-injection': 'critical',
+  'uncancellable-matrix': 'major',
+  'matrix-not-cancelled': 'minor'
+};
+
+const FULL_SHA = /^[0-9a-f]{40}$/;
+// Owners whose actions GitHub maintains; unpinned, they are a lesser risk
+const GITHUB_OWNERS = new Set(['actions', 'github']);
+
+// Dependency installs, and how each ecosystem's setup action caches them
+const ECOSYSTEMS = [
+  {
+    name: 'npm',
+    install: /\b(npm (ci|install|i)\b|yarn( install)?\s*($|--)|pnpm (i|install)\b)/m,
+    setup: 'actions/setup-node',
+    cached: step => Boolean(step.with && step.with.cache),
+    fix: 'Set `cache: npm` (or yarn, pnpm) on actions/setup-node'
+  },
+  {
+    name: 'pip',
+    install: /\b(pip3? install|poetry install|pipenv install)\b/,
+    setup: 'actions/setup-python',
+    cached: step => Boolean(step.with && step.with.cache),
+    fix: 'Set `cache: pip` (or poetry, pipenv) on actions/setup-python'
+  },
+  {
+    name: 'maven or gradle',
+    install: /\b(mvn|mvnw|gradle|gradlew)\b/,
+    setup: 'actions/setup-java',
+    cached: step => Boolean(step.with && step.with.cache),
+    fix: 'Set `cache: maven` (or gradle) on actions/setup-java'
+  },
+  {
+    name: 'bundler',
+    install: /\bbundle (install|exec)\b/,
+    setup: 'ruby/setup-ruby',
+    cached: step => Boolean(step.with && step.with['bundler-cache']),
+    fix: 'Set `bundler-cache: true` on ruby/setup-ruby'
+  },
+  {
+    name: 'go modules',
+    install: /\bgo (build|test|mod download|vet)\b/,
+    setup: 'actions/setup-go',
+    // setup-go caches unless told not to
+    cached: step => !(step.with && String(step.with.cache) === 'false'),
+    fix: 'Leave caching on in actions/setup-go (v4 and later cache by default)'
+  }
+];
+
+// Expressions an outsider controls in pull_request_target and similar events
+const UNTRUSTED_INPUT = /\$\{\{\s*github\.(event\.(pull_request|issue|comment|review|review_comment)\.(title|body|head\.ref|head\.label)|head_ref)\b/;
+const PR_HEAD_REF = /github\.(event\.pull_request\.head\.(sha|ref)|head_ref)|refs\/pull\//;
+
+const actionName = (uses) => uses.split('@')[0].split('/').slice(0, 2).join('/');
+
+const triggersOf = (workflow) => {
+  const on = workflow.on;
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on;
+  return on && typeof on === 'object' ? Object.keys(on) : [];
+};
+
+const stepsOf = (job) => (Array.isArray(job.steps) ? job.steps.filter(step => step && typeof step === 'object') : []);
+
+const hasWriteScopes = (permissions) =>
+  permissions && typeof permissions === 'object' && Object.values(permissions).some(access => access === 'write');
+
+// Time limit suggested for a job: twice the workflow's p95 duration,
+// rounded up to 5 minutes, or 30 without history
+const suggestedTimeout = (p95) => (p95 ? Math.max(10, Math.ceil((p95 * 2) / 5) * 5) : 30);
+
+// 1-based number of the first line at or after `from` matching `pattern`
+const lineFinder = (text) => {
+  const lines = text.split('\n');
+  return (pattern, from = 1) => {
+    for (let index = Math.max(0, from - 1); index < lines.length; index++) {
+      if (pattern.test(lines[index])) return index + 1;
+    }
+    return null;
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `durations` maps workflow names to their p95 duration in minutes, for
+// suggested timeouts
+const lintWorkflow = (file, text, { durations = {} } = {}) => {
+  const findings = [];
+  const findLine = lineFinder(text);
+  const add = (rule, { severity = RULES[rule], job = null, line = null, message, fix, ...extra }) => {
+    findings.push({ rule, severity, file, job, line, message, fix, ...extra });
+  };
+
+  let workflow;
+  try {
+    workflow = yaml.load(text);
+  } catch (error) {
+    add('invalid-workflow', {
+      line: error.mark ? error.mark.line + 1 : null,
+      message: `${file} is not valid YAML: ${error.reason || error.message}`,
+      fix: 'Fix the YAML syntax; GitHub does not run a workflow it cannot parse'
+    });
+    return findings;
+  }
+  if (!workflow || typeof workflow !== 'object' || !workflow.jobs || typeof workflow.jobs !== 'object') {
+    add('invalid-workflow', {
+      message: `${file} has no jobs`,
+      fix: 'Define the workflow\'s `jobs`'
+    });
+    return findings;
+  }
+
+  const triggers = triggersOf(workflow);
+  const pullRequestTarget = triggers.includes('pull_request_target');
+  const concurrency = workflow.concurrency;
+  const cancelsInProgress = Boolean(concurrency && typeof concurrency === 'object' && concurrency['cancel-in-progress']);
+  const p95 = durations[workflow.name] || null;
+  const jobsLine = findLine(/^jobs:\s*$/) || 1;
+
+  if (workflow.permissions === 'write-all') {
+    add('broad-permissions', {
+      line: findLine(/^permissions:/),
+      message: `${file} grants every job write access to everything with \`permissions: write-all\``,
+      fix: 'Replace `permissions: write-all` with `permissions: contents: read` and grant write scopes only to the jobs that need them'
+    });
+  } else if (hasWriteScopes(workflow.permissions)) {
+    const scopes = Object.keys(workflow.permissions).filter(scope => workflow.permissions[scope] === 'write');
+    add('broad-permissions', {
+      line: findLine(/^permissions:/),
+      message: `${file} grants ${scopes.join(', ')} write access to every job`,
+      fix: `Move the ${scopes.join(', ')} write permissions from the workflow to the jobs that need them`
+    });
+  }
+
+  const jobsWithoutPermissions = [];
+
+  for (const [jobId, job] of Object.entries(workflow.jobs)) {
+    if (!job || typeof job !== 'object') continue;
+    const jobLine = findLine(new RegExp(`^\\s+${escapeRegExp(jobId)}:\\s*$`), jobsLine);
+    const steps = stepsOf(job);
+    const matrix = job.strategy && job.strategy.matrix;
+
+    if (job.permissions === 'write-all') {
+      add('broad-permissions', {
+        job: jobId,
+        line: jobLine,
+        message: `Job ${jobId} in ${file} has \`permissions: write-all\``,
+        fix: `List only the scopes job ${jobId} needs under \`permissions\``
+      });
+    } else if (job.permissions === undefined) {
+      jobsWithoutPermissions.push(jobId);
+    }
+
+    // A job calling a reusable workflow
+    if (typeof job.uses === 'string') {
+      const ref = job.uses.split('@')[1] || '';
+      if (!job.uses.startsWith('./') && !FULL_SHA.test(ref)) {
+        add('unpinned-action', {
+          job: jobId,
+          line: findLine(new RegExp(`uses:\\s*['"]?${escapeRegExp(job.uses)}`), jobLine || 1),
+          message: `Job ${jobId} in ${file} calls ${job.uses}, a reusable workflow not pinned to a commit SHA`,
+          fix: `Pin ${job.uses.split('@')[0]} to a full commit SHA`,
+          action: job.uses.split('@')[0]
+        });
+      }
+      continue;
+    }
+
+    // Steps appear in order, so the search for each one continues after the
+    // previous step's line, and repeated actions get their own lines
+    let stepsFrom = jobLine || 1;
+    for (const step of steps) {
+      if (typeof step.uses !== 'string' || step.uses.startsWith('./')) continue;
+      const line = findLine(new RegExp(`uses:\\s*['"]?${escapeRegExp(step.uses)}`), stepsFrom);
+      if (line) stepsFrom = line + 1;
+      if (step.uses.startsWith('docker://')) {
+        if (!step.uses.includes('@sha256:')) {
+          add('unpinned-action', {
+            job: jobId,
+            line,
+            message: `Job ${jobId} in ${file} runs ${step.uses}, an image not pinned to a digest`,
+            fix: `Pin ${step.uses} to an image digest (@sha256:...)`,
+            action: step.uses
+          });
+        }
+        continue;
+      }
+      const ref = step.uses.split('@')[1] || '';
+      if (!FULL_SHA.test(ref)) {
+        add('unpinned-action', {
+          severity: GITHUB_OWNERS.has(step.uses.split('/')[0]) ? 'minor' : RULES['unpinned-action'],
+          job: jobId,
+          line,
+          message: `Job ${jobId} in ${file} uses ${step.uses}, which ${ref ? `follows the mutable ref ${ref}` : 'has no ref'}`,
+          fix: `Pin ${actionName(step.uses)} to the full commit SHA of ${ref || 'a release'}, keeping the version in a comment`,
+          action: actionName(step.uses)
+        });
+      }
+    }
+
+    // Caching
+    const runs = steps.filter(step => typeof step.run === 'string').map(step => step.run).join('\n');
+    const usesCache = steps.some(step => typeof step.uses === 'string' && /^actions\/cache(\/restore)?@/.test(step.uses));
+    if (!usesCache) {
+      for (const ecosystem of ECOSYSTEMS) {
+        if (!ecosystem.install.test(runs)) continue;
+        const setup = steps.find(step => typeof step.uses === 'string' && step.uses.startsWith(`${ecosystem.setup}@`));
+        if (setup && ecosystem.cached(setup)) continue;
+        add('missing-cache', {
+          job: jobId,
+          line: jobLine,
+          message: `Job ${jobId} in ${file} downloads its ${ecosystem.name} dependencies on every run`,
+          fix: setup ? ecosystem.fix : `Cache ${ecosystem.name} dependencies with ${ecosystem.setup}'s \`cache\` input or actions/cache`
+        });
+      }
+    }
+
+    if (job['timeout-minutes'] === undefined) {
+      add('missing-timeout', {
+        job: jobId,
+        line: jobLine,
+        message: `Job ${jobId} in ${file} has no timeout-minutes, so a hung job runs for 6 hours`,
+        fix: `Set \`timeout-minutes: ${suggestedTimeout(p95)}\` on job ${jobId}`
+      });
+    }
+
+    if (pullRequestTarget) {
+      const checkout = steps.find(step => typeof step.uses === 'string' && step.uses.startsWith('actions/checkout@')
+        && step.with && PR_HEAD_REF.test(String(step.with.ref || '')));
+      if (checkout) {
+        add('pull-request-target-checkout', {
+          job: jobId,
+          line: findLine(/ref:\s*.*(head|refs\/pull)/, jobLine || 1),
+          message: `Job ${jobId} in ${file} checks out pull request code in pull_request_target, where it runs with secrets and a write token`,
+          fix: `Run pull request code in a pull_request workflow, or keep job ${jobId} from executing the checked-out code and give it read-only permissions`
+        });
+      }
+      const injected = steps.find(step => typeof step.run === 'string' && UNTRUSTED_INPUT.test(step.run));
+      if (injected) {
+        add('pull-request-target-injection', {
+          job: jobId,
+          line: findLine(UNTRUSTED_INPUT, jobLine || 1),
+          message: `Job ${jobId} in ${file} puts pull request text into a shell command in pull_request_target`,
+          fix: 'Pass the pull request fields through `env:` and quote the variables instead of interpolating ${{ }} into `run`'
+        });
+      }
+    }
+
+    if (matrix) {
+      if (typeof job.if === 'string' && /\balways\(\)/.test(job.if)) {
+        add('uncancellable-matrix', {
+          job: jobId,
+          line: findLine(/^\s+if:.*always\(\)/, jobLine || 1),
+          message: `Matrix job ${jobId} in ${file} runs with always(), so cancelling the workflow doesn't stop it`,
+          fix: `Use \`!cancelled()\` instead of \`always()\` in job ${jobId}'s \`if\``
+        });
+      }
+      if (job.strategy['fail-fast'] === false && !cancelsInProgress) {
+        add('matrix-not-cancelled', {
+          job: jobId,
+          line: findLine(/fail-fast:\s*false/, jobLine || 1),
+          message: `Matrix job ${jobId} in ${file} keeps every leg running after one fails, and newer pushes don't cancel it`,
+          fix: 'Add `concurrency: { group: ${{ github.workflow }}-${{ github.ref }}, cancel-in-progress: true }` to the workflow'
+        });
+      }
+    }
+  }
+
+  if (workflow.permissions === undefined && jobsWithoutPermissions.length > 0) {
+    add('default-permissions', {
+      line: null,
+      message: `${file} sets no permissions, so ${jobsWithoutPermissions.join(', ')} get the repository's default GITHUB_TOKEN permissions`,
+      fix: 'Add `permissions: contents: read` at the top of the workflow and grant more per job where needed'
+    });
+  }
+
+  return findings;
+};
+
+// One recommendation per file and piece of advice, most severe first;
+// a file's unpinned actions are listed together
+const recommendationsFor = (findings) => {
+  const sorted = [...findings].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const recommendations = new Set();
+
+  for (const finding of sorted) {
+    if (finding.rule === 'unpinned-action') {
+      const actions = sorted.filter(other => other.rule === 'unpinned-action' && other.file === finding.file).map(other => other.action);
+      recommendations.add(`${finding.file}: Pin ${[...new Set(actions)].join(', ')} to full commit SHAs or image digests`);
+    } else {
+      recommendations.add(`${finding.file}: ${finding.fix}`);
+    }
+  }
+
+  return [...recommendations];
+};
+
+module.exports = {
+  RULES,
+  lintWorkflow,
+  recommendationsFor
+};
@@ -0,0 +1,75 @@
+// Files in a zip archive, such as a GitHub Actions artifact download.
+//
+// readZip reads the central directory at the end of the archive and returns
+// [{ name, data }] for the stored and deflated files whose names pass
+// `filter`. Zip64 and encrypted archives are rejected; `maxBytes` caps the
+// total uncompressed size.
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The end record is 22 bytes plus a comment of up to 64KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+const invalid = (message) => new Error(`Invalid zip archive: ${message}`);
+
+const findEndRecord = (buffer) => {
+  const last = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+  for (let offset = buffer.length - 22; offset >= last; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw invalid('no end of central directory record');
+};
+
+const readZip = (data, { filter = () => true, maxBytes = Infinity } = {}) => {
+  const buffer = Buffer.from(data);
+  const end = findEndRecord(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw invalid('zip64 archives are not supported');
+
+  const files = [];
+  let total = 0;
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw invalid('corrupt central directory');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (flags & 0x1) throw invalid(`${name} is encrypted`);
+    if (method !== STORED && method !== DEFLATED) throw invalid(`${name} uses unsupported compression method ${method}`);
+
+    total += size;
+    if (total > maxBytes) throw invalid(`more than ${maxBytes} bytes uncompressed`);
+
+    // The local header's name and extra field can differ in length from the
+    // central directory's
+    if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) throw invalid(`corrupt local header of ${name}`);
+    const start = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const compressed = buffer.subarray(start, start + compressedSize);
+
+    files.push({
+      name,
+      data: method === STORED ? compressed : zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) })
+    });
+  }
+
+  return files;
+};
+
+module.exports = {
+  readZip
+};